@@ -8,6 +8,7 @@ import { createScene } from './core/scene.js';
 import { setupCamera } from './core/camera.js';
 import { initChunkManager } from './terrain/chunkManager.js';
 import { setupEnhancedCameraControls } from './controls/enhancedCameraControls.js';
+import { setupSculptControls } from './controls/sculptControls.js';
 import { initPerformanceMonitor } from './utils/performance.js';
 import { initUI } from './utils/uiHelper.js';
 
@@ -91,6 +92,8 @@ async function initApp() {
         updateLoadingProgress("Setting up camera controls...", 70);
         const cameraControls = setupEnhancedCameraControls(scene, camera, chunkManager);
         console.log("Camera controls setup complete");
+        setupSculptControls(scene, camera, chunkManager);
+        console.log("Sculpt controls setup complete");
         
         // Step 8: Setup UI
         updateLoadingProgress("Preparing user interface...", 80);
@@ -26,12 +26,76 @@ export default {
         // Enable adaptive mesh resolution based on distance
         enableAdaptiveLOD: true,
         
+        // Time in milliseconds to morph between LOD levels (0 = switch instantly)
+        lodMorphDuration: 400,
+        
         // Use enhanced shader-based materials
-        useShaderMaterials: true
+        useShaderMaterials: true,
+        
+        // Draw chunks as shared flat grids (one per LOD) displaced on the GPU from per-chunk height textures.
+        // Falls back to building chunk meshes on the CPU where vertex shaders cannot read float textures.
+        gpuDisplacement: false,
+        
+        // Quadtree (CDLOD) terrain: large low resolution nodes in the distance that split into chunks near the camera
+        quadtree: {
+            // Use the quadtree instead of the square grid of chunks within loadDistance
+            enabled: false,
+            
+            // Levels above a chunk (root nodes are chunkSize * 2^levels across)
+            levels: 6,
+            
+            // Distance from the camera out to which terrain is shown, in world units
+            horizonDistance: 8000,
+            
+            // Largest projected height error in pixels before a node splits
+            maxScreenError: 4,
+            
+            // Estimated height error of a node per world unit of vertex spacing
+            errorPerSpacing: 0.1,
+            
+            // Depth of the skirts that hide cracks between levels, per world unit of vertex spacing
+            skirtDepth: 0.5,
+            
+            // Largest number of chunks and nodes generated at once
+            maxPendingNodes: 4,
+            
+            // Milliseconds between node selections
+            updateInterval: 250
+        },
+        
+        // Coarse ring of terrain from the loaded chunks out to the horizon (chunk grid only, not the quadtree)
+        horizon: {
+            // Show the ring
+            enabled: true,
+            
+            // Distance from the camera out to which the ring reaches, in world units
+            distance: 4000,
+            
+            // Size of a ring tile in world units
+            tileSize: 800,
+            
+            // Vertices per side of a ring tile (the vertex spacing should divide chunkSize so holes match chunks)
+            resolution: 17,
+            
+            // How far the ring sits below the chunks it meets, in world units
+            sink: 2,
+            
+            // Depth of the skirts around ring tiles, per world unit of vertex spacing
+            skirtDepth: 0.5,
+            
+            // Fraction of the distance at which fog starts; the fog is complete at the horizon
+            fogStart: 0.4,
+            
+            // Largest number of tiles generated at once
+            maxPendingTiles: 2
+        }
     },
     
     // Noise generation settings
     noise: {
+        // Noise backend: 'value', 'perlin', 'simplex' or 'opensimplex2'
+        type: 'value',
+        
         // Base noise scale (higher = more zoomed in)
         scale: 0.01,
         
@@ -45,7 +109,375 @@ export default {
         lacunarity: 2.0,
         
         // Random seed for noise generation
-        seed: 42
+        seed: 42,
+        
+        // Terrain shape as a JSON node graph (null = DEFAULT_TERRAIN_GRAPH in noiseGraph.js)
+        graph: null,
+        
+        // Continents and oceans from a very low frequency mask
+        continents: {
+            // Enable oceans (disabled = one endless landmass)
+            enabled: true,
+            
+            // Scale of the continent noise (higher = smaller continents)
+            scale: 0.0005,
+            
+            // Octaves of the continent noise (more = rougher coasts and more islands)
+            octaves: 5,
+            
+            // Continent noise below which there is sea (0-1, higher = more sea)
+            coastLevel: 0.45,
+            
+            // Offset of the continent noise [x, z] in world units (moves the coastlines)
+            offset: [0, 0],
+            
+            // Normalized height of the sea surface (0-1)
+            seaLevel: 0.08,
+            
+            // Distance inland over which terrain rises to its full height, in world units
+            coastWidth: 300,
+            
+            // Width of the shallow coastal shelf in world units
+            shelfWidth: 250,
+            
+            // Normalized depth of the shelf below sea level
+            shelfDepth: 0.03,
+            
+            // Width of the slope from the shelf down to the ocean floor in world units
+            slopeWidth: 400,
+            
+            // Normalized depth of the ocean floor below sea level
+            oceanDepth: 0.08
+        },
+        
+        // Particle-based hydraulic erosion applied to each chunk heightmap
+        erosion: {
+            // Enable the erosion pass
+            enabled: true,
+            
+            // Number of water droplets falling on each chunk's area (seeded by world position,
+            // so neighbouring chunks simulate the droplets falling on the border they share)
+            iterations: 1300,
+            
+            // Extra samples simulated around each chunk so material flows across borders
+            border: 8,
+            
+            // Samples over which erosion fades out towards chunk edges (wider hides more of the
+            // small differences between neighbours' results, narrower keeps more erosion)
+            edgeFade: 3,
+            
+            // How quickly droplets pick up material (0-1)
+            strength: 0.1,
+            
+            // How quickly droplets drop excess sediment (0-1)
+            deposition: 0.3,
+            
+            // Sediment a droplet can carry per unit of slope, speed and water
+            sedimentCapacity: 2,
+            
+            // Fraction of a droplet's previous direction kept each step (0-1)
+            inertia: 0.05,
+            
+            // Fraction of water evaporating each step (0-1)
+            evaporation: 0.02,
+            
+            // Slope used for carrying capacity on nearly flat ground
+            minSlope: 0.01,
+            
+            // Acceleration of droplets running downhill
+            gravity: 4,
+            
+            // Maximum number of steps per droplet
+            maxLifetime: 30
+        },
+        
+        // Thermal erosion that turns over-steep slopes into scree
+        // (uses the erosion border; biomes can opt out with thermalErosion: false)
+        thermalErosion: {
+            // Enable the thermal erosion pass
+            enabled: true,
+            
+            // Steepest stable slope in degrees
+            talusAngle: 35,
+            
+            // Number of relaxation passes per chunk
+            iterations: 6,
+            
+            // Fraction of the excess material moved per pass (0-1)
+            strength: 0.5
+        },
+        
+        // Rivers and lakes routed over a world-space drainage lattice
+        drainage: {
+            // Enable river carving and lakes
+            enabled: true,
+            
+            // Distance between drainage lattice nodes in world units
+            spacing: 50,
+            
+            // How far each node is moved off the lattice, as a fraction of the spacing (0-0.5)
+            jitter: 0.35,
+            
+            // Lattice nodes on each side that can drain into a node
+            catchmentRadius: 12,
+            
+            // Upstream nodes needed to form a river
+            riverFlow: 12,
+            
+            // River half-width in world units where a river starts
+            riverWidth: 3,
+            
+            // Maximum river half-width in world units
+            maxRiverWidth: 12,
+            
+            // River depth in world units where a river starts (doubles downstream)
+            riverDepth: 1.5,
+            
+            // Upstream nodes a pit needs before it fills into a lake
+            lakeFlow: 20,
+            
+            // Maximum lattice nodes flooded by one lake
+            maxLakeNodes: 12,
+            
+            // Maximum lake depth in world units
+            maxLakeDepth: 4
+        },
+        
+        // Imported elevation data (16-bit PNG, RAW or ASCII Grid) used as base terrain
+        dem: {
+            // World position of the DEM's centre [x, z]
+            center: [0, 0],
+            
+            // Sample spacing in meters for PNG and RAW files (ASCII Grids carry their own cellsize)
+            metersPerPixel: 1,
+            
+            // Meters per world unit, horizontally and vertically
+            metersPerUnit: 1,
+            
+            // Multiplier applied to elevations
+            verticalScale: 1,
+            
+            // Meters per stored PNG or RAW step (e.g. 0.1 for decimeter heightmaps)
+            valueScale: 1,
+            
+            // Elevation in meters placed at height zero (null = lowest sample)
+            baseElevation: null,
+            
+            // Width in world units over which the DEM blends into procedural terrain
+            blendWidth: 100,
+            
+            // Samples per row of RAW files (null = square)
+            rawWidth: null,
+            
+            // Byte order of RAW files
+            rawLittleEndian: true,
+            
+            // Procedural detail added on top of the DEM (amplitude 0 = none)
+            detail: {
+                // Detail height as a fraction of the maximum terrain height
+                amplitude: 0.01,
+                
+                // Detail noise scale (higher = finer)
+                scale: 0.05,
+                
+                // Detail noise octaves
+                octaves: 3
+            }
+        },
+        
+        // Voxel chunks meshed with marching cubes, for overhangs, arches and caves
+        voxel: {
+            // Build some chunks from a 3D density field instead of their heightmap
+            enabled: true,
+            
+            // 'mask' = regions picked by low frequency noise, 'all' = every chunk (slow)
+            regions: 'mask',
+            
+            // Scale of the region noise (higher = smaller regions)
+            regionScale: 0.002,
+            
+            // Region noise above which chunks are voxel chunks (0-1, higher = fewer)
+            regionThreshold: 0.7,
+            
+            // Distance in world units over which 3D features fade in from heightmap chunks
+            fadeWidth: 30,
+            
+            // Vertical sample spacing in world units (null = same as the horizontal spacing)
+            verticalSpacing: null,
+            
+            // Cliffs pushed in and out by 3D noise
+            overhang: {
+                // Largest horizontal displacement of the surface in world units
+                strength: 8,
+                
+                // Noise scale (higher = smaller features)
+                scale: 0.04,
+                
+                // Noise octaves
+                octaves: 3,
+                
+                // Vertical frequency multiplier (higher = more layered ledges)
+                verticalScale: 1.5
+            },
+            
+            // Tunnels carved where two 3D noise fields are both near zero
+            caves: {
+                // Enable caves
+                enabled: true,
+                
+                // Noise scale (higher = shorter, twistier tunnels)
+                scale: 0.025,
+                
+                // Tunnel size in noise units (higher = wider tunnels)
+                radius: 0.12,
+                
+                // Depth below the surface where the solid floor begins, in world units
+                maxDepth: 20,
+                
+                // Distance over which caves close up above the floor
+                floorFade: 5
+            }
+        },
+        
+        // How the blended biomes reshape the terrain (heightScale and noiseScale of each biome)
+        biomeRelief: {
+            // Apply biome heightScale and noiseScale to procedural terrain
+            enabled: true,
+            
+            // Fraction of the height above the sea that fine detail adds or removes at noiseScale 1
+            detailAmplitude: 0.1,
+            
+            // Scale and octaves of the fine detail noise
+            detailScale: 0.02,
+            detailOctaves: 3,
+            
+            // Height above which raised terrain is eased towards the maximum instead of clipped
+            softLimit: 0.85
+        },
+        
+        // Climate that picks biomes from temperature and precipitation
+        climate: {
+            // Distance from the equator (z = 0) to a pole in world units (the world repeats beyond)
+            poleDistance: 20000,
+            
+            // Mean annual temperature at sea level on the equator and at the poles, in °C
+            equatorTemperature: 27,
+            poleTemperature: -20,
+            
+            // Temperature drop per 1000 m of altitude, in °C
+            lapseRate: 6.5,
+            
+            // Altitude in meters of the highest possible terrain above the sea
+            peakAltitude: 3000,
+            
+            // Random regional temperature change in °C (+/-) and its noise scale
+            temperatureVariation: 6,
+            temperatureScale: 0.0008,
+            
+            // Range of mean annual precipitation in cm before latitude, coast and rain shadow
+            minPrecipitation: 10,
+            maxPrecipitation: 250,
+            
+            // Noise scale of wet and dry regions
+            precipitationScale: 0.0006,
+            
+            // Strength of the wet and dry latitude bands (0 = none)
+            latitudeMoisture: 0.4,
+            
+            // Fraction of precipitation lost far from the coast, and the distance in world units where it is all lost
+            continentality: 0.5,
+            inlandDistance: 3000,
+            
+            // Dry areas behind ridges that catch the rain
+            rainShadow: {
+                // Direction the prevailing wind blows towards [x, z]
+                windDirection: [1, 0],
+                
+                // Fraction of precipitation lost in the deepest shadow
+                strength: 0.7,
+                
+                // Samples taken upwind and the distance between them in world units
+                steps: 6,
+                stepDistance: 150,
+                
+                // Normalized height of a ridge above the position that casts a full shadow
+                ridgeHeight: 0.25
+            },
+            
+            // Width of the transition between neighbouring biomes in world units
+            blendDistance: 50,
+            
+            // Whittaker-style biome table: the first entry whose ranges contain the climate wins.
+            // Ranges are min (inclusive) to max (exclusive) of temperature (°C), precipitation
+            // (cm per year) and normalized terrain height; missing bounds are open.
+            biomeTable: [
+                // Bare rock and snow above the tree line
+                { biome: 'mountains', minHeight: 0.65 },
+                
+                // Too cold for trees
+                { biome: 'tundra', maxTemperature: -5 },
+                { biome: 'tundra', maxTemperature: 3, maxPrecipitation: 30 },
+                
+                // Cold forests
+                { biome: 'taiga', maxTemperature: 3 },
+                
+                // Temperate: desert, grassland, then forest as rain increases
+                { biome: 'desert', maxTemperature: 18, maxPrecipitation: 25 },
+                { biome: 'plains', maxTemperature: 18, maxPrecipitation: 80 },
+                { biome: 'forest', maxTemperature: 18 },
+                
+                // Tropical: desert, savanna, then rainforest
+                { biome: 'desert', maxPrecipitation: 40 },
+                { biome: 'plains', maxPrecipitation: 160 },
+                { biome: 'rainforest' }
+            ]
+        }
+    },
+    
+    // Terrain region export
+    export: {
+        // Chunks exported on each side of the camera's chunk
+        radius: 2,
+        
+        // Files written: 'png', 'raw', 'obj', 'gltf' and 'json' (sidecar)
+        formats: ['png', 'raw', 'obj', 'gltf', 'json']
+    },
+    
+    // Terrain sculpting brushes
+    sculpt: {
+        // Initial brush radius in world units
+        radius: 15,
+        
+        // Smallest and largest brush radius
+        minRadius: 2,
+        maxRadius: 100,
+        
+        // Initial brush strength (0-1)
+        strength: 0.5,
+        
+        // Fraction of the radius over which the brush fades out (0 = hard edge)
+        falloff: 0.5,
+        
+        // Height change in world units of a full strength raise, lower or noise dab
+        heightStep: 0.5,
+        
+        // Milliseconds between dabs while the mouse button is held
+        applyInterval: 50,
+        
+        // Scale of the noise brush pattern (higher = finer)
+        noiseScale: 0.1
+    },
+    
+    // Saving edits, markers and chunk metadata in the browser (IndexedDB)
+    persistence: {
+        // Save and restore world changes
+        enabled: true,
+        
+        // IndexedDB database name
+        databaseName: 'infinite-horizons-world',
+        
+        // Milliseconds after the last change before it is saved
+        saveDelay: 1000
     },
     
     // Camera settings
@@ -69,6 +501,15 @@ export default {
         walkingHeight: 2.0
     },
     
+    // Floating origin: render space is re-centred on the camera to keep Float32 precision far from 0,0
+    floatingOrigin: {
+        // Enable re-centring
+        enabled: true,
+        
+        // Horizontal distance of the camera from the render origin that triggers a shift
+        threshold: 1000
+    },
+    
     // Material settings (new in Phase 2)
     materials: {
         // Grass material settings
@@ -105,7 +546,16 @@ export default {
         statsUpdateInterval: 1000,
         
         // Enable shader optimization
-        optimizeShaders: true
+        optimizeShaders: true,
+        
+        // Generate chunk heightmaps in Web Workers
+        useWebWorkers: true,
+        
+        // Maximum number of terrain workers (capped by available cores)
+        workerPoolSize: 4,
+        
+        // Unloaded chunk meshes kept per grid resolution for reuse (0 disposes them)
+        meshPoolSize: 16
     },
     
     // Debug settings
@@ -119,6 +569,9 @@ export default {
         // Show wireframe overlay on terrain
         showWireframe: false,
         
+        // Warn when a loaded chunk's edge normals differ from its neighbours' (a lighting seam)
+        checkSeams: false,
+        
         // Log shader compilation
         logShaders: false
     }
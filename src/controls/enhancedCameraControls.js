@@ -70,6 +70,12 @@ export function setupEnhancedCameraControls(scene, camera, chunkManager) {
         updateCamera(camera, keyState, mouseState, controlState, chunkManager);
     });
     
+    // Move the camera with the terrain when the floating origin re-centres render space
+    const floatingOrigin = chunkManager.getFloatingOrigin();
+    floatingOrigin.onShiftObservable.add(shift => {
+        shiftCamera(camera, shift);
+    });
+    
     // Return camera controls object
     return {
         keyState,
@@ -332,6 +338,22 @@ function updateModeIndicator(indicator, controlState) {
     }
 }
 
+/**
+ * Keep the camera at the same world position after the floating origin shifted
+ * @param {BABYLON.Camera} camera - The camera to move
+ * @param {Object} shift - Shift of the origin ({ x, z })
+ */
+function shiftCamera(camera, shift) {
+    camera.position.x -= shift.x;
+    camera.position.z -= shift.z;
+    
+    // Keep the position the camera set up its terrain following from in the same space
+    if (camera._previousPosition) {
+        camera._previousPosition.x -= shift.x;
+        camera._previousPosition.z -= shift.z;
+    }
+}
+
 /**
  * Update camera position and rotation based on input
  * @param {BABYLON.Camera} camera - The camera to update
@@ -432,10 +454,11 @@ function updateCamera(camera, keyState, mouseState, controlState, chunkManager)
     
     // Handle walking mode height adaptation and collision
     if (controlState.mode === 'walking') {
-        // Get ground height at camera position
+        // Get ground height at camera position (terrain queries take world coordinates)
+        const cameraWorld = chunkManager.getFloatingOrigin().getCameraWorldPosition();
         const groundHeight = chunkManager.getHeightAtPosition(
-            camera.position.x, 
-            camera.position.z
+            cameraWorld.x, 
+            cameraWorld.z
         );
         
         // Update last known ground height if valid
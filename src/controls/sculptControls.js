@@ -0,0 +1,235 @@
+/**
+ * Terrain sculpting controls (raise, lower, smooth, flatten and noise brushes)
+ */
+import config from '../config.js';
+import { BRUSH_TYPES } from '../terrain/editLayer.js';
+
+/**
+ * Sets up terrain sculpting controls
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ * @param {BABYLON.Camera} camera - The camera used to aim the brush
+ * @param {Object} chunkManager - Terrain chunk manager that applies the brushes
+ * @returns {Object} Sculpt controls object
+ */
+export function setupSculptControls(scene, camera, chunkManager) {
+    const { radius, minRadius, maxRadius, strength, falloff, applyInterval } = config.sculpt;
+    
+    // Current brush
+    const brush = {
+        type: BRUSH_TYPES[0],
+        radius: radius,
+        strength: strength,
+        falloff: falloff,
+        target: 0             // Flatten height, picked when a stroke starts
+    };
+    
+    // Sculpting state
+    const sculptState = {
+        enabled: false,       // Toggled with B
+        stroking: false,      // Left mouse button held
+        lastApplyTime: 0      // Time of the last dab in milliseconds
+    };
+    
+    // Get the canvas
+    const canvas = scene.getEngine().getRenderingCanvas();
+    
+    // Create brush cursor and indicator UI
+    const cursor = createBrushCursor(scene);
+    const indicator = createBrushIndicator();
+    
+    /**
+     * Find the terrain point under the pointer (screen centre while the pointer is locked)
+     * @returns {BABYLON.Vector3|null} Picked point in render space, or null if no terrain is under the pointer
+     */
+    const pickTerrain = () => {
+        const locked = document.pointerLockElement === canvas;
+        const x = locked ? canvas.width / 2 : scene.pointerX;
+        const y = locked ? canvas.height / 2 : scene.pointerY;
+        
+        return chunkManager.pickTerrain(x, y, camera);
+    };
+    
+    /**
+     * Show the current brush settings
+     */
+    const updateIndicator = () => {
+        indicator.style.display = sculptState.enabled ? 'block' : 'none';
+        indicator.textContent = `⛰️ Sculpt: ${brush.type} | radius ${brush.radius.toFixed(0)}` +
+            ` | strength ${brush.strength.toFixed(2)} | falloff ${brush.falloff.toFixed(2)} (B to exit)`;
+    };
+    
+    // Set up keyboard input
+    window.addEventListener('keydown', (event) => {
+        if (event.altKey || event.ctrlKey) {
+            return;
+        }
+        
+        // Toggle sculpting on B key
+        if (event.code === 'KeyB' && !event.shiftKey) {
+            sculptState.enabled = !sculptState.enabled;
+            sculptState.stroking = false;
+            updateIndicator();
+            return;
+        }
+        
+        if (!sculptState.enabled) {
+            return;
+        }
+        
+        // Brush type on number keys 1-5
+        const typeIndex = event.code.startsWith('Digit') ? parseInt(event.code.slice(5), 10) - 1 : -1;
+        if (typeIndex >= 0 && typeIndex < BRUSH_TYPES.length) {
+            brush.type = BRUSH_TYPES[typeIndex];
+        }
+        
+        switch (event.code) {
+            // Radius on [ and ]
+            case 'BracketLeft':
+                brush.radius = Math.max(minRadius, brush.radius / 1.2);
+                break;
+            case 'BracketRight':
+                brush.radius = Math.min(maxRadius, brush.radius * 1.2);
+                break;
+            
+            // Strength on - and =
+            case 'Minus':
+                brush.strength = Math.max(0.05, brush.strength - 0.05);
+                break;
+            case 'Equal':
+                brush.strength = Math.min(1, brush.strength + 0.05);
+                break;
+            
+            // Falloff on , and .
+            case 'Comma':
+                brush.falloff = Math.max(0, brush.falloff - 0.1);
+                break;
+            case 'Period':
+                brush.falloff = Math.min(1, brush.falloff + 0.1);
+                break;
+        }
+        
+        updateIndicator();
+    });
+    
+    // Start a stroke on left mouse button
+    canvas.addEventListener('pointerdown', (event) => {
+        if (!sculptState.enabled || event.button !== 0) {
+            return;
+        }
+        
+        const point = pickTerrain();
+        if (point) {
+            // Flatten towards the height where the stroke started
+            brush.target = point.y;
+            sculptState.stroking = true;
+            sculptState.lastApplyTime = 0;
+        }
+    });
+    
+    // End the stroke when the button is released anywhere
+    window.addEventListener('pointerup', (event) => {
+        if (event.button === 0) {
+            sculptState.stroking = false;
+        }
+    });
+    
+    // Move the cursor and apply dabs each frame
+    scene.onBeforeRenderObservable.add(() => {
+        const point = sculptState.enabled ? pickTerrain() : null;
+        
+        cursor.setEnabled(!!point);
+        if (!point) {
+            return;
+        }
+        
+        cursor.position.copyFrom(point);
+        cursor.position.y += 0.2;
+        cursor.scaling.setAll(brush.radius * 2);
+        
+        // Apply dabs at a fixed rate while the button is held
+        const now = performance.now();
+        if (sculptState.stroking && now - sculptState.lastApplyTime >= applyInterval) {
+            sculptState.lastApplyTime = now;
+            const world = chunkManager.getFloatingOrigin().toWorld(point.x, point.z);
+            chunkManager.applyBrush(brush, world.x, world.z);
+        }
+    });
+    
+    updateIndicator();
+    
+    // Return sculpt controls object
+    return {
+        brush,
+        sculptState,
+        
+        /**
+         * Enable or disable sculpting
+         * @param {boolean} enabled - Whether sculpting should be enabled
+         */
+        setEnabled(enabled) {
+            sculptState.enabled = enabled;
+            sculptState.stroking = false;
+            updateIndicator();
+        },
+        
+        /**
+         * Select the brush type
+         * @param {string} type - One of BRUSH_TYPES
+         */
+        setBrushType(type) {
+            if (!BRUSH_TYPES.includes(type)) {
+                throw new Error(`Unknown brush type "${type}" (expected one of ${BRUSH_TYPES.join(', ')})`);
+            }
+            brush.type = type;
+            updateIndicator();
+        }
+    };
+}
+
+/**
+ * Create a ring showing the brush radius on the terrain
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ * @returns {BABYLON.Mesh} Cursor mesh with a diameter of 1
+ */
+function createBrushCursor(scene) {
+    const cursor = BABYLON.MeshBuilder.CreateTorus('sculptCursor', {
+        diameter: 1,
+        thickness: 0.01,
+        tessellation: 64
+    }, scene);
+    
+    const material = new BABYLON.StandardMaterial('sculptCursorMaterial', scene);
+    material.emissiveColor = new BABYLON.Color3(1, 0.8, 0.2);
+    material.disableLighting = true;
+    cursor.material = material;
+    
+    // Keep the cursor out of terrain picking
+    cursor.isPickable = false;
+    cursor.setEnabled(false);
+    
+    return cursor;
+}
+
+/**
+ * Create a UI indicator for the current brush
+ * @returns {HTMLElement} Created indicator element
+ */
+function createBrushIndicator() {
+    const indicator = document.createElement('div');
+    indicator.id = 'sculptIndicator';
+    indicator.style.position = 'absolute';
+    indicator.style.bottom = '45px';
+    indicator.style.left = '10px';
+    indicator.style.backgroundColor = 'rgba(100, 60, 0, 0.7)';
+    indicator.style.color = 'white';
+    indicator.style.padding = '5px 10px';
+    indicator.style.borderRadius = '3px';
+    indicator.style.fontFamily = 'Arial, sans-serif';
+    indicator.style.fontSize = '14px';
+    indicator.style.zIndex = '100';
+    indicator.style.display = 'none';
+    
+    document.body.appendChild(indicator);
+    
+    return indicator;
+}
@@ -0,0 +1,133 @@
+/**
+ * Floating origin for Infinite Horizons
+ *
+ * Meshes are rendered relative to a movable origin near the camera, so their
+ * Float32 vertex and matrix math stays precise however far the camera flies.
+ * World coordinates (chunk keys, noise sampling, edits, markers) stay absolute
+ * and are plain JavaScript numbers, so they keep double precision.
+ */
+
+/**
+ * Creates the floating origin
+ * @param {BABYLON.Camera} camera - Camera the origin follows
+ * @param {Object} originConfig - Floating origin configuration from config.js
+ * @param {number} chunkSize - Size of a chunk in world units
+ * @returns {Object} Floating origin
+ */
+export function createFloatingOrigin(camera, originConfig, chunkSize) {
+    // World position of the render space origin (heights are never shifted)
+    const offset = { x: 0, z: 0 };
+    
+    // Notified with the shift ({ x, z }) after the origin moves
+    const onShiftObservable = new BABYLON.Observable();
+    
+    return {
+        offset,
+        onShiftObservable,
+        
+        /**
+         * Convert render space coordinates to world coordinates
+         * @param {number} renderX - X coordinate in render space
+         * @param {number} renderZ - Z coordinate in render space
+         * @returns {Object} World coordinates {x, z}
+         */
+        toWorld(renderX, renderZ) {
+            return {
+                x: renderX + offset.x,
+                z: renderZ + offset.z
+            };
+        },
+        
+        /**
+         * Convert world coordinates to render space coordinates
+         * @param {number} worldX - X coordinate in world space
+         * @param {number} worldZ - Z coordinate in world space
+         * @returns {Object} Render space coordinates {x, z}
+         */
+        toRender(worldX, worldZ) {
+            return {
+                x: worldX - offset.x,
+                z: worldZ - offset.z
+            };
+        },
+        
+        /**
+         * Get the camera position in world space
+         * @returns {Object} World coordinates {x, y, z}
+         */
+        getCameraWorldPosition() {
+            return {
+                x: camera.position.x + offset.x,
+                y: camera.position.y,
+                z: camera.position.z + offset.z
+            };
+        },
+        
+        /**
+         * Move a mesh to a world position in render space
+         * @param {BABYLON.AbstractMesh} mesh - Mesh to place
+         * @param {number} worldX - X coordinate in world space
+         * @param {number} worldZ - Z coordinate in world space
+         */
+        place(mesh, worldX, worldZ) {
+            mesh.position.x = worldX - offset.x;
+            mesh.position.z = worldZ - offset.z;
+            updateTransform(mesh);
+        },
+        
+        /**
+         * Shift a placed mesh after the origin moved
+         * @param {BABYLON.AbstractMesh} mesh - Mesh to shift
+         * @param {Object} shift - Shift from onShiftObservable ({ x, z })
+         */
+        shiftMesh(mesh, shift) {
+            // Keep the mesh where it was in world space
+            mesh.position.x -= shift.x;
+            mesh.position.z -= shift.z;
+            updateTransform(mesh);
+        },
+        
+        /**
+         * Re-centre render space on the camera once it is past the threshold distance
+         * @returns {boolean} True if the origin moved
+         */
+        update() {
+            if (!originConfig.enabled) {
+                return false;
+            }
+            
+            const { x, z } = camera.position;
+            if (Math.max(Math.abs(x), Math.abs(z)) < originConfig.threshold) {
+                return false;
+            }
+            
+            // Shift by whole chunks so chunk corners keep landing on round numbers
+            const shift = {
+                x: Math.round(x / chunkSize) * chunkSize,
+                z: Math.round(z / chunkSize) * chunkSize
+            };
+            offset.x += shift.x;
+            offset.z += shift.z;
+            
+            console.log(`Moved floating origin to ${offset.x}, ${offset.z}`);
+            onShiftObservable.notifyObservers(shift);
+            return true;
+        }
+    };
+}
+
+/**
+ * Apply a changed position to meshes optimized for static rendering
+ * @param {BABYLON.AbstractMesh} mesh - Moved mesh
+ */
+function updateTransform(mesh) {
+    // Frozen meshes only pick up the new position when frozen again
+    if (mesh.isWorldMatrixFrozen) {
+        mesh.freezeWorldMatrix();
+    }
+    
+    // Meshes that do not sync their bounding info would be culled at the old position
+    if (mesh.doNotSyncBoundingInfo) {
+        mesh.getBoundingInfo().update(mesh.getWorldMatrix());
+    }
+}
@@ -3,31 +3,45 @@
  * This implements procedural materials entirely through GLSL shaders
  */
 import config from '../config.js';
+import { MAX_BIOMES } from '../terrain/biomeRegistry.js';
 
 /**
  * Create a shader-based terrain material
  * @param {BABYLON.Scene} scene - The Babylon.js scene
+ * @param {Array<Object>} [biomes=null] - Biome definitions by index, for meshes with biome attributes
+ * @param {Object} [options={}] - Material options
+ * @param {boolean} [options.displacement=false] - Displace flat grid meshes from their chunk's height and
+ *                                                 biome textures (see createDisplacedMesh) instead of
+ *                                                 reading positions, normals and biomes from attributes
  * @returns {BABYLON.ShaderMaterial} The created shader material
  */
-export function createShaderTerrainMaterial(scene) {
+export function createShaderTerrainMaterial(scene, biomes = null, options = {}) {
+    const { displacement = false } = options;
+    
     // Get the shader code directly
     const vertexShaderCode = getVertexShaderCode();
     const fragmentShaderCode = getFragmentShaderCode();
     
     // Create a shader material with inline shader code
     const shaderMaterial = new BABYLON.ShaderMaterial(
-        "terrainShaderMaterial",
+        displacement ? "terrainDisplacementMaterial" : "terrainShaderMaterial",
         scene,
         {
             vertex: 'terrainVertex',
             fragment: 'terrainFragment',
         },
         {
-            attributes: ["position", "normal", "uv"],
+            attributes: displacement
+                ? ["position", "uv"]
+                : ["position", "normal", "uv", "biomeIds", "biomeWeights"],
             uniforms: [
                 "world", "worldView", "worldViewProjection", 
-                "view", "projection", "maxHeight"
-            ]
+                "view", "projection", "maxHeight",
+                "biomeGrassColors", "biomeRockColors", "biomeSnowColors", "biomeSandColors", "biomeHeights",
+                "heightmapResolution", "sampleSpacing", "stitchSteps", "morph", "morphStitchSteps"
+            ],
+            samplers: displacement ? ["heightTexture", "biomeIdTexture", "biomeWeightTexture"] : [],
+            defines: displacement ? ["#define DISPLACEMENT"] : []
         }
     );
 
@@ -38,6 +52,29 @@ export function createShaderTerrainMaterial(scene) {
     // Set initial shader parameters 
     shaderMaterial.setFloat("maxHeight", config.terrain.maxHeight);
     
+    if (displacement) {
+        // Heightmap layout shared by every chunk
+        const { chunkSize, chunkResolution } = config.terrain;
+        shaderMaterial.setFloat("heightmapResolution", chunkResolution);
+        shaderMaterial.setFloat("sampleSpacing", chunkSize / (chunkResolution - 1));
+        
+        // Each chunk brings its own textures and edge stitching
+        shaderMaterial.onBindObservable.add(mesh => {
+            const chunkDisplacement = mesh.displacement;
+            if (!chunkDisplacement) {
+                return;
+            }
+            
+            const effect = shaderMaterial.getEffect();
+            effect.setTexture("heightTexture", chunkDisplacement.heightTexture);
+            effect.setTexture("biomeIdTexture", chunkDisplacement.biomeIdTexture);
+            effect.setTexture("biomeWeightTexture", chunkDisplacement.biomeWeightTexture);
+            effect.setVector4("stitchSteps", chunkDisplacement.stitchSteps);
+            effect.setVector2("morph", chunkDisplacement.morph);
+            effect.setVector4("morphStitchSteps", chunkDisplacement.morphStitchSteps);
+        });
+    }
+    
     // Set material parameters for biomes
     // Grass biome
     shaderMaterial.setColor3("grassColor", new BABYLON.Color3(0.3, 0.5, 0.2));
@@ -64,6 +101,9 @@ export function createShaderTerrainMaterial(scene) {
     shaderMaterial.setFloat("rockHeight", 0.4);  // Where rock begins
     shaderMaterial.setFloat("sandHeight", 0.1);  // Where sand begins
     
+    // Per-biome colors and heights, blended per vertex
+    setShaderBiomes(shaderMaterial, biomes || []);
+    
     // Slopes
     shaderMaterial.setFloat("steepSlopeThreshold", 0.5); // Above this slope value, use rock material
     shaderMaterial.setFloat("slopeSmoothness", 0.1);    // Transition smoothness between slope materials
@@ -102,6 +142,47 @@ export function createShaderTerrainMaterial(scene) {
     return shaderMaterial;
 }
 
+/**
+ * Check whether the GPU can displace terrain: the vertex shader reads three
+ * float textures per chunk (heights and the two biome textures), and heights
+ * are single-channel float textures, which need WebGL 2
+ * @param {BABYLON.Engine} engine - The Babylon.js engine
+ * @returns {boolean} True if displaced terrain can be drawn
+ */
+export function supportsGPUDisplacement(engine) {
+    const caps = engine.getCaps();
+    return engine.webGLVersion >= 2 && Boolean(caps.textureFloat) && caps.maxVertexTextureImageUnits >= 3;
+}
+
+/**
+ * Upload biome colors and height bands to the shader.
+ * Vertices pick up to four of them by index and blend them by weight.
+ * @param {BABYLON.ShaderMaterial} material - The shader material
+ * @param {Array<Object>} biomes - Biome definitions by index
+ */
+export function setShaderBiomes(material, biomes) {
+    // One vec3 per biome slot (the registry holds no more biomes than slots), unused slots left black
+    const grassColors = new Array(MAX_BIOMES * 3).fill(0);
+    const rockColors = new Array(MAX_BIOMES * 3).fill(0);
+    const snowColors = new Array(MAX_BIOMES * 3).fill(0);
+    const sandColors = new Array(MAX_BIOMES * 3).fill(0);
+    const heights = new Array(MAX_BIOMES * 3).fill(0);
+    
+    biomes.forEach((biome, index) => {
+        grassColors.splice(index * 3, 3, ...biome.grassColor);
+        rockColors.splice(index * 3, 3, ...biome.rockColor);
+        snowColors.splice(index * 3, 3, ...biome.snowColor);
+        sandColors.splice(index * 3, 3, ...biome.sandColor);
+        heights.splice(index * 3, 3, biome.sandHeight, biome.rockHeight, biome.snowHeight);
+    });
+    
+    material.setArray3("biomeGrassColors", grassColors);
+    material.setArray3("biomeRockColors", rockColors);
+    material.setArray3("biomeSnowColors", snowColors);
+    material.setArray3("biomeSandColors", sandColors);
+    material.setArray3("biomeHeights", heights);
+}
+
 /**
  * Get the vertex shader code
  * @returns {string} Vertex shader code
@@ -110,10 +191,14 @@ function getVertexShaderCode() {
     return `
     precision highp float;
 
-    // Attributes
+    // Attributes (displaced grids only have their flat position and uv)
     attribute vec3 position;
-    attribute vec3 normal;
     attribute vec2 uv;
+    #ifndef DISPLACEMENT
+    attribute vec3 normal;
+    attribute vec4 biomeIds;
+    attribute vec4 biomeWeights;
+    #endif
     
     // Uniforms
     uniform mat4 world;
@@ -122,6 +207,33 @@ function getVertexShaderCode() {
     uniform mat4 view;
     uniform float maxHeight;
     
+    // Biome colors and height bands (sand, rock, snow) by biome index
+    uniform vec3 biomeGrassColors[${MAX_BIOMES}];
+    uniform vec3 biomeRockColors[${MAX_BIOMES}];
+    uniform vec3 biomeSnowColors[${MAX_BIOMES}];
+    uniform vec3 biomeSandColors[${MAX_BIOMES}];
+    uniform vec3 biomeHeights[${MAX_BIOMES}];
+    
+    #ifdef DISPLACEMENT
+    // Chunk heights with one extra sample on each side, and four biome indices and weights per sample
+    // (highp: samplers in vertex shaders default to low precision)
+    uniform highp sampler2D heightTexture;
+    uniform highp sampler2D biomeIdTexture;
+    uniform highp sampler2D biomeWeightTexture;
+    
+    // Heightmap samples per chunk side and the distance between them
+    uniform float heightmapResolution;
+    uniform float sampleSpacing;
+    
+    // Samples per neighbour cell along the north, south, east and west edges (1 = not stitched)
+    uniform vec4 stitchSteps;
+    
+    // LOD morph: samples per cell of the grid blended towards and the blend (0 = this grid),
+    // and that grid's stitching
+    uniform vec2 morph;
+    uniform vec4 morphStitchSteps;
+    #endif
+    
     // Varying - passed to fragment shader
     varying vec3 vPosition;
     varying vec3 vNormal;
@@ -129,27 +241,143 @@ function getVertexShaderCode() {
     varying float vHeight;
     varying float vSlope;
     varying vec3 vWorldPosition;
+    varying vec3 vBiomeGrassColor;
+    varying vec3 vBiomeRockColor;
+    varying vec3 vBiomeSnowColor;
+    varying vec3 vBiomeSandColor;
+    varying vec3 vBiomeHeights;
+    varying float vBiomeCoverage;
+    
+    #ifdef DISPLACEMENT
+    // Upward normal (xyz) and height (w) at a heightmap sample, from central differences like the CPU normals
+    vec4 getSurfaceAt(vec2 sampleCoord) {
+        vec2 texel = vec2(1.0 / (heightmapResolution + 2.0));
+        vec2 center = (sampleCoord + 1.5) * texel;
+        float left = texture2D(heightTexture, center - vec2(texel.x, 0.0)).r;
+        float right = texture2D(heightTexture, center + vec2(texel.x, 0.0)).r;
+        float down = texture2D(heightTexture, center - vec2(0.0, texel.y)).r;
+        float up = texture2D(heightTexture, center + vec2(0.0, texel.y)).r;
+        float slopeScale = maxHeight / (2.0 * sampleSpacing);
+        vec3 surfaceNormal = normalize(vec3((left - right) * slopeScale, 1.0, (down - up) * slopeScale));
+        return vec4(surfaceNormal, texture2D(heightTexture, center).r * maxHeight);
+    }
+    
+    // Surface at a grid vertex; edge vertices a coarser neighbour lacks lie on the neighbour's edge
+    vec4 getDisplacedSurface(vec2 sampleCoord, vec4 edgeSteps) {
+        float lastSample = heightmapResolution - 1.0;
+        
+        // Position along the edge this vertex is on, and the neighbour's step along it
+        float edgeStep = 1.0;
+        float along = 0.0;
+        vec2 edgeAxis = vec2(1.0, 0.0);
+        if (sampleCoord.y == lastSample) {
+            edgeStep = edgeSteps.x;
+            along = sampleCoord.x;
+        } else if (sampleCoord.y == 0.0) {
+            edgeStep = edgeSteps.y;
+            along = sampleCoord.x;
+        } else if (sampleCoord.x == lastSample) {
+            edgeStep = edgeSteps.z;
+            along = sampleCoord.y;
+            edgeAxis = vec2(0.0, 1.0);
+        } else if (sampleCoord.x == 0.0) {
+            edgeStep = edgeSteps.w;
+            along = sampleCoord.y;
+            edgeAxis = vec2(0.0, 1.0);
+        }
+        
+        // Vertices shared with the neighbour stay where they are
+        float offset = mod(along, edgeStep);
+        if (offset == 0.0) {
+            return getSurfaceAt(sampleCoord);
+        }
+        
+        // Interpolate between the neighbour's vertices
+        float start = along - offset;
+        float end = min(start + edgeStep, lastSample);
+        vec4 startSurface = getSurfaceAt(sampleCoord - edgeAxis * offset);
+        vec4 endSurface = getSurfaceAt(sampleCoord + edgeAxis * (end - along));
+        return mix(startSurface, endSurface, offset / (end - start));
+    }
+    
+    // Surface of another grid of this chunk (cellStep samples per cell) at a sample, following its triangles
+    vec4 getGridSurface(vec2 sampleCoord, float cellStep, vec4 edgeSteps) {
+        // Cell containing the sample (the last cell includes the far edge)
+        vec2 cellStart = min(floor(sampleCoord / cellStep) * cellStep, vec2(heightmapResolution - 1.0 - cellStep));
+        vec2 cellPosition = (sampleCoord - cellStart) / cellStep;
+        
+        // Cells are split along their (0,0)-(1,1) diagonal like every terrain grid
+        vec4 bottomLeft = getDisplacedSurface(cellStart, edgeSteps);
+        vec4 topRight = getDisplacedSurface(cellStart + cellStep, edgeSteps);
+        if (cellPosition.x >= cellPosition.y) {
+            vec4 bottomRight = getDisplacedSurface(cellStart + vec2(cellStep, 0.0), edgeSteps);
+            return bottomLeft + cellPosition.x * (bottomRight - bottomLeft) + cellPosition.y * (topRight - bottomRight);
+        }
+        vec4 topLeft = getDisplacedSurface(cellStart + vec2(0.0, cellStep), edgeSteps);
+        return bottomLeft + cellPosition.y * (topLeft - bottomLeft) + cellPosition.x * (topRight - topLeft);
+    }
+    #endif
     
     void main(void) {
+        #ifdef DISPLACEMENT
+        // Heightmap sample under this grid vertex
+        vec2 sampleCoord = floor(uv * (heightmapResolution - 1.0) + 0.5);
+        
+        // Lift the flat grid onto the chunk's surface, blended towards the other grid while morphing
+        vec4 surface = getDisplacedSurface(sampleCoord, stitchSteps);
+        if (morph.y > 0.0) {
+            surface = mix(surface, getGridSurface(sampleCoord, morph.x, morphStitchSteps), morph.y);
+        }
+        vec3 vertexPosition = vec3(position.x, surface.w, position.z);
+        vec3 vertexNormal = normalize(surface.xyz);
+        
+        // Biomes of the sample (not interpolated on stitched edges, like CPU meshes)
+        vec2 biomeUV = (sampleCoord + 0.5) / heightmapResolution;
+        vec4 vertexBiomeIds = texture2D(biomeIdTexture, biomeUV);
+        vec4 vertexBiomeWeights = texture2D(biomeWeightTexture, biomeUV);
+        #else
+        vec3 vertexPosition = position;
+        vec3 vertexNormal = normal;
+        vec4 vertexBiomeIds = biomeIds;
+        vec4 vertexBiomeWeights = biomeWeights;
+        #endif
+        
         // Transform position to clip space
-        gl_Position = worldViewProjection * vec4(position, 1.0);
+        gl_Position = worldViewProjection * vec4(vertexPosition, 1.0);
         
         // Transform position to world space
-        vec4 worldPos = world * vec4(position, 1.0);
+        vec4 worldPos = world * vec4(vertexPosition, 1.0);
         vPosition = worldPos.xyz;
         vWorldPosition = worldPos.xyz;
         
         // Transform normal to world space
-        vNormal = normalize((world * vec4(normal, 0.0)).xyz);
+        vNormal = normalize((world * vec4(vertexNormal, 0.0)).xyz);
         
         // Pass UV coordinates
         vUV = uv;
         
         // Calculate height ratio (0 at bottom, 1 at maxHeight)
-        vHeight = position.y / maxHeight;
+        vHeight = vertexPosition.y / maxHeight;
         
         // Calculate slope (0 for flat ground, 1 for vertical)
         vSlope = 1.0 - vNormal.y;  // y component of normal indicates vertical alignment
+        
+        // Blend the biomes of this vertex (interpolating the result keeps borders smooth)
+        vBiomeGrassColor = vec3(0.0);
+        vBiomeRockColor = vec3(0.0);
+        vBiomeSnowColor = vec3(0.0);
+        vBiomeSandColor = vec3(0.0);
+        vBiomeHeights = vec3(0.0);
+        for (int i = 0; i < 4; i++) {
+            int id = int(vertexBiomeIds[i] + 0.5);
+            float weight = vertexBiomeWeights[i];
+            vBiomeGrassColor += biomeGrassColors[id] * weight;
+            vBiomeRockColor += biomeRockColors[id] * weight;
+            vBiomeSnowColor += biomeSnowColors[id] * weight;
+            vBiomeSandColor += biomeSandColors[id] * weight;
+            vBiomeHeights += biomeHeights[id] * weight;
+        }
+        vBiomeCoverage = clamp(dot(vertexBiomeWeights, vec4(1.0)), 0.0, 1.0);
     }
     `;
 }
@@ -205,6 +433,12 @@ function getFragmentShaderCode() {
     varying float vHeight;
     varying float vSlope;
     varying vec3 vWorldPosition;
+    varying vec3 vBiomeGrassColor;
+    varying vec3 vBiomeRockColor;
+    varying vec3 vBiomeSnowColor;
+    varying vec3 vBiomeSandColor;
+    varying vec3 vBiomeHeights;
+    varying float vBiomeCoverage;
     
     // Hash function for random values
     float hash(vec2 p) {
@@ -284,8 +518,17 @@ function getFragmentShaderCode() {
         // Create composite noise value
         float noiseValue = detailNoise + largeScaleNoise * 0.3;
         
+        // Material colors and height bands of the blended biomes (uniforms where there are none)
+        vec3 biomeGrassColor = mix(grassColor, vBiomeGrassColor, vBiomeCoverage);
+        vec3 biomeRockColor = mix(rockColor, vBiomeRockColor, vBiomeCoverage);
+        vec3 biomeSnowColor = mix(snowColor, vBiomeSnowColor, vBiomeCoverage);
+        vec3 biomeSandColor = mix(sandColor, vBiomeSandColor, vBiomeCoverage);
+        float biomeSandHeight = mix(sandHeight, vBiomeHeights.x, vBiomeCoverage);
+        float biomeRockHeight = mix(rockHeight, vBiomeHeights.y, vBiomeCoverage);
+        float biomeSnowHeight = mix(snowHeight, vBiomeHeights.z, vBiomeCoverage);
+        
         // Base material color (default to grass)
-        vec3 baseColor = grassColor + grassColorVariation * (2.0 * noiseValue - 1.0);
+        vec3 baseColor = biomeGrassColor + grassColorVariation * (2.0 * noiseValue - 1.0);
         float roughness = grassRoughness;
         
         // Calculate slope factor with steepness threshold
@@ -298,22 +541,22 @@ function getFragmentShaderCode() {
         
         // Calculate height factors for different materials
         float snowFactor = smootherstep(
-            snowHeight - 0.05, 
-            snowHeight + 0.05, 
+            biomeSnowHeight - 0.05, 
+            biomeSnowHeight + 0.05, 
             vHeight - vSlope * 0.2, 
             materialBlendSharpness
         );
         
         float rockFactor = smootherstep(
-            rockHeight - 0.05, 
-            rockHeight + 0.05, 
+            biomeRockHeight - 0.05, 
+            biomeRockHeight + 0.05, 
             vHeight, 
             materialBlendSharpness
         ) * (1.0 - snowFactor);
         
         float sandFactor = smootherstep(
-            sandHeight + 0.05, 
-            sandHeight - 0.05, 
+            biomeSandHeight + 0.05, 
+            biomeSandHeight - 0.05, 
             vHeight, 
             materialBlendSharpness
         ) * (1.0 - rockFactor) * (1.0 - snowFactor);
@@ -335,10 +578,10 @@ function getFragmentShaderCode() {
         vec3 sandVariation = sandColorVariation * (2.0 * noiseValue - 1.0);
         
         // Calculate material colors
-        vec3 finalGrassColor = grassColor + grassVariation;
-        vec3 finalRockColor = rockColor + rockVariation;
-        vec3 finalSnowColor = snowColor + snowVariation;
-        vec3 finalSandColor = sandColor + sandVariation;
+        vec3 finalGrassColor = biomeGrassColor + grassVariation;
+        vec3 finalRockColor = biomeRockColor + rockVariation;
+        vec3 finalSnowColor = biomeSnowColor + snowVariation;
+        vec3 finalSandColor = biomeSandColor + sandVariation;
         
         // Blend materials together
         vec3 materialColor = 
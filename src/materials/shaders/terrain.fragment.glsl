@@ -43,6 +43,12 @@ varying vec2 vUV;
 varying float vHeight;
 varying float vSlope;
 varying vec3 vWorldPosition;
+varying vec3 vBiomeGrassColor;
+varying vec3 vBiomeRockColor;
+varying vec3 vBiomeSnowColor;
+varying vec3 vBiomeSandColor;
+varying vec3 vBiomeHeights;
+varying float vBiomeCoverage;
 
 // Hash function for random values
 float hash(vec2 p) {
@@ -122,8 +128,17 @@ void main(void) {
     // Create composite noise value
     float noiseValue = detailNoise + largeScaleNoise * 0.3;
     
+    // Material colors and height bands of the blended biomes (uniforms where there are none)
+    vec3 biomeGrassColor = mix(grassColor, vBiomeGrassColor, vBiomeCoverage);
+    vec3 biomeRockColor = mix(rockColor, vBiomeRockColor, vBiomeCoverage);
+    vec3 biomeSnowColor = mix(snowColor, vBiomeSnowColor, vBiomeCoverage);
+    vec3 biomeSandColor = mix(sandColor, vBiomeSandColor, vBiomeCoverage);
+    float biomeSandHeight = mix(sandHeight, vBiomeHeights.x, vBiomeCoverage);
+    float biomeRockHeight = mix(rockHeight, vBiomeHeights.y, vBiomeCoverage);
+    float biomeSnowHeight = mix(snowHeight, vBiomeHeights.z, vBiomeCoverage);
+    
     // Base material color (default to grass)
-    vec3 baseColor = grassColor + grassColorVariation * (2.0 * noiseValue - 1.0);
+    vec3 baseColor = biomeGrassColor + grassColorVariation * (2.0 * noiseValue - 1.0);
     float roughness = grassRoughness;
     
     // Calculate slope factor with steepness threshold
@@ -136,22 +151,22 @@ void main(void) {
     
     // Calculate height factors for different materials
     float snowFactor = smootherstep(
-        snowHeight - 0.05, 
-        snowHeight + 0.05, 
+        biomeSnowHeight - 0.05, 
+        biomeSnowHeight + 0.05, 
         vHeight - vSlope * 0.2, 
         materialBlendSharpness
     );
     
     float rockFactor = smootherstep(
-        rockHeight - 0.05, 
-        rockHeight + 0.05, 
+        biomeRockHeight - 0.05, 
+        biomeRockHeight + 0.05, 
         vHeight, 
         materialBlendSharpness
     ) * (1.0 - snowFactor);
     
     float sandFactor = smootherstep(
-        sandHeight + 0.05, 
-        sandHeight - 0.05, 
+        biomeSandHeight + 0.05, 
+        biomeSandHeight - 0.05, 
         vHeight, 
         materialBlendSharpness
     ) * (1.0 - rockFactor) * (1.0 - snowFactor);
@@ -173,10 +188,10 @@ void main(void) {
     vec3 sandVariation = sandColorVariation * (2.0 * noiseValue - 1.0);
     
     // Calculate material colors
-    vec3 finalGrassColor = grassColor + grassVariation;
-    vec3 finalRockColor = rockColor + rockVariation;
-    vec3 finalSnowColor = snowColor + snowVariation;
-    vec3 finalSandColor = sandColor + sandVariation;
+    vec3 finalGrassColor = biomeGrassColor + grassVariation;
+    vec3 finalRockColor = biomeRockColor + rockVariation;
+    vec3 finalSnowColor = biomeSnowColor + snowVariation;
+    vec3 finalSandColor = biomeSandColor + sandVariation;
     
     // Blend materials together
     vec3 materialColor = 
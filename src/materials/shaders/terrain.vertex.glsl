@@ -4,6 +4,8 @@ precision highp float;
 attribute vec3 position;
 attribute vec3 normal;
 attribute vec2 uv;
+attribute vec4 biomeIds;
+attribute vec4 biomeWeights;
 
 // Uniforms
 uniform mat4 world;
@@ -12,6 +14,13 @@ uniform mat4 worldViewProjection;
 uniform mat4 view;
 uniform float maxHeight;
 
+// Biome colors and height bands (sand, rock, snow) by biome index
+uniform vec3 biomeGrassColors[16];
+uniform vec3 biomeRockColors[16];
+uniform vec3 biomeSnowColors[16];
+uniform vec3 biomeSandColors[16];
+uniform vec3 biomeHeights[16];
+
 // Varying - passed to fragment shader
 varying vec3 vPosition;
 varying vec3 vNormal;
@@ -19,6 +28,12 @@ varying vec2 vUV;
 varying float vHeight;
 varying float vSlope;
 varying vec3 vWorldPosition;
+varying vec3 vBiomeGrassColor;
+varying vec3 vBiomeRockColor;
+varying vec3 vBiomeSnowColor;
+varying vec3 vBiomeSandColor;
+varying vec3 vBiomeHeights;
+varying float vBiomeCoverage;
 
 void main(void) {
     // Transform position to clip space
@@ -40,4 +55,21 @@ void main(void) {
     
     // Calculate slope (0 for flat ground, 1 for vertical)
     vSlope = 1.0 - vNormal.y;  // y component of normal indicates vertical alignment
+    
+    // Blend the biomes of this vertex (interpolating the result keeps borders smooth)
+    vBiomeGrassColor = vec3(0.0);
+    vBiomeRockColor = vec3(0.0);
+    vBiomeSnowColor = vec3(0.0);
+    vBiomeSandColor = vec3(0.0);
+    vBiomeHeights = vec3(0.0);
+    for (int i = 0; i < 4; i++) {
+        int id = int(biomeIds[i] + 0.5);
+        float weight = biomeWeights[i];
+        vBiomeGrassColor += biomeGrassColors[id] * weight;
+        vBiomeRockColor += biomeRockColors[id] * weight;
+        vBiomeSnowColor += biomeSnowColors[id] * weight;
+        vBiomeSandColor += biomeSandColors[id] * weight;
+        vBiomeHeights += biomeHeights[id] * weight;
+    }
+    vBiomeCoverage = clamp(dot(biomeWeights, vec4(1.0)), 0.0, 1.0);
 }
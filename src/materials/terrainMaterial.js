@@ -3,6 +3,7 @@
  * This version uses Babylon.js built-in materials with no external files
  */
 import config from '../config.js';
+import { createSeededRandom } from '../utils/math.js';
 
 /**
  * Create terrain material
@@ -51,12 +52,50 @@ export function createTerrainMaterial(scene) {
     return material;
 }
 
+/**
+ * Create the material shared by river and lake surfaces
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ * @returns {BABYLON.StandardMaterial} Created water material
+ */
+export function createWaterMaterial(scene) {
+    const material = new BABYLON.StandardMaterial("waterMaterial", scene);
+    
+    // Tinted, slightly see-through surface with a soft highlight
+    material.diffuseColor = new BABYLON.Color3(0.15, 0.35, 0.5);
+    material.specularColor = new BABYLON.Color3(0.6, 0.6, 0.6);
+    material.specularPower = 64;
+    material.alpha = 0.75;
+    
+    // Water meshes are flat sheets seen from above and below
+    material.backFaceCulling = false;
+    
+    return material;
+}
+
+/**
+ * Create the material for placed markers
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ * @returns {BABYLON.StandardMaterial} Marker material
+ */
+export function createMarkerMaterial(scene) {
+    const material = new BABYLON.StandardMaterial("markerMaterial", scene);
+    
+    // Bright, unlit color so markers stand out at any time of day
+    material.emissiveColor = new BABYLON.Color3(0.9, 0.2, 0.2);
+    material.disableLighting = true;
+    
+    return material;
+}
+
 /**
  * Apply vertex colors based on height to a terrain mesh
  * @param {BABYLON.Mesh} mesh - Terrain mesh
  * @param {number} maxHeight - Maximum terrain height
+ * @param {number} [originX=0] - World X of the mesh's local origin
+ * @param {number} [originZ=0] - World Z of the mesh's local origin
+ * @param {Array<Object>} [biomes=null] - Biome definitions by index, for meshes with biome attributes
  */
-export function applyVertexColors(mesh, maxHeight) {
+export function applyVertexColors(mesh, maxHeight, originX = 0, originZ = 0, biomes = null) {
     // Check if mesh already has colors
     if (mesh._hasVertexColors) {
         return;
@@ -71,8 +110,47 @@ export function applyVertexColors(mesh, maxHeight) {
     // Get normals for slope calculation
     const normals = mesh.getVerticesData(BABYLON.VertexBuffer.NormalKind);
     
+    // Get erosion sediment and flow if the chunk was eroded
+    const erosion = mesh.getVerticesData('erosion');
+    
+    // Get the blended biomes if the chunk has them
+    const biomeIds = mesh.getVerticesData('biomeIds');
+    const biomeBlend = biomes && biomeIds
+        ? { ids: biomeIds, weights: mesh.getVerticesData('biomeWeights'), biomes }
+        : null;
+    
+    // Apply colors to the mesh, in place for recycled meshes that already have a color buffer
+    const colors = computeVertexColors(positions, normals, erosion, maxHeight, originX, originZ, biomeBlend);
+    if (mesh.isVertexBufferUpdatable(BABYLON.VertexBuffer.ColorKind)) {
+        mesh.updateVerticesData(BABYLON.VertexBuffer.ColorKind, colors);
+    } else {
+        // Meshes with updatable vertices are pooled, so their colors are updatable too
+        mesh.setVerticesData(
+            BABYLON.VertexBuffer.ColorKind,
+            colors,
+            mesh.isVertexBufferUpdatable(BABYLON.VertexBuffer.PositionKind)
+        );
+    }
+    mesh._hasVertexColors = true;
+}
+
+/**
+ * Compute terrain vertex colors from height, slope, erosion and biomes.
+ * The variation added to each vertex depends only on its world position,
+ * so meshes and exports of the same terrain get the same colors.
+ * @param {Float32Array|Array<number>} positions - Vertex positions
+ * @param {Float32Array|Array<number>|null} normals - Vertex normals (null = treat as flat)
+ * @param {Float32Array|Array<number>|null} erosion - Sediment and flow per vertex (null if not eroded)
+ * @param {number} maxHeight - Maximum terrain height
+ * @param {number} [originX=0] - World X added to the X of each position
+ * @param {number} [originZ=0] - World Z added to the Z of each position
+ * @param {Object} [biomeBlend=null] - Four biome indices (ids) and weights per vertex with the
+ *                                     biome definitions (biomes); null = default colors and bands
+ * @returns {Float32Array} RGBA color per vertex
+ */
+export function computeVertexColors(positions, normals, erosion, maxHeight, originX = 0, originZ = 0, biomeBlend = null) {
     // Create colors array
-    const colors = [];
+    const colors = new Float32Array(positions.length / 3 * 4);
     
     // Define color bands based on height
     // Grass (low)
@@ -83,9 +161,30 @@ export function applyVertexColors(mesh, maxHeight) {
     const snowColor = new BABYLON.Color4(0.95, 0.95, 0.95, 1.0);
     // Sand (beach)
     const sandColor = new BABYLON.Color4(0.76, 0.7, 0.5, 1.0);
+    // Deposited sediment
+    const sedimentColor = new BABYLON.Color4(0.6, 0.52, 0.4, 1.0);
+    // Damp soil along flow channels
+    const wetColor = new BABYLON.Color4(0.28, 0.26, 0.2, 1.0);
+    
+    // Height bands (sand below, grass up to rock, grass to rock up to snow, then rock to snow)
+    let sandHeight = 0.1;
+    let rockHeight = 0.4;
+    let snowHeight = 0.7;
     
     // Apply colors based on height and slope
     for (let i = 0; i < positions.length; i += 3) {
+        // Use the colors and bands of the biomes blended at this vertex
+        if (biomeBlend) {
+            const blended = blendBiomeVertex(biomeBlend, i / 3);
+            grassColor.set(...blended.grassColor, 1.0);
+            rockColor.set(...blended.rockColor, 1.0);
+            snowColor.set(...blended.snowColor, 1.0);
+            sandColor.set(...blended.sandColor, 1.0);
+            sandHeight = blended.sandHeight;
+            rockHeight = blended.rockHeight;
+            snowHeight = blended.snowHeight;
+        }
+        
         const height = positions[i + 1]; // Y coordinate is height
         const normalizedHeight = height / maxHeight;
         
@@ -98,43 +197,100 @@ export function applyVertexColors(mesh, maxHeight) {
             slope = 1.0 - normalY; // 0 for flat, 1 for vertical
         }
         
-        // Choose color based on height and slope
+        // Choose color based on height and slope (copied so the bands stay unchanged)
         let color;
         
         // Rock on steep slopes regardless of height
         if (slope > 0.7) {
-            color = rockColor;
+            color = rockColor.clone();
         }
         // Sand at low elevations near water
-        else if (normalizedHeight < 0.1) {
-            color = sandColor;
+        else if (normalizedHeight < sandHeight) {
+            color = sandColor.clone();
         }
         // Low elevation: grass
-        else if (normalizedHeight < 0.4) {
-            color = grassColor;
+        else if (normalizedHeight < rockHeight) {
+            color = grassColor.clone();
         }
         // Medium elevation: blend grass and rock
-        else if (normalizedHeight < 0.7) {
-            const blend = (normalizedHeight - 0.4) / 0.3;
+        else if (normalizedHeight < snowHeight) {
+            const blend = (normalizedHeight - rockHeight) / (snowHeight - rockHeight);
             color = BABYLON.Color4.Lerp(grassColor, rockColor, blend);
         }
         // High elevation: blend rock and snow
         else {
-            const blend = (normalizedHeight - 0.7) / 0.3;
+            const blend = Math.min(1, (normalizedHeight - snowHeight) / Math.max(1 - snowHeight, 0.01));
             color = BABYLON.Color4.Lerp(rockColor, snowColor, blend);
         }
         
-        // Add some subtle random variation to avoid uniform appearance
-        const variation = (Math.random() * 0.1) - 0.05;
+        // Tint deposited sediment and darken channels where water collects
+        if (erosion) {
+            const vertexIndex = i / 3;
+            color = BABYLON.Color4.Lerp(color, sedimentColor, erosion[vertexIndex * 2] * 0.5);
+            color = BABYLON.Color4.Lerp(color, wetColor, erosion[vertexIndex * 2 + 1] * 0.4);
+        }
+        
+        // Add some subtle variation to avoid uniform appearance
+        const variation = getColorVariation(originX + positions[i], originZ + positions[i + 2]) * 0.1 - 0.05;
         color.r = Math.max(0, Math.min(1, color.r + variation));
         color.g = Math.max(0, Math.min(1, color.g + variation));
         color.b = Math.max(0, Math.min(1, color.b + variation));
         
         // Add vertex color (RGBA)
-        colors.push(color.r, color.g, color.b, color.a);
+        colors.set([color.r, color.g, color.b, color.a], i / 3 * 4);
     }
     
-    // Apply colors to the mesh
-    mesh.setVerticesData(BABYLON.VertexBuffer.ColorKind, colors);
-    mesh._hasVertexColors = true;
-}
\ No newline at end of file
+    return colors;
+}
+
+/**
+ * Blend the colors and height bands of the biomes at a vertex
+ * @param {Object} biomeBlend - Biome indices (ids), weights and definitions (biomes)
+ * @param {number} vertexIndex - Index of the vertex
+ * @returns {Object} Blended colors ([r, g, b]) and height bands
+ */
+function blendBiomeVertex(biomeBlend, vertexIndex) {
+    const { ids, weights, biomes } = biomeBlend;
+    const blended = {
+        grassColor: [0, 0, 0],
+        rockColor: [0, 0, 0],
+        snowColor: [0, 0, 0],
+        sandColor: [0, 0, 0],
+        sandHeight: 0,
+        rockHeight: 0,
+        snowHeight: 0
+    };
+    
+    // Weighted sum over the four slots (weights add up to 1)
+    for (let k = 0; k < 4; k++) {
+        const weight = weights[vertexIndex * 4 + k];
+        if (weight <= 0) {
+            continue;
+        }
+        
+        const biome = biomes[Math.round(ids[vertexIndex * 4 + k])];
+        for (const key of ['grassColor', 'rockColor', 'snowColor', 'sandColor']) {
+            for (let c = 0; c < 3; c++) {
+                blended[key][c] += biome[key][c] * weight;
+            }
+        }
+        blended.sandHeight += biome.sandHeight * weight;
+        blended.rockHeight += biome.rockHeight * weight;
+        blended.snowHeight += biome.snowHeight * weight;
+    }
+    
+    return blended;
+}
+
+/**
+ * Get a repeatable pseudo-random value for a world position
+ * @param {number} x - World X coordinate
+ * @param {number} z - World Z coordinate
+ * @returns {number} Value in range [0, 1)
+ */
+function getColorVariation(x, z) {
+    // Quantize to a fine grid so nearly identical positions match
+    const ix = Math.round(x * 16);
+    const iz = Math.round(z * 16);
+    return createSeededRandom(Math.imul(ix, 73856093) ^ Math.imul(iz, 19349663))();
+}
@@ -3,71 +3,31 @@
  * Added in Phase 2 to support material parameter control based on biomes
  */
 import config from '../config.js';
+import { createClimateModel } from './climate.js';
+import { createBiomeRegistry } from './biomeRegistry.js';
+
+// Lattice points whose biome is remembered before the cache is dropped
+const MAX_CACHED_LATTICE_POINTS = 50000;
 
 /**
  * Create a biome handler for procedural terrain
  * @param {Object} noiseGenerator - Noise generator instance
+ * @param {Object} [climateConfig=config.noise.climate] - Climate settings with the biome table
+ * @param {Object} [reliefConfig=config.noise.biomeRelief] - How biomes reshape the terrain
  * @returns {Object} Biome handler object
  */
-export function createBiomeHandler(noiseGenerator) {
-    // Biome definitions with material parameters
-    const biomes = {
-        // Plains/grasslands biome
-        plains: {
-            name: 'Plains',
-            grassColor: [0.3, 0.5, 0.2],
-            rockColor: [0.5, 0.45, 0.4],
-            snowColor: [0.9, 0.9, 0.95],
-            sandColor: [0.76, 0.7, 0.5],
-            snowHeight: 0.75,
-            rockHeight: 0.4,
-            sandHeight: 0.05,
-            heightScale: 1.0,
-            noiseScale: 1.0
-        },
-        
-        // Mountains biome
-        mountains: {
-            name: 'Mountains',
-            grassColor: [0.25, 0.4, 0.2],
-            rockColor: [0.45, 0.43, 0.4],
-            snowColor: [0.95, 0.95, 1.0],
-            sandColor: [0.5, 0.45, 0.4],
-            snowHeight: 0.55, // Snow starts lower in mountains
-            rockHeight: 0.3,  // More rocks in mountains
-            sandHeight: 0.1,
-            heightScale: 1.4,  // Higher peaks
-            noiseScale: 1.2    // More rugged
-        },
-        
-        // Desert biome
-        desert: {
-            name: 'Desert',
-            grassColor: [0.5, 0.48, 0.2],  // Yellowish grass
-            rockColor: [0.6, 0.5, 0.35],  // Sandstone
-            snowColor: [0.95, 0.95, 0.9],
-            sandColor: [0.85, 0.75, 0.55],
-            snowHeight: 0.8,  // Less snow
-            rockHeight: 0.45, 
-            sandHeight: 0.0,  // Sand starts at bottom
-            heightScale: 0.8,  // Lower terrain
-            noiseScale: 0.9    // Smoother
-        },
-        
-        // Tundra biome
-        tundra: {
-            name: 'Tundra',
-            grassColor: [0.35, 0.4, 0.3],  // Darker grass
-            rockColor: [0.4, 0.4, 0.45],   // Darker rock
-            snowColor: [0.9, 0.9, 0.95],
-            sandColor: [0.45, 0.4, 0.35],  // Darker sand
-            snowHeight: 0.4,  // Snow starts much lower
-            rockHeight: 0.25, 
-            sandHeight: 0.1,
-            heightScale: 0.9,
-            noiseScale: 0.8
-        }
-    };
+export function createBiomeHandler(noiseGenerator, climateConfig = config.noise.climate, reliefConfig = config.noise.biomeRelief) {
+    // Temperature and precipitation that pick the biomes
+    const climate = createClimateModel(noiseGenerator, climateConfig);
+    
+    // Registered biomes, starting with the built-in ones
+    const registry = createBiomeRegistry();
+    
+    // Biome index at each point of the blending lattice, keyed by lattice indices
+    const latticeBiomes = new Map();
+    
+    // Classified lattice points are stale once a biome is registered
+    registry.onRegister(() => latticeBiomes.clear());
     
     // Return the biome handler object
     return {
@@ -76,7 +36,17 @@ export function createBiomeHandler(noiseGenerator) {
          * @returns {Object} All biome definitions
          */
         getAllBiomes() {
-            return biomes;
+            return registry.getDefinitions();
+        },
+        
+        /**
+         * Register a custom biome, or replace a biome with the same name
+         * @param {string} biomeName - Key of the biome
+         * @param {Object} definition - Biome definition (see biomeRegistry.js)
+         * @returns {number} Index of the biome
+         */
+        registerBiome(biomeName, definition) {
+            return registry.register(biomeName, definition);
         },
         
         /**
@@ -85,7 +55,17 @@ export function createBiomeHandler(noiseGenerator) {
          * @returns {Object} Biome definition or plains biome if not found
          */
         getBiome(biomeName) {
-            return biomes[biomeName] || biomes.plains;
+            return registry.get(biomeName) || registry.get('plains');
+        },
+        
+        /**
+         * Get the climate at a world position
+         * @param {number} worldX - World X coordinate
+         * @param {number} worldZ - World Z coordinate
+         * @returns {Object} Temperature in °C, precipitation in cm per year and normalized terrain height
+         */
+        getClimateAtPosition(worldX, worldZ) {
+            return climate.getClimate(worldX, worldZ);
         },
         
         /**
@@ -95,132 +75,170 @@ export function createBiomeHandler(noiseGenerator) {
          * @returns {string} Biome type name
          */
         getBiomeTypeAtPosition(worldX, worldZ) {
-            // Use noise to determine biome type
-            // Scale down coordinates for larger biome regions
-            const nx = worldX * 0.001;
-            const nz = worldZ * 0.001;
-            
-            // Get biome noise value
-            const biomeNoise = noiseGenerator.getNoise(nx, nz);
-            const elevation = noiseGenerator.getFractalNoise(nx * 2, nz * 2);
-            const moisture = noiseGenerator.getFractalNoise(nx + 100, nz + 100);
-            
-            // Determine biome based on elevation and moisture
-            if (elevation > 0.65) {
-                return 'mountains';
-            } else if (moisture < 0.3) {
-                return 'desert';
-            } else if (moisture > 0.7 && elevation > 0.4) {
-                return 'tundra';
-            } else {
-                return 'plains';
-            }
+            // Rules of registered biomes come first, then the biome table, then plains
+            const conditions = climate.getClimate(worldX, worldZ);
+            const biomeType = registry.classify(conditions) || climate.classify(conditions);
+            return registry.has(biomeType) ? biomeType : 'plains';
         },
         
         /**
-         * Generate biome data for a chunk
-         * @param {number} chunkX - Chunk X coordinate
-         * @param {number} chunkZ - Chunk Z coordinate
-         * @param {number} chunkSize - Size of the chunk
-         * @param {number} resolution - Resolution of the chunk
-         * @returns {Object} Biome data for the chunk
+         * Get the index of a biome in the biome list (used as its id in vertex attributes)
+         * @param {string} biomeName - Name of the biome
+         * @returns {number} Index of the biome, or of plains if not found
          */
-        generateBiomeData(chunkX, chunkZ, chunkSize, resolution) {
-            // Calculate world position of chunk center
-            const centerX = (chunkX + 0.5) * chunkSize;
-            const centerZ = (chunkZ + 0.5) * chunkSize;
-            
-            // Determine primary biome at chunk center
-            const primaryBiomeType = this.getBiomeTypeAtPosition(centerX, centerZ);
-            const primaryBiome = this.getBiome(primaryBiomeType);
-            
-            // Generate biome blend map for the chunk
-            const blendMap = new Float32Array(resolution * resolution);
-            
-            // Calculate world corners of the chunk
-            const worldX = chunkX * chunkSize;
-            const worldZ = chunkZ * chunkSize;
-            const worldEndX = worldX + chunkSize;
-            const worldEndZ = worldZ + chunkSize;
+        getBiomeIndex(biomeName) {
+            const index = registry.getIndex(biomeName);
+            return index >= 0 ? index : registry.getIndex('plains');
+        },
+        
+        /**
+         * Get the biome definitions ordered by biome index
+         * @returns {Array<Object>} Biome definitions
+         */
+        getBiomeList() {
+            return registry.getList();
+        },
+        
+        /**
+         * Get the biomes blended at a world position. Biomes are classified on a
+         * lattice aligned to world space and interpolated smoothly between lattice
+         * points, so the same position always gets the same weights.
+         * @param {number} worldX - World X coordinate
+         * @param {number} worldZ - World Z coordinate
+         * @returns {Object} Biome indices and their weights, heaviest first (at most four, summing to 1)
+         */
+        getBiomeWeightsAtPosition(worldX, worldZ) {
+            const spacing = climateConfig.blendDistance;
+            const gx = worldX / spacing;
+            const gz = worldZ / spacing;
+            const i = Math.floor(gx);
+            const j = Math.floor(gz);
+            const fx = smoothstep(gx - i);
+            const fz = smoothstep(gz - j);
             
-            // Generate a 2D array of biome types across the chunk
-            // This lets us determine boundaries for blending
-            const biomeTypes = [];
-            for (let z = 0; z < 4; z++) {
-                biomeTypes[z] = [];
-                for (let x = 0; x < 4; x++) {
-                    const sampleX = worldX + (chunkSize * x / 3);
-                    const sampleZ = worldZ + (chunkSize * z / 3);
-                    biomeTypes[z][x] = this.getBiomeTypeAtPosition(sampleX, sampleZ);
+            // Add up the weights of the four lattice points by biome
+            const ids = [];
+            const weights = [];
+            const corners = [
+                [i, j, (1 - fx) * (1 - fz)],
+                [i + 1, j, fx * (1 - fz)],
+                [i, j + 1, (1 - fx) * fz],
+                [i + 1, j + 1, fx * fz]
+            ];
+            for (const [ci, cj, weight] of corners) {
+                if (weight <= 0) {
+                    continue;
+                }
+                
+                const id = this.getLatticeBiome(ci, cj);
+                const slot = ids.indexOf(id);
+                if (slot >= 0) {
+                    weights[slot] += weight;
+                } else {
+                    ids.push(id);
+                    weights.push(weight);
                 }
             }
             
-            // Determine secondary biome based on neighboring biome types
-            let secondaryBiomeType = primaryBiomeType;
-            let hasDifferentBiome = false;
+            // Heaviest first, ties broken by index so the order is repeatable
+            const order = ids.map((id, slot) => slot).sort((a, b) => weights[b] - weights[a] || ids[a] - ids[b]);
+            return {
+                ids: order.map(slot => ids[slot]),
+                weights: order.map(slot => weights[slot])
+            };
+        },
+        
+        /**
+         * Get the biome index at a point of the blending lattice
+         * @param {number} i - Lattice X index
+         * @param {number} j - Lattice Z index
+         * @returns {number} Biome index
+         */
+        getLatticeBiome(i, j) {
+            const key = `${i}_${j}`;
+            let id = latticeBiomes.get(key);
             
-            // Look for a different biome in the samples
-            for (let z = 0; z < 4; z++) {
-                for (let x = 0; x < 4; x++) {
-                    if (biomeTypes[z][x] !== primaryBiomeType) {
-                        secondaryBiomeType = biomeTypes[z][x];
-                        hasDifferentBiome = true;
-                        break;
-                    }
+            if (id === undefined) {
+                // Drop the cache rather than let it grow without bound
+                if (latticeBiomes.size >= MAX_CACHED_LATTICE_POINTS) {
+                    latticeBiomes.clear();
                 }
-                if (hasDifferentBiome) break;
+                
+                const spacing = climateConfig.blendDistance;
+                id = this.getBiomeIndex(this.getBiomeTypeAtPosition(i * spacing, j * spacing));
+                latticeBiomes.set(key, id);
             }
             
-            // If no different biome was found, choose a logical neighbor
-            if (!hasDifferentBiome) {
-                if (primaryBiomeType === 'plains') {
-                    secondaryBiomeType = Math.random() > 0.5 ? 'mountains' : 'desert';
-                } else if (primaryBiomeType === 'mountains') {
-                    secondaryBiomeType = Math.random() > 0.5 ? 'plains' : 'tundra';
-                } else if (primaryBiomeType === 'desert') {
-                    secondaryBiomeType = 'plains';
-                } else if (primaryBiomeType === 'tundra') {
-                    secondaryBiomeType = 'mountains';
-                }
+            return id;
+        },
+        
+        /**
+         * Scale the relief of the terrain by the biomes blended at a position.
+         * heightScale stretches the land above the sea and noiseScale sets the
+         * strength of fine detail. Both are multiplied into the height above
+         * the sea, so coastlines stay put, and the biome weights change
+         * smoothly, so biome edges do not form cliffs.
+         * @param {number} height - Normalized terrain height
+         * @param {number} worldX - World X coordinate
+         * @param {number} worldZ - World Z coordinate
+         * @returns {number} Reshaped height in range [0, 1]
+         */
+        shapeRelief(height, worldX, worldZ) {
+            const seaLevel = noiseGenerator.getSeaLevel();
+            if (!reliefConfig.enabled || height <= seaLevel) {
+                return height;
+            }
+            
+            // Blend the shaping parameters of the biomes here
+            const { ids, weights } = this.getBiomeWeightsAtPosition(worldX, worldZ);
+            let heightScale = 0;
+            let noiseScale = 0;
+            for (let k = 0; k < ids.length; k++) {
+                const biome = registry.getList()[ids[k]];
+                heightScale += biome.heightScale * weights[k];
+                noiseScale += biome.noiseScale * weights[k];
             }
             
-            const secondaryBiome = this.getBiome(secondaryBiomeType);
+            // Fine detail in range [-1, 1], stronger in rougher biomes
+            const detail = noiseGenerator.getFractalNoise(worldX, worldZ, {
+                scale: reliefConfig.detailScale,
+                octaves: reliefConfig.detailOctaves
+            }) * 2 - 1;
+            const roughness = 1 + detail * reliefConfig.detailAmplitude * noiseScale;
+            
+            // Height above the sea, stretched and roughened, eased into the top of the range
+            const land = (height - seaLevel) * heightScale * roughness;
+            return softLimit(seaLevel + land, reliefConfig.softLimit);
+        },
+        
+        /**
+         * Generate per-vertex biome blending for a chunk
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         * @param {number} chunkSize - Size of the chunk
+         * @param {number} resolution - Resolution of the chunk
+         * @returns {Object} Four biome indices and four weights per vertex (unused slots have weight 0)
+         */
+        generateBiomeData(chunkX, chunkZ, chunkSize, resolution) {
+            const biomeIds = new Float32Array(resolution * resolution * 4);
+            const biomeWeights = new Float32Array(resolution * resolution * 4);
             
-            // Generate a blend map between primary and secondary biomes
-            // This is a simplified version - a more sophisticated approach would
-            // use the actual biome boundaries
             for (let z = 0; z < resolution; z++) {
                 for (let x = 0; x < resolution; x++) {
                     // Calculate world position for this vertex
-                    const wx = worldX + (chunkSize * x / (resolution - 1));
-                    const wz = worldZ + (chunkSize * z / (resolution - 1));
-                    
-                    // Use noise to create natural biome boundaries
-                    const blendNoise = noiseGenerator.getNoise(wx * 0.01, wz * 0.01);
+                    const wx = chunkX * chunkSize + (chunkSize * x / (resolution - 1));
+                    const wz = chunkZ * chunkSize + (chunkSize * z / (resolution - 1));
                     
-                    // Calculate distance from chunk center as a factor (0-1)
-                    const dx = (wx - centerX) / chunkSize;
-                    const dz = (wz - centerZ) / chunkSize;
-                    const distFactor = Math.sqrt(dx * dx + dz * dz) * 2; // 0 at center, ~1 at corners
-                    
-                    // Increase blend factor near edges
-                    let blendFactor = (blendNoise * 0.5 + 0.5) * 0.7 + (distFactor * 0.3);
-                    
-                    // Emphasize primary biome in the center
-                    blendFactor = Math.max(0, Math.min(1, blendFactor));
-                    
-                    // Store in blend map
-                    blendMap[z * resolution + x] = blendFactor;
+                    const blend = this.getBiomeWeightsAtPosition(wx, wz);
+                    const offset = (z * resolution + x) * 4;
+                    for (let k = 0; k < blend.ids.length; k++) {
+                        biomeIds[offset + k] = blend.ids[k];
+                        biomeWeights[offset + k] = blend.weights[k];
+                    }
                 }
             }
             
-            return {
-                primaryBiomeType,
-                secondaryBiomeType,
-                primaryBiome,
-                secondaryBiome,
-                blendMap
-            };
+            return { biomeIds, biomeWeights };
         },
         
         /**
@@ -285,7 +303,10 @@ export function createBiomeHandler(noiseGenerator) {
                 
                 // Blend scaling factors
                 heightScale: lerp(biome1.heightScale, biome2.heightScale, blend),
-                noiseScale: lerp(biome1.noiseScale, biome2.noiseScale, blend)
+                noiseScale: lerp(biome1.noiseScale, biome2.noiseScale, blend),
+                
+                // Take erosion switches from the dominant biome
+                thermalErosion: blend < 0.5 ? biome1.thermalErosion : biome2.thermalErosion
             };
             
             return blendedBiome;
@@ -293,6 +314,30 @@ export function createBiomeHandler(noiseGenerator) {
     };
 }
 
+/**
+ * Smooth step of a value in range [0, 1]
+ * @param {number} t - Input
+ * @returns {number} Smoothed value
+ */
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Ease heights above a knee towards 1 instead of clipping them
+ * @param {number} height - Normalized height
+ * @param {number} knee - Height above which heights are compressed
+ * @returns {number} Height in range [0, 1]
+ */
+function softLimit(height, knee) {
+    if (height <= knee) {
+        return height;
+    }
+    
+    const range = 1 - knee;
+    return knee + range * Math.tanh((height - knee) / range);
+}
+
 /**
  * Linear interpolation between two values
  * @param {number} a - First value
@@ -0,0 +1,323 @@
+/**
+ * Biome registry for Infinite Horizons
+ *
+ * Holds every biome by name: its material colors, height bands, terrain
+ * shaping, classification rules and scatter rules. Biomes are plain data so
+ * the same definitions can be sent to terrain workers. Each biome keeps the
+ * index it was first registered with, which vertex attributes and shaders
+ * use to refer to it.
+ */
+
+// Most biomes that can be registered (shader materials have one uniform slot per biome index)
+export const MAX_BIOMES = 16;
+
+// Fields every biome must define
+const REQUIRED_FIELDS = {
+    name: 'string',
+    grassColor: 'color',
+    rockColor: 'color',
+    snowColor: 'color',
+    sandColor: 'color',
+    snowHeight: 'number',
+    rockHeight: 'number',
+    sandHeight: 'number',
+    heightScale: 'number',
+    noiseScale: 'number'
+};
+
+// Built-in biome definitions with material parameters
+export const DEFAULT_BIOMES = {
+    // Plains/grasslands biome
+    plains: {
+        name: 'Plains',
+        grassColor: [0.3, 0.5, 0.2],
+        rockColor: [0.5, 0.45, 0.4],
+        snowColor: [0.9, 0.9, 0.95],
+        sandColor: [0.76, 0.7, 0.5],
+        snowHeight: 0.75,
+        rockHeight: 0.4,
+        sandHeight: 0.05,
+        heightScale: 1.0,
+        noiseScale: 1.0,
+        thermalErosion: true
+    },
+    
+    // Mountains biome
+    mountains: {
+        name: 'Mountains',
+        grassColor: [0.25, 0.4, 0.2],
+        rockColor: [0.45, 0.43, 0.4],
+        snowColor: [0.95, 0.95, 1.0],
+        sandColor: [0.5, 0.45, 0.4],
+        snowHeight: 0.55, // Snow starts lower in mountains
+        rockHeight: 0.3,  // More rocks in mountains
+        sandHeight: 0.1,
+        heightScale: 1.4,  // Higher peaks
+        noiseScale: 1.2,   // More rugged
+        thermalErosion: true // Scree below the ridges
+    },
+    
+    // Desert biome
+    desert: {
+        name: 'Desert',
+        grassColor: [0.5, 0.48, 0.2],  // Yellowish grass
+        rockColor: [0.6, 0.5, 0.35],  // Sandstone
+        snowColor: [0.95, 0.95, 0.9],
+        sandColor: [0.85, 0.75, 0.55],
+        snowHeight: 0.8,  // Less snow
+        rockHeight: 0.45, 
+        sandHeight: 0.0,  // Sand starts at bottom
+        heightScale: 0.8,  // Lower terrain
+        noiseScale: 0.9,   // Smoother
+        thermalErosion: false // Keep steep mesa cliffs
+    },
+    
+    // Tundra biome
+    tundra: {
+        name: 'Tundra',
+        grassColor: [0.35, 0.4, 0.3],  // Darker grass
+        rockColor: [0.4, 0.4, 0.45],   // Darker rock
+        snowColor: [0.9, 0.9, 0.95],
+        sandColor: [0.45, 0.4, 0.35],  // Darker sand
+        snowHeight: 0.4,  // Snow starts much lower
+        rockHeight: 0.25, 
+        sandHeight: 0.1,
+        heightScale: 0.9,
+        noiseScale: 0.8,
+        thermalErosion: true
+    },
+    
+    // Temperate forest biome
+    forest: {
+        name: 'Forest',
+        grassColor: [0.18, 0.38, 0.14], // Deep green canopy
+        rockColor: [0.42, 0.4, 0.36],
+        snowColor: [0.9, 0.92, 0.95],
+        sandColor: [0.55, 0.48, 0.35],  // Forest floor
+        snowHeight: 0.75,
+        rockHeight: 0.45,
+        sandHeight: 0.05,
+        heightScale: 1.0,
+        noiseScale: 1.0,
+        thermalErosion: true
+    },
+    
+    // Boreal forest biome
+    taiga: {
+        name: 'Taiga',
+        grassColor: [0.2, 0.32, 0.22],  // Dark conifers
+        rockColor: [0.4, 0.4, 0.42],
+        snowColor: [0.92, 0.93, 0.97],
+        sandColor: [0.45, 0.42, 0.36],
+        snowHeight: 0.5,  // Long winters
+        rockHeight: 0.35,
+        sandHeight: 0.08,
+        heightScale: 0.95,
+        noiseScale: 0.9,
+        thermalErosion: true
+    },
+    
+    // Tropical rainforest biome
+    rainforest: {
+        name: 'Rainforest',
+        grassColor: [0.12, 0.42, 0.12], // Lush green
+        rockColor: [0.38, 0.36, 0.3],   // Wet dark rock
+        snowColor: [0.9, 0.9, 0.95],
+        sandColor: [0.7, 0.62, 0.45],
+        snowHeight: 0.9,  // Hardly any snow
+        rockHeight: 0.5,
+        sandHeight: 0.05,
+        heightScale: 1.1,
+        noiseScale: 1.1,
+        thermalErosion: false // Roots hold steep slopes
+    }
+};
+
+/**
+ * Creates a biome registry
+ * @param {Object} [definitions=DEFAULT_BIOMES] - Initial biome definitions by name
+ * @returns {Object} Biome registry
+ */
+export function createBiomeRegistry(definitions = DEFAULT_BIOMES) {
+    // Biome names in index order and definitions by name
+    const names = [];
+    const biomes = new Map();
+    
+    // Definitions in index order (kept in step with names)
+    const list = [];
+    
+    // Called with the biome name after each registration
+    const listeners = [];
+    
+    const registry = {
+        /**
+         * Add a biome, or replace one with the same name (which keeps its index).
+         * Throws once MAX_BIOMES biomes are registered. Optional fields: thermalErosion (default true), rules (climate ranges like
+         * biome table entries, checked before the biome table) and scatter (rules for
+         * placing objects, passed through for scatter systems).
+         * @param {string} biomeName - Key of the biome
+         * @param {Object} definition - Biome definition
+         * @returns {number} Index of the biome
+         */
+        register(biomeName, definition) {
+            const biome = validateBiome(biomeName, definition);
+            
+            let index = names.indexOf(biomeName);
+            if (index < 0) {
+                if (names.length >= MAX_BIOMES) {
+                    throw new Error(`Cannot register biome ${biomeName}: at most ${MAX_BIOMES} biomes are supported`);
+                }
+                index = names.length;
+                names.push(biomeName);
+            }
+            biomes.set(biomeName, biome);
+            list[index] = biome;
+            
+            for (const listener of listeners) {
+                listener(biomeName);
+            }
+            
+            return index;
+        },
+        
+        /**
+         * Check whether a biome is registered
+         * @param {string} biomeName - Key of the biome
+         * @returns {boolean} True if registered
+         */
+        has(biomeName) {
+            return biomes.has(biomeName);
+        },
+        
+        /**
+         * Get a biome definition
+         * @param {string} biomeName - Key of the biome
+         * @returns {Object|null} Biome definition, or null if not registered
+         */
+        get(biomeName) {
+            return biomes.get(biomeName) || null;
+        },
+        
+        /**
+         * Get the index of a biome
+         * @param {string} biomeName - Key of the biome
+         * @returns {number} Index, or -1 if not registered
+         */
+        getIndex(biomeName) {
+            return names.indexOf(biomeName);
+        },
+        
+        /**
+         * Get the biome keys in index order
+         * @returns {Array<string>} Biome keys
+         */
+        getNames() {
+            return names;
+        },
+        
+        /**
+         * Get the biome definitions in index order
+         * @returns {Array<Object>} Biome definitions
+         */
+        getList() {
+            return list;
+        },
+        
+        /**
+         * Get the biome definitions by name (plain data, safe to post to workers)
+         * @returns {Object} Biome definitions keyed by name
+         */
+        getDefinitions() {
+            return Object.fromEntries(names.map(name => [name, biomes.get(name)]));
+        },
+        
+        /**
+         * Pick a biome from the rules of registered biomes, newest registration first
+         * @param {Object} climate - Temperature, precipitation and height
+         * @returns {string|null} Key of the first biome with a matching rule, or null
+         */
+        classify(climate) {
+            for (let index = names.length - 1; index >= 0; index--) {
+                const rules = list[index].rules;
+                if (rules && rules.some(rule => matchesRule(rule, climate))) {
+                    return names[index];
+                }
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Listen for registrations
+         * @param {Function} listener - Called with the key of each registered biome
+         */
+        onRegister(listener) {
+            listeners.push(listener);
+        }
+    };
+    
+    // Start with the initial definitions
+    for (const [biomeName, definition] of Object.entries(definitions)) {
+        registry.register(biomeName, definition);
+    }
+    
+    return registry;
+}
+
+/**
+ * Check a climate against a rule of optional ranges
+ * @param {Object} rule - Ranges (minTemperature, maxTemperature, minPrecipitation, ...)
+ * @param {Object} climate - Temperature, precipitation and height
+ * @returns {boolean} True if every range contains the climate
+ */
+export function matchesRule(rule, climate) {
+    return inRange(climate.temperature, rule.minTemperature, rule.maxTemperature) &&
+        inRange(climate.precipitation, rule.minPrecipitation, rule.maxPrecipitation) &&
+        inRange(climate.height, rule.minHeight, rule.maxHeight);
+}
+
+/**
+ * Check a value against optional bounds
+ * @param {number} value - Value to check
+ * @param {number} [min] - Inclusive lower bound (undefined = none)
+ * @param {number} [max] - Exclusive upper bound (undefined = none)
+ * @returns {boolean} True if the value is within the bounds
+ */
+function inRange(value, min, max) {
+    return (min === undefined || value >= min) && (max === undefined || value < max);
+}
+
+/**
+ * Check a biome definition and fill in optional fields
+ * @param {string} biomeName - Key of the biome
+ * @param {Object} definition - Biome definition
+ * @returns {Object} Complete biome definition
+ */
+function validateBiome(biomeName, definition) {
+    if (typeof biomeName !== 'string' || biomeName.length === 0) {
+        throw new Error('Biome needs a name');
+    }
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`Biome ${biomeName} needs a definition`);
+    }
+    
+    for (const [field, type] of Object.entries(REQUIRED_FIELDS)) {
+        const value = definition[field];
+        const valid = type === 'color'
+            ? Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+            : type === 'number' ? Number.isFinite(value) : typeof value === type;
+        if (!valid) {
+            throw new Error(`Biome ${biomeName} has an invalid ${field}`);
+        }
+    }
+    
+    if (definition.rules !== undefined && !Array.isArray(definition.rules)) {
+        throw new Error(`Biome ${biomeName} rules must be an array`);
+    }
+    
+    return {
+        thermalErosion: true,
+        scatter: [],
+        ...definition
+    };
+}
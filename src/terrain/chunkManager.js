@@ -4,7 +4,18 @@
 import config from '../config.js';
 import { createHeightmapGenerator } from './heightmap.js';
 import { createTerrainMeshBuilder } from './meshBuilder.js';
-import { createTerrainMaterial, applyVertexColors } from '../materials/terrainMaterial.js';
+import { createTerrainMaterial, createWaterMaterial, createMarkerMaterial, applyVertexColors } from '../materials/terrainMaterial.js';
+import { createShaderTerrainMaterial, setShaderBiomes, supportsGPUDisplacement } from '../materials/shaderTerrainMaterial.js';
+import { createWorkerPool } from '../workers/workerPool.js';
+import { createTerrainExporter } from './terrainExporter.js';
+import { createEditLayer } from './editLayer.js';
+import { createWorldPersistence } from './worldPersistence.js';
+import { createFloatingOrigin } from '../core/floatingOrigin.js';
+import { createQuadtree } from './quadtree.js';
+import { createHorizonRing } from './horizonRing.js';
+
+// Largest edge normal difference between neighbouring chunks not reported as a lighting seam
+const SEAM_TOLERANCE = 1e-4;
 
 /**
  * Initializes the chunk manager for terrain
@@ -14,21 +25,113 @@ import { createTerrainMaterial, applyVertexColors } from '../materials/terrainMa
  * @returns {Object} Chunk manager object
  */
 export function initChunkManager(scene, camera, customMaterial = null) {
+    // Resolve a missing seed once, so this thread, every worker and saved worlds use the same one
+    const noiseConfig = { ...config.noise, seed: config.noise.seed || Math.floor(Math.random() * 1000000) };
+    
     // Create heightmap generator
-    const heightmapGenerator = createHeightmapGenerator(config.noise);
+    const heightmapGenerator = createHeightmapGenerator(noiseConfig);
+    
+    // Create the floating origin that keeps render space centred on the camera
+    const floatingOrigin = createFloatingOrigin(camera, config.floatingOrigin, config.terrain.chunkSize);
     
     // Create terrain mesh builder
     const terrainMeshBuilder = createTerrainMeshBuilder(scene);
     
+    // Create the layer holding sculpted height edits per chunk
+    const editLayer = createEditLayer(config.terrain.chunkSize, config.terrain.chunkResolution);
+    
+    // Create the IndexedDB store for edits, markers and chunk metadata
+    const worldPersistence = createWorldPersistence(editLayer, config.persistence, {
+        chunkSize: config.terrain.chunkSize,
+        chunkResolution: config.terrain.chunkResolution,
+        seed: noiseConfig.seed
+    });
+    
+    // Create the exporter for terrain regions (generates chunks itself, loaded or not)
+    const terrainExporter = createTerrainExporter(
+        heightmapGenerator, noiseConfig, (chunkX, chunkZ) => editLayer.getHaloDelta(chunkX, chunkZ)
+    );
+    
+    // Create worker pool for off-thread heightmap generation (null if unavailable)
+    const workerPool = createTerrainWorkerPool(noiseConfig);
+    
+    // Create the quadtree that picks chunks and far nodes in quadtree mode (null for the chunk grid)
+    const quadtree = config.terrain.quadtree.enabled
+        ? createQuadtree(
+            config.terrain.quadtree, config.terrain.chunkSize,
+            config.terrain.chunkResolution, config.terrain.maxHeight
+        )
+        : null;
+    
     // Create or use provided terrain material
     const terrainMaterial = customMaterial || createTerrainMaterial(scene);
     
+    // Shader materials blend biome colors from uniforms indexed by the biome attributes
+    if (terrainMaterial instanceof BABYLON.ShaderMaterial) {
+        setShaderBiomes(terrainMaterial, heightmapGenerator.getBiomes());
+    }
+    
+    // Material displacing shared flat grids from per-chunk height textures (null = chunk meshes built on the CPU)
+    const displacementMaterial = createDisplacementMaterial(scene, heightmapGenerator.getBiomes());
+    
+    // Notified with the biome name after a biome is registered
+    const onBiomeRegisteredObservable = new BABYLON.Observable();
+    
+    // Create the material shared by river and lake surfaces
+    const waterMaterial = createWaterMaterial(scene);
+    
+    // Create the material shared by placed markers
+    const markerMaterial = createMarkerMaterial(scene);
+    
     // Store loaded chunks
     const loadedChunks = new Map();
     
     // Store chunks currently being generated
     const chunksInProgress = new Set();
     
+    // Store heightmap data of loaded chunks so meshes can be rebuilt without regenerating
+    const chunkHeightmaps = new Map();
+    
+    // Meshes currently morphing between LOD levels, keyed by chunk
+    const lodMorphs = new Map();
+    
+    // Water surface meshes of loaded chunks that have rivers or lakes
+    const waterMeshes = new Map();
+    
+    // Marker meshes of loaded chunks
+    const markerMeshes = new Map();
+    
+    // Terrain and sea meshes of loaded quadtree nodes above chunk size, keyed by node
+    const loadedNodes = new Map();
+    
+    // Quadtree nodes currently being generated
+    const nodesInProgress = new Set();
+    
+    // Create the coarse ring of terrain out to the horizon around the chunk grid (null if disabled)
+    const horizonRing = !quadtree && config.terrain.horizon.enabled
+        ? createHorizonRing(config.terrain.horizon, floatingOrigin, {
+            generateTile: tile => chunkManager.generateNodeData(tile, config.terrain.horizon.resolution),
+            createTileMesh: (tile, tileData) => {
+                // A tile is a node that many chunks across
+                const level = Math.log2(tile.size / config.terrain.chunkSize);
+                const tileMesh = chunkManager.createFarMesh(
+                    { ...tile, level }, tileData, config.terrain.horizon.skirtDepth
+                );
+                
+                // Far seas ride along with their tile
+                const waterMesh = terrainMeshBuilder.createWaterMesh(tileData, waterMaterial, config.terrain.maxHeight);
+                if (waterMesh) {
+                    waterMesh.parent = tileMesh;
+                }
+                
+                return tileMesh;
+            },
+            isCovered: (worldX, worldZ) => loadedChunks.has(
+                `${Math.floor(worldX / config.terrain.chunkSize)}_${Math.floor(worldZ / config.terrain.chunkSize)}`
+            )
+        })
+        : null;
+    
     // Store last camera position for optimization
     let lastCameraChunkX = null;
     let lastCameraChunkZ = null;
@@ -36,14 +139,38 @@ export function initChunkManager(scene, camera, customMaterial = null) {
     // Last time chunk LOD was updated
     let lastLODUpdateTime = 0;
     
+    // Last time the quadtree selected nodes
+    let lastQuadtreeUpdateTime = 0;
+    
+    // Bumped whenever the terrain source changes so results from before are dropped
+    let terrainRevision = 0;
+    
     // Create chunk manager object
     const chunkManager = {
+        onBiomeRegisteredObservable,
+        
         /**
          * Update chunks based on camera position
          */
         update() {
-            // Get camera position
-            const cameraPosition = camera.position;
+            // Re-centre render space first if the camera went too far
+            floatingOrigin.update();
+            
+            // Get camera position in world space
+            const cameraPosition = floatingOrigin.getCameraWorldPosition();
+            
+            // Advance LOD transitions every frame
+            this.updateLODMorphs(performance.now());
+            
+            // In quadtree mode the quadtree decides which chunks and nodes are loaded
+            if (quadtree) {
+                const currentTime = performance.now();
+                if (currentTime - lastQuadtreeUpdateTime > config.terrain.quadtree.updateInterval) {
+                    lastQuadtreeUpdateTime = currentTime;
+                    this.updateQuadtree(cameraPosition);
+                }
+                return;
+            }
             
             // Calculate chunk coordinates from camera position
             const cameraChunkX = Math.floor(cameraPosition.x / config.terrain.chunkSize);
@@ -69,6 +196,60 @@ export function initChunkManager(scene, camera, customMaterial = null) {
             if (currentTime - lastLODUpdateTime > 500) {
                 lastLODUpdateTime = currentTime;
                 this.updateChunkLOD(cameraPosition);
+                
+                // Extend the horizon ring as the camera moves
+                if (horizonRing) {
+                    horizonRing.update(cameraPosition);
+                }
+            }
+        },
+        
+        /**
+         * Load the chunks and far nodes the quadtree selects, and drop the ones it no longer
+         * selects once everything covering their ground is shown
+         * @param {Object} cameraPosition - Camera position in world space
+         */
+        updateQuadtree(cameraPosition) {
+            // Pixels covered by one world unit at unit distance
+            const projectionScale = scene.getEngine().getRenderHeight() / (2 * Math.tan(camera.fov / 2));
+            const selection = quadtree.select(cameraPosition, projectionScale);
+            
+            // Level 0 nodes are chunks, larger nodes get their own meshes
+            const getKey = node => node.level === 0 ? `${node.x}_${node.z}` : node.key;
+            const isReady = node => node.level === 0 ? loadedChunks.has(getKey(node)) : loadedNodes.has(node.key);
+            
+            // Generate the nearest missing nodes first, a few at a time
+            for (const node of selection) {
+                if (chunksInProgress.size + nodesInProgress.size >= config.terrain.quadtree.maxPendingNodes) {
+                    break;
+                }
+                
+                if (isReady(node) || chunksInProgress.has(getKey(node)) || nodesInProgress.has(node.key)) {
+                    continue;
+                }
+                
+                if (node.level === 0) {
+                    this.loadChunk(node.x, node.z, 0);
+                } else {
+                    this.loadNode(node);
+                }
+            }
+            
+            // Unselected meshes stay until their ground is covered again; unselected generation stops
+            const selectedKeys = new Set(selection.map(getKey));
+            for (const chunkKey of [...loadedChunks.keys(), ...chunksInProgress]) {
+                const [x, z] = chunkKey.split('_').map(Number);
+                if (!selectedKeys.has(chunkKey) &&
+                    (!loadedChunks.has(chunkKey) || quadtree.isReplaced({ level: 0, x, z }, selection, isReady))) {
+                    this.unloadChunk(chunkKey);
+                }
+            }
+            for (const nodeKey of [...loadedNodes.keys(), ...nodesInProgress]) {
+                const [level, x, z] = nodeKey.split('_').map(Number);
+                if (!selectedKeys.has(nodeKey) &&
+                    (!loadedNodes.has(nodeKey) || quadtree.isReplaced({ level, x, z }, selection, isReady))) {
+                    this.unloadNode(nodeKey);
+                }
             }
         },
         
@@ -184,7 +365,7 @@ export function initChunkManager(scene, camera, customMaterial = null) {
         
         /**
          * Update LOD (Level of Detail) for chunks based on distance
-         * @param {BABYLON.Vector3} cameraPosition - Camera position
+         * @param {Object} cameraPosition - Camera position in world space
          */
         updateChunkLOD(cameraPosition) {
             // Only proceed if adaptive LOD is enabled
@@ -207,8 +388,8 @@ export function initChunkManager(scene, camera, customMaterial = null) {
                 // Calculate optimal LOD level
                 const optimalLOD = this.calculateLODLevelForDistance(distance);
                 
-                // Check if mesh needs LOD update
-                if (mesh.lodLevel !== optimalLOD) {
+                // Check if mesh needs LOD update (voxel chunks are always at full detail)
+                if (!mesh.isVoxel && mesh.lodLevel !== optimalLOD) {
                     // Only update if the difference is significant
                     if (Math.abs(mesh.lodLevel - optimalLOD) >= 2) {
                         this.updateChunkLODLevel(chunkKey, x, z, optimalLOD);
@@ -237,8 +418,70 @@ export function initChunkManager(scene, camera, customMaterial = null) {
                 return;
             }
             
-            // Load the chunk with new LOD level
-            this.loadChunk(chunkX, chunkZ, newLODLevel, true);
+            // Rebuild from the cached heightmap, or load the chunk again if it is missing
+            const heightmapData = chunkHeightmaps.get(chunkKey);
+            if (heightmapData) {
+                this.buildChunkMesh(chunkKey, heightmapData, newLODLevel);
+            } else {
+                this.loadChunk(chunkX, chunkZ, newLODLevel, true);
+            }
+        },
+        
+        /**
+         * Get the LOD levels of the four neighbours of a chunk
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         * @returns {Object} LOD of the north, south, east and west neighbours (null if not loaded)
+         */
+        getNeighborLODs(chunkX, chunkZ) {
+            const lodOf = (x, z) => {
+                const mesh = loadedChunks.get(`${x}_${z}`);
+                return mesh ? mesh.lodLevel : null;
+            };
+            
+            return {
+                north: lodOf(chunkX, chunkZ + 1),
+                south: lodOf(chunkX, chunkZ - 1),
+                east: lodOf(chunkX + 1, chunkZ),
+                west: lodOf(chunkX - 1, chunkZ)
+            };
+        },
+        
+        /**
+         * Rebuild neighbouring meshes whose edge stitching no longer matches this chunk
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         */
+        restitchNeighbors(chunkX, chunkZ) {
+            const neighbors = [
+                { x: chunkX, z: chunkZ + 1 },
+                { x: chunkX, z: chunkZ - 1 },
+                { x: chunkX + 1, z: chunkZ },
+                { x: chunkX - 1, z: chunkZ }
+            ];
+            
+            for (const neighbor of neighbors) {
+                const neighborKey = `${neighbor.x}_${neighbor.z}`;
+                const neighborMesh = loadedChunks.get(neighborKey);
+                const heightmapData = chunkHeightmaps.get(neighborKey);
+                
+                if (!neighborMesh || !heightmapData) {
+                    continue;
+                }
+                
+                // Compare the stitching the neighbour has with what it needs now
+                const requiredStitch = terrainMeshBuilder.getStitchLODs(
+                    neighborMesh.lodLevel, this.getNeighborLODs(neighbor.x, neighbor.z)
+                );
+                const currentStitch = neighborMesh.stitchLODs || {};
+                const isStale = Object.keys(requiredStitch).some(
+                    side => requiredStitch[side] !== currentStitch[side]
+                );
+                
+                if (isStale) {
+                    this.buildChunkMesh(neighborKey, heightmapData, neighborMesh.lodLevel, false);
+                }
+            }
         },
         
         /**
@@ -247,73 +490,913 @@ export function initChunkManager(scene, camera, customMaterial = null) {
          * @param {number} chunkZ - Chunk Z coordinate
          * @param {number} [lodLevel=0] - Level of detail (0=highest)
          * @param {boolean} [isLODUpdate=false] - Whether this is a LOD update
-         * @returns {BABYLON.Mesh} The created terrain mesh
+         * @returns {Promise<BABYLON.Mesh|null>} The terrain mesh, or null if the load was skipped or failed
          */
         loadChunk(chunkX, chunkZ, lodLevel = 0, isLODUpdate = false) {
-            // Get settings from config
-            const { chunkSize, chunkResolution, maxHeight } = config.terrain;
-            
             // Create a unique key for this chunk
             const chunkKey = `${chunkX}_${chunkZ}`;
             
             // Check if already loaded with same or better LOD
             const existingMesh = loadedChunks.get(chunkKey);
             if (existingMesh && !isLODUpdate && existingMesh.lodLevel <= lodLevel) {
-                return existingMesh;
+                return Promise.resolve(existingMesh);
+            }
+            
+            // Skip if the chunk is already being generated
+            if (chunksInProgress.has(chunkKey)) {
+                return Promise.resolve(null);
             }
             
             // Mark chunk as in progress
             chunksInProgress.add(chunkKey);
+            const revision = terrainRevision;
             
-            // Generate heightmap data
-            const heightmapData = heightmapGenerator.generateHeightmapForChunk(
-                chunkX, chunkZ, chunkSize, chunkResolution, maxHeight
-            );
+            // Generate heightmap data and restore saved edits, then build the mesh once both arrive
+            return Promise.all([
+                this.generateChunkData(chunkX, chunkZ),
+                worldPersistence.restoreChunk(chunkKey)
+            ]).then(([heightmapData]) => {
+                // Drop the result if the chunk was unloaded or the terrain changed while generating
+                if (!chunksInProgress.has(chunkKey) || revision !== terrainRevision) {
+                    return null;
+                }
+                
+                // Remove from in-progress chunks
+                chunksInProgress.delete(chunkKey);
+                
+                return this.buildChunkMesh(chunkKey, heightmapData, lodLevel);
+            }).catch(error => {
+                // Let the chunk be retried on the next update instead of leaving a hole
+                chunksInProgress.delete(chunkKey);
+                console.warn(`Could not load chunk ${chunkKey}:`, error);
+                return null;
+            });
+        },
+        
+        /**
+         * Generate heightmap data for a chunk, in a worker when available
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         * @returns {Promise<Object>} Heightmap data for the mesh builder
+         */
+        generateChunkData(chunkX, chunkZ) {
+            // Get settings from config
+            const { chunkSize, chunkResolution, maxHeight } = config.terrain;
             
-            // Create terrain mesh with LOD
-            const terrainMesh = terrainMeshBuilder.createTerrainMesh(
-                heightmapData, terrainMaterial, lodLevel
-            );
+            // Generate on the main thread if workers are unavailable
+            if (!workerPool) {
+                return Promise.resolve(heightmapGenerator.generateHeightmapForChunk(
+                    chunkX, chunkZ, chunkSize, chunkResolution, maxHeight
+                ));
+            }
             
-            // Apply vertex colors to the mesh
-            if (terrainMaterial instanceof BABYLON.PBRMaterial && terrainMaterial.useVertexColors) {
-                applyVertexColors(terrainMesh, maxHeight);
+            return workerPool.runTask({
+                type: 'generateChunk',
+                chunkX: chunkX,
+                chunkZ: chunkZ,
+                chunkSize: chunkSize,
+                resolution: chunkResolution,
+                maxHeight: maxHeight
+            }).then(chunkArrays => {
+                return heightmapGenerator.createHeightmapData(chunkArrays);
+            }).catch(error => {
+                // Fall back to the main thread so the chunk still appears
+                console.warn(`Worker failed to generate chunk ${chunkX}_${chunkZ}, using main thread:`, error);
+                return heightmapGenerator.generateHeightmapForChunk(
+                    chunkX, chunkZ, chunkSize, chunkResolution, maxHeight
+                );
+            });
+        },
+        
+        /**
+         * Build the mesh for a chunk and replace any existing mesh
+         * @param {string} chunkKey - Chunk key
+         * @param {Object} heightmapData - Heightmap data for the chunk
+         * @param {number} lodLevel - Level of detail (0=highest)
+         * @param {boolean} [updateNeighbors=true] - Whether to re-stitch neighbouring chunks
+         * @param {boolean} [morph=true] - Whether to morph from an existing mesh (off for edits)
+         * @returns {BABYLON.Mesh} The created terrain mesh
+         */
+        buildChunkMesh(chunkKey, heightmapData, lodLevel, updateNeighbors = true, morph = true) {
+            const { maxHeight, chunkSize } = config.terrain;
+            const { chunkX, chunkZ } = heightmapData;
+            
+            // Add sculpted edits on top of the generated heights (edits next to the chunk change its edge normals)
+            const haloDelta = editLayer.getHaloDelta(chunkX, chunkZ);
+            const meshData = haloDelta
+                ? heightmapGenerator.applyHeightDelta(heightmapData, haloDelta, maxHeight)
+                : heightmapData;
+            
+            // Create terrain mesh with LOD, stitched to coarser neighbours (voxel chunks stay at full detail
+            // and are always built on the CPU)
+            const terrainMesh = meshData.voxelMesh
+                ? terrainMeshBuilder.createVoxelMesh(meshData, terrainMaterial, this.getNeighborLODs(chunkX, chunkZ))
+                : displacementMaterial
+                    ? terrainMeshBuilder.createDisplacedMesh(
+                        meshData, displacementMaterial, lodLevel, this.getNeighborLODs(chunkX, chunkZ)
+                    )
+                    : terrainMeshBuilder.createTerrainMesh(
+                        meshData, terrainMaterial, lodLevel, this.getNeighborLODs(chunkX, chunkZ)
+                    );
+            
+            // Place the mesh at its chunk corner in render space
+            floatingOrigin.place(terrainMesh, chunkX * chunkSize, chunkZ * chunkSize);
+            
+            // Apply vertex colors to the mesh (varied by world position, blended between biomes)
+            if (!terrainMesh.isDisplaced && terrainMaterial instanceof BABYLON.PBRMaterial && terrainMaterial.useVertexColors) {
+                applyVertexColors(
+                    terrainMesh, maxHeight, chunkX * chunkSize, chunkZ * chunkSize, heightmapGenerator.getBiomes()
+                );
             }
             
-            // If this is a LOD update, remove the existing mesh
-            if (isLODUpdate && existingMesh) {
-                existingMesh.dispose();
+            // If this is a LOD update, morph away from the existing mesh (voxel meshes have no grid to morph,
+            // and displaced meshes only morph into other displaced meshes, in their vertex shader)
+            const existingMesh = loadedChunks.get(chunkKey);
+            if (existingMesh) {
+                const canMorph = !terrainMesh.isVoxel && !existingMesh.isVoxel &&
+                    Boolean(terrainMesh.isDisplaced) === Boolean(existingMesh.isDisplaced);
+                if (morph && canMorph && config.terrain.lodMorphDuration > 0) {
+                    this.startLODMorph(chunkKey, existingMesh, terrainMesh);
+                } else {
+                    // Complete any running morph first so the meshes it holds are released too
+                    this.finishLODMorph(chunkKey);
+                    terrainMeshBuilder.releaseMesh(existingMesh);
+                }
             }
             
-            // Store the mesh in loaded chunks
+            // Store the mesh and its generated heightmap (without edits) in loaded chunks
             loadedChunks.set(chunkKey, terrainMesh);
+            chunkHeightmaps.set(chunkKey, heightmapData);
             
-            // Remove from in-progress chunks
-            chunksInProgress.delete(chunkKey);
+            // Report lighting seams against the loaded neighbours of a newly shown chunk
+            if (config.debug.checkSeams && !existingMesh) {
+                const seam = this.measureNormalSeam(chunkKey);
+                if (seam !== null && seam > SEAM_TOLERANCE) {
+                    console.warn(`Lighting seam at chunk ${chunkKey}: edge normals differ by ${seam.toFixed(4)}`);
+                }
+            }
+            
+            // Open a hole in the horizon ring for a newly shown chunk
+            if (horizonRing && !existingMesh) {
+                horizonRing.refreshArea(chunkX * chunkSize, chunkZ * chunkSize, chunkSize);
+            }
+            
+            // Water follows the full resolution (edited) heightmap, so it is built once per chunk and edit
+            if (!waterMeshes.has(chunkKey)) {
+                const waterMesh = terrainMeshBuilder.createWaterMesh(meshData, waterMaterial, maxHeight);
+                if (waterMesh) {
+                    floatingOrigin.place(waterMesh, chunkX * chunkSize, chunkZ * chunkSize);
+                }
+                waterMeshes.set(chunkKey, waterMesh);
+            }
+            
+            // Markers do not depend on LOD either
+            if (!markerMeshes.has(chunkKey)) {
+                this.refreshMarkers(chunkKey);
+            }
+            
+            // Neighbours may need their shared edges rebuilt for the new LOD
+            if (updateNeighbors) {
+                this.restitchNeighbors(chunkX, chunkZ);
+            }
             
             // Log with LOD level
-            console.log(`Loaded chunk ${chunkKey} with LOD ${lodLevel}`);
+            console.log(`Loaded ${terrainMesh.isVoxel ? 'voxel ' : ''}chunk ${chunkKey} with LOD ${terrainMesh.lodLevel}`);
             
             return terrainMesh;
         },
         
+        /**
+         * Start morphing between the old and new mesh of a chunk.
+         * When refining, the new mesh starts on the old surface and rises to its own heights.
+         * When coarsening, the old mesh flattens onto the new surface and is then swapped out.
+         * Displaced meshes blend in their vertex shader; their CPU grid only follows for height queries.
+         * @param {string} chunkKey - Chunk key
+         * @param {BABYLON.Mesh} oldMesh - Mesh currently displayed
+         * @param {BABYLON.Mesh} newMesh - Mesh replacing it
+         */
+        startLODMorph(chunkKey, oldMesh, newMesh) {
+            // Complete any transition already running on this chunk
+            this.finishLODMorph(chunkKey);
+            
+            // Displaced meshes draw a flat grid, so their surface is the grid kept for height queries
+            const isDisplaced = Boolean(newMesh.isDisplaced);
+            const getPositions = mesh => (isDisplaced
+                ? mesh.gridPositions
+                : mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind));
+            const oldPositions = getPositions(oldMesh);
+            const oldNormals = isDisplaced ? null : oldMesh.getVerticesData(BABYLON.VertexBuffer.NormalKind);
+            const newPositions = getPositions(newMesh);
+            const newNormals = isDisplaced ? null : newMesh.getVerticesData(BABYLON.VertexBuffer.NormalKind);
+            
+            // Grid resolution of each mesh
+            const oldResolution = Math.round(Math.sqrt(oldPositions.length / 3));
+            const newResolution = Math.round(Math.sqrt(newPositions.length / 3));
+            
+            // Morph the finer of the two meshes towards or away from the coarser surface
+            const isRefining = newResolution >= oldResolution;
+            const target = isRefining
+                ? { mesh: newMesh, positions: newPositions, normals: newNormals, resolution: newResolution }
+                : { mesh: oldMesh, positions: oldPositions, normals: oldNormals, resolution: oldResolution };
+            const other = isRefining
+                ? { mesh: oldMesh, positions: oldPositions, normals: oldNormals, resolution: oldResolution }
+                : { mesh: newMesh, positions: newPositions, normals: newNormals, resolution: newResolution };
+            
+            // The other mesh's surface sampled at the target mesh's vertices
+            const sampledPositions = new Float32Array(target.positions);
+            const sampledNormals = isDisplaced ? null : new Float32Array(target.normals);
+            for (let channel = 0; !isDisplaced && channel < 3; channel++) {
+                const sampledNormal = terrainMeshBuilder.sampleSurface(
+                    other.normals, 3, channel, other.resolution, target.resolution
+                );
+                for (let i = 0; i < sampledNormal.length; i++) {
+                    sampledNormals[i * 3 + channel] = sampledNormal[i];
+                }
+            }
+            const sampledHeights = terrainMeshBuilder.sampleSurface(
+                other.positions, 3, 1, other.resolution, target.resolution
+            );
+            for (let i = 0; i < sampledHeights.length; i++) {
+                sampledPositions[i * 3 + 1] = sampledHeights[i];
+            }
+            
+            const morph = {
+                mesh: target.mesh,
+                positions: new Float32Array(target.positions),
+                normals: isDisplaced ? null : new Float32Array(target.normals),
+                isDisplaced,
+                isRefining,
+                startTime: performance.now(),
+                onComplete: null
+            };
+            
+            // The vertex shader blends towards the other mesh's grid, with its cell size and stitching
+            if (isDisplaced) {
+                const displacement = target.mesh.displacement;
+                displacement.morph.x = Math.pow(2, other.mesh.lodLevel);
+                displacement.morphStitchSteps.copyFrom(other.mesh.displacement.stitchSteps);
+            }
+            
+            if (isRefining) {
+                // Start on the old surface and end on the new mesh's own data
+                morph.fromPositions = sampledPositions;
+                morph.fromNormals = sampledNormals;
+                morph.toPositions = new Float32Array(target.positions);
+                morph.toNormals = isDisplaced ? null : new Float32Array(target.normals);
+                terrainMeshBuilder.releaseMesh(oldMesh);
+            } else {
+                // Flatten the old mesh, then hand over to the hidden new mesh
+                morph.fromPositions = new Float32Array(target.positions);
+                morph.fromNormals = isDisplaced ? null : new Float32Array(target.normals);
+                morph.toPositions = sampledPositions;
+                morph.toNormals = sampledNormals;
+                newMesh.setEnabled(false);
+                morph.onComplete = () => {
+                    terrainMeshBuilder.releaseMesh(oldMesh);
+                    newMesh.setEnabled(true);
+                };
+            }
+            
+            // Height queries follow the morphing vertices
+            morph.mesh.gridPositions = morph.positions;
+            
+            lodMorphs.set(chunkKey, morph);
+            this.applyLODMorph(morph, 0);
+        },
+        
+        /**
+         * Advance all running LOD morphs
+         * @param {number} currentTime - Current time in milliseconds
+         */
+        updateLODMorphs(currentTime) {
+            for (const [chunkKey, morph] of lodMorphs.entries()) {
+                const t = Math.min(1, (currentTime - morph.startTime) / config.terrain.lodMorphDuration);
+                
+                if (t >= 1) {
+                    this.finishLODMorph(chunkKey);
+                } else {
+                    // Ease in and out so the motion has no visible start or stop
+                    this.applyLODMorph(morph, t * t * (3 - 2 * t));
+                }
+            }
+        },
+        
+        /**
+         * Write blended vertex data to a morphing mesh
+         * @param {Object} morph - Morph state
+         * @param {number} blend - Blend factor (0 = start, 1 = end)
+         */
+        applyLODMorph(morph, blend) {
+            const { positions, normals, fromPositions, toPositions, fromNormals, toNormals } = morph;
+            
+            for (let i = 1; i < positions.length; i += 3) {
+                positions[i] = fromPositions[i] + (toPositions[i] - fromPositions[i]) * blend;
+            }
+            
+            // Displaced meshes blend on the GPU (weight of the other grid's surface)
+            if (morph.isDisplaced) {
+                morph.mesh.displacement.morph.y = morph.isRefining ? 1 - blend : blend;
+                return;
+            }
+            
+            for (let i = 0; i < normals.length; i++) {
+                normals[i] = fromNormals[i] + (toNormals[i] - fromNormals[i]) * blend;
+            }
+            
+            morph.mesh.updateVerticesData(BABYLON.VertexBuffer.PositionKind, positions);
+            morph.mesh.updateVerticesData(BABYLON.VertexBuffer.NormalKind, normals);
+        },
+        
+        /**
+         * Jump a chunk's LOD morph to its end state
+         * @param {string} chunkKey - Chunk key
+         */
+        finishLODMorph(chunkKey) {
+            const morph = lodMorphs.get(chunkKey);
+            if (!morph) {
+                return;
+            }
+            
+            lodMorphs.delete(chunkKey);
+            
+            this.applyLODMorph(morph, 1);
+            
+            // Displaced meshes keep the explicit bounds of their heights
+            if (!morph.isDisplaced) {
+                morph.mesh.refreshBoundingInfo();
+            }
+            
+            if (morph.onComplete) {
+                morph.onComplete();
+            }
+        },
+        
+        /**
+         * Load a low resolution quadtree node above chunk size
+         * @param {Object} node - Node from the quadtree selection
+         * @returns {Promise<BABYLON.Mesh|null>} The node mesh, or null if the node was dropped meanwhile or failed
+         */
+        loadNode(node) {
+            nodesInProgress.add(node.key);
+            const revision = terrainRevision;
+            
+            return this.generateNodeData(node).then(nodeData => {
+                // Drop the result if the node was deselected or the terrain changed while generating
+                if (!nodesInProgress.has(node.key) || revision !== terrainRevision) {
+                    return null;
+                }
+                
+                nodesInProgress.delete(node.key);
+                return this.buildNodeMesh(node, nodeData);
+            }).catch(error => {
+                // Let the node be retried on the next update instead of leaving a hole
+                nodesInProgress.delete(node.key);
+                console.warn(`Could not load node ${node.key}:`, error);
+                return null;
+            });
+        },
+        
+        /**
+         * Generate heightmap data for a quadtree node or horizon tile, in a worker when available
+         * @param {Object} node - Node or tile ({ key, x, z, size })
+         * @param {number} [resolution=config.terrain.chunkResolution] - Vertices per side
+         * @returns {Promise<Object>} Heightmap data with the node as the chunk
+         */
+        generateNodeData(node, resolution = config.terrain.chunkResolution) {
+            const { maxHeight } = config.terrain;
+            
+            // Generate on the main thread if workers are unavailable
+            if (!workerPool) {
+                return Promise.resolve(heightmapGenerator.createHeightmapData(
+                    heightmapGenerator.generateNodeArrays(node.x, node.z, node.size, resolution, maxHeight)
+                ));
+            }
+            
+            return workerPool.runTask({
+                type: 'generateNode',
+                nodeX: node.x,
+                nodeZ: node.z,
+                nodeSize: node.size,
+                resolution: resolution,
+                maxHeight: maxHeight
+            }).then(nodeArrays => {
+                return heightmapGenerator.createHeightmapData(nodeArrays);
+            }).catch(error => {
+                // Fall back to the main thread so the node still appears
+                console.warn(`Worker failed to generate node ${node.key}, using main thread:`, error);
+                return heightmapGenerator.createHeightmapData(
+                    heightmapGenerator.generateNodeArrays(node.x, node.z, node.size, resolution, maxHeight)
+                );
+            });
+        },
+        
+        /**
+         * Create the terrain mesh of a quadtree node or horizon tile, colored like a chunk
+         * @param {Object} node - Node or tile ({ level, x, z, size })
+         * @param {Object} nodeData - Heightmap data of the node
+         * @param {number} skirtDepth - Skirt depth per world unit of vertex spacing
+         * @returns {BABYLON.Mesh} Node mesh (not yet placed)
+         */
+        createFarMesh(node, nodeData, skirtDepth) {
+            const { maxHeight } = config.terrain;
+            
+            // Skirts grow with the vertex spacing, like the cracks they hide
+            const spacing = node.size / (nodeData.resolution - 1);
+            const nodeMesh = terrainMeshBuilder.createNodeMesh(
+                nodeData, terrainMaterial, node.level, skirtDepth * spacing
+            );
+            
+            if (terrainMaterial instanceof BABYLON.PBRMaterial && terrainMaterial.useVertexColors) {
+                applyVertexColors(
+                    nodeMesh, maxHeight, node.x * node.size, node.z * node.size, heightmapGenerator.getBiomes()
+                );
+            }
+            
+            return nodeMesh;
+        },
+        
+        /**
+         * Build the terrain and sea meshes of a quadtree node
+         * @param {Object} node - Node from the quadtree selection
+         * @param {Object} nodeData - Heightmap data of the node
+         * @returns {BABYLON.Mesh} The node mesh
+         */
+        buildNodeMesh(node, nodeData) {
+            const { maxHeight } = config.terrain;
+            
+            const nodeMesh = this.createFarMesh(node, nodeData, config.terrain.quadtree.skirtDepth);
+            floatingOrigin.place(nodeMesh, node.x * node.size, node.z * node.size);
+            
+            // Nodes only have the sea, which is flat enough for the coarse grid
+            const waterMesh = terrainMeshBuilder.createWaterMesh(nodeData, waterMaterial, maxHeight);
+            if (waterMesh) {
+                floatingOrigin.place(waterMesh, node.x * node.size, node.z * node.size);
+            }
+            
+            loadedNodes.set(node.key, { mesh: nodeMesh, waterMesh: waterMesh });
+            console.log(`Loaded quadtree node ${node.key}`);
+            
+            return nodeMesh;
+        },
+        
+        /**
+         * Unload a quadtree node
+         * @param {string} nodeKey - Key of the node
+         */
+        unloadNode(nodeKey) {
+            // Cancel any generation still running for this node
+            nodesInProgress.delete(nodeKey);
+            
+            const node = loadedNodes.get(nodeKey);
+            if (node) {
+                node.mesh.dispose();
+                if (node.waterMesh) {
+                    node.waterMesh.dispose();
+                }
+                loadedNodes.delete(nodeKey);
+                
+                console.log(`Unloaded quadtree node ${nodeKey}`);
+            }
+        },
+        
         /**
          * Unload a specific chunk
          * @param {string} chunkKey - Key for the chunk to unload
          */
         unloadChunk(chunkKey) {
+            // Cancel any generation still running for this chunk
+            chunksInProgress.delete(chunkKey);
+            
+            // Complete any LOD morph so the replaced mesh is released too
+            this.finishLODMorph(chunkKey);
+            
             // Get the mesh from the loaded chunks
             const terrainMesh = loadedChunks.get(chunkKey);
             
             if (terrainMesh) {
-                // Dispose of the mesh
-                terrainMesh.dispose();
+                // Hand the mesh back for reuse and dispose of its water
+                terrainMeshBuilder.releaseMesh(terrainMesh);
+                this.disposeWater(chunkKey);
+                this.disposeMarkers(chunkKey);
                 
                 // Remove from loaded chunks
                 loadedChunks.delete(chunkKey);
+                chunkHeightmaps.delete(chunkKey);
+                
+                // Let the horizon ring cover the ground again
+                if (horizonRing) {
+                    const [chunkX, chunkZ] = chunkKey.split('_').map(Number);
+                    const chunkSize = config.terrain.chunkSize;
+                    horizonRing.refreshArea(chunkX * chunkSize, chunkZ * chunkSize, chunkSize);
+                }
                 
                 console.log(`Unloaded chunk ${chunkKey}`);
             }
+            
+            // Save the chunk's edits so they come back when it streams in again
+            worldPersistence.releaseChunk(chunkKey);
+        },
+        
+        /**
+         * Use imported elevation data as the base terrain and regenerate every chunk
+         * @param {Object|null} dem - DEM from parseDEM, or null to go back to procedural terrain
+         */
+        setDEM(dem) {
+            const { maxHeight } = config.terrain;
+            
+            // Switch the main thread and every worker to the new terrain source
+            heightmapGenerator.setDEM(dem, maxHeight);
+            if (workerPool) {
+                workerPool.broadcast({ type: 'setDEM', dem: dem, maxHeight: maxHeight });
+            }
+            
+            this.reloadAllChunks();
+        },
+        
+        /**
+         * Get the area covered by the imported DEM
+         * @returns {Object|null} World space bounds, or null without a DEM
+         */
+        getDEMBounds() {
+            return heightmapGenerator.getDEMBounds();
+        },
+        
+        /**
+         * Register a custom biome (or replace one) and regenerate every chunk.
+         * Definitions are plain data (see biomeRegistry.js) so workers get them too.
+         * Throws for an invalid definition or a new biome past MAX_BIOMES.
+         * @param {string} biomeName - Key of the biome
+         * @param {Object} definition - Biome definition
+         * @returns {number} Index of the biome
+         */
+        registerBiome(biomeName, definition) {
+            // Register on the main thread first so an invalid definition throws here
+            const index = heightmapGenerator.registerBiome(biomeName, definition);
+            if (workerPool) {
+                workerPool.broadcast({ type: 'registerBiome', name: biomeName, definition: definition });
+            }
+            
+            // Give shader materials the new colors
+            if (terrainMaterial instanceof BABYLON.ShaderMaterial) {
+                setShaderBiomes(terrainMaterial, heightmapGenerator.getBiomes());
+            }
+            if (displacementMaterial) {
+                setShaderBiomes(displacementMaterial, heightmapGenerator.getBiomes());
+            }
+            
+            console.log(`Registered biome ${biomeName}`);
+            onBiomeRegisteredObservable.notifyObservers(biomeName);
+            
+            this.reloadAllChunks();
+            return index;
+        },
+        
+        /**
+         * Get the biome definitions in index order
+         * @returns {Array<Object>} Biome definitions
+         */
+        getBiomes() {
+            return heightmapGenerator.getBiomes();
+        },
+        
+        /**
+         * Get the dominant biome at a world position
+         * @param {number} worldX - X coordinate in world space
+         * @param {number} worldZ - Z coordinate in world space
+         * @returns {Object} Biome definition
+         */
+        getBiomeAtPosition(worldX, worldZ) {
+            return heightmapGenerator.getBiomeAtPosition(worldX, worldZ);
+        },
+        
+        /**
+         * Check whether a world position lies in the sea
+         * @param {number} worldX - X coordinate in world space
+         * @param {number} worldZ - Z coordinate in world space
+         * @returns {boolean} True at sea
+         */
+        isOcean(worldX, worldZ) {
+            return heightmapGenerator.isOcean(worldX, worldZ);
+        },
+        
+        /**
+         * Estimate the distance from a world position to the nearest coastline
+         * @param {number} worldX - X coordinate in world space
+         * @param {number} worldZ - Z coordinate in world space
+         * @returns {number} Distance in world units (Infinity without continents)
+         */
+        distanceToCoast(worldX, worldZ) {
+            return heightmapGenerator.distanceToCoast(worldX, worldZ);
+        },
+        
+        /**
+         * Get the sea level in world units
+         * @returns {number} Height of the sea surface
+         */
+        getSeaLevel() {
+            return heightmapGenerator.getSeaLevel() * config.terrain.maxHeight;
+        },
+        
+        /**
+         * Apply one dab of a sculpting brush and rebuild the loaded chunks it changed
+         * @param {Object} brush - Brush ({ type, radius, strength, falloff, target })
+         * @param {number} worldX - World X of the brush centre
+         * @param {number} worldZ - World Z of the brush centre
+         * @returns {Set<string>} Keys of the chunks whose edits changed
+         */
+        applyBrush(brush, worldX, worldZ) {
+            const { maxHeight } = config.terrain;
+            const { heightStep, noiseScale } = config.sculpt;
+            
+            const { changedChunks, haloChunks } = editLayer.applyBrush(brush, worldX, worldZ, (chunkKey, index) => {
+                // Edits build on the generated heights of loaded chunks
+                const heightmapData = chunkHeightmaps.get(chunkKey);
+                return heightmapData ? heightmapData.heights[index] : null;
+            }, {
+                maxHeight: maxHeight,
+                heightStep: heightStep,
+                noise: (x, z) => heightmapGenerator.getFractalNoise(x, z, { scale: noiseScale, octaves: 3 })
+            });
+            
+            // Save the changes once the stroke settles
+            worldPersistence.markDirty(changedChunks);
+            
+            // Changed chunks get their water rebuilt on the edited ground
+            for (const chunkKey of changedChunks) {
+                this.disposeWater(chunkKey);
+            }
+            
+            // Rebuild changed meshes at their current LOD without morphing, and the neighbours
+            // whose edge normals follow samples that changed next to their edge
+            for (const chunkKey of [...changedChunks, ...haloChunks]) {
+                const mesh = loadedChunks.get(chunkKey);
+                const heightmapData = chunkHeightmaps.get(chunkKey);
+                if (mesh && heightmapData) {
+                    this.buildChunkMesh(chunkKey, heightmapData, mesh.lodLevel, false, false);
+                }
+            }
+            
+            // Stand markers back on the edited ground
+            for (const chunkKey of changedChunks) {
+                if (!loadedChunks.has(chunkKey)) {
+                    continue;
+                }
+                
+                for (const marker of worldPersistence.getMarkers(chunkKey)) {
+                    worldPersistence.setMarkerHeight(chunkKey, marker.id, this.getHeightAtPosition(marker.x, marker.z));
+                }
+                this.refreshMarkers(chunkKey);
+            }
+            
+            return changedChunks;
+        },
+        
+        /**
+         * Get the layer holding sculpted height edits
+         * @returns {Object} Edit layer
+         */
+        getEditLayer() {
+            return editLayer;
+        },
+        
+        /**
+         * Place a marker on the terrain
+         * @param {number} worldX - World X coordinate
+         * @param {number} worldZ - World Z coordinate
+         * @param {string} [label=''] - Marker label
+         * @returns {Object} Created marker
+         */
+        addMarker(worldX, worldZ, label = '') {
+            const worldY = this.getHeightAtPosition(worldX, worldZ);
+            const marker = worldPersistence.addMarker(worldX, worldY, worldZ, config.terrain.chunkSize, label);
+            
+            if (loadedChunks.has(marker.chunkKey)) {
+                this.refreshMarkers(marker.chunkKey);
+            }
+            
+            return marker;
+        },
+        
+        /**
+         * Remove the marker closest to a position
+         * @param {number} worldX - World X coordinate
+         * @param {number} worldZ - World Z coordinate
+         * @param {number} maxDistance - Largest distance at which a marker is removed
+         * @returns {Object|null} Removed marker, or null if none was in range
+         */
+        removeNearestMarker(worldX, worldZ, maxDistance) {
+            const chunkSize = config.terrain.chunkSize;
+            const chunkX = Math.floor(worldX / chunkSize);
+            const chunkZ = Math.floor(worldZ / chunkSize);
+            
+            // Search the chunk under the position and its neighbours
+            let nearest = null;
+            let nearestDistance = maxDistance;
+            for (let z = chunkZ - 1; z <= chunkZ + 1; z++) {
+                for (let x = chunkX - 1; x <= chunkX + 1; x++) {
+                    for (const marker of worldPersistence.getMarkers(`${x}_${z}`)) {
+                        const distance = Math.hypot(marker.x - worldX, marker.z - worldZ);
+                        if (distance <= nearestDistance) {
+                            nearest = marker;
+                            nearestDistance = distance;
+                        }
+                    }
+                }
+            }
+            
+            if (nearest) {
+                worldPersistence.removeMarker(nearest.chunkKey, nearest.id);
+                this.refreshMarkers(nearest.chunkKey);
+            }
+            
+            return nearest;
+        },
+        
+        /**
+         * Rebuild the marker meshes of a loaded chunk
+         * @param {string} chunkKey - Chunk key
+         */
+        refreshMarkers(chunkKey) {
+            this.disposeMarkers(chunkKey);
+            markerMeshes.set(chunkKey, worldPersistence.getMarkers(chunkKey).map(marker => {
+                const markerMesh = terrainMeshBuilder.createMarkerMesh(marker, markerMaterial);
+                floatingOrigin.place(markerMesh, marker.x, marker.z);
+                return markerMesh;
+            }));
+        },
+        
+        /**
+         * Dispose the water surface of a chunk
+         * @param {string} chunkKey - Chunk key
+         */
+        disposeWater(chunkKey) {
+            const waterMesh = waterMeshes.get(chunkKey);
+            if (waterMesh) {
+                waterMesh.dispose();
+            }
+            waterMeshes.delete(chunkKey);
+        },
+        
+        /**
+         * Dispose the marker meshes of a chunk
+         * @param {string} chunkKey - Chunk key
+         */
+        disposeMarkers(chunkKey) {
+            for (const mesh of markerMeshes.get(chunkKey) || []) {
+                mesh.dispose();
+            }
+            markerMeshes.delete(chunkKey);
+        },
+        
+        /**
+         * Get the metadata stored with a chunk
+         * @param {string} chunkKey - Chunk key
+         * @returns {Object} Chunk metadata
+         */
+        getChunkMetadata(chunkKey) {
+            return worldPersistence.getMetadata(chunkKey);
+        },
+        
+        /**
+         * Store values in the metadata of a chunk
+         * @param {string} chunkKey - Chunk key
+         * @param {Object} values - Values to merge into the metadata
+         */
+        setChunkMetadata(chunkKey, values) {
+            worldPersistence.setMetadata(chunkKey, values);
+        },
+        
+        /**
+         * Save all pending world changes now
+         * @returns {Promise} Resolves when saved
+         */
+        saveWorld() {
+            return worldPersistence.flush();
+        },
+        
+        /**
+         * Write every edit, marker and chunk metadata of the world into one file
+         * @returns {Promise<string>} World file as JSON
+         */
+        exportWorld() {
+            return worldPersistence.exportWorld();
+        },
+        
+        /**
+         * Replace the world's edits, markers and metadata with a world file and reload the terrain
+         * @param {string} json - World file as JSON
+         * @returns {Promise<number>} Number of imported chunks
+         */
+        async importWorld(json) {
+            // Replace the store first, so a file that fails to load leaves the current world alone
+            const chunkKeys = await worldPersistence.importWorld(json);
+            
+            // Regenerate the terrain with the imported edits (unloading writes nothing back,
+            // as no chunk has been restored from the new store yet)
+            this.reloadAllChunks();
+            
+            console.log(`Imported world with ${chunkKeys.length} changed chunks`);
+            return chunkKeys.length;
+        },
+        
+        /**
+         * Export a rectangular region of chunks as heightmaps, meshes and a JSON sidecar
+         * @param {Object} bounds - Inclusive chunk range ({ minChunkX, minChunkZ, maxChunkX, maxChunkZ })
+         * @param {Array<string>} [formats] - Formats from png, raw, obj, gltf and json (defaults to all)
+         * @returns {Promise<Array<Object>>} Files ({ name, mimeType, data })
+         */
+        async exportRegion(bounds, formats) {
+            // Edits of chunks that are not loaded have to be read back first
+            const restores = [];
+            for (let z = bounds.minChunkZ; z <= bounds.maxChunkZ; z++) {
+                for (let x = bounds.minChunkX; x <= bounds.maxChunkX; x++) {
+                    restores.push(worldPersistence.restoreChunk(`${x}_${z}`));
+                }
+            }
+            await Promise.all(restores);
+            
+            return terrainExporter.exportRegion(bounds, formats);
+        },
+        
+        /**
+         * Get the floating origin that converts between world and render space
+         * @returns {Object} Floating origin
+         */
+        getFloatingOrigin() {
+            return floatingOrigin;
+        },
+        
+        /**
+         * Get the world seed the terrain is generated with (resolved if the config leaves it random)
+         * @returns {number} World seed
+         */
+        getSeed() {
+            return noiseConfig.seed;
+        },
+        
+        /**
+         * Move every chunk mesh after the floating origin shifted, so nothing moves in world space
+         * @param {Object} shift - Shift of the origin ({ x, z })
+         */
+        shiftMeshes(shift) {
+            for (const mesh of loadedChunks.values()) {
+                floatingOrigin.shiftMesh(mesh, shift);
+            }
+            
+            // A coarsening morph still shows the old mesh
+            for (const [chunkKey, morph] of lodMorphs.entries()) {
+                if (morph.mesh !== loadedChunks.get(chunkKey)) {
+                    floatingOrigin.shiftMesh(morph.mesh, shift);
+                }
+            }
+            
+            for (const waterMesh of waterMeshes.values()) {
+                if (waterMesh) {
+                    floatingOrigin.shiftMesh(waterMesh, shift);
+                }
+            }
+            
+            for (const meshes of markerMeshes.values()) {
+                for (const mesh of meshes) {
+                    floatingOrigin.shiftMesh(mesh, shift);
+                }
+            }
+            
+            for (const node of loadedNodes.values()) {
+                floatingOrigin.shiftMesh(node.mesh, shift);
+                if (node.waterMesh) {
+                    floatingOrigin.shiftMesh(node.waterMesh, shift);
+                }
+            }
+            
+            if (horizonRing) {
+                horizonRing.shiftMeshes(shift);
+            }
+        },
+        
+        /**
+         * Unload every chunk so the next update generates them again
+         */
+        reloadAllChunks() {
+            // Results still being generated belong to the old terrain
+            terrainRevision++;
+            
+            for (const chunkKey of [...loadedChunks.keys(), ...chunksInProgress]) {
+                this.unloadChunk(chunkKey);
+            }
+            
+            for (const nodeKey of [...loadedNodes.keys(), ...nodesInProgress]) {
+                this.unloadNode(nodeKey);
+            }
+            
+            if (horizonRing) {
+                horizonRing.clear();
+            }
+            
+            // Force the next update to load chunks around the camera again
+            lastCameraChunkX = null;
+            lastCameraChunkZ = null;
+            lastQuadtreeUpdateTime = 0;
         },
         
         /**
@@ -324,17 +1407,32 @@ export function initChunkManager(scene, camera, customMaterial = null) {
             const initialSize = config.terrain.initialChunks;
             const halfSize = Math.floor(initialSize / 2);
             
-            // Load initial chunks in a grid around origin with LOD based on distance
-            for (let z = -halfSize; z <= halfSize; z++) {
-                for (let x = -halfSize; x <= halfSize; x++) {
-                    // Calculate distance from center
-                    const distance = Math.abs(x) + Math.abs(z);
-                    
-                    // Calculate LOD level based on distance
-                    const lodLevel = this.calculateLODLevelForDistance(distance);
-                    
-                    // Load chunk with appropriate LOD
-                    this.loadChunk(x, z, lodLevel);
+            if (horizonRing) {
+                // Fade the ring into fog at the horizon and keep it inside the far clip plane
+                const { distance, fogStart, tileSize } = config.terrain.horizon;
+                scene.fogMode = BABYLON.Scene.FOGMODE_LINEAR;
+                scene.fogStart = distance * fogStart;
+                scene.fogEnd = distance;
+                scene.fogEnabled = true;
+                camera.maxZ = Math.max(camera.maxZ, distance + tileSize * 2);
+            }
+            
+            if (quadtree) {
+                // The quadtree loads everything on the first update; see its nodes out to the horizon
+                camera.maxZ = Math.max(camera.maxZ, config.terrain.quadtree.horizonDistance * 2);
+            } else {
+                // Load initial chunks in a grid around origin with LOD based on distance
+                for (let z = -halfSize; z <= halfSize; z++) {
+                    for (let x = -halfSize; x <= halfSize; x++) {
+                        // Calculate distance from center
+                        const distance = Math.abs(x) + Math.abs(z);
+                        
+                        // Calculate LOD level based on distance
+                        const lodLevel = this.calculateLODLevelForDistance(distance);
+                        
+                        // Load chunk with appropriate LOD
+                        this.loadChunk(x, z, lodLevel);
+                    }
                 }
             }
             
@@ -343,7 +1441,21 @@ export function initChunkManager(scene, camera, customMaterial = null) {
                 this.update();
             });
             
-            console.log(`Initialized terrain with ${initialSize}x${initialSize} chunks using adaptive LOD`);
+            // Keep chunk meshes in place when the floating origin moves
+            floatingOrigin.onShiftObservable.add(shift => {
+                this.shiftMeshes(shift);
+            });
+            
+            // Save pending edits when the page is hidden or closed
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    worldPersistence.flush();
+                }
+            });
+            
+            console.log(quadtree
+                ? `Initialized quadtree terrain out to ${config.terrain.quadtree.horizonDistance} units`
+                : `Initialized terrain with ${initialSize}x${initialSize} chunks using adaptive LOD`);
         },
         
         /**
@@ -363,7 +1475,7 @@ export function initChunkManager(scene, camera, customMaterial = null) {
         },
         
         /**
-         * Get the total number of vertices in all loaded chunks
+         * Get the total number of vertices in all loaded chunks, quadtree nodes and horizon tiles
          * @returns {number} The total vertex count
          */
         getTotalVertexCount() {
@@ -373,11 +1485,19 @@ export function initChunkManager(scene, camera, customMaterial = null) {
                 count += mesh.getTotalVertices();
             }
             
+            for (const node of loadedNodes.values()) {
+                count += node.mesh.getTotalVertices();
+            }
+            
+            for (const mesh of horizonRing ? horizonRing.getMeshes() : []) {
+                count += mesh.getTotalVertices();
+            }
+            
             return count;
         },
         
         /**
-         * Get the total number of faces in all loaded chunks
+         * Get the total number of faces in all loaded chunks, quadtree nodes and horizon tiles
          * @returns {number} The total face count
          */
         getTotalFaceCount() {
@@ -388,18 +1508,163 @@ export function initChunkManager(scene, camera, customMaterial = null) {
                 count += mesh.getTotalIndices() / 3;
             }
             
+            for (const node of loadedNodes.values()) {
+                count += node.mesh.getTotalIndices() / 3;
+            }
+            
+            for (const mesh of horizonRing ? horizonRing.getMeshes() : []) {
+                count += mesh.getTotalIndices() / 3;
+            }
+            
             return count;
         },
         
         /**
-         * Get height at a specific world position
+         * Measure how far the edge normals of a loaded chunk differ from those of its
+         * loaded neighbours along the shared edges (generated heights, without edits)
+         * @param {string} chunkKey - Chunk key
+         * @returns {number|null} Largest difference of a normal component, or null if no neighbour is loaded
+         */
+        measureNormalSeam(chunkKey) {
+            const heightmapData = chunkHeightmaps.get(chunkKey);
+            if (!heightmapData) {
+                return null;
+            }
+            
+            const [chunkX, chunkZ] = chunkKey.split('_').map(Number);
+            const { resolution } = heightmapData;
+            const normals = heightmapData.vertexData.normals;
+            
+            // Vertex index along each edge of this chunk, and along the same edge of the neighbour
+            const edges = [
+                { dx: 1, dz: 0, own: i => i * resolution + resolution - 1, other: i => i * resolution },
+                { dx: -1, dz: 0, own: i => i * resolution, other: i => i * resolution + resolution - 1 },
+                { dx: 0, dz: 1, own: i => (resolution - 1) * resolution + i, other: i => i },
+                { dx: 0, dz: -1, own: i => i, other: i => (resolution - 1) * resolution + i }
+            ];
+            
+            let largest = null;
+            for (const edge of edges) {
+                const neighbor = chunkHeightmaps.get(`${chunkX + edge.dx}_${chunkZ + edge.dz}`);
+                if (!neighbor) {
+                    continue;
+                }
+                
+                const neighborNormals = neighbor.vertexData.normals;
+                largest = largest || 0;
+                for (let i = 0; i < resolution; i++) {
+                    const own = edge.own(i) * 3;
+                    const other = edge.other(i) * 3;
+                    for (let k = 0; k < 3; k++) {
+                        largest = Math.max(largest, Math.abs(normals[own + k] - neighborNormals[other + k]));
+                    }
+                }
+            }
+            
+            return largest;
+        },
+        
+        /**
+         * Find the terrain point under a screen position
+         * @param {number} screenX - X coordinate on the canvas
+         * @param {number} screenY - Y coordinate on the canvas
+         * @param {BABYLON.Camera} [pickCamera=camera] - Camera to pick through (the tracked camera by default)
+         * @returns {BABYLON.Vector3|null} Picked point in render space, or null if no terrain is there
+         */
+        pickTerrain(screenX, screenY, pickCamera = camera) {
+            // Voxel chunks have their own triangles to pick
+            const pick = scene.pick(
+                screenX, screenY, mesh => mesh.isVoxel === true && mesh.name.startsWith('terrain_'), false, pickCamera
+            );
+            const meshHit = pick && pick.hit ? pick : null;
+            
+            // Heightmap chunks share their index buffers (and displaced ones are flat on the CPU), so
+            // march the ray over the heights they are drawn with, up to the nearest voxel hit or past
+            // the loaded chunks
+            const { chunkSize, chunkResolution, unloadDistance } = config.terrain;
+            const ray = scene.createPickingRay(screenX, screenY, BABYLON.Matrix.Identity(), pickCamera);
+            const step = chunkSize / (chunkResolution - 1);
+            const maxDistance = meshHit ? meshHit.distance : unloadDistance * chunkSize;
+            
+            // Height of the ray above the terrain at a distance along it (voxel chunks are left to the pick above)
+            const heightAbove = distance => {
+                const point = ray.origin.add(ray.direction.scale(distance));
+                const world = floatingOrigin.toWorld(point.x, point.z);
+                const mesh = loadedChunks.get(`${Math.floor(world.x / chunkSize)}_${Math.floor(world.z / chunkSize)}`);
+                if (mesh && mesh.isVoxel) {
+                    return Infinity;
+                }
+                return point.y - this.getHeightAtPosition(world.x, world.z);
+            };
+            
+            // Nothing to hit from under the terrain
+            if (heightAbove(0) < 0) {
+                return meshHit ? meshHit.pickedPoint : null;
+            }
+            
+            for (let distance = step; distance < maxDistance + step; distance += step) {
+                const end = Math.min(distance, maxDistance);
+                if (heightAbove(end) > 0) {
+                    continue;
+                }
+                
+                // Narrow down where the ray crosses the surface between the last two samples
+                let near = end - step;
+                let far = end;
+                for (let i = 0; i < 10; i++) {
+                    const middle = (near + far) / 2;
+                    if (heightAbove(middle) > 0) {
+                        near = middle;
+                    } else {
+                        far = middle;
+                    }
+                }
+                
+                return ray.origin.add(ray.direction.scale(far));
+            }
+            
+            return meshHit ? meshHit.pickedPoint : null;
+        },
+        
+        /**
+         * Get height at a specific world position.
+         * Follows the triangles of the loaded chunk mesh (including stitched edges and
+         * LOD morphs), or of the mesh the chunk would get at its LOD if it is not loaded.
          * @param {number} worldX - World X coordinate
          * @param {number} worldZ - World Z coordinate
+         * @param {Object} [options={}] - Sampling options
+         * @param {boolean} [options.analytic=false] - Return the noise height instead of the mesh surface
          * @returns {number} Height at the specified position
          */
-        getHeightAtPosition(worldX, worldZ) {
+        getHeightAtPosition(worldX, worldZ, options = {}) {
+            const chunkSize = config.terrain.chunkSize;
+            
+            // Find the chunk under the position
+            const chunkX = Math.floor(worldX / chunkSize);
+            const chunkZ = Math.floor(worldZ / chunkSize);
+            const chunkKey = `${chunkX}_${chunkZ}`;
+            
+            // A chunk coarsening its LOD still shows the morphing mesh
+            const morph = lodMorphs.get(chunkKey);
+            const mesh = morph ? morph.mesh : loadedChunks.get(chunkKey);
+            
+            // LOD the chunk is shown at, or would be loaded at (Manhattan distance)
+            const cameraPosition = floatingOrigin.getCameraWorldPosition();
+            const cameraChunkX = Math.floor(cameraPosition.x / chunkSize);
+            const cameraChunkZ = Math.floor(cameraPosition.z / chunkSize);
+            const lodLevel = mesh ? mesh.lodLevel : this.calculateLODLevelForDistance(
+                Math.abs(chunkX - cameraChunkX) + Math.abs(chunkZ - cameraChunkZ)
+            );
+            
             return heightmapGenerator.getHeightAtPosition(
-                worldX, worldZ, config.terrain.maxHeight
+                worldX, worldZ, config.terrain.maxHeight, {
+                    analytic: options.analytic,
+                    chunkSize: chunkSize,
+                    resolution: config.terrain.chunkResolution,
+                    lodLevel: lodLevel,
+                    positions: mesh ? mesh.gridPositions : null,
+                    gridResolution: mesh ? mesh.gridResolution : null
+                }
             );
         }
     };
@@ -408,4 +1673,52 @@ export function initChunkManager(scene, camera, customMaterial = null) {
     chunkManager.initialize();
     
     return chunkManager;
+}
+
+/**
+ * Create the material for GPU displaced chunks if it is enabled and supported
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ * @param {Array<Object>} biomes - Biome definitions by index
+ * @returns {BABYLON.ShaderMaterial|null} Displacement material, or null to build chunk meshes on the CPU
+ */
+function createDisplacementMaterial(scene, biomes) {
+    if (!config.terrain.gpuDisplacement) {
+        return null;
+    }
+    
+    if (!supportsGPUDisplacement(scene.getEngine())) {
+        console.warn('GPU displacement needs WebGL 2 and float textures in vertex shaders, building chunk meshes on the CPU');
+        return null;
+    }
+    
+    return createShaderTerrainMaterial(scene, biomes, { displacement: true });
+}
+
+/**
+ * Create the worker pool used for chunk generation
+ * @param {Object} noiseConfig - Noise settings with the resolved seed, sent to every worker
+ * @returns {Object|null} Worker pool, or null if workers are disabled or unsupported
+ */
+function createTerrainWorkerPool(noiseConfig) {
+    if (!config.performance.useWebWorkers || typeof Worker === 'undefined') {
+        return null;
+    }
+    
+    try {
+        // Leave one core for the render loop
+        const cores = navigator.hardwareConcurrency || 2;
+        const poolSize = Math.max(1, Math.min(config.performance.workerPoolSize, cores - 1));
+        
+        const workerPool = createWorkerPool(
+            new URL('../workers/terrainWorker.js', import.meta.url),
+            poolSize,
+            { type: 'init', noiseConfig }
+        );
+        
+        console.log(`Started ${poolSize} terrain workers`);
+        return workerPool;
+    } catch (error) {
+        console.warn('Could not start terrain workers, generating on the main thread:', error);
+        return null;
+    }
 }
\ No newline at end of file
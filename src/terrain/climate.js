@@ -0,0 +1,143 @@
+/**
+ * Climate model for biome selection
+ *
+ * Temperature falls from the equator towards the poles and with altitude
+ * (the lapse rate). Precipitation follows wet and dry latitude bands, drops
+ * away from the coast and in the rain shadow behind ridges upwind. Biomes are
+ * then looked up in a Whittaker-style table of temperature and precipitation.
+ */
+import { matchesRule } from './biomeRegistry.js';
+
+/**
+ * Creates a climate model
+ * @param {Object} noiseGenerator - Noise generator providing terrain heights, the sea and fractal noise
+ * @param {Object} climateConfig - Climate settings (config.noise.climate)
+ * @returns {Object} Climate model
+ */
+export function createClimateModel(noiseGenerator, climateConfig) {
+    const {
+        poleDistance, equatorTemperature, poleTemperature, lapseRate, peakAltitude,
+        temperatureVariation, temperatureScale,
+        minPrecipitation, maxPrecipitation, precipitationScale, latitudeMoisture,
+        continentality, inlandDistance, rainShadow, biomeTable
+    } = climateConfig;
+    
+    // Prevailing wind as a unit vector
+    const windLength = Math.hypot(rainShadow.windDirection[0], rainShadow.windDirection[1]) || 1;
+    const windX = rainShadow.windDirection[0] / windLength;
+    const windZ = rainShadow.windDirection[1] / windLength;
+    
+    return {
+        /**
+         * Get the climate at a world position
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {Object} Temperature in °C, precipitation in cm per year and normalized terrain height
+         */
+        getClimate(x, z) {
+            // Biomes reshape the relief, so the climate that picks them uses the unshaped terrain
+            const height = noiseGenerator.getHeight(x, z, false);
+            const latitude = getLatitude(z, poleDistance);
+            
+            return {
+                temperature: this.getTemperature(x, z, height, latitude),
+                precipitation: this.getPrecipitation(x, z, height, latitude),
+                height: height
+            };
+        },
+        
+        /**
+         * Get the mean annual temperature
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @param {number} height - Normalized terrain height at the position
+         * @param {number} latitude - Latitude from 0 (equator) to 1 (pole)
+         * @returns {number} Temperature in °C
+         */
+        getTemperature(x, z, height, latitude) {
+            // Warm at the equator, cold at the poles
+            let temperature = equatorTemperature + (poleTemperature - equatorTemperature) * latitude * latitude;
+            
+            // Colder with altitude above the sea
+            const seaLevel = noiseGenerator.getSeaLevel();
+            const altitude = Math.max(0, height - seaLevel) / (1 - seaLevel) * peakAltitude;
+            temperature -= lapseRate * altitude / 1000;
+            
+            // Regional warm and cold spells
+            const variation = noiseGenerator.getFractalNoise(x + 3000, z - 3000, { scale: temperatureScale, octaves: 3 });
+            return temperature + (variation * 2 - 1) * temperatureVariation;
+        },
+        
+        /**
+         * Get the mean annual precipitation
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @param {number} height - Normalized terrain height at the position
+         * @param {number} latitude - Latitude from 0 (equator) to 1 (pole)
+         * @returns {number} Precipitation in cm per year
+         */
+        getPrecipitation(x, z, height, latitude) {
+            // Regional wet and dry areas
+            const noise = noiseGenerator.getFractalNoise(x - 5000, z + 5000, { scale: precipitationScale, octaves: 3 });
+            let precipitation = minPrecipitation + (maxPrecipitation - minPrecipitation) * noise;
+            
+            // Wet equator and mid latitudes, dry subtropics and poles
+            precipitation *= 1 + latitudeMoisture * Math.cos(latitude * Math.PI * 3);
+            
+            // Drier far from the sea
+            const inland = Math.min(1, noiseGenerator.distanceToCoast(x, z) / inlandDistance);
+            if (!noiseGenerator.isOcean(x, z)) {
+                precipitation *= 1 - continentality * inland;
+            }
+            
+            // Drier behind ridges that catch the rain upwind
+            precipitation *= 1 - rainShadow.strength * this.getRainShadow(x, z, height);
+            
+            return Math.max(0, precipitation);
+        },
+        
+        /**
+         * Get how strongly terrain upwind blocks the prevailing wind
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @param {number} height - Normalized terrain height at the position
+         * @returns {number} Shadow in range [0, 1]
+         */
+        getRainShadow(x, z, height) {
+            const { steps, stepDistance, ridgeHeight } = rainShadow;
+            let shadow = 0;
+            
+            // Walk upwind and keep the highest ridge above this position, fading with distance
+            for (let step = 1; step <= steps; step++) {
+                const distance = step * stepDistance;
+                const upwind = noiseGenerator.getHeight(x - windX * distance, z - windZ * distance, false);
+                const fade = 1 - (step - 1) / steps;
+                shadow = Math.max(shadow, (upwind - height) / ridgeHeight * fade);
+            }
+            
+            return Math.min(1, shadow);
+        },
+        
+        /**
+         * Pick a biome from the biome table
+         * @param {Object} climate - Climate from getClimate
+         * @returns {string|null} Name of the first matching biome, or null if no entry matches
+         */
+        classify(climate) {
+            const entry = biomeTable.find(candidate => matchesRule(candidate, climate));
+            return entry ? entry.biome : null;
+        }
+    };
+}
+
+/**
+ * Latitude of a world Z coordinate. The world repeats equator to pole to
+ * equator along Z, so an endless world never runs out of climate.
+ * @param {number} z - Z coordinate in world space
+ * @param {number} poleDistance - Distance from the equator to a pole in world units
+ * @returns {number} Latitude from 0 (equator) to 1 (pole)
+ */
+function getLatitude(z, poleDistance) {
+    const t = (Math.abs(z) / poleDistance) % 2;
+    return t <= 1 ? t : 2 - t;
+}
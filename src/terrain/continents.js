@@ -0,0 +1,130 @@
+/**
+ * Continents, oceans and coastlines
+ *
+ * A very low frequency noise mask splits the world into land and sea. The
+ * coastline is where the mask crosses the coast level; its fractal octaves
+ * give bays, peninsulas and offshore islands. Land rises from the sea level
+ * over a coastal strip, and the sea floor drops over a shallow shelf and a
+ * slope down to the ocean floor. Distances are estimated from the mask's
+ * gradient, so every query is a pure function of world position.
+ */
+
+/**
+ * Creates a continent mask
+ * @param {Object} noiseGenerator - Noise generator providing fractal noise
+ * @param {Object} continentConfig - Continent settings (config.noise.continents)
+ * @returns {Object} Continent mask
+ */
+export function createContinentMask(noiseGenerator, continentConfig) {
+    const {
+        enabled, scale, octaves, coastLevel, offset, seaLevel,
+        coastWidth, shelfWidth, shelfDepth, slopeWidth, oceanDepth
+    } = continentConfig;
+    
+    // Noise settings of the mask and of the smoother field its gradient is taken from
+    const maskSettings = { scale: scale, octaves: octaves };
+    const gradientSettings = { scale: scale, octaves: Math.min(octaves, 2) };
+    
+    // Finite difference step for the gradient, and the smallest gradient trusted for distances
+    const gradientStep = 0.05 / scale;
+    const minGradient = scale * 0.3;
+    
+    /**
+     * Mask value relative to the coast level at a world position
+     * @param {number} x - X coordinate in world space
+     * @param {number} z - Z coordinate in world space
+     * @param {Object} settings - Noise settings
+     * @returns {number} Positive on land, negative at sea
+     */
+    const coastSignal = (x, z, settings) => {
+        return noiseGenerator.getFractalNoise(x + offset[0], z + offset[1], settings) - coastLevel;
+    };
+    
+    return {
+        /**
+         * Get the sea level
+         * @returns {number} Normalized sea level (0 when continents are disabled)
+         */
+        getSeaLevel() {
+            return enabled ? seaLevel : 0;
+        },
+        
+        /**
+         * Check whether a position lies in the sea
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {boolean} True at sea
+         */
+        isOcean(x, z) {
+            return enabled && coastSignal(x, z, maskSettings) < 0;
+        },
+        
+        /**
+         * Estimate the distance to the nearest coastline
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {number} Distance in world units, on land and at sea alike (Infinity when disabled)
+         */
+        distanceToCoast(x, z) {
+            if (!enabled) {
+                return Infinity;
+            }
+            
+            return Math.abs(this.getSignedDistance(x, z));
+        },
+        
+        /**
+         * Estimate the signed distance to the coastline: the mask value divided by the slope of the mask
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {number} Distance in world units (positive on land, negative at sea)
+         */
+        getSignedDistance(x, z) {
+            const signal = coastSignal(x, z, maskSettings);
+            
+            // Slope of the smoother field, so small detail does not throw the estimate off
+            const center = coastSignal(x, z, gradientSettings);
+            const dx = (coastSignal(x + gradientStep, z, gradientSettings) - center) / gradientStep;
+            const dz = (coastSignal(x, z + gradientStep, gradientSettings) - center) / gradientStep;
+            const gradient = Math.max(Math.sqrt(dx * dx + dz * dz), minGradient);
+            
+            return signal / gradient;
+        },
+        
+        /**
+         * Raise land above the sea and sink the sea floor
+         * @param {number} height - Normalized terrain height in range [0, 1]
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {number} Shaped height in range [0, 1]
+         */
+        shapeHeight(height, x, z) {
+            if (!enabled) {
+                return height;
+            }
+            
+            const distance = this.getSignedDistance(x, z);
+            
+            // Land: the terrain sits on the sea level and grows to full height inland
+            if (distance >= 0) {
+                return seaLevel + height * (1 - seaLevel) * smoothstep(distance / coastWidth);
+            }
+            
+            // Sea: a shallow shelf, then a slope down to the ocean floor
+            const offshore = -distance;
+            const shelf = shelfDepth * smoothstep(offshore / shelfWidth);
+            const slope = (oceanDepth - shelfDepth) * smoothstep((offshore - shelfWidth) / slopeWidth);
+            return Math.max(0, seaLevel - shelf - slope);
+        }
+    };
+}
+
+/**
+ * Smooth step clamped to [0, 1]
+ * @param {number} t - Input
+ * @returns {number} Smoothed value in range [0, 1]
+ */
+function smoothstep(t) {
+    const x = Math.max(0, Math.min(1, t));
+    return x * x * (3 - 2 * x);
+}
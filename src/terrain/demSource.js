@@ -0,0 +1,370 @@
+/**
+ * Digital elevation model (DEM) import
+ *
+ * Reads 16-bit grayscale PNG, headerless 16-bit RAW and ESRI ASCII Grid files
+ * into a plain grid of elevations, and samples that grid in world space so it
+ * can replace the procedural terrain. Parsed DEMs only hold typed arrays and
+ * numbers, so they can be posted to terrain workers as they are.
+ */
+
+// PNG file signature
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// File extensions of each supported format
+const DEM_FORMATS = {
+    png: 'png',
+    raw: 'raw',
+    r16: 'raw',
+    asc: 'ascii',
+    grd: 'ascii'
+};
+
+/**
+ * Parse a DEM file
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fileName - File name, used to pick the format
+ * @param {Object} [options={}] - Format options
+ * @param {number} [options.rawWidth] - Samples per row of a RAW file (defaults to a square)
+ * @param {boolean} [options.rawLittleEndian=true] - Byte order of a RAW file
+ * @returns {Promise<Object>} DEM ({ width, height, values, cellSize, noData, minValue, maxValue })
+ */
+export async function parseDEM(buffer, fileName, options = {}) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    
+    switch (DEM_FORMATS[extension]) {
+        case 'png':
+            return finishDEM(await parsePNG(buffer));
+        case 'raw':
+            return finishDEM(parseRAW(buffer, options.rawWidth, options.rawLittleEndian ?? true));
+        case 'ascii':
+            return finishDEM(parseASCIIGrid(new TextDecoder().decode(buffer)));
+        default:
+            throw new Error(`Unsupported DEM file "${fileName}" (expected .png, .raw, .r16, .asc or .grd)`);
+    }
+}
+
+/**
+ * Create a sampler placing a DEM in world space
+ * @param {Object} dem - DEM from parseDEM
+ * @param {Object} demConfig - DEM settings (config.noise.dem)
+ * @param {number} maxHeight - Maximum terrain height in world units
+ * @returns {Object} DEM source
+ */
+export function createDemSource(dem, demConfig, maxHeight) {
+    const { width, height, values, noData } = dem;
+    
+    // Horizontal size of a sample and vertical scale, both in world units
+    const metersPerUnit = demConfig.metersPerUnit || 1;
+    const spacing = (dem.cellSize || demConfig.metersPerPixel || 1) / metersPerUnit;
+    const heightScale = (demConfig.valueScale ?? 1) * (demConfig.verticalScale ?? 1) / metersPerUnit / maxHeight;
+    
+    // Elevation placed at height zero
+    const baseElevation = demConfig.baseElevation ?? dem.minValue;
+    
+    // World position of the first sample (the north-west corner) with the DEM centred on config.center
+    const [centerX, centerZ] = demConfig.center || [0, 0];
+    const originX = centerX - (width - 1) * spacing / 2;
+    const originZ = centerZ + (height - 1) * spacing / 2;
+    
+    // Width of the blend into procedural terrain, in world units
+    const blendWidth = demConfig.blendWidth ?? 100;
+    
+    return {
+        /**
+         * Sample the DEM at a world position
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {Object|null} Normalized height and blend weight, or null outside the DEM
+         */
+        sample(x, z) {
+            // Grid position (rows run from north to south)
+            const gx = (x - originX) / spacing;
+            const gz = (originZ - z) / spacing;
+            if (gx < 0 || gz < 0 || gx > width - 1 || gz > height - 1) {
+                return null;
+            }
+            
+            // Cell containing the position
+            const cellX = Math.min(Math.floor(gx), width - 2);
+            const cellZ = Math.min(Math.floor(gz), height - 2);
+            const fx = gx - cellX;
+            const fz = gz - cellZ;
+            
+            // Bilinear weights of the four corners, skipping missing samples
+            let elevation = 0;
+            let validWeight = 0;
+            const corners = [
+                [cellX, cellZ, (1 - fx) * (1 - fz)],
+                [cellX + 1, cellZ, fx * (1 - fz)],
+                [cellX, cellZ + 1, (1 - fx) * fz],
+                [cellX + 1, cellZ + 1, fx * fz]
+            ];
+            for (const [cx, cz, weight] of corners) {
+                const value = values[cz * width + cx];
+                if (value !== noData && !Number.isNaN(value)) {
+                    elevation += value * weight;
+                    validWeight += weight;
+                }
+            }
+            if (validWeight === 0) {
+                return null;
+            }
+            
+            // Fade towards the edge of the DEM and around missing samples
+            const edgeDistance = Math.min(gx, gz, width - 1 - gx, height - 1 - gz) * spacing;
+            const edge = blendWidth > 0 ? Math.min(1, edgeDistance / blendWidth) : 1;
+            
+            return {
+                height: Math.max(0, Math.min(1, (elevation / validWeight - baseElevation) * heightScale)),
+                weight: edge * edge * (3 - 2 * edge) * validWeight
+            };
+        },
+        
+        /**
+         * Get the area covered by the DEM
+         * @returns {Object} World space bounds ({ minX, maxX, minZ, maxZ })
+         */
+        getBounds() {
+            return {
+                minX: originX,
+                maxX: originX + (width - 1) * spacing,
+                minZ: originZ - (height - 1) * spacing,
+                maxZ: originZ
+            };
+        }
+    };
+}
+
+/**
+ * Add the elevation range to a parsed DEM
+ * @param {Object} dem - DEM with width, height, values, cellSize and noData
+ * @returns {Object} The same DEM with minValue and maxValue
+ */
+function finishDEM(dem) {
+    if (dem.width < 2 || dem.height < 2) {
+        throw new Error(`DEM must be at least 2x2 samples (got ${dem.width}x${dem.height})`);
+    }
+    
+    let minValue = Infinity;
+    let maxValue = -Infinity;
+    for (const value of dem.values) {
+        if (value !== dem.noData && !Number.isNaN(value)) {
+            minValue = Math.min(minValue, value);
+            maxValue = Math.max(maxValue, value);
+        }
+    }
+    if (minValue === Infinity) {
+        throw new Error('DEM has no valid samples');
+    }
+    
+    dem.minValue = minValue;
+    dem.maxValue = maxValue;
+    return dem;
+}
+
+/**
+ * Parse a grayscale PNG (8 or 16 bits per sample, not interlaced)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} DEM without elevation range
+ */
+async function parsePNG(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    
+    if (!PNG_SIGNATURE.every((value, index) => bytes[index] === value)) {
+        throw new Error('Not a PNG file');
+    }
+    
+    // Read the header and collect the compressed image data
+    let width = 0;
+    let height = 0;
+    let bitDepth = 0;
+    const dataChunks = [];
+    let offset = PNG_SIGNATURE.length;
+    
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const start = offset + 8;
+        
+        if (type === 'IHDR') {
+            width = view.getUint32(start);
+            height = view.getUint32(start + 4);
+            bitDepth = bytes[start + 8];
+            const colorType = bytes[start + 9];
+            const interlace = bytes[start + 12];
+            
+            if (colorType !== 0 || (bitDepth !== 8 && bitDepth !== 16)) {
+                throw new Error(`DEM PNG must be 8 or 16-bit grayscale (color type ${colorType}, ${bitDepth} bits)`);
+            }
+            if (interlace !== 0) {
+                throw new Error('Interlaced DEM PNGs are not supported');
+            }
+        } else if (type === 'IDAT') {
+            dataChunks.push(bytes.subarray(start, start + length));
+        } else if (type === 'IEND') {
+            break;
+        }
+        
+        // Skip the data and CRC
+        offset = start + length + 4;
+    }
+    
+    if (!width || dataChunks.length === 0) {
+        throw new Error('DEM PNG has no image data');
+    }
+    
+    // Decompress and undo the per-row filters
+    const raw = await inflate(dataChunks);
+    const bytesPerSample = bitDepth / 8;
+    const rowLength = width * bytesPerSample;
+    const pixels = unfilterRows(raw, rowLength, height, bytesPerSample);
+    
+    // Samples are big-endian
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = bytesPerSample === 2
+            ? (pixels[i * 2] << 8) | pixels[i * 2 + 1]
+            : pixels[i];
+    }
+    
+    return { width, height, values, cellSize: null, noData: null };
+}
+
+/**
+ * Parse headerless 16-bit unsigned RAW samples
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {number} [width] - Samples per row (defaults to a square)
+ * @param {boolean} littleEndian - Byte order
+ * @returns {Object} DEM without elevation range
+ */
+function parseRAW(buffer, width, littleEndian) {
+    const sampleCount = Math.floor(buffer.byteLength / 2);
+    const rowWidth = width || Math.round(Math.sqrt(sampleCount));
+    const height = Math.floor(sampleCount / rowWidth);
+    
+    if (rowWidth * height !== sampleCount) {
+        throw new Error(`RAW DEM with ${sampleCount} samples is not ${rowWidth} samples wide`);
+    }
+    
+    const view = new DataView(buffer);
+    const values = new Float32Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+        values[i] = view.getUint16(i * 2, littleEndian);
+    }
+    
+    return { width: rowWidth, height, values, cellSize: null, noData: null };
+}
+
+/**
+ * Parse an ESRI ASCII Grid
+ * @param {string} text - File contents
+ * @returns {Object} DEM without elevation range
+ */
+function parseASCIIGrid(text) {
+    const tokens = text.trim().split(/\s+/);
+    const header = {};
+    let index = 0;
+    
+    // Header lines are key/value pairs before the first number
+    while (index < tokens.length && Number.isNaN(Number(tokens[index]))) {
+        header[tokens[index].toLowerCase()] = Number(tokens[index + 1]);
+        index += 2;
+    }
+    
+    const width = header.ncols;
+    const height = header.nrows;
+    if (!width || !height) {
+        throw new Error('ASCII Grid is missing ncols or nrows');
+    }
+    if (tokens.length - index < width * height) {
+        throw new Error(`ASCII Grid has ${tokens.length - index} values, expected ${width * height}`);
+    }
+    
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = Number(tokens[index + i]);
+    }
+    
+    return {
+        width,
+        height,
+        values,
+        cellSize: header.cellsize || null,
+        // Round the no-data marker the same way the samples were stored
+        noData: header.nodata_value !== undefined ? Math.fround(header.nodata_value) : null
+    };
+}
+
+/**
+ * Decompress zlib data split over several chunks
+ * @param {Array<Uint8Array>} chunks - Compressed data
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+async function inflate(chunks) {
+    const stream = new Blob(chunks).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reverse PNG row filters
+ * @param {Uint8Array} raw - Decompressed rows, each starting with a filter byte
+ * @param {number} rowLength - Bytes per row without the filter byte
+ * @param {number} rowCount - Number of rows
+ * @param {number} bytesPerPixel - Bytes per pixel
+ * @returns {Uint8Array} Unfiltered pixel bytes
+ */
+function unfilterRows(raw, rowLength, rowCount, bytesPerPixel) {
+    if (raw.length < (rowLength + 1) * rowCount) {
+        throw new Error('DEM PNG image data is truncated');
+    }
+    
+    const pixels = new Uint8Array(rowLength * rowCount);
+    
+    for (let row = 0; row < rowCount; row++) {
+        const filter = raw[row * (rowLength + 1)];
+        const source = row * (rowLength + 1) + 1;
+        const target = row * rowLength;
+        
+        for (let i = 0; i < rowLength; i++) {
+            // Neighbouring bytes already unfiltered: left, above and above-left
+            const left = i >= bytesPerPixel ? pixels[target + i - bytesPerPixel] : 0;
+            const up = row > 0 ? pixels[target - rowLength + i] : 0;
+            const upLeft = row > 0 && i >= bytesPerPixel ? pixels[target - rowLength + i - bytesPerPixel] : 0;
+            
+            let predictor;
+            switch (filter) {
+                case 0: predictor = 0; break;
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: predictor = paethPredictor(left, up, upLeft); break;
+                default:
+                    throw new Error(`Unknown PNG filter type ${filter}`);
+            }
+            
+            pixels[target + i] = (raw[source + i] + predictor) & 0xFF;
+        }
+    }
+    
+    return pixels;
+}
+
+/**
+ * PNG Paeth predictor
+ * @param {number} a - Left byte
+ * @param {number} b - Above byte
+ * @param {number} c - Above-left byte
+ * @returns {number} Predicted byte
+ */
+function paethPredictor(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    
+    if (pa <= pb && pa <= pc) {
+        return a;
+    }
+    return pb <= pc ? b : c;
+}
@@ -0,0 +1,209 @@
+/**
+ * Voxel density fields for overhangs, arches and caves
+ *
+ * The density of a point is its depth below the heightmap surface in world
+ * units, plus 3D noise that pushes ground out over cliffs and hollows out
+ * tunnels. Voxel chunks are picked per chunk, and their 3D features fade out
+ * towards neighbouring heightmap chunks, so both kinds of chunk meet on the
+ * same surface.
+ */
+
+/**
+ * Creates a density field
+ * @param {Object} noiseGenerator - Noise generator providing 2D and 3D fractal noise
+ * @param {Object} voxelConfig - Voxel settings (config.noise.voxel)
+ * @returns {Object} Density field
+ */
+export function createDensityField(noiseGenerator, voxelConfig) {
+    const { enabled, regions, regionScale, regionThreshold, fadeWidth, overhang, caves } = voxelConfig;
+    
+    // Voxel chunk decisions by chunk key (they only depend on the seed)
+    const voxelChunks = new Map();
+    
+    // Cave walls get roughly one unit of density per world unit, like the surface
+    const caveWallScale = 1 / (caves.scale * 1.5);
+    
+    return {
+        /**
+         * Check whether a chunk is built from voxels
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         * @param {number} chunkSize - Size of a chunk in world units
+         * @returns {boolean} True for voxel chunks
+         */
+        isVoxelChunk(chunkX, chunkZ, chunkSize) {
+            if (!enabled) {
+                return false;
+            }
+            if (regions === 'all') {
+                return true;
+            }
+            
+            const chunkKey = `${chunkX}_${chunkZ}`;
+            if (!voxelChunks.has(chunkKey)) {
+                // Low frequency noise at the chunk centre groups voxel chunks into regions
+                const regionNoise = noiseGenerator.getFractalNoise(
+                    (chunkX + 0.5) * chunkSize, (chunkZ + 0.5) * chunkSize, { scale: regionScale, octaves: 2 }
+                );
+                voxelChunks.set(chunkKey, regionNoise > regionThreshold);
+            }
+            return voxelChunks.get(chunkKey);
+        },
+        
+        /**
+         * Strength of the 3D features at a position: 0 at heightmap chunks, rising to 1
+         * over fadeWidth world units into voxel chunks
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @param {number} chunkSize - Size of a chunk in world units
+         * @returns {number} Weight in range [0, 1]
+         */
+        getFeatureWeight(x, z, chunkSize) {
+            const chunkX = Math.floor(x / chunkSize);
+            const chunkZ = Math.floor(z / chunkSize);
+            const width = Math.min(fadeWidth, chunkSize);
+            
+            // Distance to the nearest heightmap chunk around this one
+            let distance = width;
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (this.isVoxelChunk(chunkX + dx, chunkZ + dz, chunkSize)) {
+                        continue;
+                    }
+                    
+                    const minX = (chunkX + dx) * chunkSize;
+                    const minZ = (chunkZ + dz) * chunkSize;
+                    const offsetX = Math.max(minX - x, 0, x - (minX + chunkSize));
+                    const offsetZ = Math.max(minZ - z, 0, z - (minZ + chunkSize));
+                    distance = Math.min(distance, Math.sqrt(offsetX * offsetX + offsetZ * offsetZ));
+                }
+            }
+            
+            return smoothstep(distance / width);
+        },
+        
+        /**
+         * Density at a point
+         * @param {number} x - X coordinate in world space
+         * @param {number} y - Y coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @param {number} surfaceHeight - Heightmap surface height above the point's column
+         * @param {number} weight - Feature weight from getFeatureWeight
+         * @returns {number} Density (positive = solid, roughly in world units)
+         */
+        getDensity(x, y, z, surfaceHeight, weight) {
+            let density = surfaceHeight - y;
+            if (weight <= 0) {
+                return density;
+            }
+            
+            // Overhangs and arches: 3D noise pushes the surface in and out
+            density += weight * overhang.strength * noiseGenerator.getFractalNoise3D(
+                x, y * overhang.verticalScale, z, { scale: overhang.scale, octaves: overhang.octaves }
+            );
+            
+            if (caves.enabled) {
+                // Caves stay above a solid floor at maxDepth below the surface
+                const floorBlend = smoothstep((caves.maxDepth - (surfaceHeight - y)) / caves.floorFade);
+                if (floorBlend > 0) {
+                    // Tunnels run where two independent noise fields are both near zero
+                    const settings = { scale: caves.scale, octaves: 2 };
+                    const a = noiseGenerator.getFractalNoise3D(x, y, z, settings);
+                    const b = noiseGenerator.getFractalNoise3D(x + 5000, y, z - 5000, settings);
+                    const tunnel = (Math.sqrt(a * a + b * b) - caves.radius) * caveWallScale;
+                    
+                    const carved = Math.min(density, tunnel);
+                    density += (carved - density) * weight * floorBlend;
+                }
+            }
+            
+            return density;
+        },
+        
+        /**
+         * Sample the density of a chunk with a one-sample border for normals
+         * @param {Float32Array} heights - Normalized surface heights of the chunk
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         * @param {number} chunkSize - Size of the chunk in world units
+         * @param {number} resolution - Heightmap samples per chunk side
+         * @param {number} maxHeight - Maximum height of the terrain
+         * @returns {Object} Grid for extractIsosurface ({ densities, size, origin, spacing, padding }),
+         *                   with its origin relative to the chunk corner
+         */
+        sampleChunk(heights, chunkX, chunkZ, chunkSize, resolution, maxHeight) {
+            const spacing = chunkSize / (resolution - 1);
+            const spacingY = voxelConfig.verticalSpacing || spacing;
+            const columns = resolution + 2;
+            
+            // Surface height of a column, continued linearly past the chunk edges
+            const clampIndex = i => Math.max(0, Math.min(resolution - 1, i));
+            const heightAt = (i, j) => heights[j * resolution + i] * maxHeight;
+            const columnHeight = (i, j) => {
+                const ci = clampIndex(i);
+                const cj = clampIndex(j);
+                return 2 * heightAt(ci, cj) - heightAt(clampIndex(2 * ci - i), clampIndex(2 * cj - j));
+            };
+            
+            // Surface height and feature weight per column, including the border
+            const surface = new Float32Array(columns * columns);
+            const weights = new Float32Array(columns * columns);
+            let minSurface = Infinity;
+            let maxSurface = -Infinity;
+            let maxWeight = 0;
+            
+            for (let j = 0; j < columns; j++) {
+                for (let i = 0; i < columns; i++) {
+                    const index = j * columns + i;
+                    surface[index] = columnHeight(i - 1, j - 1);
+                    weights[index] = this.getFeatureWeight(
+                        chunkX * chunkSize + (i - 1) * spacing, chunkZ * chunkSize + (j - 1) * spacing, chunkSize
+                    );
+                    minSurface = Math.min(minSurface, surface[index]);
+                    maxSurface = Math.max(maxSurface, surface[index]);
+                    maxWeight = Math.max(maxWeight, weights[index]);
+                }
+            }
+            
+            // Layers on a world-aligned grid from below the deepest cave to above the highest overhang
+            const reach = maxWeight > 0 ? overhang.strength : 0;
+            const depth = maxWeight > 0 && caves.enabled ? Math.max(caves.maxDepth, reach) : reach;
+            const firstLayer = Math.floor((minSurface - depth) / spacingY) - 2;
+            const lastLayer = Math.ceil((maxSurface + reach) / spacingY) + 2;
+            const layers = lastLayer - firstLayer + 1;
+            
+            const densities = new Float32Array(columns * layers * columns);
+            for (let layer = 0; layer < layers; layer++) {
+                const y = (firstLayer + layer) * spacingY;
+                for (let j = 0; j < columns; j++) {
+                    const z = chunkZ * chunkSize + (j - 1) * spacing;
+                    for (let i = 0; i < columns; i++) {
+                        const x = chunkX * chunkSize + (i - 1) * spacing;
+                        const column = j * columns + i;
+                        densities[(layer * columns + j) * columns + i] = this.getDensity(
+                            x, y, z, surface[column], weights[column]
+                        );
+                    }
+                }
+            }
+            
+            return {
+                densities: densities,
+                size: [columns, layers, columns],
+                origin: [0, (firstLayer + 1) * spacingY, 0],
+                spacing: [spacing, spacingY, spacing],
+                padding: 1
+            };
+        }
+    };
+}
+
+/**
+ * Smooth step clamped to [0, 1]
+ * @param {number} t - Input
+ * @returns {number} Smoothed value in range [0, 1]
+ */
+function smoothstep(t) {
+    const x = Math.max(0, Math.min(1, t));
+    return x * x * (3 - 2 * x);
+}
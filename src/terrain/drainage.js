@@ -0,0 +1,462 @@
+/**
+ * River and lake generation from a world-space drainage lattice
+ *
+ * Water is routed over a coarse lattice of jittered nodes laid over the whole
+ * world. Each node drains to its lowest neighbour, flow is counted from the
+ * nodes upstream within a bounded catchment, and pits with enough inflow are
+ * flooded into lakes up to their spill height. Everything is a pure function
+ * of world position and seed, so rivers and lakes continue across chunk
+ * borders no matter which chunks are loaded or in which order.
+ */
+
+// Offsets of the eight lattice neighbours
+const NEIGHBOR_OFFSETS = [
+    [-1, -1], [0, -1], [1, -1],
+    [-1, 0], [1, 0],
+    [-1, 1], [0, 1], [1, 1]
+];
+
+// Lattice steps around a heightmap within which river segments can reach it
+const RIVER_REACH = 2;
+
+// Cached lattice nodes kept before the cache is cleared
+const MAX_CACHED_NODES = 200000;
+
+/**
+ * Creates a drainage system
+ * @param {Object} drainageConfig - Drainage settings (config.noise.drainage)
+ * @param {Object} noiseGenerator - Noise generator providing terrain heights
+ * @param {number} seed - World seed
+ * @returns {Object} Drainage system
+ */
+export function createDrainageSystem(drainageConfig, noiseGenerator, seed) {
+    // Fill in settings missing from the config
+    const settings = {
+        spacing: drainageConfig.spacing ?? 50,
+        jitter: drainageConfig.jitter ?? 0.35,
+        catchmentRadius: drainageConfig.catchmentRadius ?? 12,
+        riverFlow: drainageConfig.riverFlow ?? 12,
+        riverWidth: drainageConfig.riverWidth ?? 3,
+        maxRiverWidth: drainageConfig.maxRiverWidth ?? 12,
+        riverDepth: drainageConfig.riverDepth ?? 1.5,
+        lakeFlow: drainageConfig.lakeFlow ?? 20,
+        maxLakeNodes: drainageConfig.maxLakeNodes ?? 12,
+        maxLakeDepth: drainageConfig.maxLakeDepth ?? 4
+    };
+    
+    // Lattice nodes by key, filled lazily
+    const nodes = new Map();
+    
+    // 32-bit seed for node jitter
+    const hashSeed = Math.floor(seed) | 0;
+    
+    return {
+        /**
+         * Carve river beds into a heightmap and work out where water lies
+         * @param {Float32Array} heights - Normalized heights (size^2), modified in place
+         * @param {number} size - Samples per side
+         * @param {number} originX - World X of the first sample
+         * @param {number} originZ - World Z of the first sample
+         * @param {number} sampleSpacing - Distance between samples in world units
+         * @param {number} maxHeight - Maximum terrain height in world units
+         * @returns {Float32Array|null} Normalized water surface height per sample (-1 = dry), or null if dry
+         */
+        carveHeightmap(heights, size, originX, originZ, sampleSpacing, maxHeight) {
+            const {
+                spacing, riverFlow, riverWidth, maxRiverWidth, riverDepth, lakeFlow, maxLakeNodes, maxLakeDepth
+            } = settings;
+            
+            // Lattice cells under the heightmap
+            const extent = (size - 1) * sampleSpacing;
+            const firstI = Math.floor(originX / spacing);
+            const firstJ = Math.floor(originZ / spacing);
+            const lastI = Math.floor((originX + extent) / spacing);
+            const lastJ = Math.floor((originZ + extent) / spacing);
+            
+            // Lattice range around them. A lake floods up to maxLakeNodes nodes in a row
+            // from its pit and one spacing past them, so pits are looked for that far out.
+            const margin = Math.max(RIVER_REACH, maxLakeNodes + 1);
+            const i0 = firstI - margin;
+            const j0 = firstJ - margin;
+            const i1 = lastI + margin;
+            const j1 = lastJ + margin;
+            
+            // Make sure flow is known for every node in range
+            this.computeFlow(i0, j0, i1, j1);
+            
+            // Collect river segments and lakes touching the heightmap
+            const segments = [];
+            const lakes = [];
+            for (let j = j0; j <= j1; j++) {
+                for (let i = i0; i <= i1; i++) {
+                    const node = this.getNode(i, j);
+                    
+                    // Lattice steps from the heightmap's own cells
+                    const reach = Math.max(firstI - i, i - lastI, firstJ - j, j - lastJ);
+                    
+                    if (reach <= RIVER_REACH && node.flow >= riverFlow && node.downstream) {
+                        // Rivers widen and deepen as more water joins them
+                        const growth = Math.sqrt(node.flow / riverFlow);
+                        const target = this.getNode(node.downstream[0], node.downstream[1]);
+                        segments.push({
+                            ax: node.x, az: node.z, ah: node.height,
+                            bx: target.x, bz: target.z, bh: target.height,
+                            width: Math.min(maxRiverWidth, riverWidth * growth),
+                            depth: riverDepth * Math.min(2, growth) / maxHeight
+                        });
+                    } else if (node.flow >= lakeFlow && !node.downstream && !node.ocean) {
+                        // Deep basins only fill part of the way
+                        const lake = this.getLake(i, j);
+                        if (isLakeNear(lake, originX, originZ, extent, spacing)) {
+                            lakes.push({
+                                level: Math.min(lake.level, node.height + maxLakeDepth / maxHeight),
+                                nodes: lake.nodes
+                            });
+                        }
+                    }
+                }
+            }
+            
+            if (segments.length === 0 && lakes.length === 0) {
+                return null;
+            }
+            
+            // Water surface per sample
+            const waterLevels = new Float32Array(size * size).fill(-1);
+            let hasWater = false;
+            
+            for (let z = 0; z < size; z++) {
+                for (let x = 0; x < size; x++) {
+                    const index = z * size + x;
+                    const wx = originX + x * sampleSpacing;
+                    const wz = originZ + z * sampleSpacing;
+                    let height = heights[index];
+                    let waterLevel = -1;
+                    
+                    // Carve every river channel passing nearby
+                    for (const segment of segments) {
+                        const carved = carveRiver(segment, wx, wz, height);
+                        if (carved) {
+                            height = carved.height;
+                            waterLevel = Math.max(waterLevel, carved.waterLevel);
+                        }
+                    }
+                    
+                    // Flood low ground next to lake nodes
+                    for (const lake of lakes) {
+                        if (height < lake.level && isNearLake(lake, wx, wz, spacing)) {
+                            waterLevel = Math.max(waterLevel, lake.level);
+                        }
+                    }
+                    
+                    heights[index] = height;
+                    if (waterLevel >= 0) {
+                        waterLevels[index] = waterLevel;
+                        hasWater = true;
+                    }
+                }
+            }
+            
+            return hasWater ? waterLevels : null;
+        },
+        
+        /**
+         * Get a lattice node, creating it on first use
+         * @param {number} i - Lattice X index
+         * @param {number} j - Lattice Z index
+         * @returns {Object} Node with position, height, sea flag, downstream and flow
+         */
+        getNode(i, j) {
+            const key = `${i}_${j}`;
+            let node = nodes.get(key);
+            
+            if (!node) {
+                // Drop the cache rather than let it grow without bound
+                if (nodes.size >= MAX_CACHED_NODES) {
+                    nodes.clear();
+                }
+                
+                // Jitter the node inside its cell so rivers do not follow the lattice
+                const { spacing, jitter } = settings;
+                const x = (i + (hashToUnit(hashSeed, i, j, 0) - 0.5) * 2 * jitter) * spacing;
+                const z = (j + (hashToUnit(hashSeed, i, j, 1) - 0.5) * 2 * jitter) * spacing;
+                
+                node = {
+                    i, j, x, z,
+                    height: noiseGenerator.getHeight(x, z),
+                    ocean: noiseGenerator.isOcean(x, z),
+                    downstream: undefined,
+                    flow: undefined,
+                    lake: undefined
+                };
+                nodes.set(key, node);
+            }
+            
+            return node;
+        },
+        
+        /**
+         * Get the neighbour a node drains to
+         * @param {Object} node - Lattice node
+         * @returns {Array<number>|null} Lattice indices of the lowest lower neighbour, or null for a pit or the sea
+         */
+        getDownstream(node) {
+            // Water reaching the sea goes no further
+            if (node.ocean) {
+                return null;
+            }
+            
+            if (node.downstream === undefined) {
+                let lowest = null;
+                let lowestHeight = node.height;
+                
+                for (const [di, dj] of NEIGHBOR_OFFSETS) {
+                    const neighbor = this.getNode(node.i + di, node.j + dj);
+                    if (neighbor.height < lowestHeight) {
+                        lowest = [neighbor.i, neighbor.j];
+                        lowestHeight = neighbor.height;
+                    }
+                }
+                
+                node.downstream = lowest;
+            }
+            
+            return node.downstream;
+        },
+        
+        /**
+         * Count upstream nodes for every node in a lattice range.
+         * A node's flow is the number of nodes within the catchment radius whose
+         * path downhill reaches it before leaving their own catchment box, which
+         * depends only on the node itself and not on the range being computed.
+         * @param {number} i0 - First lattice X index
+         * @param {number} j0 - First lattice Z index
+         * @param {number} i1 - Last lattice X index
+         * @param {number} j1 - Last lattice Z index
+         */
+        computeFlow(i0, j0, i1, j1) {
+            const radius = settings.catchmentRadius;
+            
+            // Skip the work if every node already has its flow
+            let complete = true;
+            for (let j = j0; j <= j1 && complete; j++) {
+                for (let i = i0; i <= i1 && complete; i++) {
+                    complete = this.getNode(i, j).flow !== undefined;
+                }
+            }
+            if (complete) {
+                return;
+            }
+            
+            // Flow counts for the range
+            const width = i1 - i0 + 1;
+            const counts = new Uint32Array(width * (j1 - j0 + 1));
+            
+            // Follow every source that could reach the range
+            for (let sj = j0 - radius; sj <= j1 + radius; sj++) {
+                for (let si = i0 - radius; si <= i1 + radius; si++) {
+                    let node = this.getNode(si, sj);
+                    
+                    while (node) {
+                        // Count the node if it is in range
+                        if (node.i >= i0 && node.i <= i1 && node.j >= j0 && node.j <= j1) {
+                            counts[(node.j - j0) * width + (node.i - i0)]++;
+                        }
+                        
+                        // Move downhill until leaving the source's catchment box
+                        const downstream = this.getDownstream(node);
+                        if (!downstream ||
+                            Math.abs(downstream[0] - si) > radius || Math.abs(downstream[1] - sj) > radius) {
+                            break;
+                        }
+                        node = this.getNode(downstream[0], downstream[1]);
+                    }
+                }
+            }
+            
+            // Store the counts on the nodes
+            for (let j = j0; j <= j1; j++) {
+                for (let i = i0; i <= i1; i++) {
+                    this.getNode(i, j).flow = counts[(j - j0) * width + (i - i0)];
+                }
+            }
+        },
+        
+        /**
+         * Flood a pit up to the height where it spills into a neighbouring basin
+         * @param {number} i - Lattice X index of the pit
+         * @param {number} j - Lattice Z index of the pit
+         * @returns {Object} Lake with its water level and flooded nodes
+         */
+        getLake(i, j) {
+            const pit = this.getNode(i, j);
+            if (pit.lake) {
+                return pit.lake;
+            }
+            
+            let level = pit.height;
+            const flooded = [pit];
+            const seen = new Set([`${i}_${j}`]);
+            const frontier = [];
+            
+            // Queue the unseen neighbours of a node
+            const expand = (node) => {
+                for (const [di, dj] of NEIGHBOR_OFFSETS) {
+                    const key = `${node.i + di}_${node.j + dj}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        frontier.push(this.getNode(node.i + di, node.j + dj));
+                    }
+                }
+            };
+            expand(pit);
+            
+            // Raise the water one node at a time, lowest rim node first
+            while (frontier.length > 0 && flooded.length < settings.maxLakeNodes) {
+                let lowestIndex = 0;
+                for (let k = 1; k < frontier.length; k++) {
+                    if (frontier[k].height < frontier[lowestIndex].height ||
+                        (frontier[k].height === frontier[lowestIndex].height && compareNodes(frontier[k], frontier[lowestIndex]) < 0)) {
+                        lowestIndex = k;
+                    }
+                }
+                const node = frontier.splice(lowestIndex, 1)[0];
+                
+                // Water spills into the sea, or over this node if it drains somewhere lower outside the lake
+                const downstream = this.getDownstream(node);
+                if (node.ocean) {
+                    level = Math.max(level, node.height);
+                    break;
+                }
+                if (node.height >= level && downstream && !seen.has(`${downstream[0]}_${downstream[1]}`)) {
+                    level = node.height;
+                    break;
+                }
+                
+                level = Math.max(level, node.height);
+                flooded.push(node);
+                expand(node);
+            }
+            
+            pit.lake = { level, nodes: flooded };
+            return pit.lake;
+        }
+    };
+}
+
+/**
+ * Lower a height into a river channel
+ * @param {Object} segment - River segment
+ * @param {number} wx - World X of the sample
+ * @param {number} wz - World Z of the sample
+ * @param {number} height - Current normalized height of the sample
+ * @returns {Object|null} Carved height and water level, or null if the river is too far away
+ */
+function carveRiver(segment, wx, wz, height) {
+    const { ax, az, bx, bz, width, depth } = segment;
+    const bankWidth = width * 1.5;
+    
+    // Closest point on the segment
+    const sx = bx - ax;
+    const sz = bz - az;
+    const lengthSquared = sx * sx + sz * sz || 1;
+    const t = Math.max(0, Math.min(1, ((wx - ax) * sx + (wz - az) * sz) / lengthSquared));
+    const dx = wx - (ax + sx * t);
+    const dz = wz - (az + sz * t);
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    
+    if (distance >= width + bankWidth) {
+        return null;
+    }
+    
+    // Bank top falls steadily from the upstream node to the downstream node
+    const bankHeight = segment.ah + (segment.bh - segment.ah) * t;
+    
+    let target;
+    if (distance <= width) {
+        // Rounded channel reaching the bank top at its edge
+        const across = distance / width;
+        target = bankHeight - depth + across * across * depth;
+    } else {
+        // Banks easing back into the terrain
+        const u = (distance - width) / bankWidth;
+        target = bankHeight + (height - bankHeight) * u * u * (3 - 2 * u);
+    }
+    
+    const carvedHeight = Math.min(height, target);
+    
+    return {
+        height: carvedHeight,
+        // Water stays below the banks and never deeper than the channel
+        waterLevel: distance <= width
+            ? Math.min(bankHeight - depth * 0.2, carvedHeight + depth)
+            : -1
+    };
+}
+
+/**
+ * Check whether a position lies within one lattice spacing of a lake node
+ * @param {Object} lake - Lake from getLake
+ * @param {number} wx - World X
+ * @param {number} wz - World Z
+ * @param {number} spacing - Lattice spacing
+ * @returns {boolean} True if the position belongs to the lake's basin
+ */
+function isNearLake(lake, wx, wz, spacing) {
+    const limit = spacing * spacing;
+    
+    for (const node of lake.nodes) {
+        const dx = wx - node.x;
+        const dz = wz - node.z;
+        if (dx * dx + dz * dz <= limit) {
+            return true;
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Check whether any node of a lake lies within one lattice spacing of a square area
+ * @param {Object} lake - Lake from getLake
+ * @param {number} minX - Smallest world X of the area
+ * @param {number} minZ - Smallest world Z of the area
+ * @param {number} extent - Size of the area in world units
+ * @param {number} spacing - Lattice spacing
+ * @returns {boolean} True if the lake can flood part of the area
+ */
+function isLakeNear(lake, minX, minZ, extent, spacing) {
+    for (const node of lake.nodes) {
+        if (node.x >= minX - spacing && node.x <= minX + extent + spacing &&
+            node.z >= minZ - spacing && node.z <= minZ + extent + spacing) {
+            return true;
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Order nodes by lattice index so ties resolve the same way everywhere
+ * @param {Object} a - First node
+ * @param {Object} b - Second node
+ * @returns {number} Negative if a comes first
+ */
+function compareNodes(a, b) {
+    return a.j !== b.j ? a.j - b.j : a.i - b.i;
+}
+
+/**
+ * Hash lattice indices to a value in range [0, 1)
+ * @param {number} seed - 32-bit seed
+ * @param {number} i - Lattice X index
+ * @param {number} j - Lattice Z index
+ * @param {number} channel - Independent value index
+ * @returns {number} Hashed value
+ */
+function hashToUnit(seed, i, j, channel) {
+    let h = seed ^ Math.imul(i | 0, 0x27D4EB2D) ^ Math.imul(j | 0, 0x165667B1) ^ Math.imul(channel + 1, 0x9E3779B9);
+    h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
@@ -0,0 +1,332 @@
+/**
+ * Per-chunk height edits layered over generated terrain
+ *
+ * Each edited chunk keeps a delta for every heightmap sample, in normalized
+ * height units, which is added to the generated heights whenever the chunk's
+ * mesh is built. Brushes work on a world-aligned sample grid and write every
+ * sample to all chunks that contain it, so edits on shared chunk edges always
+ * stay identical on both sides.
+ */
+
+// Brush types understood by applyBrush
+export const BRUSH_TYPES = ['raise', 'lower', 'smooth', 'flatten', 'noise'];
+
+/**
+ * Creates an edit layer
+ * @param {number} chunkSize - Size of a chunk in world units
+ * @param {number} resolution - Heightmap samples per chunk side
+ * @returns {Object} Edit layer
+ */
+export function createEditLayer(chunkSize, resolution) {
+    // Height deltas by chunk key
+    const deltas = new Map();
+    
+    // Cells per chunk side and distance between samples
+    const cells = resolution - 1;
+    const spacing = chunkSize / cells;
+    
+    /**
+     * List the chunks containing a world grid sample (up to four on chunk corners)
+     * @param {number} gx - Sample X on the world grid
+     * @param {number} gz - Sample Z on the world grid
+     * @returns {Array<Object>} Chunk keys and sample indices ({ chunkKey, index })
+     */
+    const getSampleLocations = (gx, gz) => {
+        const locations = [];
+        
+        for (const [chunkX, localX] of getAxisLocations(gx, cells)) {
+            for (const [chunkZ, localZ] of getAxisLocations(gz, cells)) {
+                locations.push({
+                    chunkKey: `${chunkX}_${chunkZ}`,
+                    index: localZ * resolution + localX
+                });
+            }
+        }
+        
+        return locations;
+    };
+    
+    /**
+     * List the chunks that hold a world grid sample in their one-sample halo (see getHaloDelta)
+     * without containing it
+     * @param {number} gx - Sample X on the world grid
+     * @param {number} gz - Sample Z on the world grid
+     * @returns {Array<string>} Chunk keys
+     */
+    const getHaloChunkKeys = (gx, gz) => {
+        const keys = [];
+        
+        for (const [chunkX, insideX] of getAxisReach(gx, cells)) {
+            for (const [chunkZ, insideZ] of getAxisReach(gz, cells)) {
+                if (!insideX || !insideZ) {
+                    keys.push(`${chunkX}_${chunkZ}`);
+                }
+            }
+        }
+        
+        return keys;
+    };
+    
+    return {
+        /**
+         * Get the height delta of a chunk
+         * @param {string} chunkKey - Chunk key
+         * @returns {Float32Array|null} Delta per heightmap sample, or null if unedited
+         */
+        getDelta(chunkKey) {
+            return deltas.get(chunkKey) || null;
+        },
+        
+        /**
+         * Get the height delta of a chunk and the one-sample halo around it, read
+         * from the neighbouring chunks' deltas
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         * @returns {Float32Array|null} Delta per sample ((resolution + 2)^2 values), or null if neither
+         *                              the chunk nor any neighbour is edited
+         */
+        getHaloDelta(chunkX, chunkZ) {
+            // Deltas of the chunk and its eight neighbours, row by row
+            const neighborDeltas = [];
+            for (let offsetZ = -1; offsetZ <= 1; offsetZ++) {
+                for (let offsetX = -1; offsetX <= 1; offsetX++) {
+                    neighborDeltas.push(deltas.get(`${chunkX + offsetX}_${chunkZ + offsetZ}`) || null);
+                }
+            }
+            if (neighborDeltas.every(delta => delta === null)) {
+                return null;
+            }
+            
+            const size = resolution + 2;
+            const haloDelta = new Float32Array(size * size);
+            
+            for (let z = 0; z < size; z++) {
+                for (let x = 0; x < size; x++) {
+                    // Halo samples come from the neighbour past that edge
+                    const localX = x - 1;
+                    const localZ = z - 1;
+                    const offsetX = localX < 0 ? -1 : localX > cells ? 1 : 0;
+                    const offsetZ = localZ < 0 ? -1 : localZ > cells ? 1 : 0;
+                    const delta = neighborDeltas[(offsetZ + 1) * 3 + offsetX + 1];
+                    if (delta) {
+                        haloDelta[z * size + x] = delta[(localZ - offsetZ * cells) * resolution + localX - offsetX * cells];
+                    }
+                }
+            }
+            
+            return haloDelta;
+        },
+        
+        /**
+         * Replace the height delta of a chunk (e.g. when restoring saved edits)
+         * @param {string} chunkKey - Chunk key
+         * @param {Float32Array|null} delta - Delta per heightmap sample, or null to remove
+         */
+        setDelta(chunkKey, delta) {
+            if (delta) {
+                if (delta.length !== resolution * resolution) {
+                    throw new Error(`Height delta for chunk ${chunkKey} has ${delta.length} samples, expected ${resolution * resolution}`);
+                }
+                deltas.set(chunkKey, delta);
+            } else {
+                deltas.delete(chunkKey);
+            }
+        },
+        
+        /**
+         * Get the keys of all edited chunks
+         * @returns {Array<string>} Chunk keys
+         */
+        getEditedChunkKeys() {
+            return [...deltas.keys()];
+        },
+        
+        /**
+         * Remove all edits
+         */
+        clear() {
+            deltas.clear();
+        },
+        
+        /**
+         * Apply one dab of a brush.
+         * New heights are worked out from the state before the dab, then written
+         * to every chunk sharing each sample, so results do not depend on chunk order.
+         * @param {Object} brush - Brush ({ type, radius, strength, falloff, target })
+         * @param {number} centerX - World X of the brush centre
+         * @param {number} centerZ - World Z of the brush centre
+         * @param {Function} getBaseHeight - (chunkKey, index) => generated normalized height, or null if unknown
+         * @param {Object} options - Brush context
+         * @param {number} options.maxHeight - Maximum height of the terrain
+         * @param {number} options.heightStep - Height change in world units of a full strength raise, lower or noise dab
+         * @param {Function} [options.noise] - (x, z) => value in range [0, 1] used by the noise brush
+         * @returns {Object} Keys of the chunks whose delta changed (changedChunks) and of the other
+         *                   chunks whose halo delta changed (haloChunks), whose edge normals follow it
+         */
+        applyBrush(brush, centerX, centerZ, getBaseHeight, options) {
+            const { type, radius, strength, falloff = 0.5 } = brush;
+            const { maxHeight, heightStep, noise } = options;
+            
+            if (!BRUSH_TYPES.includes(type)) {
+                throw new Error(`Unknown brush type "${type}" (expected one of ${BRUSH_TYPES.join(', ')})`);
+            }
+            
+            // Current height of a world grid sample, or null if no chunk holding it is available
+            const heightAt = (gx, gz) => {
+                for (const { chunkKey, index } of getSampleLocations(gx, gz)) {
+                    const base = getBaseHeight(chunkKey, index);
+                    if (base !== null && base !== undefined) {
+                        const delta = deltas.get(chunkKey);
+                        return base + (delta ? delta[index] : 0);
+                    }
+                }
+                return null;
+            };
+            
+            // Height step of a full strength dab in normalized units
+            const step = heightStep / maxHeight;
+            
+            // Samples inside the brush circle and their new heights
+            const changes = [];
+            const minX = Math.ceil((centerX - radius) / spacing);
+            const maxX = Math.floor((centerX + radius) / spacing);
+            const minZ = Math.ceil((centerZ - radius) / spacing);
+            const maxZ = Math.floor((centerZ + radius) / spacing);
+            
+            for (let gz = minZ; gz <= maxZ; gz++) {
+                for (let gx = minX; gx <= maxX; gx++) {
+                    const wx = gx * spacing;
+                    const wz = gz * spacing;
+                    const distance = Math.sqrt((wx - centerX) * (wx - centerX) + (wz - centerZ) * (wz - centerZ));
+                    const height = distance <= radius ? heightAt(gx, gz) : null;
+                    if (height === null) {
+                        continue;
+                    }
+                    
+                    const weight = getBrushWeight(distance / radius, falloff) * strength;
+                    let newHeight = height;
+                    
+                    switch (type) {
+                        case 'raise':
+                            newHeight = height + step * weight;
+                            break;
+                        case 'lower':
+                            newHeight = height - step * weight;
+                            break;
+                        case 'smooth': {
+                            // Move towards the average of the 3x3 neighbourhood
+                            let sum = 0;
+                            let count = 0;
+                            for (let dz = -1; dz <= 1; dz++) {
+                                for (let dx = -1; dx <= 1; dx++) {
+                                    const neighbor = heightAt(gx + dx, gz + dz);
+                                    if (neighbor !== null) {
+                                        sum += neighbor;
+                                        count++;
+                                    }
+                                }
+                            }
+                            newHeight = height + (sum / count - height) * Math.min(1, weight);
+                            break;
+                        }
+                        case 'flatten': {
+                            // Move towards the stroke's target height (world units)
+                            const target = brush.target / maxHeight;
+                            newHeight = height + (target - height) * Math.min(1, weight);
+                            break;
+                        }
+                        case 'noise':
+                            newHeight = height + ((noise ? noise(wx, wz) : 0.5) - 0.5) * 2 * step * weight;
+                            break;
+                    }
+                    
+                    // Terrain never goes below zero
+                    changes.push({ gx, gz, change: Math.max(0, newHeight) - height });
+                }
+            }
+            
+            // Write the changes to every chunk holding each sample
+            const changedChunks = new Set();
+            const haloChunks = new Set();
+            for (const { gx, gz, change } of changes) {
+                if (change === 0) {
+                    continue;
+                }
+                
+                for (const { chunkKey, index } of getSampleLocations(gx, gz)) {
+                    let delta = deltas.get(chunkKey);
+                    if (!delta) {
+                        delta = new Float32Array(resolution * resolution);
+                        deltas.set(chunkKey, delta);
+                    }
+                    delta[index] += change;
+                    changedChunks.add(chunkKey);
+                }
+                
+                for (const chunkKey of getHaloChunkKeys(gx, gz)) {
+                    haloChunks.add(chunkKey);
+                }
+            }
+            
+            // Chunks whose own delta changed are rebuilt anyway
+            for (const chunkKey of changedChunks) {
+                haloChunks.delete(chunkKey);
+            }
+            
+            return { changedChunks, haloChunks };
+        }
+    };
+}
+
+/**
+ * Find the chunks along one axis that contain a world grid sample
+ * @param {number} g - Sample index on the world grid
+ * @param {number} cells - Cells per chunk side
+ * @returns {Array<Array<number>>} Chunk coordinate and local sample index pairs
+ */
+function getAxisLocations(g, cells) {
+    const chunk = Math.floor(g / cells);
+    const local = g - chunk * cells;
+    
+    // Samples on a chunk edge also belong to the previous chunk
+    return local === 0 ? [[chunk, 0], [chunk - 1, cells]] : [[chunk, local]];
+}
+
+/**
+ * Find the chunks along one axis that contain a world grid sample or hold it in their halo
+ * @param {number} g - Sample index on the world grid
+ * @param {number} cells - Cells per chunk side
+ * @returns {Array<Array>} Chunk coordinate and whether the chunk contains the sample
+ */
+function getAxisReach(g, cells) {
+    const reach = getAxisLocations(g, cells).map(([chunk]) => [chunk, true]);
+    const chunk = Math.floor(g / cells);
+    const local = g - chunk * cells;
+    
+    // Samples one inside a chunk edge lie in the halo of the chunk past that edge
+    if (local === 1) {
+        reach.push([chunk - 1, false]);
+    }
+    if (local === cells - 1) {
+        reach.push([chunk + 1, false]);
+    }
+    
+    return reach;
+}
+
+/**
+ * Brush weight at a distance from its centre
+ * @param {number} distance - Distance as a fraction of the radius (0-1)
+ * @param {number} falloff - Fraction of the radius over which the brush fades (0 = hard edge)
+ * @returns {number} Weight in range [0, 1]
+ */
+function getBrushWeight(distance, falloff) {
+    const inner = 1 - falloff;
+    if (distance <= inner) {
+        return 1;
+    }
+    
+    // Smooth fade from the inner radius to the edge
+    const t = 1 - (distance - inner) / (falloff || 1);
+    return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,386 @@
+/**
+ * Erosion simulation for terrain heightmaps
+ */
+import { createSeededRandom, clamp } from '../utils/math.js';
+
+// Deposited height (normalized) that reads as half covered in the sediment map
+const SEDIMENT_MAP_HALF = 0.005;
+
+// Water passing through a sample, relative to an even spread of all droplets,
+// that reads as half wet in the flow map
+const FLOW_MAP_HALF = 20;
+
+// Offsets and distances of the eight neighbours used by thermal erosion
+const NEIGHBOR_OFFSETS = [
+    [-1, 0, 1], [1, 0, 1], [0, -1, 1], [0, 1, 1],
+    [-1, -1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [1, 1, Math.SQRT2]
+];
+
+/**
+ * Creates an erosion simulator
+ * @param {Object} noiseConfig - Noise settings with erosion and thermalErosion sections
+ * @returns {Object} Erosion simulator
+ */
+export function createErosionSimulator(noiseConfig) {
+    const seed = noiseConfig.seed || 0;
+    const erosionConfig = noiseConfig.erosion || {};
+    const thermalConfig = noiseConfig.thermalErosion || {};
+    
+    // Hydraulic settings, filling in any missing from the config
+    const hydraulic = erosionConfig.enabled ? {
+        iterations: erosionConfig.iterations ?? 1300,
+        strength: erosionConfig.strength ?? 0.1,
+        deposition: erosionConfig.deposition ?? 0.3,
+        sedimentCapacity: erosionConfig.sedimentCapacity ?? 2,
+        inertia: erosionConfig.inertia ?? 0.05,
+        evaporation: erosionConfig.evaporation ?? 0.02,
+        minSlope: erosionConfig.minSlope ?? 0.01,
+        gravity: erosionConfig.gravity ?? 4,
+        maxLifetime: erosionConfig.maxLifetime ?? 30
+    } : null;
+    
+    // Thermal settings, filling in any missing from the config
+    const thermal = thermalConfig.enabled ? {
+        talusAngle: thermalConfig.talusAngle ?? 35,
+        iterations: thermalConfig.iterations ?? 6,
+        strength: thermalConfig.strength ?? 0.5
+    } : null;
+    
+    return {
+        /**
+         * Whether any erosion stage is enabled
+         */
+        enabled: Boolean(hydraulic || thermal),
+        
+        /**
+         * Number of halo samples needed around each chunk
+         */
+        border: erosionConfig.border ?? 8,
+        
+        /**
+         * Samples over which erosion fades out towards each chunk edge
+         */
+        edgeFade: erosionConfig.edgeFade ?? 3,
+        
+        /**
+         * Erode a chunk heightmap that includes a halo border.
+         * Droplets are seeded per world cell, so neighbouring chunks simulate the same
+         * droplets over the ground they share and material can move in from the halo.
+         * Their results still differ a little near the edge (each chunk also sees
+         * droplets the other does not), so changes fade out over the last few samples
+         * (edgeFade): a wider fade hides more of the difference, a narrower one keeps
+         * more of the erosion. Changes are dropped on the edge, the first sample inside
+         * it and the first halo sample past it. Edge normals are computed from those
+         * samples only, so both chunks along a border get the same edge heights and normals.
+         * @param {Float32Array} heights - (resolution + 2 * border)^2 heights, modified in place
+         * @param {number} resolution - Vertices per side of the chunk itself
+         * @param {number} border - Halo samples on each side of the chunk
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         * @param {Object} options - Erosion options
+         * @param {number} options.sampleSpacing - Distance between samples divided by the maximum height
+         * @param {Float32Array} [options.thermalMask] - Thermal erosion weight (0-1) per sample
+         * @returns {Object} Sediment and flow maps with resolution^2 values in range [0, 1]
+         */
+        erodeChunk(heights, resolution, border, chunkX, chunkZ, options) {
+            const size = resolution + border * 2;
+            
+            // Keep the uneroded heights for edge fading and the sediment map
+            const originalHeights = new Float32Array(heights);
+            
+            // Water running over the surface first
+            let flow = null;
+            if (hydraulic) {
+                flow = this.applyHydraulicErosion(
+                    heights, size, chunkX * (resolution - 1) - border, chunkZ * (resolution - 1) - border, resolution - 1
+                );
+            }
+            
+            // Then let slopes that are too steep collapse into scree
+            if (thermal) {
+                this.applyThermalErosion(heights, size, options.sampleSpacing, options.thermalMask || null);
+            }
+            
+            // Output maps covering the chunk itself
+            const sedimentMap = new Float32Array(resolution * resolution);
+            const flowMap = new Float32Array(resolution * resolution);
+            
+            // Flow an evenly spread droplet population would leave in each sample
+            const averageFlow = hydraulic ? Math.max(1, hydraulic.iterations) / ((resolution - 1) * (resolution - 1)) : 1;
+            
+            // Width of the fade towards the chunk edge
+            const fadeWidth = Math.max(1, this.edgeFade);
+            
+            // The first halo sample on each side (if there is one) keeps its uneroded height
+            const halo = Math.min(border, 1);
+            
+            for (let z = -halo; z < resolution + halo; z++) {
+                for (let x = -halo; x < resolution + halo; x++) {
+                    const index = (z + border) * size + (x + border);
+                    
+                    // Fade changes out towards the chunk edge, none within one sample of it
+                    const edgeDistance = Math.min(x, z, resolution - 1 - x, resolution - 1 - z);
+                    const t = clamp((edgeDistance - 1) / fadeWidth, 0, 1);
+                    const weight = t * t * (3 - 2 * t);
+                    
+                    const change = (heights[index] - originalHeights[index]) * weight;
+                    heights[index] = clamp(originalHeights[index] + change, 0, 1);
+                    
+                    // Maps cover the chunk itself
+                    if (x < 0 || z < 0 || x >= resolution || z >= resolution) {
+                        continue;
+                    }
+                    
+                    // Deposited material and collected water
+                    const deposit = Math.max(0, change);
+                    sedimentMap[z * resolution + x] = deposit / (deposit + SEDIMENT_MAP_HALF);
+                    
+                    if (flow) {
+                        const relativeFlow = flow[index] / averageFlow;
+                        flowMap[z * resolution + x] = relativeFlow / (relativeFlow + FLOW_MAP_HALF);
+                    }
+                }
+            }
+            
+            return { sediment: sedimentMap, flow: flowMap };
+        },
+        
+        /**
+         * Run particle-based hydraulic erosion over a square height grid.
+         * Droplets are seeded per world cell (cells samples across, aligned with the
+         * chunks) and taken in turn from every cell the grid overlaps, so droplets shared
+         * with an overlapping grid are simulated in the same order there.
+         * @param {Float32Array} heights - Height grid, modified in place
+         * @param {number} size - Samples per side
+         * @param {number} originX - World sample X of the first grid sample
+         * @param {number} originZ - World sample Z of the first grid sample
+         * @param {number} cells - Samples per side of a seeding cell
+         * @returns {Float32Array} Water that passed through each sample
+         */
+        applyHydraulicErosion(heights, size, originX, originZ, cells) {
+            const {
+                iterations, strength, deposition, sedimentCapacity, inertia,
+                evaporation, minSlope, gravity, maxLifetime
+            } = hydraulic;
+            
+            // Water passing through each sample
+            const flow = new Float32Array(size * size);
+            
+            // Same droplets for every grid over a cell, whichever chunk is generated
+            const seedCells = [];
+            const firstCellX = Math.floor(originX / cells);
+            const firstCellZ = Math.floor(originZ / cells);
+            const lastCellX = Math.floor((originX + size - 1) / cells);
+            const lastCellZ = Math.floor((originZ + size - 1) / cells);
+            for (let cellZ = firstCellZ; cellZ <= lastCellZ; cellZ++) {
+                for (let cellX = firstCellX; cellX <= lastCellX; cellX++) {
+                    seedCells.push({
+                        random: createSeededRandom(getChunkSeed(seed, cellX, cellZ)),
+                        offsetX: cellX * cells - originX,
+                        offsetZ: cellZ * cells - originZ
+                    });
+                }
+            }
+            
+            for (let i = 0; i < iterations * seedCells.length; i++) {
+                // Take the next droplet of each cell in turn, skipping those landing off the grid
+                const cell = seedCells[i % seedCells.length];
+                let posX = cell.offsetX + cell.random() * cells;
+                let posZ = cell.offsetZ + cell.random() * cells;
+                if (posX < 0 || posX >= size - 1 || posZ < 0 || posZ >= size - 1) {
+                    continue;
+                }
+                let dirX = 0;
+                let dirZ = 0;
+                let speed = 1;
+                let water = 1;
+                let sediment = 0;
+                
+                for (let step = 0; step < maxLifetime; step++) {
+                    const nodeX = Math.floor(posX);
+                    const nodeZ = Math.floor(posZ);
+                    const cellX = posX - nodeX;
+                    const cellZ = posZ - nodeZ;
+                    
+                    // Height and downhill direction under the droplet
+                    const surface = sampleHeightAndGradient(heights, size, posX, posZ);
+                    
+                    // Blend the previous direction with the downhill direction
+                    dirX = dirX * inertia - surface.gradientX * (1 - inertia);
+                    dirZ = dirZ * inertia - surface.gradientZ * (1 - inertia);
+                    
+                    // Stop on perfectly flat ground
+                    const length = Math.sqrt(dirX * dirX + dirZ * dirZ);
+                    if (length < 1e-9) {
+                        break;
+                    }
+                    dirX /= length;
+                    dirZ /= length;
+                    
+                    // Record water flowing through this sample
+                    flow[nodeZ * size + nodeX] += water;
+                    
+                    // Move one sample along the slope, stopping at the edge of the grid
+                    posX += dirX;
+                    posZ += dirZ;
+                    if (posX < 0 || posX >= size - 1 || posZ < 0 || posZ >= size - 1) {
+                        break;
+                    }
+                    
+                    // Height difference along the step (negative downhill)
+                    const deltaHeight = sampleHeightAndGradient(heights, size, posX, posZ).height - surface.height;
+                    
+                    // Faster droplets with more water carry more sediment
+                    const capacity = Math.max(-deltaHeight, minSlope) * speed * water * sedimentCapacity;
+                    
+                    if (sediment > capacity || deltaHeight > 0) {
+                        // Fill the pit when moving uphill, otherwise drop part of the excess
+                        const amount = deltaHeight > 0
+                            ? Math.min(deltaHeight, sediment)
+                            : (sediment - capacity) * deposition;
+                        
+                        sediment -= amount;
+                        addAtPosition(heights, size, nodeX, nodeZ, cellX, cellZ, amount);
+                    } else {
+                        // Erode, never digging deeper than the height difference
+                        const amount = Math.min((capacity - sediment) * strength, -deltaHeight);
+                        
+                        sediment += amount;
+                        addAtPosition(heights, size, nodeX, nodeZ, cellX, cellZ, -amount);
+                    }
+                    
+                    // Accelerate downhill, slow down uphill, and lose water
+                    speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * gravity));
+                    water *= 1 - evaporation;
+                }
+            }
+            
+            return flow;
+        },
+        
+        /**
+         * Move material downhill wherever the slope exceeds the talus angle.
+         * All samples are updated together each iteration, so the result only
+         * depends on the heights and not on the order samples are visited.
+         * @param {Float32Array} heights - Height grid, modified in place
+         * @param {number} size - Samples per side
+         * @param {number} sampleSpacing - Distance between samples divided by the maximum height
+         * @param {Float32Array|null} mask - Erosion weight (0-1) per sample, or null for everywhere
+         */
+        applyThermalErosion(heights, size, sampleSpacing, mask) {
+            const { talusAngle, iterations, strength } = thermal;
+            
+            // Largest stable height difference to a direct neighbour
+            const talus = Math.tan(talusAngle * Math.PI / 180) * sampleSpacing;
+            
+            // Height changes collected during one iteration
+            const delta = new Float32Array(size * size);
+            
+            for (let iteration = 0; iteration < iterations; iteration++) {
+                delta.fill(0);
+                
+                // Skip the outer ring, which lacks neighbours
+                for (let z = 1; z < size - 1; z++) {
+                    for (let x = 1; x < size - 1; x++) {
+                        const index = z * size + x;
+                        const weight = mask ? mask[index] : 1;
+                        if (weight <= 0) {
+                            continue;
+                        }
+                        
+                        // Find how far each lower neighbour lies below the talus slope
+                        let totalExcess = 0;
+                        let maxExcess = 0;
+                        for (const [dx, dz, distance] of NEIGHBOR_OFFSETS) {
+                            const excess = heights[index] - heights[index + dz * size + dx] - talus * distance;
+                            if (excess > 0) {
+                                totalExcess += excess;
+                                maxExcess = Math.max(maxExcess, excess);
+                            }
+                        }
+                        
+                        if (totalExcess <= 0) {
+                            continue;
+                        }
+                        
+                        // Move part of the excess, shared by how steep each drop is
+                        const moved = maxExcess * 0.5 * strength * weight;
+                        delta[index] -= moved;
+                        for (const [dx, dz, distance] of NEIGHBOR_OFFSETS) {
+                            const excess = heights[index] - heights[index + dz * size + dx] - talus * distance;
+                            if (excess > 0) {
+                                delta[index + dz * size + dx] += moved * excess / totalExcess;
+                            }
+                        }
+                    }
+                }
+                
+                // Apply the collected changes
+                for (let i = 0; i < heights.length; i++) {
+                    heights[i] += delta[i];
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Derive a per-cell seed from the world seed
+ * @param {number} seed - World seed
+ * @param {number} chunkX - Cell X coordinate (cells line up with chunks)
+ * @param {number} chunkZ - Cell Z coordinate
+ * @returns {number} 32-bit cell seed
+ */
+function getChunkSeed(seed, chunkX, chunkZ) {
+    let h = Math.floor(seed) | 0;
+    h = Math.imul(h ^ chunkX, 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13) ^ chunkZ, 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Bilinearly sample height and gradient inside the grid
+ * @param {Float32Array} heights - Height grid
+ * @param {number} size - Samples per side
+ * @param {number} posX - X position in grid coordinates
+ * @param {number} posZ - Z position in grid coordinates
+ * @returns {Object} Height and gradient along X and Z
+ */
+function sampleHeightAndGradient(heights, size, posX, posZ) {
+    const nodeX = Math.floor(posX);
+    const nodeZ = Math.floor(posZ);
+    const cellX = posX - nodeX;
+    const cellZ = posZ - nodeZ;
+    
+    // Heights of the four corners of the cell
+    const index = nodeZ * size + nodeX;
+    const h00 = heights[index];
+    const h10 = heights[index + 1];
+    const h01 = heights[index + size];
+    const h11 = heights[index + size + 1];
+    
+    return {
+        height: h00 * (1 - cellX) * (1 - cellZ) + h10 * cellX * (1 - cellZ) +
+            h01 * (1 - cellX) * cellZ + h11 * cellX * cellZ,
+        gradientX: (h10 - h00) * (1 - cellZ) + (h11 - h01) * cellZ,
+        gradientZ: (h01 - h00) * (1 - cellX) + (h11 - h10) * cellX
+    };
+}
+
+/**
+ * Spread a height change over the four corners of a cell
+ * @param {Float32Array} heights - Height grid
+ * @param {number} size - Samples per side
+ * @param {number} nodeX - Cell X index
+ * @param {number} nodeZ - Cell Z index
+ * @param {number} cellX - Position inside the cell along X
+ * @param {number} cellZ - Position inside the cell along Z
+ * @param {number} amount - Height to add (negative to remove)
+ */
+function addAtPosition(heights, size, nodeX, nodeZ, cellX, cellZ, amount) {
+    const index = nodeZ * size + nodeX;
+    heights[index] += amount * (1 - cellX) * (1 - cellZ);
+    heights[index + 1] += amount * cellX * (1 - cellZ);
+    heights[index + size] += amount * (1 - cellX) * cellZ;
+    heights[index + size + 1] += amount * cellX * cellZ;
+}
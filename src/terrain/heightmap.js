@@ -2,6 +2,15 @@
  * Heightmap generation for terrain
  */
 import { createNoiseGenerator } from './noiseGenerator.js';
+import { createErosionSimulator } from './erosion.js';
+import { createDrainageSystem } from './drainage.js';
+import { createBiomeHandler } from './biomeHandler.js';
+import { createDensityField } from './densityField.js';
+import { extractIsosurface } from './marchingCubes.js';
+import { triangleGridLerp, sampleTriangleGrid } from '../utils/math.js';
+
+// Spacing, in heightmap samples, of the biome lattice used for the thermal erosion mask
+const THERMAL_MASK_STEP = 4;
 
 /**
  * Creates a heightmap generator
@@ -12,6 +21,21 @@ export function createHeightmapGenerator(noiseConfig) {
     // Create the noise generator
     const noiseGenerator = createNoiseGenerator(noiseConfig);
     
+    // Create the biome handler (biomes decide where thermal erosion applies)
+    const biomeHandler = createBiomeHandler(noiseGenerator, noiseConfig.climate, noiseConfig.biomeRelief);
+    
+    // Let the blended biomes scale the amplitude and roughness of the terrain
+    noiseGenerator.setReliefModifier((height, x, z) => biomeHandler.shapeRelief(height, x, z));
+    
+    // Create the erosion simulator if any erosion stage is enabled
+    const erosionSimulator = createErosionSimulator(noiseConfig);
+    
+    // Create the drainage system that carves rivers and fills lakes
+    let drainageSystem = createDrainage(noiseConfig, noiseGenerator);
+    
+    // Create the density field for voxel chunks (overhangs, arches and caves)
+    const densityField = createDensityField(noiseGenerator, noiseConfig.voxel);
+    
     return {
         /**
          * Generate a heightmap for a terrain chunk
@@ -23,19 +47,195 @@ export function createHeightmapGenerator(noiseConfig) {
          * @returns {Object} Generated heightmap data
          */
         generateHeightmapForChunk(chunkX, chunkZ, chunkSize, resolution, maxHeight) {
-            // Generate raw heightmap from noise
-            const heightValues = noiseGenerator.generateHeightmap(
-                chunkX, chunkZ, chunkSize, resolution
+            // Generate raw heights and mesh arrays
+            const chunkArrays = this.generateChunkArrays(
+                chunkX, chunkZ, chunkSize, resolution, maxHeight
+            );
+            
+            // Wrap the arrays in vertex data for mesh creation
+            return this.createHeightmapData(chunkArrays);
+        },
+        
+        /**
+         * Use imported elevation data as the base terrain
+         * @param {Object|null} dem - DEM from parseDEM, or null to go back to procedural terrain
+         * @param {number} maxHeight - Maximum height of the terrain
+         */
+        setDEM(dem, maxHeight) {
+            noiseGenerator.setDEM(dem, maxHeight);
+            
+            // Drainage caches lattice heights, so start again on the new terrain
+            drainageSystem = createDrainage(noiseConfig, noiseGenerator);
+        },
+        
+        /**
+         * Sample fractal noise of the terrain's noise generator
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @param {Object} [settings={}] - Overrides for scale, octaves, persistence and lacunarity
+         * @returns {number} Noise value in range [0, 1]
+         */
+        getFractalNoise(x, z, settings = {}) {
+            return noiseGenerator.getFractalNoise(x, z, settings);
+        },
+        
+        /**
+         * Get the terrain graph in use
+         * @returns {Object} Terrain graph
+         */
+        getTerrainGraph() {
+            return noiseGenerator.getTerrainGraph();
+        },
+        
+        /**
+         * Get the area covered by the imported DEM
+         * @returns {Object|null} World space bounds, or null without a DEM
+         */
+        getDEMBounds() {
+            return noiseGenerator.getDEMBounds();
+        },
+        
+        /**
+         * Get the biome definitions ordered by the biome indices used in vertex attributes
+         * @returns {Array<Object>} Biome definitions
+         */
+        getBiomes() {
+            return biomeHandler.getBiomeList();
+        },
+        
+        /**
+         * Register a custom biome, or replace a biome with the same name
+         * @param {string} biomeName - Key of the biome
+         * @param {Object} definition - Biome definition (see biomeRegistry.js)
+         * @returns {number} Index of the biome
+         */
+        registerBiome(biomeName, definition) {
+            const index = biomeHandler.registerBiome(biomeName, definition);
+            
+            // Drainage caches lattice heights, which biomes reshape, so start again
+            drainageSystem = createDrainage(noiseConfig, noiseGenerator);
+            
+            return index;
+        },
+        
+        /**
+         * Get the biome with the most weight at a world position
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {Object} Biome definition
+         */
+        getBiomeAtPosition(x, z) {
+            const { ids } = biomeHandler.getBiomeWeightsAtPosition(x, z);
+            return biomeHandler.getBiomeList()[ids[0]];
+        },
+        
+        /**
+         * Check whether a position lies in the sea
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {boolean} True at sea
+         */
+        isOcean(x, z) {
+            return noiseGenerator.isOcean(x, z);
+        },
+        
+        /**
+         * Estimate the distance to the nearest coastline
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {number} Distance in world units (Infinity without continents)
+         */
+        distanceToCoast(x, z) {
+            return noiseGenerator.distanceToCoast(x, z);
+        },
+        
+        /**
+         * Get the sea level
+         * @returns {number} Normalized sea level (0 without continents)
+         */
+        getSeaLevel() {
+            return noiseGenerator.getSeaLevel();
+        },
+        
+        /**
+         * Generate heights and mesh arrays for a terrain chunk.
+         * Does not touch Babylon.js, so it can also run inside a Web Worker.
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         * @param {number} chunkSize - Size of the chunk in world units
+         * @param {number} resolution - Resolution of the heightmap (vertices per side)
+         * @param {number} maxHeight - Maximum height of the terrain
+         * @returns {Object} Heights (with and without a one-sample halo), positions, normals, uvs, indices,
+         *                   erosion maps, water levels, biome blending and, for voxel chunks, the voxel mesh
+         *                   as typed arrays
+         */
+        generateChunkArrays(chunkX, chunkZ, chunkSize, resolution, maxHeight) {
+            // Erosion needs a border so material can move in from neighbours, normals need one sample past the edge
+            const border = Math.max(erosionSimulator.enabled ? erosionSimulator.border : 0, 1);
+            const sampleSpacing = chunkSize / (resolution - 1);
+            let heightValues = noiseGenerator.generateHeightmap(
+                chunkX, chunkZ, chunkSize, resolution, border
             );
+            let waterLevels = null;
+            let erosionMaps = null;
             
-            // Create vertex data for the heightmap
-            const vertexData = this.createVertexData(
-                heightValues, chunkX, chunkZ, chunkSize, resolution, maxHeight
+            // Carve rivers and find lakes before erosion softens the channels
+            if (drainageSystem) {
+                waterLevels = drainageSystem.carveHeightmap(
+                    heightValues, resolution + border * 2,
+                    chunkX * chunkSize - border * sampleSpacing,
+                    chunkZ * chunkSize - border * sampleSpacing,
+                    sampleSpacing, maxHeight
+                );
+            }
+            
+            // Flood the sea up to sea level
+            waterLevels = fillSea(
+                waterLevels, noiseGenerator, resolution + border * 2,
+                chunkX * chunkSize - border * sampleSpacing,
+                chunkZ * chunkSize - border * sampleSpacing,
+                sampleSpacing
+            );
+            
+            if (erosionSimulator.enabled) {
+                erosionMaps = erosionSimulator.erodeChunk(
+                    heightValues, resolution, border, chunkX, chunkZ, {
+                        sampleSpacing: sampleSpacing / maxHeight,
+                        thermalMask: createThermalMask(
+                            biomeHandler, chunkX, chunkZ, chunkSize, resolution, border
+                        )
+                    }
+                );
+            }
+            
+            // Keep one sample around the chunk for its normals, then only the chunk itself
+            const haloHeights = cropBorder(heightValues, resolution + 2, border - 1);
+            heightValues = cropBorder(heightValues, resolution, border);
+            waterLevels = waterLevels && cropBorder(waterLevels, resolution, border);
+            
+            // Create mesh arrays for the heightmap
+            const meshArrays = this.createMeshArrays(
+                heightValues, chunkX, chunkZ, chunkSize, resolution, maxHeight, haloHeights
             );
             
+            // Blend up to four biomes per vertex
+            const biomeData = biomeHandler.generateBiomeData(chunkX, chunkZ, chunkSize, resolution);
+            
             return {
                 heights: heightValues,
-                vertexData: vertexData,
+                haloHeights: haloHeights,
+                positions: meshArrays.positions,
+                normals: meshArrays.normals,
+                uvs: meshArrays.uvs,
+                indices: meshArrays.indices,
+                sedimentMap: erosionMaps ? erosionMaps.sediment : null,
+                flowMap: erosionMaps ? erosionMaps.flow : null,
+                waterLevels: waterLevels,
+                biomeIds: biomeData.biomeIds,
+                biomeWeights: biomeData.biomeWeights,
+                voxelMesh: densityField.isVoxelChunk(chunkX, chunkZ, chunkSize)
+                    ? this.createVoxelMeshArrays(heightValues, chunkX, chunkZ, chunkSize, resolution, maxHeight)
+                    : null,
                 chunkX: chunkX,
                 chunkZ: chunkZ,
                 chunkSize: chunkSize,
@@ -44,51 +244,191 @@ export function createHeightmapGenerator(noiseConfig) {
         },
         
         /**
-         * Create vertex data from heightmap
-         * @param {Float32Array} heightValues - Heightmap values
+         * Generate heights and mesh arrays for a low resolution quadtree node.
+         * Only the noise, the sea and the biomes are included: rivers, erosion and
+         * voxels are smaller than the node's vertex spacing.
+         * Does not touch Babylon.js, so it can also run inside a Web Worker.
+         * @param {number} nodeX - Node X coordinate (in nodes of nodeSize)
+         * @param {number} nodeZ - Node Z coordinate (in nodes of nodeSize)
+         * @param {number} nodeSize - Size of the node in world units
+         * @param {number} resolution - Resolution of the heightmap (vertices per side)
+         * @param {number} maxHeight - Maximum height of the terrain
+         * @returns {Object} Arrays shaped like generateChunkArrays, with the node as the chunk
+         */
+        generateNodeArrays(nodeX, nodeZ, nodeSize, resolution, maxHeight) {
+            const sampleSpacing = nodeSize / (resolution - 1);
+            
+            // One sample past the edge keeps normals continuous with neighbouring nodes
+            const haloHeights = noiseGenerator.generateHeightmap(nodeX, nodeZ, nodeSize, resolution, 1);
+            const heightValues = cropBorder(haloHeights, resolution, 1);
+            
+            // Flood the sea up to sea level
+            const waterLevels = fillSea(
+                null, noiseGenerator, resolution, nodeX * nodeSize, nodeZ * nodeSize, sampleSpacing
+            );
+            
+            // Create mesh arrays and blend the biomes like a chunk
+            const meshArrays = this.createMeshArrays(
+                heightValues, nodeX, nodeZ, nodeSize, resolution, maxHeight, haloHeights
+            );
+            const biomeData = biomeHandler.generateBiomeData(nodeX, nodeZ, nodeSize, resolution);
+            
+            return {
+                heights: heightValues,
+                haloHeights: haloHeights,
+                positions: meshArrays.positions,
+                normals: meshArrays.normals,
+                uvs: meshArrays.uvs,
+                indices: meshArrays.indices,
+                sedimentMap: null,
+                flowMap: null,
+                waterLevels: waterLevels,
+                biomeIds: biomeData.biomeIds,
+                biomeWeights: biomeData.biomeWeights,
+                voxelMesh: null,
+                chunkX: nodeX,
+                chunkZ: nodeZ,
+                chunkSize: nodeSize,
+                resolution: resolution
+            };
+        },
+        
+        /**
+         * Check whether a chunk is built from voxels instead of its heightmap
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         * @param {number} chunkSize - Size of a chunk in world units
+         * @returns {boolean} True for voxel chunks
+         */
+        isVoxelChunk(chunkX, chunkZ, chunkSize) {
+            return densityField.isVoxelChunk(chunkX, chunkZ, chunkSize);
+        },
+        
+        /**
+         * Extract a marching cubes mesh from the density field over a chunk's surface
+         * @param {Float32Array} heightValues - Normalized surface heights of the chunk
          * @param {number} chunkX - Chunk X coordinate
          * @param {number} chunkZ - Chunk Z coordinate
          * @param {number} chunkSize - Size of the chunk in world units
          * @param {number} resolution - Resolution of the heightmap
          * @param {number} maxHeight - Maximum height of the terrain
-         * @returns {BABYLON.VertexData} Vertex data for mesh creation
+         * @returns {Object} Positions, normals and indices as typed arrays
+         */
+        createVoxelMeshArrays(heightValues, chunkX, chunkZ, chunkSize, resolution, maxHeight) {
+            const grid = densityField.sampleChunk(heightValues, chunkX, chunkZ, chunkSize, resolution, maxHeight);
+            return extractIsosurface(grid.densities, grid.size, grid.origin, grid.spacing, grid.padding);
+        },
+        
+        /**
+         * Add an edit layer delta to generated chunk data and rebuild its mesh arrays
+         * @param {Object} heightmapData - Generated heightmap data (left unchanged)
+         * @param {Float32Array} haloDelta - Normalized height change per sample of the chunk and
+         *                                   the one-sample halo around it ((resolution + 2)^2 values)
+         * @param {number} maxHeight - Maximum height of the terrain
+         * @returns {Object} Heightmap data with the edits applied
+         */
+        applyHeightDelta(heightmapData, haloDelta, maxHeight) {
+            const { chunkX, chunkZ, chunkSize, resolution } = heightmapData;
+            
+            // Edited heights, including the halo so edits in neighbouring chunks shade the edges
+            const haloHeights = new Float32Array(heightmapData.haloHeights.length);
+            for (let i = 0; i < haloHeights.length; i++) {
+                haloHeights[i] = heightmapData.haloHeights[i] + haloDelta[i];
+            }
+            const heights = cropBorder(haloHeights, resolution, 1);
+            
+            const meshArrays = this.createMeshArrays(
+                heights, chunkX, chunkZ, chunkSize, resolution, maxHeight, haloHeights
+            );
+            
+            // Voxel chunks sit on the edited surface too
+            const voxelMesh = heightmapData.voxelMesh
+                ? this.createVoxelMeshArrays(heights, chunkX, chunkZ, chunkSize, resolution, maxHeight)
+                : null;
+            
+            // Water follows the edited ground: raised ground pokes out, dug ground next to water floods
+            const waterLevels = heightmapData.waterLevels
+                ? floodEditedWater(heightmapData.waterLevels, heights, resolution)
+                : null;
+            
+            return this.createHeightmapData({
+                ...heightmapData, ...meshArrays, heights, haloHeights, voxelMesh, waterLevels
+            });
+        },
+        
+        /**
+         * Wrap chunk arrays (from generateChunkArrays or a worker) in vertex data
+         * @param {Object} chunkArrays - Chunk arrays
+         * @returns {Object} Heightmap data for the mesh builder
          */
-        createVertexData(heightValues, chunkX, chunkZ, chunkSize, resolution, maxHeight) {
+        createHeightmapData(chunkArrays) {
             // Create vertex data container
             const vertexData = new BABYLON.VertexData();
+            vertexData.positions = chunkArrays.positions;
+            vertexData.indices = chunkArrays.indices;
+            vertexData.normals = chunkArrays.normals;
+            vertexData.uvs = chunkArrays.uvs;
             
-            // Calculate positions, normals, and UVs
-            const positions = [];
-            const normals = [];
-            const uvs = [];
-            const indices = [];
-            
-            // World position of chunk origin
-            const worldX = chunkX * chunkSize;
-            const worldZ = chunkZ * chunkSize;
+            return {
+                heights: chunkArrays.heights,
+                haloHeights: chunkArrays.haloHeights,
+                vertexData: vertexData,
+                sedimentMap: chunkArrays.sedimentMap,
+                flowMap: chunkArrays.flowMap,
+                waterLevels: chunkArrays.waterLevels,
+                biomeIds: chunkArrays.biomeIds,
+                biomeWeights: chunkArrays.biomeWeights,
+                voxelMesh: chunkArrays.voxelMesh || null,
+                chunkX: chunkArrays.chunkX,
+                chunkZ: chunkArrays.chunkZ,
+                chunkSize: chunkArrays.chunkSize,
+                resolution: chunkArrays.resolution
+            };
+        },
+        
+        /**
+         * Create mesh arrays from heightmap
+         * @param {Float32Array} heightValues - Heightmap values
+         * @param {number} chunkX - Chunk X coordinate
+         * @param {number} chunkZ - Chunk Z coordinate
+         * @param {number} chunkSize - Size of the chunk in world units
+         * @param {number} resolution - Resolution of the heightmap
+         * @param {number} maxHeight - Maximum height of the terrain
+         * @param {Float32Array} haloHeights - Heightmap values with one extra sample on each side, for normals
+         * @returns {Object} Positions (relative to the chunk corner), normals, uvs and indices as typed arrays
+         */
+        createMeshArrays(heightValues, chunkX, chunkZ, chunkSize, resolution, maxHeight, haloHeights) {
+            // Allocate typed arrays so they can be transferred between threads
+            const vertexCount = resolution * resolution;
+            const positions = new Float32Array(vertexCount * 3);
+            const normals = new Float32Array(vertexCount * 3);
+            const uvs = new Float32Array(vertexCount * 2);
+            const indices = new Uint32Array((resolution - 1) * (resolution - 1) * 6);
             
-            // Scale factor to convert from grid coordinates to world coordinates
+            // Scale factor to convert from grid coordinates to world units
             const scale = chunkSize / (resolution - 1);
             
             // Generate positions and UVs
             for (let z = 0; z < resolution; z++) {
                 for (let x = 0; x < resolution; x++) {
-                    // Get height at this point
-                    const height = heightValues[z * resolution + x] * maxHeight;
+                    const vertexIndex = z * resolution + x;
                     
-                    // Calculate world position
-                    const xPos = worldX + x * scale;
-                    const zPos = worldZ + z * scale;
+                    // Get height at this point
+                    const height = heightValues[vertexIndex] * maxHeight;
                     
-                    // Add vertex position
-                    positions.push(xPos, height, zPos);
+                    // Add vertex position (meshes are placed at the chunk corner)
+                    positions[vertexIndex * 3] = x * scale;
+                    positions[vertexIndex * 3 + 1] = height;
+                    positions[vertexIndex * 3 + 2] = z * scale;
                     
                     // Add UV coordinates (normalized)
-                    uvs.push(x / (resolution - 1), z / (resolution - 1));
+                    uvs[vertexIndex * 2] = x / (resolution - 1);
+                    uvs[vertexIndex * 2 + 1] = z / (resolution - 1);
                 }
             }
             
             // Generate indices for triangles
+            let index = 0;
             for (let z = 0; z < resolution - 1; z++) {
                 for (let x = 0; x < resolution - 1; x++) {
                     // Calculate vertex indices
@@ -98,108 +438,285 @@ export function createHeightmapGenerator(noiseConfig) {
                     const topRight = topLeft + 1;
                     
                     // Add two triangles for this grid cell
-                    indices.push(bottomLeft, bottomRight, topRight);
-                    indices.push(bottomLeft, topRight, topLeft);
+                    indices[index++] = bottomLeft;
+                    indices[index++] = bottomRight;
+                    indices[index++] = topRight;
+                    indices[index++] = bottomLeft;
+                    indices[index++] = topRight;
+                    indices[index++] = topLeft;
                 }
             }
             
-            // Calculate normals
-            this.calculateNormals(positions, indices, normals);
-            
-            // Set vertex data
-            vertexData.positions = positions;
-            vertexData.indices = indices;
-            vertexData.normals = normals;
-            vertexData.uvs = uvs;
+            // Calculate normals from the halo, so edge vertices see past the chunk
+            this.calculateNormals(haloHeights, resolution, scale, maxHeight, normals);
             
-            return vertexData;
+            return { positions, normals, uvs, indices };
         },
         
         /**
-         * Calculate normals for the mesh
-         * @param {Array} positions - Vertex positions
-         * @param {Array} indices - Vertex indices
-         * @param {Array} normals - Output array for normals
+         * Calculate upward vertex normals from central differences of the heights.
+         * The halo gives edge vertices the same neighbours as in the adjacent chunk,
+         * so both sides of a chunk border get the same normal and lighting has no seam.
+         * Uses plain arithmetic instead of BABYLON.Vector3 so it works in workers.
+         * @param {Float32Array} haloHeights - Normalized heights with one extra sample on each side
+         * @param {number} resolution - Vertices per side of the chunk (without the halo)
+         * @param {number} spacing - Distance between samples in world units
+         * @param {number} maxHeight - Maximum height of the terrain
+         * @param {Float32Array} normals - Output array for normals (three values per chunk vertex)
          */
-        calculateNormals(positions, indices, normals) {
-            // Initialize normals array with zeros
-            for (let i = 0; i < positions.length; i++) {
-                normals.push(0);
-            }
-            
-            // Calculate normals for each face
-            for (let i = 0; i < indices.length; i += 3) {
-                // Get vertex indices for this face
-                const i1 = indices[i];
-                const i2 = indices[i + 1];
-                const i3 = indices[i + 2];
-                
-                // Get vertex positions
-                const v1 = new BABYLON.Vector3(
-                    positions[i1 * 3], 
-                    positions[i1 * 3 + 1], 
-                    positions[i1 * 3 + 2]
-                );
-                const v2 = new BABYLON.Vector3(
-                    positions[i2 * 3], 
-                    positions[i2 * 3 + 1], 
-                    positions[i2 * 3 + 2]
-                );
-                const v3 = new BABYLON.Vector3(
-                    positions[i3 * 3], 
-                    positions[i3 * 3 + 1], 
-                    positions[i3 * 3 + 2]
-                );
-                
-                // Calculate face normal
-                const normal = BABYLON.Vector3.Cross(
-                    v2.subtract(v1),
-                    v3.subtract(v1)
-                ).normalize();
-                
-                // Add to vertex normals
-                normals[i1 * 3] += normal.x;
-                normals[i1 * 3 + 1] += normal.y;
-                normals[i1 * 3 + 2] += normal.z;
-                
-                normals[i2 * 3] += normal.x;
-                normals[i2 * 3 + 1] += normal.y;
-                normals[i2 * 3 + 2] += normal.z;
-                
-                normals[i3 * 3] += normal.x;
-                normals[i3 * 3 + 1] += normal.y;
-                normals[i3 * 3 + 2] += normal.z;
-            }
+        calculateNormals(haloHeights, resolution, spacing, maxHeight, normals) {
+            const size = resolution + 2;
+            const scale = maxHeight / (2 * spacing);
             
-            // Normalize all vertex normals
-            for (let i = 0; i < normals.length; i += 3) {
-                const normal = new BABYLON.Vector3(
-                    normals[i],
-                    normals[i + 1],
-                    normals[i + 2]
-                ).normalize();
-                
-                normals[i] = normal.x;
-                normals[i + 1] = normal.y;
-                normals[i + 2] = normal.z;
+            for (let z = 0; z < resolution; z++) {
+                for (let x = 0; x < resolution; x++) {
+                    // Sample of this vertex in the halo grid
+                    const center = (z + 1) * size + x + 1;
+                    
+                    // Height slope along X and Z in world units
+                    const dx = (haloHeights[center + 1] - haloHeights[center - 1]) * scale;
+                    const dz = (haloHeights[center + size] - haloHeights[center - size]) * scale;
+                    
+                    // Normal of the tangent plane, pointing up
+                    const length = Math.sqrt(dx * dx + 1 + dz * dz);
+                    const index = (z * resolution + x) * 3;
+                    normals[index] = -dx / length;
+                    normals[index + 1] = 1 / length;
+                    normals[index + 2] = -dz / length;
+                }
             }
         },
         
         /**
-         * Get height at a specific world position
+         * Get height at a specific world position.
+         * By default the height lies on the triangles of a chunk mesh at the given LOD,
+         * so it matches what is rendered; pass positions of a loaded mesh to follow it exactly
+         * (without them, changes made after noise generation such as erosion and rivers are not included).
          * @param {number} worldX - World X coordinate
          * @param {number} worldZ - World Z coordinate
          * @param {number} maxHeight - Maximum height of the terrain
+         * @param {Object} [options={}] - Sampling options
+         * @param {boolean} [options.analytic=false] - Return the noise height instead of the mesh surface
+         * @param {number} [options.chunkSize] - Size of a chunk in world units
+         * @param {number} [options.resolution] - Full resolution of a chunk heightmap
+         * @param {number} [options.lodLevel=0] - LOD level of the mesh to match
+         * @param {Float32Array} [options.positions] - Vertex positions of the rendered chunk mesh
+         * @param {number} [options.gridResolution] - Vertices per side of the rendered chunk mesh
          * @returns {number} Height at the specified position
          */
-        getHeightAtPosition(worldX, worldZ, maxHeight) {
-            // Use the noise generator to get the height
-            const noiseValue = noiseGenerator.getFractalNoise(
-                worldX * noiseGenerator.scale,
-                worldZ * noiseGenerator.scale
+        getHeightAtPosition(worldX, worldZ, maxHeight, options = {}) {
+            const { analytic = false, chunkSize, resolution, lodLevel = 0, positions, gridResolution } = options;
+            
+            // Analytic height, also used when the grid layout is unknown
+            if (analytic || !chunkSize || !resolution) {
+                return noiseGenerator.getHeight(worldX, worldZ) * maxHeight;
+            }
+            
+            // Position inside the chunk in range [0, 1]
+            const chunkX = Math.floor(worldX / chunkSize);
+            const chunkZ = Math.floor(worldZ / chunkSize);
+            const localX = worldX / chunkSize - chunkX;
+            const localZ = worldZ / chunkSize - chunkZ;
+            
+            // Follow the triangles of the rendered mesh when its vertices are known
+            if (positions) {
+                return sampleTriangleGrid(
+                    positions, 3, 1, gridResolution,
+                    localX * (gridResolution - 1), localZ * (gridResolution - 1)
+                );
+            }
+            
+            // Otherwise rebuild the cell the mesh would use at this LOD
+            const skipFactor = Math.pow(2, lodLevel);
+            const lodResolution = Math.floor((resolution - 1) / skipFactor) + 1;
+            const spacing = chunkSize * skipFactor / (resolution - 1);
+            
+            const gx = localX * (resolution - 1) / skipFactor;
+            const gz = localZ * (resolution - 1) / skipFactor;
+            const cellX = Math.min(Math.floor(gx), lodResolution - 2);
+            const cellZ = Math.min(Math.floor(gz), lodResolution - 2);
+            
+            // World position of the cell's (0, 0) corner
+            const cornerX = chunkX * chunkSize + cellX * spacing;
+            const cornerZ = chunkZ * chunkSize + cellZ * spacing;
+            
+            const height = triangleGridLerp(
+                noiseGenerator.getHeight(cornerX, cornerZ),
+                noiseGenerator.getHeight(cornerX + spacing, cornerZ),
+                noiseGenerator.getHeight(cornerX, cornerZ + spacing),
+                noiseGenerator.getHeight(cornerX + spacing, cornerZ + spacing),
+                gx - cellX,
+                gz - cellZ
             );
             
-            return noiseValue * maxHeight;
+            return height * maxHeight;
         }
     };
 }
+
+/**
+ * Create the drainage system if rivers and lakes are enabled
+ * @param {Object} noiseConfig - Configuration for noise generation
+ * @param {Object} noiseGenerator - Noise generator providing terrain heights
+ * @returns {Object|null} Drainage system, or null if disabled
+ */
+function createDrainage(noiseConfig, noiseGenerator) {
+    if (!noiseConfig.drainage || !noiseConfig.drainage.enabled) {
+        return null;
+    }
+    
+    return createDrainageSystem(noiseConfig.drainage, noiseGenerator, noiseConfig.seed);
+}
+
+/**
+ * Raise the water surface of samples at sea to sea level
+ * @param {Float32Array|null} waterLevels - Water surface per sample (-1 = dry), or null if dry
+ * @param {Object} noiseGenerator - Noise generator providing the sea
+ * @param {number} size - Samples per side
+ * @param {number} originX - World X of the first sample
+ * @param {number} originZ - World Z of the first sample
+ * @param {number} sampleSpacing - Distance between samples in world units
+ * @returns {Float32Array|null} Water surface per sample, or null if dry
+ */
+function fillSea(waterLevels, noiseGenerator, size, originX, originZ, sampleSpacing) {
+    const seaLevel = noiseGenerator.getSeaLevel();
+    
+    for (let z = 0; z < size; z++) {
+        for (let x = 0; x < size; x++) {
+            if (!noiseGenerator.isOcean(originX + x * sampleSpacing, originZ + z * sampleSpacing)) {
+                continue;
+            }
+            
+            // Create the water surface with the first sea sample
+            if (!waterLevels) {
+                waterLevels = new Float32Array(size * size).fill(-1);
+            }
+            
+            const index = z * size + x;
+            waterLevels[index] = Math.max(waterLevels[index], seaLevel);
+        }
+    }
+    
+    return waterLevels;
+}
+
+/**
+ * Fit a generated water surface to edited heights. Samples whose ground now rises
+ * above the water turn dry, and lowered ground next to water fills up to its level.
+ * @param {Float32Array} waterLevels - Generated water surface per sample (-1 = dry)
+ * @param {Float32Array} heights - Edited heights
+ * @param {number} resolution - Samples per side
+ * @returns {Float32Array|null} Water surface per sample, or null if dry
+ */
+function floodEditedWater(waterLevels, heights, resolution) {
+    const levels = new Float32Array(waterLevels);
+    
+    // Keep the water only where the ground is still below it
+    const queue = [];
+    for (let i = 0; i < levels.length; i++) {
+        if (levels[i] >= 0 && heights[i] > levels[i]) {
+            levels[i] = -1;
+        } else if (levels[i] >= 0) {
+            queue.push(i);
+        }
+    }
+    
+    // Spread each surface into neighbouring samples lower than it
+    while (queue.length > 0) {
+        const index = queue.pop();
+        const x = index % resolution;
+        const z = Math.floor(index / resolution);
+        const neighbors = [
+            x > 0 ? index - 1 : -1,
+            x < resolution - 1 ? index + 1 : -1,
+            z > 0 ? index - resolution : -1,
+            z < resolution - 1 ? index + resolution : -1
+        ];
+        
+        for (const neighbor of neighbors) {
+            if (neighbor >= 0 && levels[neighbor] < levels[index] && heights[neighbor] < levels[index]) {
+                levels[neighbor] = levels[index];
+                queue.push(neighbor);
+            }
+        }
+    }
+    
+    return levels.some(level => level >= 0) ? levels : null;
+}
+
+/**
+ * Build a per-sample thermal erosion weight from the biomes that allow it.
+ * Biomes are looked up on a coarse lattice aligned to world space and
+ * interpolated, so the weight changes smoothly and matches across chunks.
+ * @param {Object} biomeHandler - Biome handler
+ * @param {number} chunkX - Chunk X coordinate
+ * @param {number} chunkZ - Chunk Z coordinate
+ * @param {number} chunkSize - Size of the chunk in world units
+ * @param {number} resolution - Vertices per side of the chunk
+ * @param {number} border - Border samples on each side
+ * @returns {Float32Array} Weight in range [0, 1] for each bordered sample
+ */
+function createThermalMask(biomeHandler, chunkX, chunkZ, chunkSize, resolution, border) {
+    const size = resolution + border * 2;
+    const spacing = chunkSize / (resolution - 1);
+    
+    // Lattice step in samples
+    const step = THERMAL_MASK_STEP;
+    
+    // Lattice points covering the bordered grid (relative to the chunk corner)
+    const firstPoint = Math.floor(-border / step);
+    const pointCount = Math.floor((size - 1 - border) / step) - firstPoint + 2;
+    
+    // Whether each lattice point's biome allows thermal erosion
+    const lattice = new Float32Array(pointCount * pointCount);
+    for (let lz = 0; lz < pointCount; lz++) {
+        for (let lx = 0; lx < pointCount; lx++) {
+            const wx = chunkX * chunkSize + (firstPoint + lx) * step * spacing;
+            const wz = chunkZ * chunkSize + (firstPoint + lz) * step * spacing;
+            const biome = biomeHandler.getBiome(biomeHandler.getBiomeTypeAtPosition(wx, wz));
+            lattice[lz * pointCount + lx] = biome.thermalErosion ? 1 : 0;
+        }
+    }
+    
+    // Interpolate the lattice at every sample
+    const mask = new Float32Array(size * size);
+    for (let z = 0; z < size; z++) {
+        for (let x = 0; x < size; x++) {
+            const gx = (x - border) / step - firstPoint;
+            const gz = (z - border) / step - firstPoint;
+            const lx = Math.floor(gx);
+            const lz = Math.floor(gz);
+            const fx = gx - lx;
+            const fz = gz - lz;
+            
+            const index = lz * pointCount + lx;
+            mask[z * size + x] =
+                lattice[index] * (1 - fx) * (1 - fz) +
+                lattice[index + 1] * fx * (1 - fz) +
+                lattice[index + pointCount] * (1 - fx) * fz +
+                lattice[index + pointCount + 1] * fx * fz;
+        }
+    }
+    
+    return mask;
+}
+
+/**
+ * Remove the border samples around a bordered heightmap
+ * @param {Float32Array} heights - Heightmap with (resolution + 2 * border)^2 values
+ * @param {number} resolution - Vertices per side of the chunk
+ * @param {number} border - Border samples on each side
+ * @returns {Float32Array} Heightmap with resolution^2 values
+ */
+function cropBorder(heights, resolution, border) {
+    const size = resolution + border * 2;
+    const cropped = new Float32Array(resolution * resolution);
+    
+    // Copy each row of the chunk itself
+    for (let z = 0; z < resolution; z++) {
+        const start = (z + border) * size + border;
+        cropped.set(heights.subarray(start, start + resolution), z * resolution);
+    }
+    
+    return cropped;
+}
@@ -0,0 +1,232 @@
+/**
+ * Far-field horizon ring around the loaded chunks
+ *
+ * The ground between the loaded chunks and the horizon is covered by coarse
+ * tiles on a world-aligned grid, sampled from the same noise as the chunks.
+ * Tiles are generated as they come within the horizon and dropped once well
+ * past it, so moving the camera only builds the tiles at the leading edge.
+ * Cells of a tile under a loaded chunk are left out, so the ring fills
+ * exactly the ground the chunks do not.
+ */
+
+/**
+ * Creates the horizon ring
+ * @param {Object} ringConfig - Horizon ring settings (config.terrain.horizon)
+ * @param {Object} floatingOrigin - Floating origin placing tiles in render space
+ * @param {Object} callbacks - How tiles are generated and which ground is covered
+ * @param {Function} callbacks.generateTile - Called with a tile ({ key, x, z, size }), resolves to its heightmap data
+ * @param {Function} callbacks.createTileMesh - Called with a tile and its heightmap data, returns the tile mesh
+ * @param {Function} callbacks.isCovered - Called with a world X and Z, returns true where a loaded chunk covers the ground
+ * @returns {Object} Horizon ring
+ */
+export function createHorizonRing(ringConfig, floatingOrigin, callbacks) {
+    const { distance, tileSize, resolution, sink, maxPendingTiles } = ringConfig;
+    const { generateTile, createTileMesh, isCovered } = callbacks;
+    
+    // Distance between tile vertices
+    const spacing = tileSize / (resolution - 1);
+    
+    // Loaded tiles ({ tile, mesh, indices }) and tiles being generated, keyed by tile
+    const loadedTiles = new Map();
+    const tilesInProgress = new Set();
+    
+    // Bumped by clear so tiles generated for the old terrain are dropped
+    let revision = 0;
+    
+    return {
+        /**
+         * Generate tiles that came within the horizon and drop tiles well past it
+         * @param {Object} cameraPosition - Camera position in world space
+         */
+        update(cameraPosition) {
+            // Tiles within the horizon, nearest first
+            const wanted = [];
+            const minX = Math.floor((cameraPosition.x - distance) / tileSize);
+            const maxX = Math.floor((cameraPosition.x + distance) / tileSize);
+            const minZ = Math.floor((cameraPosition.z - distance) / tileSize);
+            const maxZ = Math.floor((cameraPosition.z + distance) / tileSize);
+            for (let z = minZ; z <= maxZ; z++) {
+                for (let x = minX; x <= maxX; x++) {
+                    const tile = { key: `${x}_${z}`, x, z, size: tileSize };
+                    tile.distance = getTileDistance(tile, cameraPosition);
+                    if (tile.distance <= distance) {
+                        wanted.push(tile);
+                    }
+                }
+            }
+            wanted.sort((a, b) => a.distance - b.distance);
+            
+            // Start generating the nearest missing tiles, a few at a time
+            for (const tile of wanted) {
+                if (tilesInProgress.size >= maxPendingTiles) {
+                    break;
+                }
+                if (!loadedTiles.has(tile.key) && !tilesInProgress.has(tile.key)) {
+                    this.loadTile(tile);
+                }
+            }
+            
+            // Drop tiles a whole tile past the horizon, so tiles on the edge are not rebuilt back and forth
+            for (const [tileKey, loaded] of loadedTiles.entries()) {
+                if (getTileDistance(loaded.tile, cameraPosition) > distance + tileSize) {
+                    loaded.mesh.dispose();
+                    loadedTiles.delete(tileKey);
+                }
+            }
+        },
+        
+        /**
+         * Generate and add one tile
+         * @param {Object} tile - Tile ({ key, x, z, size })
+         * @returns {Promise} Resolves once the tile is added or dropped
+         */
+        loadTile(tile) {
+            tilesInProgress.add(tile.key);
+            const tileRevision = revision;
+            
+            return generateTile(tile).then(heightmapData => {
+                tilesInProgress.delete(tile.key);
+                
+                // Drop the result if the terrain changed while generating
+                if (tileRevision !== revision) {
+                    return;
+                }
+                
+                // Sink the tile a little so it stays under the chunks it meets
+                const mesh = createTileMesh(tile, heightmapData);
+                mesh.position.y = -sink;
+                floatingOrigin.place(mesh, tile.x * tileSize, tile.z * tileSize);
+                
+                const loaded = { tile, mesh, indices: Uint32Array.from(mesh.getIndices()) };
+                loadedTiles.set(tile.key, loaded);
+                this.cutHoles(loaded);
+            }).catch(error => {
+                tilesInProgress.delete(tile.key);
+                console.warn(`Could not generate horizon tile ${tile.key}:`, error);
+            });
+        },
+        
+        /**
+         * Leave out the cells of a tile that loaded chunks cover
+         * @param {Object} loaded - Loaded tile ({ tile, mesh, indices })
+         */
+        cutHoles(loaded) {
+            const { tile, mesh, indices } = loaded;
+            const cells = resolution - 1;
+            const kept = new Uint32Array(indices.length);
+            let count = 0;
+            
+            const isCellCovered = (cx, cz) => isCovered(
+                tile.x * tileSize + (cx + 0.5) * spacing,
+                tile.z * tileSize + (cz + 0.5) * spacing
+            );
+            
+            // Grid cells come first, six indices each, row by row
+            for (let cz = 0; cz < cells; cz++) {
+                for (let cx = 0; cx < cells; cx++) {
+                    if (!isCellCovered(cx, cz)) {
+                        const start = (cz * cells + cx) * 6;
+                        kept.set(indices.subarray(start, start + 6), count);
+                        count += 6;
+                    }
+                }
+            }
+            
+            // Then the skirt, twelve indices per edge segment, kept where the cell inside it is shown
+            const skirtStart = cells * cells * 6;
+            for (let segment = 0; segment < cells * 4; segment++) {
+                const cell = getEdgeCell(segment, cells);
+                if (!isCellCovered(cell.x, cell.z)) {
+                    const start = skirtStart + segment * 12;
+                    kept.set(indices.subarray(start, start + 12), count);
+                    count += 12;
+                }
+            }
+            
+            mesh.setIndices(kept.subarray(0, count));
+        },
+        
+        /**
+         * Cut the holes again in tiles overlapping an area whose coverage changed
+         * @param {number} minX - Smallest world X of the area
+         * @param {number} minZ - Smallest world Z of the area
+         * @param {number} size - Size of the square area in world units
+         */
+        refreshArea(minX, minZ, size) {
+            for (const loaded of loadedTiles.values()) {
+                const tileX = loaded.tile.x * tileSize;
+                const tileZ = loaded.tile.z * tileSize;
+                if (tileX < minX + size && minX < tileX + tileSize && tileZ < minZ + size && minZ < tileZ + tileSize) {
+                    this.cutHoles(loaded);
+                }
+            }
+        },
+        
+        /**
+         * Move every tile after the floating origin shifted
+         * @param {Object} shift - Shift of the origin ({ x, z })
+         */
+        shiftMeshes(shift) {
+            for (const loaded of loadedTiles.values()) {
+                floatingOrigin.shiftMesh(loaded.mesh, shift);
+            }
+        },
+        
+        /**
+         * Dispose every tile and drop tiles still being generated
+         */
+        clear() {
+            revision++;
+            
+            for (const loaded of loadedTiles.values()) {
+                loaded.mesh.dispose();
+            }
+            loadedTiles.clear();
+        },
+        
+        /**
+         * Get the meshes of all loaded tiles
+         * @returns {Array<BABYLON.Mesh>} Tile meshes
+         */
+        getMeshes() {
+            return [...loadedTiles.values()].map(loaded => loaded.mesh);
+        }
+    };
+}
+
+/**
+ * Horizontal distance from a position to a tile's square
+ * @param {Object} tile - Tile ({ x, z, size })
+ * @param {Object} position - Position in world space
+ * @returns {number} Distance in world units (0 above the tile)
+ */
+function getTileDistance(tile, position) {
+    const minX = tile.x * tile.size;
+    const minZ = tile.z * tile.size;
+    const dx = Math.max(minX - position.x, 0, position.x - (minX + tile.size));
+    const dz = Math.max(minZ - position.z, 0, position.z - (minZ + tile.size));
+    return Math.hypot(dx, dz);
+}
+
+/**
+ * Grid cell next to a skirt segment. Segments run around the tile like the
+ * edge vertices of createNodeMesh: south, east, north, then west.
+ * @param {number} segment - Index of the skirt segment
+ * @param {number} cells - Cells per side of the tile
+ * @returns {Object} Cell coordinates {x, z}
+ */
+function getEdgeCell(segment, cells) {
+    const side = Math.floor(segment / cells);
+    const i = segment % cells;
+    
+    switch (side) {
+        case 0:
+            return { x: i, z: 0 };
+        case 1:
+            return { x: cells - 1, z: i };
+        case 2:
+            return { x: cells - 1 - i, z: cells - 1 };
+        default:
+            return { x: 0, z: cells - 1 - i };
+    }
+}
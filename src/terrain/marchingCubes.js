@@ -0,0 +1,228 @@
+/**
+ * Marching cubes surface extraction for voxel density fields
+ *
+ * Density is positive inside solid ground and negative in air; the surface
+ * is the zero level. The triangle table is derived when the module loads by
+ * tracing the surface outline around the six faces of the cube. Faces with
+ * two diagonal solid corners always keep those corners apart, and both cubes
+ * sharing a face trace the same outline, so neighbouring cubes (and chunks)
+ * never open cracks between each other.
+ */
+
+// Cube corner offsets: corner c sits at (c & 1, (c >> 1) & 1, (c >> 2) & 1)
+const CORNER_OFFSETS = [0, 1, 2, 3, 4, 5, 6, 7].map(c => [c & 1, (c >> 1) & 1, (c >> 2) & 1]);
+
+// Cube edges as [corner, corner, axis] (edges 0-3 run along X, 4-7 along Y, 8-11 along Z)
+const CUBE_EDGES = createCubeEdges();
+
+// Edge indices of the triangles for each of the 256 corner configurations
+const TRIANGLE_TABLE = createTriangleTable();
+
+/**
+ * Extract the zero-level surface of a density grid.
+ * Samples are stored X first, then Z, then Y: index = (y * sizeZ + z) * sizeX + x.
+ * Padding samples around the grid are only used for normals, so a chunk sampled with
+ * a one-sample border gets the same normals on its edges as its neighbours.
+ * @param {Float32Array} densities - Density samples (positive = solid)
+ * @param {Array<number>} size - Samples along X, Y and Z, including padding
+ * @param {Array<number>} origin - World position of the first sample inside the padding
+ * @param {Array<number>} spacing - Distance between samples along X, Y and Z
+ * @param {number} [padding=0] - Samples on each side that are not meshed
+ * @returns {Object} Mesh arrays ({ positions, normals, indices })
+ */
+export function extractIsosurface(densities, size, origin, spacing, padding = 0) {
+    const [sizeX, sizeY, sizeZ] = size;
+    const strideZ = sizeX;
+    const strideY = sizeX * sizeZ;
+    const strides = [1, strideY, strideZ];
+    
+    const positions = [];
+    const normals = [];
+    const indices = [];
+    
+    // Vertex index of each crossed grid edge, keyed by its lower sample and axis
+    const edgeVertices = new Int32Array(densities.length * 3).fill(-1);
+    
+    /**
+     * Density gradient at a sample (central differences, one-sided on the grid boundary)
+     * @param {number} x - Sample X index
+     * @param {number} y - Sample Y index
+     * @param {number} z - Sample Z index
+     * @returns {Array<number>} Gradient per world unit
+     */
+    const gradientAt = (x, y, z) => {
+        const index = (y * sizeZ + z) * sizeX + x;
+        const axisGradient = (i, limit, stride, step) => {
+            const low = i > 0 ? index - stride : index;
+            const high = i < limit - 1 ? index + stride : index;
+            const distance = (high === low) ? 1 : ((high - low) / stride) * step;
+            return (densities[high] - densities[low]) / distance;
+        };
+        
+        return [
+            axisGradient(x, sizeX, 1, spacing[0]),
+            axisGradient(y, sizeY, strideY, spacing[1]),
+            axisGradient(z, sizeZ, strideZ, spacing[2])
+        ];
+    };
+    
+    /**
+     * Get (or create) the surface vertex on a grid edge
+     * @param {number} x - X index of the edge's lower sample
+     * @param {number} y - Y index of the edge's lower sample
+     * @param {number} z - Z index of the edge's lower sample
+     * @param {number} axis - Edge direction (0 = X, 1 = Y, 2 = Z)
+     * @returns {number} Vertex index
+     */
+    const getEdgeVertex = (x, y, z, axis) => {
+        const index = (y * sizeZ + z) * sizeX + x;
+        const key = index * 3 + axis;
+        if (edgeVertices[key] >= 0) {
+            return edgeVertices[key];
+        }
+        
+        // Position of the zero crossing along the edge
+        const d0 = densities[index];
+        const d1 = densities[index + strides[axis]];
+        const t = d0 / (d0 - d1);
+        
+        const start = [x, y, z];
+        const end = [x, y, z];
+        end[axis]++;
+        
+        for (let a = 0; a < 3; a++) {
+            const sample = start[a] + (end[a] - start[a]) * t;
+            positions.push(origin[a] + (sample - padding) * spacing[a]);
+        }
+        
+        // Normal points away from the ground (down the density gradient)
+        const g0 = gradientAt(x, y, z);
+        const g1 = gradientAt(end[0], end[1], end[2]);
+        const nx = -(g0[0] + (g1[0] - g0[0]) * t);
+        const ny = -(g0[1] + (g1[1] - g0[1]) * t);
+        const nz = -(g0[2] + (g1[2] - g0[2]) * t);
+        const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+        normals.push(nx / length, ny / length, nz / length);
+        
+        const vertex = positions.length / 3 - 1;
+        edgeVertices[key] = vertex;
+        return vertex;
+    };
+    
+    // March through the cells between the padding
+    for (let y = padding; y < sizeY - padding - 1; y++) {
+        for (let z = padding; z < sizeZ - padding - 1; z++) {
+            for (let x = padding; x < sizeX - padding - 1; x++) {
+                // Which corners are solid
+                let configuration = 0;
+                for (let c = 0; c < 8; c++) {
+                    const [ox, oy, oz] = CORNER_OFFSETS[c];
+                    if (densities[((y + oy) * sizeZ + z + oz) * sizeX + x + ox] > 0) {
+                        configuration |= 1 << c;
+                    }
+                }
+                
+                const triangles = TRIANGLE_TABLE[configuration];
+                for (let i = 0; i < triangles.length; i++) {
+                    const [corner, , axis] = CUBE_EDGES[triangles[i]];
+                    const [ox, oy, oz] = CORNER_OFFSETS[corner];
+                    indices.push(getEdgeVertex(x + ox, y + oy, z + oz, axis));
+                }
+            }
+        }
+    }
+    
+    return {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        indices: new Uint32Array(indices)
+    };
+}
+
+/**
+ * List the twelve cube edges
+ * @returns {Array<Array<number>>} Edges as [lower corner, upper corner, axis]
+ */
+function createCubeEdges() {
+    const edges = [];
+    for (let axis = 0; axis < 3; axis++) {
+        for (let corner = 0; corner < 8; corner++) {
+            if (!(corner & (1 << axis))) {
+                edges.push([corner, corner | (1 << axis), axis]);
+            }
+        }
+    }
+    return edges;
+}
+
+/**
+ * Derive the triangles of every corner configuration.
+ * On each face the outline enters the solid corners across one edge and leaves
+ * across another; chaining these segments gives closed loops around the cube,
+ * which are split into triangle fans.
+ * @returns {Array<Array<number>>} Edge indices, three per triangle, for each configuration
+ */
+function createTriangleTable() {
+    // Edge index by its two corners
+    const edgeIndex = (a, b) => CUBE_EDGES.findIndex(([c0, c1]) => (c0 === a && c1 === b) || (c0 === b && c1 === a));
+    
+    // Face corners in counter-clockwise order seen from outside the cube
+    const faces = [];
+    for (let axis = 0; axis < 3; axis++) {
+        const u = 1 << ((axis + 1) % 3);
+        const v = 1 << ((axis + 2) % 3);
+        for (let side = 0; side < 2; side++) {
+            const base = side ? (1 << axis) : 0;
+            const corners = [base, base | u, base | u | v, base | v];
+            faces.push(side ? corners : corners.reverse());
+        }
+    }
+    
+    const table = [];
+    for (let configuration = 0; configuration < 256; configuration++) {
+        const isSolid = corner => (configuration & (1 << corner)) !== 0;
+        
+        // Outline segments on each face, from the edge entering solid corners to the edge leaving them
+        const nextEdge = new Map();
+        for (const corners of faces) {
+            for (let k = 0; k < 4; k++) {
+                const from = corners[k];
+                const to = corners[(k + 1) % 4];
+                if (isSolid(from) || !isSolid(to)) {
+                    continue;
+                }
+                
+                // Walk along the solid run to the edge where it ends
+                let m = (k + 1) % 4;
+                while (isSolid(corners[(m + 1) % 4])) {
+                    m = (m + 1) % 4;
+                }
+                nextEdge.set(edgeIndex(from, to), edgeIndex(corners[m], corners[(m + 1) % 4]));
+            }
+        }
+        
+        // Chain the segments into loops and fan each loop into triangles
+        const triangles = [];
+        const visited = new Set();
+        for (const start of nextEdge.keys()) {
+            if (visited.has(start)) {
+                continue;
+            }
+            
+            const loop = [];
+            for (let edge = start; !visited.has(edge); edge = nextEdge.get(edge)) {
+                visited.add(edge);
+                loop.push(edge);
+            }
+            
+            // Wind like the heightmap meshes, whose triangles face into the ground
+            for (let i = 1; i < loop.length - 1; i++) {
+                triangles.push(loop[0], loop[i + 1], loop[i]);
+            }
+        }
+        
+        table.push(triangles);
+    }
+    
+    return table;
+}
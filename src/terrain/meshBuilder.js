@@ -2,6 +2,7 @@
  * Terrain mesh creation from heightmap data with optimized face count
  */
 import config from '../config.js';
+import { sampleTriangleGrid } from '../utils/math.js';
 
 /**
  * Creates a terrain mesh builder
@@ -9,41 +10,106 @@ import config from '../config.js';
  * @returns {Object} Mesh builder object
  */
 export function createTerrainMeshBuilder(scene) {
+    // Released chunk meshes ready for reuse, keyed by grid resolution
+    const meshPool = new Map();
+    
+    // Triangle indices shared by all chunk meshes of a grid resolution
+    const gridIndices = new Map();
+    
+    // GPU index buffers holding those indices, one per grid resolution
+    const gridIndexBuffers = new Map();
+    
+    // Hidden flat grids whose geometry displaced chunk meshes share, keyed by grid resolution
+    const displacementGrids = new Map();
+    
     return {
         /**
-         * Create a terrain mesh from heightmap data
+         * Create a terrain mesh from heightmap data, reusing a released mesh of the same
+         * grid resolution when one is pooled
          * @param {Object} heightmapData - Heightmap data from heightmap generator
          * @param {BABYLON.Material} material - Material to apply to the mesh
          * @param {number} [lodLevel=0] - Level of detail (0=highest, higher values reduce resolution)
+         * @param {Object} [neighborLODs=null] - LOD of the north, south, east and west neighbours (null if not loaded)
          * @returns {BABYLON.Mesh} Created terrain mesh
          */
-        createTerrainMesh(heightmapData, material, lodLevel = 0) {
+        createTerrainMesh(heightmapData, material, lodLevel = 0, neighborLODs = null) {
             // Extract needed values from heightmap data
             const { chunkX, chunkZ, chunkSize, vertexData, heights, resolution } = heightmapData;
             
             // Create a unique name for the mesh
             const meshName = `terrain_${chunkX}_${chunkZ}`;
             
-            // Create an empty mesh
-            const terrainMesh = new BABYLON.Mesh(meshName, scene);
+            // Adaptive LOD disabled means every chunk uses full resolution
+            if (!config.terrain.enableAdaptiveLOD) {
+                lodLevel = 0;
+            }
+            const gridResolution = Math.floor((resolution - 1) / Math.pow(2, lodLevel)) + 1;
+            
+            // Take a released mesh of this grid resolution, or start a new one
+            const pooledMesh = this.acquireMesh(gridResolution);
+            const terrainMesh = pooledMesh || new BABYLON.Mesh(meshName, scene);
+            if (!terrainMesh.gridBuffers) {
+                terrainMesh.gridBuffers = createGridBuffers(gridResolution * gridResolution);
+            }
+            const buffers = terrainMesh.gridBuffers;
+            
+            // Work out which edges must be stitched to coarser neighbours
+            const stitchLODs = this.getStitchLODs(lodLevel, neighborLODs);
             
             // Use optimized vertex data that skips vertices based on LOD level
-            const optimizedVertexData = this.optimizeVertexData(vertexData, heights, resolution, lodLevel);
+            const optimizedVertexData = this.optimizeVertexData(
+                vertexData, heights, resolution, lodLevel, stitchLODs, buffers
+            );
             
-            // Apply optimized vertex data to the mesh
-            optimizedVertexData.applyToMesh(terrainMesh);
+            // Write the vertex data into the mesh's updatable buffers
+            writeVertexData(terrainMesh, BABYLON.VertexBuffer.PositionKind, optimizedVertexData.positions, 3);
+            writeVertexData(terrainMesh, BABYLON.VertexBuffer.NormalKind, optimizedVertexData.normals, 3);
+            writeVertexData(terrainMesh, BABYLON.VertexBuffer.UVKind, optimizedVertexData.uvs, 2);
+            
+            // Indices never change for a grid resolution, so pooled meshes keep the shared buffer they have
+            if (!pooledMesh) {
+                this.attachGridIndices(terrainMesh, gridResolution);
+            }
+            
+            // Expose erosion sediment and flow to materials as a two-component attribute
+            if (heightmapData.sedimentMap) {
+                const erosionData = this.createErosionAttribute(
+                    heightmapData.sedimentMap, heightmapData.flowMap, resolution, lodLevel, buffers.erosion
+                );
+                writeVertexData(terrainMesh, 'erosion', erosionData, 2);
+            } else if (terrainMesh.isVerticesDataPresent('erosion')) {
+                terrainMesh.removeVerticesData('erosion');
+            }
+            
+            // Expose the blended biomes to materials as four indices and four weights per vertex
+            if (heightmapData.biomeIds) {
+                const biomeData = this.createBiomeAttributes(
+                    heightmapData.biomeIds, heightmapData.biomeWeights, resolution, lodLevel, buffers
+                );
+                writeVertexData(terrainMesh, 'biomeIds', biomeData.biomeIds, 4);
+                writeVertexData(terrainMesh, 'biomeWeights', biomeData.biomeWeights, 4);
+            }
             
             // Apply material
             terrainMesh.material = material;
             
             // Store chunk coordinates on the mesh for easy reference
+            terrainMesh.name = meshName;
             terrainMesh.chunkX = chunkX;
             terrainMesh.chunkZ = chunkZ;
             terrainMesh.lodLevel = lodLevel;
+            terrainMesh.stitchLODs = stitchLODs;
+            
+            // Keep the rendered grid so height queries can follow its triangles
+            terrainMesh.gridPositions = optimizedVertexData.positions;
+            terrainMesh.gridResolution = gridResolution;
             
             // Optimize the mesh for rendering
             this.optimizeMesh(terrainMesh);
             
+            // Bounds follow the new positions (they are not synced on vertex updates)
+            terrainMesh.refreshBoundingInfo();
+            
             // Add debug wireframe if enabled
             if (config.debug.showWireframe) {
                 this.addWireframe(terrainMesh);
@@ -57,17 +123,590 @@ export function createTerrainMeshBuilder(scene) {
             return terrainMesh;
         },
         
+        /**
+         * Create a chunk mesh that the displacement material lifts onto the terrain on the GPU.
+         * The mesh shares the flat grid of its LOD with every other chunk at that LOD and only
+         * brings its own small textures: the heights with one extra sample on each side (for
+         * normals) and the biome indices and weights.
+         * @param {Object} heightmapData - Heightmap data from heightmap generator
+         * @param {BABYLON.ShaderMaterial} material - Shader terrain material created with displacement
+         * @param {number} [lodLevel=0] - Level of detail (0=highest, higher values reduce resolution)
+         * @param {Object} [neighborLODs=null] - LOD of the north, south, east and west neighbours (null if not loaded)
+         * @returns {BABYLON.Mesh} Created terrain mesh
+         */
+        createDisplacedMesh(heightmapData, material, lodLevel = 0, neighborLODs = null) {
+            const { chunkX, chunkZ, chunkSize, vertexData, heights, haloHeights, resolution } = heightmapData;
+            const { maxHeight } = config.terrain;
+            
+            // Adaptive LOD disabled means every chunk uses full resolution
+            if (!config.terrain.enableAdaptiveLOD) {
+                lodLevel = 0;
+            }
+            const gridResolution = Math.floor((resolution - 1) / Math.pow(2, lodLevel)) + 1;
+            
+            // Clone the flat grid of this LOD; clones share its geometry
+            const terrainMesh = this.getDisplacementGrid(gridResolution, chunkSize).clone(`terrain_${chunkX}_${chunkZ}`);
+            terrainMesh.setEnabled(true);
+            terrainMesh.material = material;
+            
+            // Upload the heights and biomes as float textures read in the vertex shader (no biomes = all weights 0)
+            const sampleCount = resolution * resolution * 4;
+            const heightTexture = createSampleTexture(scene, haloHeights, resolution + 2, 1);
+            const biomeIdTexture = createSampleTexture(
+                scene, heightmapData.biomeIds || new Float32Array(sampleCount), resolution, 4
+            );
+            const biomeWeightTexture = createSampleTexture(
+                scene, heightmapData.biomeWeights || new Float32Array(sampleCount), resolution, 4
+            );
+            
+            // Edges next to coarser neighbours follow the neighbour's samples (1 sample per step elsewhere)
+            const stitchLODs = this.getStitchLODs(lodLevel, neighborLODs);
+            const stitchStep = side => (stitchLODs[side] === null ? 1 : Math.pow(2, stitchLODs[side]));
+            
+            // Everything the material binds for this mesh, released with it. LOD morphs blend towards
+            // another grid of the same chunk (morph: samples per cell of that grid and the blend, 0 = none)
+            terrainMesh.displacement = {
+                heightTexture,
+                biomeIdTexture,
+                biomeWeightTexture,
+                stitchSteps: new BABYLON.Vector4(
+                    stitchStep('north'), stitchStep('south'), stitchStep('east'), stitchStep('west')
+                ),
+                morph: new BABYLON.Vector2(1, 0),
+                morphStitchSteps: new BABYLON.Vector4(1, 1, 1, 1)
+            };
+            terrainMesh.onDisposeObservable.addOnce(() => {
+                heightTexture.dispose();
+                biomeIdTexture.dispose();
+                biomeWeightTexture.dispose();
+            });
+            
+            // Store chunk coordinates on the mesh for easy reference
+            terrainMesh.chunkX = chunkX;
+            terrainMesh.chunkZ = chunkZ;
+            terrainMesh.lodLevel = lodLevel;
+            terrainMesh.stitchLODs = stitchLODs;
+            terrainMesh.isDisplaced = true;
+            
+            // The grid is flat on the CPU, so keep the surface the GPU draws (this LOD's samples with
+            // stitched edges) for height queries
+            terrainMesh.gridPositions = this.createDisplacedGridPositions(
+                vertexData.positions, resolution, lodLevel, stitchLODs
+            );
+            terrainMesh.gridResolution = gridResolution;
+            
+            // Optimize the mesh for rendering
+            this.optimizeMesh(terrainMesh);
+            
+            // Bounds span the displaced heights, not the flat grid
+            let lowest = Infinity;
+            let highest = -Infinity;
+            for (let i = 0; i < heights.length; i++) {
+                lowest = Math.min(lowest, heights[i]);
+                highest = Math.max(highest, heights[i]);
+            }
+            terrainMesh.setBoundingInfo(new BABYLON.BoundingInfo(
+                new BABYLON.Vector3(0, lowest * maxHeight, 0),
+                new BABYLON.Vector3(chunkSize, highest * maxHeight, chunkSize)
+            ));
+            
+            // Add chunk boundary markers if enabled (a wireframe clone would show the flat grid)
+            if (config.debug.showChunkBoundaries) {
+                this.addChunkBoundaries(terrainMesh, chunkX, chunkZ, chunkSize);
+            }
+            
+            return terrainMesh;
+        },
+        
+        /**
+         * Build the positions a displaced mesh is drawn with: the heightmap vertices kept at a LOD,
+         * with edges next to coarser neighbours stitched like the vertex shader does
+         * @param {Float32Array} positions - Full resolution positions of the chunk
+         * @param {number} resolution - Vertices per side of the full resolution grid
+         * @param {number} lodLevel - Level of detail
+         * @param {Object} stitchLODs - Coarser LOD to stitch each edge to (from getStitchLODs)
+         * @returns {Float32Array} Positions of the LOD grid
+         */
+        createDisplacedGridPositions(positions, resolution, lodLevel, stitchLODs) {
+            // Full resolution without stitching is the heightmap itself
+            const needsStitching = Object.values(stitchLODs).some(lod => lod !== null);
+            if (lodLevel === 0 && !needsStitching) {
+                return positions;
+            }
+            
+            // Copy the vertices kept at this LOD, row by row
+            const skipFactor = Math.pow(2, lodLevel);
+            const gridResolution = Math.floor((resolution - 1) / skipFactor) + 1;
+            const gridPositions = new Float32Array(gridResolution * gridResolution * 3);
+            let vertex = 0;
+            for (let z = 0; z < resolution; z += skipFactor) {
+                for (let x = 0; x < resolution; x += skipFactor) {
+                    const index = (z * resolution + x) * 3;
+                    gridPositions[vertex * 3] = positions[index];
+                    gridPositions[vertex * 3 + 1] = positions[index + 1];
+                    gridPositions[vertex * 3 + 2] = positions[index + 2];
+                    vertex++;
+                }
+            }
+            
+            this.stitchEdges(gridPositions, gridResolution, lodLevel, stitchLODs);
+            return gridPositions;
+        },
+        
+        /**
+         * Get the hidden flat grid that displaced chunk meshes of a grid resolution are cloned from
+         * @param {number} gridResolution - Vertices per side of the grid
+         * @param {number} chunkSize - Size of a chunk in world units
+         * @returns {BABYLON.Mesh} Flat grid with positions, uvs and the shared grid indices
+         */
+        getDisplacementGrid(gridResolution, chunkSize) {
+            let grid = displacementGrids.get(gridResolution);
+            if (grid) {
+                return grid;
+            }
+            
+            // Flat positions and uvs, row by row like the heightmap samples
+            const vertexCount = gridResolution * gridResolution;
+            const positions = new Float32Array(vertexCount * 3);
+            const uvs = new Float32Array(vertexCount * 2);
+            const spacing = chunkSize / (gridResolution - 1);
+            for (let z = 0; z < gridResolution; z++) {
+                for (let x = 0; x < gridResolution; x++) {
+                    const vertex = z * gridResolution + x;
+                    positions[vertex * 3] = x * spacing;
+                    positions[vertex * 3 + 2] = z * spacing;
+                    uvs[vertex * 2] = x / (gridResolution - 1);
+                    uvs[vertex * 2 + 1] = z / (gridResolution - 1);
+                }
+            }
+            
+            grid = new BABYLON.Mesh(`displacementGrid_${gridResolution}`, scene);
+            grid.setVerticesData(BABYLON.VertexBuffer.PositionKind, positions, false, 3);
+            grid.setVerticesData(BABYLON.VertexBuffer.UVKind, uvs, false, 2);
+            this.attachGridIndices(grid, gridResolution);
+            
+            // The grid itself is never drawn or picked
+            grid.setEnabled(false);
+            grid.isPickable = false;
+            displacementGrids.set(gridResolution, grid);
+            
+            return grid;
+        },
+        
+        /**
+         * Take a released chunk mesh of a grid resolution out of the pool
+         * @param {number} gridResolution - Vertices per side of the mesh
+         * @returns {BABYLON.Mesh|null} Pooled mesh, enabled again, or null if none is pooled
+         */
+        acquireMesh(gridResolution) {
+            const pool = meshPool.get(gridResolution);
+            const mesh = pool && pool.pop();
+            if (!mesh) {
+                return null;
+            }
+            
+            mesh.setEnabled(true);
+            return mesh;
+        },
+        
+        /**
+         * Hand back a chunk mesh that is no longer shown. Heightmap chunk meshes are
+         * hidden and pooled for reuse; other meshes, and meshes past the pool size, are disposed.
+         * @param {BABYLON.Mesh} mesh - Mesh to release
+         */
+        releaseMesh(mesh) {
+            // Debug helpers belong to the chunk, not the mesh
+            for (const child of mesh.getChildMeshes()) {
+                child.dispose();
+            }
+            
+            const pool = meshPool.get(mesh.gridResolution) || [];
+            if (!mesh.gridBuffers || mesh.isDisposed() || pool.length >= config.performance.meshPoolSize) {
+                mesh.dispose();
+                return;
+            }
+            
+            // Hide the mesh and drop per-chunk state until it is reused (renamed so terrain picks skip it)
+            mesh.setEnabled(false);
+            mesh.name = 'pooledTerrain';
+            mesh.gridPositions = null;
+            mesh._hasVertexColors = false;
+            pool.push(mesh);
+            meshPool.set(mesh.gridResolution, pool);
+        },
+        
+        /**
+         * Get the triangle indices of a chunk grid, built once per grid resolution
+         * @param {number} gridResolution - Vertices per side of the grid
+         * @returns {Uint32Array} Indices shared by every chunk mesh of that resolution
+         */
+        getGridIndices(gridResolution) {
+            let indices = gridIndices.get(gridResolution);
+            if (!indices) {
+                indices = createGridIndices(gridResolution);
+                gridIndices.set(gridResolution, indices);
+            }
+            
+            return indices;
+        },
+        
+        /**
+         * Draw a chunk mesh with the index buffer shared by every chunk mesh of its grid
+         * resolution. The mesh keeps no CPU copy of the indices, so it cannot be picked by
+         * its triangles (chunkManager.pickTerrain follows the heights instead).
+         * @param {BABYLON.Mesh} mesh - Mesh with vertex data for the whole grid
+         * @param {number} gridResolution - Vertices per side of the grid
+         */
+        attachGridIndices(mesh, gridResolution) {
+            const indices = this.getGridIndices(gridResolution);
+            
+            let indexBuffer = gridIndexBuffers.get(gridResolution);
+            if (!indexBuffer) {
+                indexBuffer = scene.getEngine().createIndexBuffer(indices);
+                gridIndexBuffers.set(gridResolution, indexBuffer);
+            }
+            
+            // Every mesh holds a reference, released when its geometry is disposed
+            indexBuffer.references++;
+            mesh.geometry.setIndexBuffer(indexBuffer, gridResolution * gridResolution, indices.length, true);
+        },
+        
+        /**
+         * Create the mesh of a voxel chunk from its marching cubes arrays.
+         * Voxel chunks are always at full detail; along edges next to coarser heightmap
+         * chunks (where the 3D features have faded out) the surface is stitched like a heightmap.
+         * @param {Object} heightmapData - Heightmap data with voxelMesh
+         * @param {BABYLON.Material} material - Material to apply
+         * @param {Object} [neighborLODs=null] - LOD of each neighbour (null if not loaded)
+         * @returns {BABYLON.Mesh} Created terrain mesh
+         */
+        createVoxelMesh(heightmapData, material, neighborLODs = null) {
+            const { chunkX, chunkZ, chunkSize, resolution, vertexData, voxelMesh } = heightmapData;
+            
+            // Create an empty mesh named like heightmap chunks so picking and tools treat both alike
+            const terrainMesh = new BABYLON.Mesh(`terrain_${chunkX}_${chunkZ}`, scene);
+            
+            // Move surface vertices on edges shared with coarser neighbours onto their edge lines
+            const stitchLODs = this.getStitchLODs(0, neighborLODs);
+            const positions = voxelMesh.positions.slice();
+            this.stitchVoxelEdges(positions, vertexData.positions, chunkSize, resolution, stitchLODs);
+            
+            const meshVertexData = new BABYLON.VertexData();
+            meshVertexData.positions = positions;
+            meshVertexData.normals = voxelMesh.normals;
+            meshVertexData.indices = voxelMesh.indices;
+            meshVertexData.applyToMesh(terrainMesh);
+            
+            // Give each surface vertex the biomes of the nearest heightmap sample
+            if (heightmapData.biomeIds) {
+                const biomeData = this.sampleBiomeAttributes(
+                    positions, heightmapData.biomeIds, heightmapData.biomeWeights, chunkSize, resolution
+                );
+                terrainMesh.setVerticesData('biomeIds', biomeData.biomeIds, false, 4);
+                terrainMesh.setVerticesData('biomeWeights', biomeData.biomeWeights, false, 4);
+            }
+            
+            // Apply material
+            terrainMesh.material = material;
+            
+            // Store chunk coordinates on the mesh for easy reference
+            terrainMesh.chunkX = chunkX;
+            terrainMesh.chunkZ = chunkZ;
+            terrainMesh.lodLevel = 0;
+            terrainMesh.stitchLODs = stitchLODs;
+            terrainMesh.isVoxel = true;
+            
+            // Height queries follow the heightmap surface under the overhangs
+            terrainMesh.gridPositions = vertexData.positions;
+            terrainMesh.gridResolution = resolution;
+            
+            // Optimize the mesh for rendering
+            this.optimizeMesh(terrainMesh);
+            
+            // Add debug wireframe if enabled
+            if (config.debug.showWireframe) {
+                this.addWireframe(terrainMesh);
+            }
+            
+            // Add chunk boundary markers if enabled
+            if (config.debug.showChunkBoundaries) {
+                this.addChunkBoundaries(terrainMesh, chunkX, chunkZ, chunkSize);
+            }
+            
+            return terrainMesh;
+        },
+        
+        /**
+         * Create the mesh of a low resolution quadtree node.
+         * A skirt hangs down from every edge to hide the cracks where the node meets
+         * finer nodes or chunks, whose edges have more vertices.
+         * @param {Object} heightmapData - Heightmap data of the node (from generateNodeArrays)
+         * @param {BABYLON.Material} material - Material to apply
+         * @param {number} level - Quadtree level of the node
+         * @param {number} skirtDepth - How far the skirt hangs below the edge, in world units
+         * @returns {BABYLON.Mesh} Created node mesh
+         */
+        createNodeMesh(heightmapData, material, level, skirtDepth) {
+            const { chunkX, chunkZ, resolution, vertexData } = heightmapData;
+            const gridCount = resolution * resolution;
+            
+            // Edge vertices in order around the node: south, east, north, then west
+            const edgeVertices = [];
+            for (let i = 0; i < resolution - 1; i++) {
+                edgeVertices.push(i);
+            }
+            for (let i = 0; i < resolution - 1; i++) {
+                edgeVertices.push(i * resolution + resolution - 1);
+            }
+            for (let i = resolution - 1; i > 0; i--) {
+                edgeVertices.push((resolution - 1) * resolution + i);
+            }
+            for (let i = resolution - 1; i > 0; i--) {
+                edgeVertices.push(i * resolution);
+            }
+            
+            // Skirt vertices copy the edge vertices and sit skirtDepth lower
+            const positions = appendSkirt(vertexData.positions, 3, edgeVertices, gridCount);
+            for (let i = gridCount; i < gridCount + edgeVertices.length; i++) {
+                positions[i * 3 + 1] -= skirtDepth;
+            }
+            
+            // Two quads per edge segment, one facing each way, so the skirt shows from either side
+            const indices = new Uint32Array(vertexData.indices.length + edgeVertices.length * 12);
+            indices.set(vertexData.indices);
+            let index = vertexData.indices.length;
+            for (let i = 0; i < edgeVertices.length; i++) {
+                const next = (i + 1) % edgeVertices.length;
+                const top = edgeVertices[i];
+                const nextTop = edgeVertices[next];
+                const bottom = gridCount + i;
+                const nextBottom = gridCount + next;
+                
+                indices.set([
+                    top, nextTop, nextBottom, top, nextBottom, bottom,
+                    top, nextBottom, nextTop, top, bottom, nextBottom
+                ], index);
+                index += 12;
+            }
+            
+            const meshVertexData = new BABYLON.VertexData();
+            meshVertexData.positions = positions;
+            meshVertexData.normals = appendSkirt(vertexData.normals, 3, edgeVertices, gridCount);
+            meshVertexData.uvs = appendSkirt(vertexData.uvs, 2, edgeVertices, gridCount);
+            meshVertexData.indices = indices;
+            
+            const nodeMesh = new BABYLON.Mesh(`terrainNode_${level}_${chunkX}_${chunkZ}`, scene);
+            meshVertexData.applyToMesh(nodeMesh);
+            
+            // Expose the blended biomes to materials like chunk meshes do
+            if (heightmapData.biomeIds) {
+                nodeMesh.setVerticesData(
+                    'biomeIds', appendSkirt(heightmapData.biomeIds, 4, edgeVertices, gridCount), false, 4
+                );
+                nodeMesh.setVerticesData(
+                    'biomeWeights', appendSkirt(heightmapData.biomeWeights, 4, edgeVertices, gridCount), false, 4
+                );
+            }
+            
+            // Apply material
+            nodeMesh.material = material;
+            
+            // Store node coordinates on the mesh for easy reference
+            nodeMesh.nodeLevel = level;
+            nodeMesh.nodeX = chunkX;
+            nodeMesh.nodeZ = chunkZ;
+            
+            // Optimize the mesh for rendering
+            this.optimizeMesh(nodeMesh);
+            
+            return nodeMesh;
+        },
+        
+        /**
+         * Stitch the edge vertices of a voxel mesh to coarser neighbours
+         * @param {Float32Array} positions - Voxel mesh positions relative to the chunk corner (modified in place)
+         * @param {Array} gridPositions - Heightmap grid positions of the chunk
+         * @param {number} chunkSize - Size of the chunk in world units
+         * @param {number} resolution - Heightmap samples per side
+         * @param {Object} stitchLODs - Coarser LOD to stitch each edge to
+         */
+        stitchVoxelEdges(positions, gridPositions, chunkSize, resolution, stitchLODs) {
+            const spacing = chunkSize / (resolution - 1);
+            const epsilon = spacing * 1e-4;
+            
+            // Plane of each edge, the vertex coordinate along it, and the grid index of an edge sample
+            const edges = {
+                south: { onEdge: (x, z) => Math.abs(z) < epsilon, along: (x) => x, index: i => i },
+                north: { onEdge: (x, z) => Math.abs(z - chunkSize) < epsilon, along: (x) => x, index: i => (resolution - 1) * resolution + i },
+                west: { onEdge: (x) => Math.abs(x) < epsilon, along: (x, z) => z, index: i => i * resolution },
+                east: { onEdge: (x) => Math.abs(x - chunkSize) < epsilon, along: (x, z) => z, index: i => i * resolution + resolution - 1 }
+            };
+            
+            for (const [side, edge] of Object.entries(edges)) {
+                const neighborLOD = stitchLODs[side];
+                if (neighborLOD === null) {
+                    continue;
+                }
+                
+                // Samples per neighbour edge segment
+                const ratio = Math.pow(2, neighborLOD);
+                
+                for (let i = 0; i < positions.length; i += 3) {
+                    const x = positions[i];
+                    const z = positions[i + 2];
+                    if (!edge.onEdge(x, z)) {
+                        continue;
+                    }
+                    
+                    // Interpolate between the neighbour's vertices
+                    const u = edge.along(x, z) / spacing;
+                    const start = Math.min(Math.floor(u / ratio) * ratio, resolution - 1);
+                    const end = Math.min(start + ratio, resolution - 1);
+                    const t = end > start ? (u - start) / (end - start) : 0;
+                    
+                    const startHeight = gridPositions[edge.index(start) * 3 + 1];
+                    const endHeight = gridPositions[edge.index(end) * 3 + 1];
+                    positions[i + 1] = startHeight + (endHeight - startHeight) * t;
+                }
+            }
+        },
+        
+        /**
+         * Create a water surface mesh for the rivers and lakes of a chunk.
+         * Dry vertices next to water take the level of their wettest neighbour so the
+         * surface runs into the banks and the terrain hides the shoreline.
+         * @param {Object} heightmapData - Heightmap data with waterLevels
+         * @param {BABYLON.Material} material - Water material
+         * @param {number} maxHeight - Maximum height of the terrain
+         * @returns {BABYLON.Mesh|null} Water mesh, or null if the chunk is dry
+         */
+        createWaterMesh(heightmapData, material, maxHeight) {
+            const { chunkX, chunkZ, chunkSize, resolution, waterLevels } = heightmapData;
+            if (!waterLevels) {
+                return null;
+            }
+            
+            // Extend the water level of wet vertices onto their dry neighbours
+            const levels = new Float32Array(waterLevels);
+            for (let z = 0; z < resolution; z++) {
+                for (let x = 0; x < resolution; x++) {
+                    if (waterLevels[z * resolution + x] >= 0) {
+                        continue;
+                    }
+                    
+                    for (let dz = -1; dz <= 1; dz++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const nx = x + dx;
+                            const nz = z + dz;
+                            if (nx >= 0 && nx < resolution && nz >= 0 && nz < resolution) {
+                                levels[z * resolution + x] = Math.max(
+                                    levels[z * resolution + x], waterLevels[nz * resolution + nx]
+                                );
+                            }
+                        }
+                    }
+                }
+            }
+            
+            // Grid positions at the water surface, relative to the chunk corner like the terrain
+            const scale = chunkSize / (resolution - 1);
+            const positions = new Float32Array(resolution * resolution * 3);
+            for (let z = 0; z < resolution; z++) {
+                for (let x = 0; x < resolution; x++) {
+                    const index = z * resolution + x;
+                    positions[index * 3] = x * scale;
+                    positions[index * 3 + 1] = Math.max(0, levels[index]) * maxHeight;
+                    positions[index * 3 + 2] = z * scale;
+                }
+            }
+            
+            // Keep the terrain's triangles that touch a wet vertex
+            const indices = [];
+            const isWet = (index) => waterLevels[index] >= 0;
+            for (let z = 0; z < resolution - 1; z++) {
+                for (let x = 0; x < resolution - 1; x++) {
+                    const bottomLeft = z * resolution + x;
+                    const bottomRight = bottomLeft + 1;
+                    const topLeft = bottomLeft + resolution;
+                    const topRight = topLeft + 1;
+                    
+                    if (isWet(bottomLeft) || isWet(bottomRight) || isWet(topRight)) {
+                        indices.push(bottomLeft, topRight, bottomRight);
+                    }
+                    if (isWet(bottomLeft) || isWet(topRight) || isWet(topLeft)) {
+                        indices.push(bottomLeft, topLeft, topRight);
+                    }
+                }
+            }
+            
+            if (indices.length === 0) {
+                return null;
+            }
+            
+            // Flat water reflects light straight up
+            const normals = new Float32Array(resolution * resolution * 3);
+            for (let i = 1; i < normals.length; i += 3) {
+                normals[i] = 1;
+            }
+            
+            const vertexData = new BABYLON.VertexData();
+            vertexData.positions = positions;
+            vertexData.indices = indices;
+            vertexData.normals = normals;
+            
+            const waterMesh = new BABYLON.Mesh(`water_${chunkX}_${chunkZ}`, scene);
+            vertexData.applyToMesh(waterMesh);
+            waterMesh.material = material;
+            waterMesh.isPickable = false;
+            waterMesh.chunkX = chunkX;
+            waterMesh.chunkZ = chunkZ;
+            
+            return waterMesh;
+        },
+        
+        /**
+         * Create a pole marking a placed marker
+         * @param {Object} marker - Marker ({ id, x, y, z })
+         * @param {BABYLON.Material} material - Marker material
+         * @returns {BABYLON.Mesh} Marker mesh
+         */
+        createMarkerMesh(marker, material) {
+            const poleHeight = 6;
+            const markerMesh = BABYLON.MeshBuilder.CreateCylinder(`marker_${marker.id}`, {
+                height: poleHeight,
+                diameterTop: 0.8,
+                diameterBottom: 0.1,
+                tessellation: 8
+            }, scene);
+            
+            // Stand the pole on the terrain (the chunk manager places it horizontally)
+            markerMesh.position.y = marker.y + poleHeight / 2;
+            markerMesh.material = material;
+            markerMesh.isPickable = false;
+            markerMesh.marker = marker;
+            
+            return markerMesh;
+        },
+        
         /**
          * Optimize vertex data based on LOD level
          * @param {BABYLON.VertexData} vertexData - Original vertex data
          * @param {Float32Array} heights - Heightmap values
          * @param {number} resolution - Resolution of heightmap
          * @param {number} lodLevel - Level of detail (0=highest, higher values reduce resolution)
+         * @param {Object} [stitchLODs=null] - Coarser LOD to stitch each edge to (from getStitchLODs)
+         * @param {Object} [buffers=null] - Preallocated arrays to write into (from a pooled mesh; allocated if null)
          * @returns {BABYLON.VertexData} Optimized vertex data
          */
-        optimizeVertexData(vertexData, heights, resolution, lodLevel) {
-            // If LOD level is 0 or adaptive LOD is disabled, use original data
-            if (lodLevel === 0 || !config.terrain.enableAdaptiveLOD) {
+        optimizeVertexData(vertexData, heights, resolution, lodLevel, stitchLODs = null, buffers = null) {
+            // Adaptive LOD disabled means every chunk uses full resolution
+            if (!config.terrain.enableAdaptiveLOD) {
+                lodLevel = 0;
+            }
+            
+            // If LOD level is 0 and no edge needs stitching, use original data
+            const needsStitching = stitchLODs && Object.values(stitchLODs).some(lod => lod !== null);
+            if (lodLevel === 0 && !needsStitching) {
                 return vertexData;
             }
             
@@ -80,65 +719,50 @@ export function createTerrainMeshBuilder(scene) {
             
             // Calculate new resolution after skipping vertices
             const newResolution = Math.floor((resolution - 1) / skipFactor) + 1;
-            
-            // Create new vertex data container
-            const optimizedData = new BABYLON.VertexData();
+            const vertexCount = newResolution * newResolution;
             
             // Extract original data
             const origPositions = vertexData.positions;
-            const origIndices = vertexData.indices;
+            const origNormals = vertexData.normals;
             const origUvs = vertexData.uvs;
             
-            // Create new arrays for optimized data
-            const positions = [];
-            const indices = [];
-            const uvs = [];
-            
-            // Map from original vertex indices to new indices
-            const indexMap = new Map();
+            // Write into the given arrays, or allocate them once at their final size
+            const positions = buffers ? buffers.positions : new Float32Array(vertexCount * 3);
+            const normals = buffers ? buffers.normals : new Float32Array(vertexCount * 3);
+            const uvs = buffers ? buffers.uvs : new Float32Array(vertexCount * 2);
             
-            // Process positions and UVs by skipping vertices
+            // Copy positions, normals and UVs of the vertices kept at this LOD, row by row.
+            // Normals come from the full resolution heights, so they match across chunks at every LOD.
+            let vertex = 0;
             for (let z = 0; z < resolution; z += skipFactor) {
                 for (let x = 0; x < resolution; x += skipFactor) {
-                    // Get original vertex index
                     const origIndex = z * resolution + x;
                     
-                    // Calculate new vertex index
-                    const newIndex = (z / skipFactor) * newResolution + (x / skipFactor);
+                    positions[vertex * 3] = origPositions[origIndex * 3];
+                    positions[vertex * 3 + 1] = origPositions[origIndex * 3 + 1];
+                    positions[vertex * 3 + 2] = origPositions[origIndex * 3 + 2];
                     
-                    // Map original index to new index
-                    indexMap.set(origIndex, newIndex);
+                    normals[vertex * 3] = origNormals[origIndex * 3];
+                    normals[vertex * 3 + 1] = origNormals[origIndex * 3 + 1];
+                    normals[vertex * 3 + 2] = origNormals[origIndex * 3 + 2];
                     
-                    // Copy position and UV
-                    positions.push(origPositions[origIndex * 3]);
-                    positions.push(origPositions[origIndex * 3 + 1]);
-                    positions.push(origPositions[origIndex * 3 + 2]);
-                    
-                    uvs.push(origUvs[origIndex * 2]);
-                    uvs.push(origUvs[origIndex * 2 + 1]);
+                    uvs[vertex * 2] = origUvs[origIndex * 2];
+                    uvs[vertex * 2 + 1] = origUvs[origIndex * 2 + 1];
+                    vertex++;
                 }
             }
             
-            // Create new indices for triangles
-            for (let z = 0; z < newResolution - 1; z++) {
-                for (let x = 0; x < newResolution - 1; x++) {
-                    // Calculate vertex indices for this grid cell
-                    const bottomLeft = z * newResolution + x;
-                    const bottomRight = bottomLeft + 1;
-                    const topLeft = (z + 1) * newResolution + x;
-                    const topRight = topLeft + 1;
-                    
-                    // Add two triangles (counter-clockwise winding)
-                    indices.push(bottomLeft, bottomRight, topRight);
-                    indices.push(bottomLeft, topRight, topLeft);
-                }
-            }
+            // Triangles of the grid are the same for every chunk at this resolution
+            const indices = this.getGridIndices(newResolution);
             
-            // Calculate normals
-            const normals = [];
-            this.calculateNormals(positions, indices, normals);
+            // Snap edge vertices onto the coarser neighbours' edges, shading them like the neighbour
+            if (needsStitching) {
+                this.stitchEdges(positions, newResolution, lodLevel, stitchLODs);
+                this.stitchEdges(normals, newResolution, lodLevel, stitchLODs, [0, 1, 2]);
+            }
             
             // Set vertex data
+            const optimizedData = new BABYLON.VertexData();
             optimizedData.positions = positions;
             optimizedData.indices = indices;
             optimizedData.normals = normals;
@@ -147,6 +771,188 @@ export function createTerrainMeshBuilder(scene) {
             return optimizedData;
         },
         
+        /**
+         * Determine which edges need stitching for the given neighbour LODs.
+         * An edge is stitched only when the neighbour across it is coarser.
+         * @param {number} lodLevel - LOD level of this chunk
+         * @param {Object} [neighborLODs=null] - LOD of each neighbour (null if not loaded)
+         * @returns {Object} LOD each edge is stitched to, or null for unstitched edges
+         */
+        getStitchLODs(lodLevel, neighborLODs = null) {
+            const stitchLODs = { north: null, south: null, east: null, west: null };
+            
+            if (!neighborLODs || !config.terrain.enableAdaptiveLOD) {
+                return stitchLODs;
+            }
+            
+            for (const side of Object.keys(stitchLODs)) {
+                const neighborLOD = neighborLODs[side];
+                if (neighborLOD !== null && neighborLOD !== undefined && neighborLOD > lodLevel) {
+                    stitchLODs[side] = neighborLOD;
+                }
+            }
+            
+            return stitchLODs;
+        },
+        
+        /**
+         * Move edge vertices that the coarser neighbour does not have onto the
+         * line between its vertices, which removes cracks and T-junction gaps
+         * @param {Float32Array} positions - Vertex positions, or other three-component vertex data (modified in place)
+         * @param {number} gridResolution - Vertices per side of this mesh
+         * @param {number} lodLevel - LOD level of this mesh
+         * @param {Object} stitchLODs - Coarser LOD to stitch each edge to
+         * @param {Array<number>} [channels=[1]] - Components to interpolate (the height by default)
+         */
+        stitchEdges(positions, gridResolution, lodLevel, stitchLODs, channels = [1]) {
+            // Vertex index along each edge, as a function of the position on the edge
+            const edges = {
+                south: i => i,
+                north: i => (gridResolution - 1) * gridResolution + i,
+                west: i => i * gridResolution,
+                east: i => i * gridResolution + gridResolution - 1
+            };
+            
+            for (const [side, edgeIndex] of Object.entries(edges)) {
+                const neighborLOD = stitchLODs[side];
+                if (neighborLOD === null) {
+                    continue;
+                }
+                
+                // Number of our edge vertices per neighbour edge segment
+                const ratio = Math.pow(2, neighborLOD - lodLevel);
+                
+                for (let i = 0; i < gridResolution; i++) {
+                    // Vertices shared with the neighbour stay where they are
+                    if (i % ratio === 0) {
+                        continue;
+                    }
+                    
+                    // Interpolate between the neighbour's vertices
+                    const start = i - (i % ratio);
+                    const end = Math.min(start + ratio, gridResolution - 1);
+                    const t = (i - start) / (end - start);
+                    
+                    for (const channel of channels) {
+                        const startValue = positions[edgeIndex(start) * 3 + channel];
+                        const endValue = positions[edgeIndex(end) * 3 + channel];
+                        positions[edgeIndex(i) * 3 + channel] = startValue + (endValue - startValue) * t;
+                    }
+                }
+            }
+        },
+        
+        /**
+         * Interleave sediment and flow maps for the vertices kept at a LOD level
+         * @param {Float32Array} sedimentMap - Sediment per heightmap sample
+         * @param {Float32Array} flowMap - Flow per heightmap sample
+         * @param {number} resolution - Resolution of the heightmap
+         * @param {number} lodLevel - Level of detail (0=highest)
+         * @param {Float32Array} [target=null] - Preallocated array to write into (allocated if null)
+         * @returns {Float32Array} Sediment and flow for each mesh vertex
+         */
+        createErosionAttribute(sedimentMap, flowMap, resolution, lodLevel, target = null) {
+            // Skip the same samples as optimizeVertexData
+            const skipFactor = config.terrain.enableAdaptiveLOD ? Math.pow(2, lodLevel) : 1;
+            const newResolution = Math.floor((resolution - 1) / skipFactor) + 1;
+            const erosionData = target || new Float32Array(newResolution * newResolution * 2);
+            
+            let index = 0;
+            for (let z = 0; z < resolution; z += skipFactor) {
+                for (let x = 0; x < resolution; x += skipFactor) {
+                    erosionData[index++] = sedimentMap[z * resolution + x];
+                    erosionData[index++] = flowMap[z * resolution + x];
+                }
+            }
+            
+            return erosionData;
+        },
+        
+        /**
+         * Subsample per-vertex biome indices and weights to match a LOD level
+         * @param {Float32Array} biomeIds - Four biome indices per heightmap sample
+         * @param {Float32Array} biomeWeights - Four biome weights per heightmap sample
+         * @param {number} resolution - Original resolution
+         * @param {number} lodLevel - Level of detail
+         * @param {Object} [target=null] - Preallocated biomeIds and biomeWeights arrays to write into (allocated if null)
+         * @returns {Object} Biome indices and weights for the LOD grid
+         */
+        createBiomeAttributes(biomeIds, biomeWeights, resolution, lodLevel, target = null) {
+            // Skip the same samples as optimizeVertexData
+            const skipFactor = config.terrain.enableAdaptiveLOD ? Math.pow(2, lodLevel) : 1;
+            if (skipFactor === 1) {
+                return { biomeIds, biomeWeights };
+            }
+            
+            const newResolution = Math.floor((resolution - 1) / skipFactor) + 1;
+            const lodIds = target ? target.biomeIds : new Float32Array(newResolution * newResolution * 4);
+            const lodWeights = target ? target.biomeWeights : new Float32Array(newResolution * newResolution * 4);
+            
+            let index = 0;
+            for (let z = 0; z < resolution; z += skipFactor) {
+                for (let x = 0; x < resolution; x += skipFactor) {
+                    const source = (z * resolution + x) * 4;
+                    lodIds.set(biomeIds.subarray(source, source + 4), index);
+                    lodWeights.set(biomeWeights.subarray(source, source + 4), index);
+                    index += 4;
+                }
+            }
+            
+            return { biomeIds: lodIds, biomeWeights: lodWeights };
+        },
+        
+        /**
+         * Look up the biomes of arbitrary vertices from the nearest heightmap sample
+         * @param {Float32Array} positions - Vertex positions relative to the chunk corner
+         * @param {Float32Array} biomeIds - Four biome indices per heightmap sample
+         * @param {Float32Array} biomeWeights - Four biome weights per heightmap sample
+         * @param {number} chunkSize - Size of the chunk in world units
+         * @param {number} resolution - Heightmap samples per side
+         * @returns {Object} Biome indices and weights per vertex
+         */
+        sampleBiomeAttributes(positions, biomeIds, biomeWeights, chunkSize, resolution) {
+            const spacing = chunkSize / (resolution - 1);
+            const vertexCount = positions.length / 3;
+            const vertexIds = new Float32Array(vertexCount * 4);
+            const vertexWeights = new Float32Array(vertexCount * 4);
+            
+            for (let i = 0; i < vertexCount; i++) {
+                const x = Math.max(0, Math.min(resolution - 1, Math.round(positions[i * 3] / spacing)));
+                const z = Math.max(0, Math.min(resolution - 1, Math.round(positions[i * 3 + 2] / spacing)));
+                const source = (z * resolution + x) * 4;
+                vertexIds.set(biomeIds.subarray(source, source + 4), i * 4);
+                vertexWeights.set(biomeWeights.subarray(source, source + 4), i * 4);
+            }
+            
+            return { biomeIds: vertexIds, biomeWeights: vertexWeights };
+        },
+        
+        /**
+         * Sample a per-vertex channel of one chunk grid at the vertices of another
+         * grid covering the same chunk, following the source mesh's triangles
+         * @param {Array|Float32Array} values - Per-vertex data of the source grid
+         * @param {number} stride - Number of values per vertex
+         * @param {number} offset - Channel to sample within each vertex
+         * @param {number} fromResolution - Vertices per side of the source grid
+         * @param {number} toResolution - Vertices per side of the target grid
+         * @returns {Float32Array} One sampled value per target vertex
+         */
+        sampleSurface(values, stride, offset, fromResolution, toResolution) {
+            const sampled = new Float32Array(toResolution * toResolution);
+            const scale = (fromResolution - 1) / (toResolution - 1);
+            
+            for (let z = 0; z < toResolution; z++) {
+                for (let x = 0; x < toResolution; x++) {
+                    // Sample the source triangles under this vertex
+                    sampled[z * toResolution + x] = sampleTriangleGrid(
+                        values, stride, offset, fromResolution, x * scale, z * scale
+                    );
+                }
+            }
+            
+            return sampled;
+        },
+        
         /**
          * Optimize a mesh for rendering
          * @param {BABYLON.Mesh} mesh - The mesh to optimize
@@ -171,76 +977,6 @@ export function createTerrainMeshBuilder(scene) {
             mesh.isPickable = false;
         },
         
-        /**
-         * Calculate normals for the mesh
-         * @param {Array} positions - Vertex positions
-         * @param {Array} indices - Vertex indices
-         * @param {Array} normals - Output array for normals
-         */
-        calculateNormals(positions, indices, normals) {
-            // Initialize normals array with zeros
-            for (let i = 0; i < positions.length; i++) {
-                normals.push(0);
-            }
-            
-            // Calculate normals for each face
-            for (let i = 0; i < indices.length; i += 3) {
-                // Get vertex indices for this face
-                const i1 = indices[i];
-                const i2 = indices[i + 1];
-                const i3 = indices[i + 2];
-                
-                // Get vertex positions
-                const v1 = new BABYLON.Vector3(
-                    positions[i1 * 3], 
-                    positions[i1 * 3 + 1], 
-                    positions[i1 * 3 + 2]
-                );
-                const v2 = new BABYLON.Vector3(
-                    positions[i2 * 3], 
-                    positions[i2 * 3 + 1], 
-                    positions[i2 * 3 + 2]
-                );
-                const v3 = new BABYLON.Vector3(
-                    positions[i3 * 3], 
-                    positions[i3 * 3 + 1], 
-                    positions[i3 * 3 + 2]
-                );
-                
-                // Calculate face normal
-                const normal = BABYLON.Vector3.Cross(
-                    v2.subtract(v1),
-                    v3.subtract(v1)
-                ).normalize();
-                
-                // Add to vertex normals
-                normals[i1 * 3] += normal.x;
-                normals[i1 * 3 + 1] += normal.y;
-                normals[i1 * 3 + 2] += normal.z;
-                
-                normals[i2 * 3] += normal.x;
-                normals[i2 * 3 + 1] += normal.y;
-                normals[i2 * 3 + 2] += normal.z;
-                
-                normals[i3 * 3] += normal.x;
-                normals[i3 * 3 + 1] += normal.y;
-                normals[i3 * 3 + 2] += normal.z;
-            }
-            
-            // Normalize all vertex normals
-            for (let i = 0; i < normals.length; i += 3) {
-                const normal = new BABYLON.Vector3(
-                    normals[i],
-                    normals[i + 1],
-                    normals[i + 2]
-                ).normalize();
-                
-                normals[i] = normal.x;
-                normals[i + 1] = normal.y;
-                normals[i + 2] = normal.z;
-            }
-        },
-        
         /**
          * Add wireframe display to a mesh
          * @param {BABYLON.Mesh} mesh - The mesh to add wireframe to
@@ -255,10 +991,15 @@ export function createTerrainMeshBuilder(scene) {
             // Clone the mesh and apply wireframe material
             const wireframe = mesh.clone(`${mesh.name}_wireframe`);
             wireframe.material = wireframeMat;
-            wireframe.position = mesh.position;
             
-            // Small offset to prevent z-fighting
-            wireframe.position.y += 0.01;
+            // Wireframe lines are built from CPU indices, which grids drawn with a shared index buffer lack
+            if (mesh.getIndices().length === 0 && mesh.gridResolution) {
+                wireframe.makeGeometryUnique();
+                wireframe.setIndices(this.getGridIndices(mesh.gridResolution));
+            }
+            
+            // Small offset to prevent z-fighting (relative to the parent set below)
+            wireframe.position.set(0, 0.01, 0);
             
             // Make the wireframe mesh a child of the original mesh
             wireframe.parent = mesh;
@@ -272,20 +1013,16 @@ export function createTerrainMeshBuilder(scene) {
          * @param {number} chunkSize - Size of the chunk
          */
         addChunkBoundaries(mesh, chunkX, chunkZ, chunkSize) {
-            // Calculate world position of chunk
-            const worldX = chunkX * chunkSize;
-            const worldZ = chunkZ * chunkSize;
-            
-            // Create lines for chunk boundaries
+            // Create lines for chunk boundaries (relative to the chunk corner, where the mesh is placed)
             const lines = BABYLON.MeshBuilder.CreateLines(
                 `${mesh.name}_boundary`,
                 {
                     points: [
-                        new BABYLON.Vector3(worldX, 0, worldZ),
-                        new BABYLON.Vector3(worldX + chunkSize, 0, worldZ),
-                        new BABYLON.Vector3(worldX + chunkSize, 0, worldZ + chunkSize),
-                        new BABYLON.Vector3(worldX, 0, worldZ + chunkSize),
-                        new BABYLON.Vector3(worldX, 0, worldZ)
+                        new BABYLON.Vector3(0, 0, 0),
+                        new BABYLON.Vector3(chunkSize, 0, 0),
+                        new BABYLON.Vector3(chunkSize, 0, chunkSize),
+                        new BABYLON.Vector3(0, 0, chunkSize),
+                        new BABYLON.Vector3(0, 0, 0)
                     ],
                     colors: [
                         new BABYLON.Color4(1, 0, 0, 1),
@@ -303,3 +1040,106 @@ export function createTerrainMeshBuilder(scene) {
         }
     };
 }
+
+/**
+ * Copy vertex attribute values and append a copy of each edge vertex's values for the skirt
+ * @param {Float32Array|Array<number>} values - Values of the grid vertices
+ * @param {number} stride - Values per vertex
+ * @param {Array<number>} edgeVertices - Grid vertex under each skirt vertex
+ * @param {number} gridCount - Number of grid vertices
+ * @returns {Float32Array} Values of the grid and skirt vertices
+ */
+function appendSkirt(values, stride, edgeVertices, gridCount) {
+    const result = new Float32Array((gridCount + edgeVertices.length) * stride);
+    result.set(values);
+    
+    for (let i = 0; i < edgeVertices.length; i++) {
+        for (let k = 0; k < stride; k++) {
+            result[(gridCount + i) * stride + k] = values[edgeVertices[i] * stride + k];
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Allocate the vertex arrays of a pooled chunk mesh once, at the size of its grid
+ * @param {number} vertexCount - Vertices in the grid
+ * @returns {Object} Positions, normals, uvs, erosion, biomeIds and biomeWeights arrays
+ */
+function createGridBuffers(vertexCount) {
+    return {
+        positions: new Float32Array(vertexCount * 3),
+        normals: new Float32Array(vertexCount * 3),
+        uvs: new Float32Array(vertexCount * 2),
+        erosion: new Float32Array(vertexCount * 2),
+        biomeIds: new Float32Array(vertexCount * 4),
+        biomeWeights: new Float32Array(vertexCount * 4)
+    };
+}
+
+/**
+ * Build the triangle indices of a square grid, two counter-clockwise triangles per cell
+ * @param {number} gridResolution - Vertices per side of the grid
+ * @returns {Uint32Array} Indices
+ */
+function createGridIndices(gridResolution) {
+    const cells = gridResolution - 1;
+    const indices = new Uint32Array(cells * cells * 6);
+    
+    let index = 0;
+    for (let z = 0; z < cells; z++) {
+        for (let x = 0; x < cells; x++) {
+            // Calculate vertex indices for this grid cell
+            const bottomLeft = z * gridResolution + x;
+            const bottomRight = bottomLeft + 1;
+            const topLeft = (z + 1) * gridResolution + x;
+            const topRight = topLeft + 1;
+            
+            indices[index++] = bottomLeft;
+            indices[index++] = bottomRight;
+            indices[index++] = topRight;
+            indices[index++] = bottomLeft;
+            indices[index++] = topRight;
+            indices[index++] = topLeft;
+        }
+    }
+    
+    return indices;
+}
+
+/**
+ * Write one vertex attribute of a chunk mesh: in place if the mesh already has
+ * the buffer, otherwise as a new updatable buffer
+ * @param {BABYLON.Mesh} mesh - Chunk mesh
+ * @param {string} kind - Vertex buffer kind
+ * @param {Float32Array} data - Attribute values
+ * @param {number} stride - Values per vertex
+ */
+function writeVertexData(mesh, kind, data, stride) {
+    if (mesh.isVertexBufferUpdatable(kind)) {
+        mesh.updateVerticesData(kind, data);
+    } else {
+        mesh.setVerticesData(kind, data, true, stride);
+    }
+}
+
+/**
+ * Create a float texture of per-sample values, read in the vertex shader without filtering
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ * @param {Float32Array} data - Values row by row, one or four per sample
+ * @param {number} size - Samples per side
+ * @param {number} channels - Values per sample (1 or 4)
+ * @returns {BABYLON.RawTexture} Texture with clamped edges
+ */
+function createSampleTexture(scene, data, size, channels) {
+    const format = channels === 1 ? BABYLON.Engine.TEXTUREFORMAT_R : BABYLON.Engine.TEXTUREFORMAT_RGBA;
+    const texture = new BABYLON.RawTexture(
+        data, size, size, format, scene, false, false,
+        BABYLON.Texture.NEAREST_SAMPLINGMODE, BABYLON.Engine.TEXTURETYPE_FLOAT
+    );
+    texture.wrapU = BABYLON.Texture.CLAMP_ADDRESSMODE;
+    texture.wrapV = BABYLON.Texture.CLAMP_ADDRESSMODE;
+    
+    return texture;
+}
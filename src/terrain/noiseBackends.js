@@ -0,0 +1,314 @@
+/**
+ * Gradient noise backends selectable with config.noise.type
+ *
+ * Every backend hashes lattice points with 32-bit integer arithmetic
+ * (Math.imul) and only uses +, -, * and Math.floor on doubles, so a given
+ * seed produces the same values on every platform and JavaScript engine.
+ */
+
+// Noise types understood by createNoiseGenerator ('value' lives in noiseGenerator.js)
+export const NOISE_TYPES = ['value', 'perlin', 'simplex', 'opensimplex2'];
+
+// Perlin gradients: eight unit vectors 45 degrees apart
+const PERLIN_GRADIENTS = [
+    1, 0, 0.7071067811865476, 0.7071067811865476,
+    0, 1, -0.7071067811865476, 0.7071067811865476,
+    -1, 0, -0.7071067811865476, -0.7071067811865476,
+    0, -1, 0.7071067811865476, -0.7071067811865476
+];
+
+// Simplex gradients: the twelve edge directions of a cube projected to 2D
+const SIMPLEX_GRADIENTS = [
+    1, 1, -1, 1, 1, -1, -1, -1,
+    1, 0, -1, 0, 1, 0, -1, 0,
+    0, 1, 0, -1, 0, 1, 0, -1
+];
+
+// OpenSimplex2 gradients: 24 unit vectors 15 degrees apart
+const OPENSIMPLEX2_GRADIENTS = [
+    1, 0, 0.9659258262890683, 0.25881904510252074,
+    0.8660254037844387, 0.5, 0.7071067811865476, 0.7071067811865476,
+    0.5, 0.8660254037844387, 0.25881904510252074, 0.9659258262890683,
+    0, 1, -0.25881904510252074, 0.9659258262890683,
+    -0.5, 0.8660254037844387, -0.7071067811865476, 0.7071067811865476,
+    -0.8660254037844387, 0.5, -0.9659258262890683, 0.25881904510252074,
+    -1, 0, -0.9659258262890683, -0.25881904510252074,
+    -0.8660254037844387, -0.5, -0.7071067811865476, -0.7071067811865476,
+    -0.5, -0.8660254037844387, -0.25881904510252074, -0.9659258262890683,
+    0, -1, 0.25881904510252074, -0.9659258262890683,
+    0.5, -0.8660254037844387, 0.7071067811865476, -0.7071067811865476,
+    0.8660254037844387, -0.5, 0.9659258262890683, -0.25881904510252074
+];
+
+// 3D Perlin gradients: the twelve edge directions of a cube
+const PERLIN_GRADIENTS_3D = [
+    1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+    1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+    0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1
+];
+
+// Skew and unskew factors of the triangular simplex lattice
+// ((sqrt(3) - 1) / 2 and (3 - sqrt(3)) / 6, written out to avoid platform differences)
+const SKEW_2D = 0.36602540378443865;
+const UNSKEW_2D = 0.21132486540518713;
+
+// Squared kernel radius of OpenSimplex2 (the smooth variant)
+const OPENSIMPLEX2_RADIUS_SQUARED = 2 / 3;
+
+// Scale factors bringing each backend to the range [-1, 1]
+const PERLIN_SCALE = 1.4142135623730951;
+const SIMPLEX_SCALE = 70;
+const OPENSIMPLEX2_SCALE = 18;
+
+/**
+ * Create a gradient noise function
+ * @param {string} type - Noise type from NOISE_TYPES
+ * @param {number} seed - Noise seed
+ * @returns {Function|null} Function (x, y) => value in range [-1, 1], or null for value noise
+ */
+export function createGradientNoise(type, seed) {
+    // Hash seeds are 32-bit integers
+    const hashSeed = Math.floor(seed) | 0;
+    
+    switch (type) {
+        case 'value':
+            return null;
+        case 'perlin':
+            return (x, y) => perlinNoise(hashSeed, x, y);
+        case 'simplex':
+            return (x, y) => simplexNoise(hashSeed, x, y);
+        case 'opensimplex2':
+            return (x, y) => openSimplex2Noise(hashSeed, x, y);
+        default:
+            throw new Error(`Unknown noise type "${type}" (expected one of ${NOISE_TYPES.join(', ')})`);
+    }
+}
+
+/**
+ * Create a 3D gradient noise function (Perlin noise with cube-edge gradients).
+ * Used for voxel density fields whatever 2D backend is selected.
+ * @param {number} seed - Noise seed
+ * @returns {Function} Function (x, y, z) => value in range [-1, 1]
+ */
+export function createGradientNoise3D(seed) {
+    const hashSeed = Math.floor(seed) | 0;
+    return (x, y, z) => perlinNoise3D(hashSeed, x, y, z);
+}
+
+/**
+ * Classic Perlin gradient noise
+ * @param {number} seed - 32-bit seed
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number} Noise value in range [-1, 1]
+ */
+function perlinNoise(seed, x, y) {
+    // Get integer and fractional parts
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const xf = x - xi;
+    const yf = y - yi;
+    
+    // Dot products with the gradients at the four corners
+    const n00 = gradientDot(PERLIN_GRADIENTS, 8, seed, xi, yi, xf, yf);
+    const n10 = gradientDot(PERLIN_GRADIENTS, 8, seed, xi + 1, yi, xf - 1, yf);
+    const n01 = gradientDot(PERLIN_GRADIENTS, 8, seed, xi, yi + 1, xf, yf - 1);
+    const n11 = gradientDot(PERLIN_GRADIENTS, 8, seed, xi + 1, yi + 1, xf - 1, yf - 1);
+    
+    // Quintic fade curves
+    const u = xf * xf * xf * (xf * (xf * 6 - 15) + 10);
+    const v = yf * yf * yf * (yf * (yf * 6 - 15) + 10);
+    
+    // Bilinear interpolation of the corner contributions
+    const nx0 = n00 + u * (n10 - n00);
+    const nx1 = n01 + u * (n11 - n01);
+    
+    return clampUnit((nx0 + v * (nx1 - nx0)) * PERLIN_SCALE);
+}
+
+/**
+ * Perlin gradient noise in three dimensions
+ * @param {number} seed - 32-bit seed
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @returns {number} Noise value in range [-1, 1]
+ */
+function perlinNoise3D(seed, x, y, z) {
+    // Get integer and fractional parts
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const zi = Math.floor(z);
+    const xf = x - xi;
+    const yf = y - yi;
+    const zf = z - zi;
+    
+    // Dot product with the gradient at a corner of the cell
+    const corner = (i, j, k) => {
+        const index = (hashLattice3D(seed, xi + i, yi + j, zi + k) % 12) * 3;
+        return PERLIN_GRADIENTS_3D[index] * (xf - i) +
+            PERLIN_GRADIENTS_3D[index + 1] * (yf - j) +
+            PERLIN_GRADIENTS_3D[index + 2] * (zf - k);
+    };
+    
+    // Quintic fade curves
+    const u = xf * xf * xf * (xf * (xf * 6 - 15) + 10);
+    const v = yf * yf * yf * (yf * (yf * 6 - 15) + 10);
+    const w = zf * zf * zf * (zf * (zf * 6 - 15) + 10);
+    
+    // Trilinear interpolation of the corner contributions
+    const x00 = corner(0, 0, 0) + u * (corner(1, 0, 0) - corner(0, 0, 0));
+    const x10 = corner(0, 1, 0) + u * (corner(1, 1, 0) - corner(0, 1, 0));
+    const x01 = corner(0, 0, 1) + u * (corner(1, 0, 1) - corner(0, 0, 1));
+    const x11 = corner(0, 1, 1) + u * (corner(1, 1, 1) - corner(0, 1, 1));
+    const y0 = x00 + v * (x10 - x00);
+    const y1 = x01 + v * (x11 - x01);
+    
+    return clampUnit(y0 + w * (y1 - y0));
+}
+
+/**
+ * Simplex noise on a triangular lattice
+ * @param {number} seed - 32-bit seed
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number} Noise value in range [-1, 1]
+ */
+function simplexNoise(seed, x, y) {
+    // Skew into lattice space to find the containing cell
+    const s = (x + y) * SKEW_2D;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    
+    // Offset from the cell origin in input space
+    const t = (i + j) * UNSKEW_2D;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    
+    // Middle corner of the triangle containing the point
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = 1 - i1;
+    
+    // Offsets from the middle and far corners
+    const x1 = x0 - i1 + UNSKEW_2D;
+    const y1 = y0 - j1 + UNSKEW_2D;
+    const x2 = x0 - 1 + 2 * UNSKEW_2D;
+    const y2 = y0 - 1 + 2 * UNSKEW_2D;
+    
+    // Sum the contributions of the three corners
+    const value =
+        simplexCorner(SIMPLEX_GRADIENTS, 12, 0.5, seed, i, j, x0, y0) +
+        simplexCorner(SIMPLEX_GRADIENTS, 12, 0.5, seed, i + i1, j + j1, x1, y1) +
+        simplexCorner(SIMPLEX_GRADIENTS, 12, 0.5, seed, i + 1, j + 1, x2, y2);
+    
+    return clampUnit(value * SIMPLEX_SCALE);
+}
+
+/**
+ * OpenSimplex2 noise (smooth variant): simplex lattice with 24 evenly spaced
+ * gradients and a wider kernel that reaches the lattice points around the
+ * containing triangle, which removes the remaining directional artefacts
+ * @param {number} seed - 32-bit seed
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number} Noise value in range [-1, 1]
+ */
+function openSimplex2Noise(seed, x, y) {
+    // Skew into lattice space to find the containing cell
+    const s = (x + y) * SKEW_2D;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    
+    // Sum every lattice point whose kernel reaches this position
+    let value = 0;
+    for (let dj = -1; dj <= 2; dj++) {
+        for (let di = -1; di <= 2; di++) {
+            const pi = i + di;
+            const pj = j + dj;
+            
+            // Offset from the lattice point in input space
+            const t = (pi + pj) * UNSKEW_2D;
+            const dx = x - (pi - t);
+            const dy = y - (pj - t);
+            
+            value += simplexCorner(
+                OPENSIMPLEX2_GRADIENTS, 24, OPENSIMPLEX2_RADIUS_SQUARED, seed, pi, pj, dx, dy
+            );
+        }
+    }
+    
+    return clampUnit(value * OPENSIMPLEX2_SCALE);
+}
+
+/**
+ * Contribution of one lattice point with a radial (r^2 - d^2)^4 kernel
+ * @param {Array<number>} gradients - Flattened gradient table
+ * @param {number} gradientCount - Number of gradients in the table
+ * @param {number} radiusSquared - Squared kernel radius
+ * @param {number} seed - 32-bit seed
+ * @param {number} i - Lattice X index
+ * @param {number} j - Lattice Y index
+ * @param {number} dx - X offset from the lattice point
+ * @param {number} dy - Y offset from the lattice point
+ * @returns {number} Contribution
+ */
+function simplexCorner(gradients, gradientCount, radiusSquared, seed, i, j, dx, dy) {
+    const falloff = radiusSquared - dx * dx - dy * dy;
+    if (falloff <= 0) {
+        return 0;
+    }
+    
+    const falloffSquared = falloff * falloff;
+    return falloffSquared * falloffSquared * gradientDot(gradients, gradientCount, seed, i, j, dx, dy);
+}
+
+/**
+ * Dot product of a hashed lattice gradient with an offset
+ * @param {Array<number>} gradients - Flattened gradient table
+ * @param {number} gradientCount - Number of gradients in the table
+ * @param {number} seed - 32-bit seed
+ * @param {number} i - Lattice X index
+ * @param {number} j - Lattice Y index
+ * @param {number} dx - X offset from the lattice point
+ * @param {number} dy - Y offset from the lattice point
+ * @returns {number} Dot product
+ */
+function gradientDot(gradients, gradientCount, seed, i, j, dx, dy) {
+    const index = (hashLattice(seed, i, j) % gradientCount) * 2;
+    return gradients[index] * dx + gradients[index + 1] * dy;
+}
+
+/**
+ * Hash a lattice point to an unsigned 32-bit integer
+ * @param {number} seed - 32-bit seed
+ * @param {number} i - Lattice X index
+ * @param {number} j - Lattice Y index
+ * @returns {number} Hash value
+ */
+function hashLattice(seed, i, j) {
+    let h = seed ^ Math.imul(i | 0, 0x27D4EB2D) ^ Math.imul(j | 0, 0x165667B1);
+    h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Hash a 3D lattice point to an unsigned 32-bit integer
+ * @param {number} seed - 32-bit seed
+ * @param {number} i - Lattice X index
+ * @param {number} j - Lattice Y index
+ * @param {number} k - Lattice Z index
+ * @returns {number} Hash value
+ */
+function hashLattice3D(seed, i, j, k) {
+    return hashLattice(seed ^ Math.imul(k | 0, 0x5BD1E995), i, j);
+}
+
+/**
+ * Keep a value inside [-1, 1]
+ * @param {number} value - Value
+ * @returns {number} Clamped value
+ */
+function clampUnit(value) {
+    return Math.max(-1, Math.min(1, value));
+}
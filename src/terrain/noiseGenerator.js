@@ -1,6 +1,10 @@
 /**
  * Enhanced noise generation functions for terrain generation
  */
+import { createNoiseGraph, serializeTerrainGraph, DEFAULT_TERRAIN_GRAPH } from './noiseGraph.js';
+import { createGradientNoise, createGradientNoise3D } from './noiseBackends.js';
+import { createDemSource } from './demSource.js';
+import { createContinentMask } from './continents.js';
 
 /**
  * Creates a noise generator with the given settings
@@ -16,44 +20,67 @@ export function createNoiseGenerator(noiseConfig) {
         scale: noiseConfig.scale || 0.01,
         octaves: noiseConfig.octaves || 4,
         persistence: noiseConfig.persistence || 0.5,
-        lacunarity: noiseConfig.lacunarity || 2.0
+        lacunarity: noiseConfig.lacunarity || 2.0,
+        graph: noiseConfig.graph || DEFAULT_TERRAIN_GRAPH,
+        type: noiseConfig.type || 'value'
     };
     
-    return {
+    // Gradient noise backend used by getNoise (null for the built-in value noise)
+    const gradientNoise = createGradientNoise(state.type, state.seed);
+    
+    // 3D noise used by voxel density fields
+    const gradientNoise3D = createGradientNoise3D(state.seed);
+    
+    // Imported elevation data used in place of the terrain graph (null = procedural only)
+    let demSource = null;
+    
+    // Reshapes procedural relief per position, e.g. by biome (null = unchanged)
+    let reliefModifier = null;
+    
+    /**
+     * Fill in octave settings not overridden by a graph node
+     * @param {Object} settings - Overrides
+     * @returns {Object} Octaves, persistence and lacunarity
+     */
+    const getOctaveSettings = (settings) => ({
+        octaves: settings.octaves ?? state.octaves,
+        persistence: settings.persistence ?? state.persistence,
+        lacunarity: settings.lacunarity ?? state.lacunarity
+    });
+    
+    const noiseGenerator = {
         /**
          * Generate a heightmap for a chunk
          * @param {number} chunkX - Chunk X coordinate
          * @param {number} chunkZ - Chunk Z coordinate
          * @param {number} chunkSize - Size of the chunk in world units
          * @param {number} resolution - Resolution of the heightmap
-         * @returns {Float32Array} The generated heightmap
+         * @param {number} [border=0] - Extra samples generated on each side of the chunk
+         * @returns {Float32Array} The generated heightmap ((resolution + 2 * border)^2 values)
          */
-        generateHeightmap(chunkX, chunkZ, chunkSize, resolution) {
-            // Create a new Float32Array to store the heightmap
-            const heightmap = new Float32Array(resolution * resolution);
+        generateHeightmap(chunkX, chunkZ, chunkSize, resolution, border = 0) {
+            // Samples per side including the border
+            const size = resolution + border * 2;
             
-            // Calculate the world position of the chunk's corner
-            const worldX = chunkX * chunkSize;
-            const worldZ = chunkZ * chunkSize;
+            // Create a new Float32Array to store the heightmap
+            const heightmap = new Float32Array(size * size);
             
             // Scale factor to convert from grid coordinates to world coordinates
             const scale = chunkSize / (resolution - 1);
             
+            // Calculate the world position of the first sample (outside the chunk if bordered)
+            const worldX = chunkX * chunkSize - border * scale;
+            const worldZ = chunkZ * chunkSize - border * scale;
+            
             // Generate heightmap values with additional noise variations
-            for (let z = 0; z < resolution; z++) {
-                for (let x = 0; x < resolution; x++) {
+            for (let z = 0; z < size; z++) {
+                for (let x = 0; x < size; x++) {
                     // Calculate world coordinates for this point
                     const wx = worldX + x * scale;
                     const wz = worldZ + z * scale;
                     
-                    // Get base noise value
-                    let noiseValue = this.getFractalNoise(wx, wz);
-                    
-                    // Apply terrain enhancements
-                    noiseValue = this.enhanceTerrain(wx, wz, noiseValue);
-                    
-                    // Store in the heightmap array
-                    heightmap[z * resolution + x] = noiseValue;
+                    // Store the terrain height in the heightmap array
+                    heightmap[z * size + x] = this.getHeight(wx, wz);
                 }
             }
             
@@ -61,64 +88,139 @@ export function createNoiseGenerator(noiseConfig) {
         },
         
         /**
-         * Enhance terrain with additional features
+         * Get the normalized terrain height at a world position from the imported DEM
+         * or, outside it, from the terrain graph shaped into continents and oceans.
+         * Heightmaps are built from this, so it is also the analytic height for queries.
          * @param {number} x - X coordinate in world space
          * @param {number} z - Z coordinate in world space
-         * @param {number} baseNoise - Base noise value
-         * @returns {number} Enhanced noise value
+         * @param {boolean} [applyRelief=true] - Whether to apply the relief modifier (off for
+         *                                       queries the modifier itself depends on)
+         * @returns {number} Terrain height (normally in range [0, 1])
          */
-        enhanceTerrain(x, z, baseNoise) {
-            // Add ridged noise for mountains
-            const ridgedNoise = this.getRidgedNoise(x, z) * 0.3;
-            
-            // Add warped noise for valleys
-            const warpedNoise = this.getWarpedNoise(x, z) * 0.15;
+        getHeight(x, z, applyRelief = true) {
+            // Procedural terrain everywhere without a DEM
+            const dem = demSource && demSource.sample(x, z);
+            if (!dem) {
+                return this.getProceduralHeight(x, z, applyRelief);
+            }
             
-            // Combine different noise types
-            let enhancedNoise = baseNoise * 0.6 + ridgedNoise + warpedNoise;
+            // DEM height with optional procedural detail on top
+            let height = dem.height;
+            const detail = noiseConfig.dem && noiseConfig.dem.detail;
+            if (detail && detail.amplitude > 0) {
+                height += (this.getFractalNoise(x, z, detail) - 0.5) * 2 * detail.amplitude;
+            }
             
-            // Apply plateaus
-            enhancedNoise = this.applyPlateaus(enhancedNoise);
+            // Blend into procedural terrain near the DEM's edge
+            if (dem.weight < 1) {
+                const procedural = this.getProceduralHeight(x, z, applyRelief);
+                height = procedural + (height - procedural) * dem.weight;
+            }
             
-            // Ensure value is in [0, 1] range
-            return Math.max(0, Math.min(1, enhancedNoise));
+            return height;
         },
         
         /**
-         * Apply plateaus to create more interesting terrain features
-         * @param {number} noiseValue - Input noise value
-         * @returns {number} Noise with plateau effects
+         * Get the procedural terrain height: the terrain graph raised into land or sunk into sea,
+         * then reshaped by the relief modifier
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @param {boolean} [applyRelief=true] - Whether to apply the relief modifier
+         * @returns {number} Terrain height (normally in range [0, 1])
          */
-        applyPlateaus(noiseValue) {
-            // Create plateaus by slightly flattening certain height ranges
-            if (noiseValue > 0.75) {
-                // Flatten high peaks slightly
-                return 0.75 + (noiseValue - 0.75) * 0.8;
-            } else if (noiseValue > 0.5 && noiseValue < 0.58) {
-                // Create a mid-level plateau
-                return 0.5 + (noiseValue - 0.5) * 0.3;
-            } else if (noiseValue < 0.2) {
-                // Flatten low areas for valleys
-                return noiseValue * 0.9;
+        getProceduralHeight(x, z, applyRelief = true) {
+            const height = continentMask.shapeHeight(terrainGraph.evaluate(x, z), x, z);
+            return applyRelief && reliefModifier ? reliefModifier(height, x, z) : height;
+        },
+        
+        /**
+         * Reshape procedural relief per position
+         * @param {Function|null} modifier - Called with (height, x, z), returns the new height (null = none)
+         */
+        setReliefModifier(modifier) {
+            reliefModifier = modifier;
+        },
+        
+        /**
+         * Check whether a position lies in the sea (imported elevation data has no sea)
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {boolean} True at sea
+         */
+        isOcean(x, z) {
+            if (demSource && demSource.sample(x, z)) {
+                return false;
             }
-            
-            return noiseValue;
+            return continentMask.isOcean(x, z);
+        },
+        
+        /**
+         * Estimate the distance to the nearest coastline of the continent mask
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {number} Distance in world units (Infinity without continents)
+         */
+        distanceToCoast(x, z) {
+            return continentMask.distanceToCoast(x, z);
+        },
+        
+        /**
+         * Get the sea level
+         * @returns {number} Normalized sea level (0 without continents)
+         */
+        getSeaLevel() {
+            return continentMask.getSeaLevel();
+        },
+        
+        /**
+         * Use imported elevation data as the base terrain
+         * @param {Object|null} dem - DEM from parseDEM, or null to go back to procedural terrain
+         * @param {number} maxHeight - Maximum terrain height in world units
+         */
+        setDEM(dem, maxHeight) {
+            demSource = dem ? createDemSource(dem, noiseConfig.dem || {}, maxHeight) : null;
+        },
+        
+        /**
+         * Get the area covered by the imported DEM
+         * @returns {Object|null} World space bounds, or null without a DEM
+         */
+        getDEMBounds() {
+            return demSource ? demSource.getBounds() : null;
+        },
+        
+        /**
+         * Get the terrain graph in use
+         * @returns {Object} Terrain graph
+         */
+        getTerrainGraph() {
+            return state.graph;
+        },
+        
+        /**
+         * Save the terrain graph together with the seed
+         * @returns {string} JSON text that can be loaded with parseTerrainGraph
+         */
+        exportTerrainGraph() {
+            return serializeTerrainGraph(state.seed, state.graph);
         },
         
         /**
          * Generate fractal noise (multiple octaves of noise)
          * @param {number} x - X coordinate in world space
          * @param {number} z - Z coordinate in world space
+         * @param {Object} [settings={}] - Overrides for scale, octaves, persistence and lacunarity
          * @returns {number} Noise value in range [0, 1]
          */
-        getFractalNoise(x, z) {
+        getFractalNoise(x, z, settings = {}) {
+            const { octaves, persistence, lacunarity } = getOctaveSettings(settings);
             let amplitude = 1.0;
-            let frequency = state.scale;
+            let frequency = settings.scale ?? state.scale;
             let noiseValue = 0;
             let amplitudeSum = 0;
             
             // Sum multiple octaves of noise
-            for (let i = 0; i < state.octaves; i++) {
+            for (let i = 0; i < octaves; i++) {
                 // Add scaled noise value for this octave
                 noiseValue += amplitude * this.getNoise(x * frequency, z * frequency);
                 
@@ -126,28 +228,56 @@ export function createNoiseGenerator(noiseConfig) {
                 amplitudeSum += amplitude;
                 
                 // Update amplitude and frequency for next octave
-                amplitude *= state.persistence;
-                frequency *= state.lacunarity;
+                amplitude *= persistence;
+                frequency *= lacunarity;
             }
             
             // Normalize the result to [0, 1]
             return (noiseValue / amplitudeSum) * 0.5 + 0.5;
         },
         
+        /**
+         * Generate 3D fractal noise (used for overhangs and caves in voxel chunks)
+         * @param {number} x - X coordinate in world space
+         * @param {number} y - Y coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @param {Object} [settings={}] - Overrides for scale, octaves, persistence and lacunarity
+         * @returns {number} Noise value in range [-1, 1]
+         */
+        getFractalNoise3D(x, y, z, settings = {}) {
+            const { octaves, persistence, lacunarity } = getOctaveSettings(settings);
+            let amplitude = 1.0;
+            let frequency = settings.scale ?? state.scale;
+            let noiseValue = 0;
+            let amplitudeSum = 0;
+            
+            // Sum multiple octaves of noise
+            for (let i = 0; i < octaves; i++) {
+                noiseValue += amplitude * gradientNoise3D(x * frequency, y * frequency, z * frequency);
+                amplitudeSum += amplitude;
+                amplitude *= persistence;
+                frequency *= lacunarity;
+            }
+            
+            return noiseValue / amplitudeSum;
+        },
+        
         /**
          * Generate ridged noise (absolute value of noise with inversion)
          * @param {number} x - X coordinate in world space
          * @param {number} z - Z coordinate in world space
+         * @param {Object} [settings={}] - Overrides for scale, octaves, persistence and lacunarity
          * @returns {number} Ridged noise value in range [0, 1]
          */
-        getRidgedNoise(x, z) {
+        getRidgedNoise(x, z, settings = {}) {
+            const { octaves, persistence, lacunarity } = getOctaveSettings(settings);
             let amplitude = 1.0;
-            let frequency = state.scale * 1.8; // Different base frequency
+            let frequency = (settings.scale ?? state.scale) * 1.8; // Different base frequency
             let noiseValue = 0;
             let amplitudeSum = 0;
             
             // Sum multiple octaves
-            for (let i = 0; i < state.octaves; i++) {
+            for (let i = 0; i < octaves; i++) {
                 // Get noise value
                 let n = this.getNoise(x * frequency, z * frequency);
                 
@@ -162,8 +292,8 @@ export function createNoiseGenerator(noiseConfig) {
                 amplitudeSum += amplitude;
                 
                 // Update for next octave
-                amplitude *= state.persistence;
-                frequency *= state.lacunarity;
+                amplitude *= persistence;
+                frequency *= lacunarity;
             }
             
             // Normalize the result to [0, 1]
@@ -174,15 +304,19 @@ export function createNoiseGenerator(noiseConfig) {
          * Generate domain-warped noise for more natural terrain
          * @param {number} x - X coordinate in world space
          * @param {number} z - Z coordinate in world space
+         * @param {Object} [settings={}] - Overrides for scale, octaves, persistence, lacunarity and warpStrength
          * @returns {number} Warped noise value in range [0, 1]
          */
-        getWarpedNoise(x, z) {
+        getWarpedNoise(x, z, settings = {}) {
+            const warpScale = (settings.scale ?? state.scale) * 0.5;
+            const warpStrength = settings.warpStrength ?? 10.0;
+            
             // Apply domain warping by using noise to offset sampling coordinates
-            const warpX = this.getNoise(x * state.scale * 0.5, z * state.scale * 0.5) * 10.0;
-            const warpZ = this.getNoise(x * state.scale * 0.5 + 100, z * state.scale * 0.5 + 100) * 10.0;
+            const warpX = this.getNoise(x * warpScale, z * warpScale) * warpStrength;
+            const warpZ = this.getNoise(x * warpScale + 100, z * warpScale + 100) * warpStrength;
             
             // Sample noise at the warped location
-            return this.getFractalNoise(x + warpX, z + warpZ);
+            return this.getFractalNoise(x + warpX, z + warpZ, settings);
         },
         
         /**
@@ -192,6 +326,11 @@ export function createNoiseGenerator(noiseConfig) {
          * @returns {number} Noise value in range [-1, 1]
          */
         getNoise(x, y) {
+            // Use the configured gradient noise backend if there is one
+            if (gradientNoise) {
+                return gradientNoise(x, y);
+            }
+            
             // Get integer and fractional parts
             const xi = Math.floor(x);
             const yi = Math.floor(y);
@@ -225,7 +364,7 @@ export function createNoiseGenerator(noiseConfig) {
         pseudoRandom(x, y) {
             // Simple but effective hash function
             const h = this.hashFunction(x, y, state.seed);
-            return h / 4294967296; // Convert to [0, 1]
+            return h / 65536; // Convert the 16-bit hash to [0, 1]
         },
         
         /**
@@ -271,4 +410,12 @@ export function createNoiseGenerator(noiseConfig) {
             return t * t * t * (t * (t * 6 - 15) + 10);
         }
     };
-}
+    
+    // Compile the terrain graph against this generator's noise functions
+    const terrainGraph = createNoiseGraph(state.graph, noiseGenerator);
+    
+    // Split the world into continents and oceans
+    const continentMask = createContinentMask(noiseGenerator, noiseConfig.continents);
+    
+    return noiseGenerator;
+}
\ No newline at end of file
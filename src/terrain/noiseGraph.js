@@ -0,0 +1,356 @@
+/**
+ * Data-driven terrain shape described as a JSON node graph
+ *
+ * A graph names an output node and a set of nodes. Each node has a type and
+ * refers to its inputs by node name; wherever an input is expected a plain
+ * number can be used instead as a constant.
+ *
+ * Node types:
+ * - fractal, ridged, warped: noise layers (optional scale, octaves, persistence,
+ *   lacunarity and offset [x, z]; warped also takes warpStrength)
+ * - plateau: flattens height ranges (input, optional ranges)
+ * - curve: piecewise linear remap through [x, y] points (input, points)
+ * - clamp: limits a value (input, min, max)
+ * - blend: interpolates between two inputs (inputs [a, b], factor)
+ * - mask: fades from fallback to input as the mask rises from low to high
+ *   (input, mask, optional low, high, fallback)
+ * - math: combines inputs (operation add, subtract, multiply, divide, min, max,
+ *   power or abs; add also takes per-input weights)
+ */
+
+// Current version of the saved terrain format
+const TERRAIN_FORMAT_VERSION = 1;
+
+// Height ranges flattened by plateau nodes without their own ranges
+// (each moves values inside the range towards the pivot by the factor)
+export const DEFAULT_PLATEAU_RANGES = [
+    // Flatten high peaks slightly
+    { above: 0.75, factor: 0.8 },
+    // Create a mid-level plateau
+    { above: 0.5, below: 0.58, factor: 0.3 },
+    // Flatten low areas for valleys
+    { below: 0.2, pivot: 0, factor: 0.9 }
+];
+
+// Default terrain: fractal base with ridged mountains and warped valleys, then plateaus
+export const DEFAULT_TERRAIN_GRAPH = {
+    output: 'height',
+    nodes: {
+        base: { type: 'fractal' },
+        ridges: { type: 'ridged' },
+        valleys: { type: 'warped' },
+        combined: {
+            type: 'math',
+            operation: 'add',
+            inputs: ['base', 'ridges', 'valleys'],
+            weights: [0.6, 0.3, 0.15]
+        },
+        plateaus: { type: 'plateau', input: 'combined' },
+        height: { type: 'clamp', input: 'plateaus', min: 0, max: 1 }
+    }
+};
+
+/**
+ * Compile a terrain graph into an evaluator
+ * @param {Object} graph - Terrain graph ({ output, nodes })
+ * @param {Object} noiseGenerator - Noise generator providing the noise primitives
+ * @returns {Object} Compiled graph with an evaluate(x, z) function
+ */
+export function createNoiseGraph(graph, noiseGenerator) {
+    if (!graph || typeof graph !== 'object' || !graph.nodes || !graph.output) {
+        throw new Error('Terrain graph needs an output and a nodes object');
+    }
+    
+    // Order nodes so every node comes after its inputs
+    const order = sortNodes(graph);
+    
+    // Slot holding each node's value while evaluating one position
+    const slots = new Map(order.map((name, index) => [name, index]));
+    const values = new Float64Array(order.length);
+    
+    // Compile every node into a function reading its inputs from the slots
+    const evaluators = order.map(name => compileNode(name, graph.nodes[name], slots, values, noiseGenerator));
+    const outputSlot = slots.get(graph.output);
+    
+    return {
+        /**
+         * Evaluate the graph at a world position
+         * @param {number} x - X coordinate in world space
+         * @param {number} z - Z coordinate in world space
+         * @returns {number} Value of the output node
+         */
+        evaluate(x, z) {
+            for (let i = 0; i < evaluators.length; i++) {
+                values[i] = evaluators[i](x, z);
+            }
+            
+            return values[outputSlot];
+        }
+    };
+}
+
+/**
+ * Serialize a terrain graph together with its seed
+ * @param {number} seed - Noise seed
+ * @param {Object} graph - Terrain graph
+ * @returns {string} JSON text
+ */
+export function serializeTerrainGraph(seed, graph) {
+    return JSON.stringify({
+        version: TERRAIN_FORMAT_VERSION,
+        seed: seed,
+        graph: graph
+    }, null, 2);
+}
+
+/**
+ * Parse terrain saved with serializeTerrainGraph
+ * @param {string} json - JSON text
+ * @returns {Object} Seed and graph ({ seed, graph })
+ */
+export function parseTerrainGraph(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    
+    if (!data || data.version !== TERRAIN_FORMAT_VERSION) {
+        throw new Error(`Unsupported terrain file version: ${data && data.version}`);
+    }
+    
+    // Check the graph compiles before handing it out
+    sortNodes(data.graph);
+    
+    return { seed: data.seed, graph: data.graph };
+}
+
+/**
+ * List the nodes reachable from the output, inputs first
+ * @param {Object} graph - Terrain graph
+ * @returns {Array<string>} Node names in evaluation order
+ */
+function sortNodes(graph) {
+    const order = [];
+    const state = new Map(); // name -> 'visiting' | 'done'
+    
+    const visit = (name, path) => {
+        if (state.get(name) === 'done') {
+            return;
+        }
+        if (state.get(name) === 'visiting') {
+            throw new Error(`Terrain graph has a cycle: ${[...path, name].join(' -> ')}`);
+        }
+        
+        const node = graph.nodes[name];
+        if (!node) {
+            throw new Error(`Terrain graph refers to unknown node "${name}"`);
+        }
+        
+        state.set(name, 'visiting');
+        for (const input of getNodeInputs(node)) {
+            visit(input, [...path, name]);
+        }
+        state.set(name, 'done');
+        order.push(name);
+    };
+    
+    visit(graph.output, []);
+    return order;
+}
+
+/**
+ * Get the names of the nodes a node reads from
+ * @param {Object} node - Node definition
+ * @returns {Array<string>} Input node names
+ */
+function getNodeInputs(node) {
+    const references = [node.input, node.mask, node.factor, node.fallback, ...(node.inputs || [])];
+    return references.filter(reference => typeof reference === 'string');
+}
+
+/**
+ * Compile one node
+ * @param {string} name - Node name (for error messages)
+ * @param {Object} node - Node definition
+ * @param {Map} slots - Slot index of every node
+ * @param {Float64Array} values - Node values of the position being evaluated
+ * @param {Object} noiseGenerator - Noise generator providing the noise primitives
+ * @returns {Function} Function (x, z) => value
+ */
+function compileNode(name, node, slots, values, noiseGenerator) {
+    // Read an input: a node name or a constant
+    const input = (reference, fallback) => {
+        if (typeof reference === 'string') {
+            const slot = slots.get(reference);
+            return () => values[slot];
+        }
+        const constant = typeof reference === 'number' ? reference : fallback;
+        if (constant === undefined) {
+            throw new Error(`Terrain graph node "${name}" is missing an input`);
+        }
+        return () => constant;
+    };
+    
+    switch (node.type) {
+        case 'fractal':
+        case 'ridged':
+        case 'warped': {
+            const settings = {
+                scale: node.scale,
+                octaves: node.octaves,
+                persistence: node.persistence,
+                lacunarity: node.lacunarity,
+                warpStrength: node.warpStrength
+            };
+            const [offsetX, offsetZ] = node.offset || [0, 0];
+            const sample = {
+                fractal: (x, z) => noiseGenerator.getFractalNoise(x, z, settings),
+                ridged: (x, z) => noiseGenerator.getRidgedNoise(x, z, settings),
+                warped: (x, z) => noiseGenerator.getWarpedNoise(x, z, settings)
+            }[node.type];
+            return (x, z) => sample(x + offsetX, z + offsetZ);
+        }
+        
+        case 'plateau': {
+            const value = input(node.input);
+            const ranges = node.ranges || DEFAULT_PLATEAU_RANGES;
+            return () => applyPlateauRanges(value(), ranges);
+        }
+        
+        case 'curve': {
+            const value = input(node.input);
+            const points = [...(node.points || [[0, 0], [1, 1]])].sort((a, b) => a[0] - b[0]);
+            return () => evaluateCurve(points, value());
+        }
+        
+        case 'clamp': {
+            const value = input(node.input);
+            const min = node.min ?? 0;
+            const max = node.max ?? 1;
+            return () => Math.max(min, Math.min(max, value()));
+        }
+        
+        case 'blend': {
+            const [first, second] = (node.inputs || []).map(reference => input(reference));
+            if (!second) {
+                throw new Error(`Terrain graph blend node "${name}" needs two inputs`);
+            }
+            const factor = input(node.factor, 0.5);
+            return () => {
+                const t = factor();
+                return first() + (second() - first()) * t;
+            };
+        }
+        
+        case 'mask': {
+            const value = input(node.input);
+            const mask = input(node.mask);
+            const fallback = input(node.fallback, 0);
+            const low = node.low ?? 0;
+            const high = node.high ?? 1;
+            return () => {
+                // Smooth step of the mask between low and high
+                const t = Math.max(0, Math.min(1, (mask() - low) / ((high - low) || 1)));
+                const weight = t * t * (3 - 2 * t);
+                return fallback() + (value() - fallback()) * weight;
+            };
+        }
+        
+        case 'math':
+            return compileMathNode(name, node, input);
+        
+        default:
+            throw new Error(`Terrain graph node "${name}" has unknown type "${node.type}"`);
+    }
+}
+
+/**
+ * Compile a math node
+ * @param {string} name - Node name (for error messages)
+ * @param {Object} node - Node definition
+ * @param {Function} input - Input reader from compileNode
+ * @returns {Function} Function returning the node value
+ */
+function compileMathNode(name, node, input) {
+    const inputs = (node.inputs || []).map(reference => input(reference));
+    if (inputs.length === 0) {
+        throw new Error(`Terrain graph math node "${name}" has no inputs`);
+    }
+    
+    // Fold the inputs left to right with a binary operation
+    const fold = (operation) => () => {
+        let result = inputs[0]();
+        for (let i = 1; i < inputs.length; i++) {
+            result = operation(result, inputs[i]());
+        }
+        return result;
+    };
+    
+    switch (node.operation) {
+        case 'add': {
+            const weights = node.weights || inputs.map(() => 1);
+            return () => {
+                let sum = 0;
+                for (let i = 0; i < inputs.length; i++) {
+                    sum += inputs[i]() * (weights[i] ?? 1);
+                }
+                return sum;
+            };
+        }
+        case 'subtract':
+            return fold((a, b) => a - b);
+        case 'multiply':
+            return fold((a, b) => a * b);
+        case 'divide':
+            return fold((a, b) => (b === 0 ? 0 : a / b));
+        case 'min':
+            return fold(Math.min);
+        case 'max':
+            return fold(Math.max);
+        case 'power':
+            return fold((a, b) => Math.pow(Math.max(0, a), b));
+        case 'abs':
+            return () => Math.abs(inputs[0]());
+        default:
+            throw new Error(`Terrain graph math node "${name}" has unknown operation "${node.operation}"`);
+    }
+}
+
+/**
+ * Flatten height ranges towards a pivot (first matching range wins)
+ * @param {number} value - Input value
+ * @param {Array<Object>} ranges - Ranges with optional above, below, pivot and a factor
+ * @returns {number} Value with plateaus applied
+ */
+function applyPlateauRanges(value, ranges) {
+    for (const range of ranges) {
+        const above = range.above ?? -Infinity;
+        const below = range.below ?? Infinity;
+        
+        if (value > above && value < below) {
+            const pivot = range.pivot ?? range.above ?? 0;
+            return pivot + (value - pivot) * range.factor;
+        }
+    }
+    
+    return value;
+}
+
+/**
+ * Evaluate a piecewise linear curve, holding the end values outside it
+ * @param {Array<Array<number>>} points - Curve points [x, y] sorted by x
+ * @param {number} value - Input value
+ * @returns {number} Curve value
+ */
+function evaluateCurve(points, value) {
+    if (value <= points[0][0]) {
+        return points[0][1];
+    }
+    
+    for (let i = 1; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        if (value <= x1) {
+            const [x0, y0] = points[i - 1];
+            return y0 + (y1 - y0) * (value - x0) / ((x1 - x0) || 1);
+        }
+    }
+    
+    return points[points.length - 1][1];
+}
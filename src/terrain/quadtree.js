@@ -0,0 +1,160 @@
+/**
+ * Quadtree (CDLOD) node selection for far terrain
+ *
+ * Root nodes cover the world in a grid of large squares. A node splits into
+ * four children while its estimated height error, projected onto the screen,
+ * is larger than a few pixels, so nodes shrink towards the camera. Nodes one
+ * chunk across (level 0) are the regular chunks; larger nodes are low
+ * resolution meshes with the same number of vertices, so every level of the
+ * tree halves the vertex spacing of the one above it.
+ */
+
+// Fraction of the split threshold a split node must drop below before it merges again
+const MERGE_HYSTERESIS = 0.8;
+
+/**
+ * Creates a quadtree node selector
+ * @param {Object} quadtreeConfig - Quadtree settings (config.terrain.quadtree)
+ * @param {number} chunkSize - Size of a chunk (a level 0 node) in world units
+ * @param {number} resolution - Vertices per side of every node
+ * @param {number} maxHeight - Maximum height of the terrain
+ * @returns {Object} Quadtree
+ */
+export function createQuadtree(quadtreeConfig, chunkSize, resolution, maxHeight) {
+    const { levels, horizonDistance, maxScreenError, errorPerSpacing } = quadtreeConfig;
+    
+    // Size of the root nodes
+    const rootSize = chunkSize * 2 ** levels;
+    
+    // Keys of the nodes split by the last selection, so they merge only well below the threshold
+    let splitNodes = new Set();
+    
+    return {
+        /**
+         * Get the size of a node
+         * @param {number} level - Level of the node (0 = chunk)
+         * @returns {number} Size in world units
+         */
+        getNodeSize(level) {
+            return chunkSize * 2 ** level;
+        },
+        
+        /**
+         * Estimate how far a node's surface is from the full detail terrain
+         * @param {number} level - Level of the node (0 = chunk)
+         * @returns {number} Height error in world units
+         */
+        getGeometricError(level) {
+            return level === 0 ? 0 : errorPerSpacing * this.getNodeSize(level) / (resolution - 1);
+        },
+        
+        /**
+         * Project a node's height error onto the screen
+         * @param {Object} node - Node from select
+         * @param {Object} cameraPosition - Camera position in world space
+         * @param {number} projectionScale - Viewport height divided by 2·tan(fov / 2)
+         * @returns {number} Error in pixels
+         */
+        getScreenError(node, cameraPosition, projectionScale) {
+            // Closest point of the node's bounding box, heights spanning the whole terrain
+            const distance = Math.hypot(
+                getHorizontalDistance(node, cameraPosition),
+                Math.max(0, -cameraPosition.y, cameraPosition.y - maxHeight)
+            );
+            
+            return this.getGeometricError(node.level) * projectionScale / Math.max(distance, 1e-6);
+        },
+        
+        /**
+         * Pick the nodes to render: a set of squares that covers the ground out to
+         * the horizon without overlapping, nearest first
+         * @param {Object} cameraPosition - Camera position in world space
+         * @param {number} projectionScale - Viewport height divided by 2·tan(fov / 2)
+         * @returns {Array<Object>} Nodes ({ key, level, x, z, size, distance }); x and z count nodes of that size
+         */
+        select(cameraPosition, projectionScale) {
+            const selection = [];
+            const nextSplitNodes = new Set();
+            
+            const visit = (level, x, z) => {
+                const size = this.getNodeSize(level);
+                const node = { key: `${level}_${x}_${z}`, level, x, z, size, distance: 0 };
+                
+                // Skip nodes entirely past the horizon
+                node.distance = getHorizontalDistance(node, cameraPosition);
+                if (node.distance > horizonDistance) {
+                    return;
+                }
+                
+                // Split while the node looks too coarse, with some slack before merging again
+                const threshold = splitNodes.has(node.key) ? maxScreenError * MERGE_HYSTERESIS : maxScreenError;
+                if (level > 0 && this.getScreenError(node, cameraPosition, projectionScale) > threshold) {
+                    nextSplitNodes.add(node.key);
+                    for (let dz = 0; dz < 2; dz++) {
+                        for (let dx = 0; dx < 2; dx++) {
+                            visit(level - 1, x * 2 + dx, z * 2 + dz);
+                        }
+                    }
+                    return;
+                }
+                
+                selection.push(node);
+            };
+            
+            // Walk down from every root node within the horizon
+            const minX = Math.floor((cameraPosition.x - horizonDistance) / rootSize);
+            const maxX = Math.floor((cameraPosition.x + horizonDistance) / rootSize);
+            const minZ = Math.floor((cameraPosition.z - horizonDistance) / rootSize);
+            const maxZ = Math.floor((cameraPosition.z + horizonDistance) / rootSize);
+            for (let z = minZ; z <= maxZ; z++) {
+                for (let x = minX; x <= maxX; x++) {
+                    visit(levels, x, z);
+                }
+            }
+            
+            splitNodes = nextSplitNodes;
+            return selection.sort((a, b) => a.distance - b.distance);
+        },
+        
+        /**
+         * Check whether a node that is no longer selected can be removed: once every
+         * selected node overlapping it is ready, it would not leave a hole
+         * @param {Object} node - Node ({ level, x, z })
+         * @param {Array<Object>} selection - Nodes from select
+         * @param {Function} isReady - Called with a selected node, returns true once it is shown
+         * @returns {boolean} True if the node can be removed
+         */
+        isReplaced(node, selection, isReady) {
+            return selection.every(other => !overlaps(node, other) || isReady(other));
+        }
+    };
+}
+
+/**
+ * Horizontal distance from a position to a node's square
+ * @param {Object} node - Node ({ x, z, size })
+ * @param {Object} position - Position in world space
+ * @returns {number} Distance in world units (0 above the node)
+ */
+function getHorizontalDistance(node, position) {
+    const minX = node.x * node.size;
+    const minZ = node.z * node.size;
+    const dx = Math.max(minX - position.x, 0, position.x - (minX + node.size));
+    const dz = Math.max(minZ - position.z, 0, position.z - (minZ + node.size));
+    return Math.hypot(dx, dz);
+}
+
+/**
+ * Check whether two nodes overlap (nodes either nest or are disjoint)
+ * @param {Object} a - Node ({ level, x, z })
+ * @param {Object} b - Node ({ level, x, z })
+ * @returns {boolean} True if one node contains the other
+ */
+function overlaps(a, b) {
+    // Compare both nodes at the level of the larger one
+    const level = Math.max(a.level, b.level);
+    const shiftA = level - a.level;
+    const shiftB = level - b.level;
+    return Math.floor(a.x / 2 ** shiftA) === Math.floor(b.x / 2 ** shiftB) &&
+        Math.floor(a.z / 2 ** shiftA) === Math.floor(b.z / 2 ** shiftB);
+}
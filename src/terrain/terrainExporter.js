@@ -0,0 +1,510 @@
+/**
+ * Export of rectangular terrain regions
+ *
+ * Regions are generated chunk by chunk with generateHeightmapForChunk, so they
+ * do not depend on what is loaded, and joined into one grid in which chunk
+ * edges share their vertices. Meshes are written right-handed with Y up, as
+ * OBJ and glTF expect, by negating world Z.
+ */
+import config from '../config.js';
+import { computeVertexColors } from '../materials/terrainMaterial.js';
+
+// Current version of the JSON sidecar format
+const SIDECAR_FORMAT_VERSION = 1;
+
+// Export formats and the file each one produces
+const EXPORT_FORMATS = {
+    png: { extension: 'png', mimeType: 'image/png' },
+    raw: { extension: 'raw', mimeType: 'application/octet-stream' },
+    obj: { extension: 'obj', mimeType: 'text/plain' },
+    gltf: { extension: 'gltf', mimeType: 'model/gltf+json' },
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+// glTF component types and buffer targets
+const GLTF_FLOAT = 5126;
+const GLTF_UNSIGNED_INT = 5125;
+const GLTF_ARRAY_BUFFER = 34962;
+const GLTF_ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * Creates a terrain exporter
+ * @param {Object} heightmapGenerator - Heightmap generator used for chunks
+ * @param {Object} noiseConfig - Noise configuration recorded in the sidecar
+ * @param {Function} [getHeightDelta=null] - (chunkX, chunkZ) => sculpted height delta of a chunk
+ *                                           and its one-sample halo, or null
+ * @returns {Object} Terrain exporter
+ */
+export function createTerrainExporter(heightmapGenerator, noiseConfig, getHeightDelta = null) {
+    return {
+        /**
+         * Generate a region of chunks and join it into a single grid
+         * @param {Object} bounds - Inclusive chunk range ({ minChunkX, minChunkZ, maxChunkX, maxChunkZ })
+         * @returns {Object} Region grid with heights, erosion, biomes, positions, normals and indices
+         */
+        buildRegion(bounds) {
+            const { chunkSize, chunkResolution, maxHeight } = config.terrain;
+            const { minChunkX, minChunkZ, maxChunkX, maxChunkZ } = bounds;
+            
+            if (maxChunkX < minChunkX || maxChunkZ < minChunkZ) {
+                throw new Error('Export region is empty');
+            }
+            
+            // Neighbouring chunks share their edge samples, so each chunk adds resolution - 1
+            const cells = chunkResolution - 1;
+            const width = (maxChunkX - minChunkX + 1) * cells + 1;
+            const depth = (maxChunkZ - minChunkZ + 1) * cells + 1;
+            const heights = new Float32Array(width * depth);
+            const biomeIds = new Float32Array(width * depth * 4);
+            const biomeWeights = new Float32Array(width * depth * 4);
+            let erosion = null;
+            
+            // Copy each chunk into the region grid
+            for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
+                for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+                    let heightmapData = heightmapGenerator.generateHeightmapForChunk(
+                        chunkX, chunkZ, chunkSize, chunkResolution, maxHeight
+                    );
+                    
+                    // Include sculpted edits
+                    const heightDelta = getHeightDelta && getHeightDelta(chunkX, chunkZ);
+                    if (heightDelta) {
+                        heightmapData = heightmapGenerator.applyHeightDelta(heightmapData, heightDelta, maxHeight);
+                    }
+                    
+                    // Erosion maps exist for every chunk or for none
+                    if (heightmapData.sedimentMap && !erosion) {
+                        erosion = new Float32Array(width * depth * 2);
+                    }
+                    
+                    const offsetX = (chunkX - minChunkX) * cells;
+                    const offsetZ = (chunkZ - minChunkZ) * cells;
+                    for (let z = 0; z < chunkResolution; z++) {
+                        for (let x = 0; x < chunkResolution; x++) {
+                            const source = z * chunkResolution + x;
+                            const target = (offsetZ + z) * width + offsetX + x;
+                            heights[target] = heightmapData.heights[source];
+                            biomeIds.set(heightmapData.biomeIds.subarray(source * 4, source * 4 + 4), target * 4);
+                            biomeWeights.set(heightmapData.biomeWeights.subarray(source * 4, source * 4 + 4), target * 4);
+                            
+                            if (erosion) {
+                                erosion[target * 2] = heightmapData.sedimentMap[source];
+                                erosion[target * 2 + 1] = heightmapData.flowMap[source];
+                            }
+                        }
+                    }
+                }
+            }
+            
+            const spacing = chunkSize / cells;
+            const region = {
+                bounds: { ...bounds },
+                width,
+                depth,
+                spacing,
+                maxHeight,
+                originX: minChunkX * chunkSize,
+                originZ: minChunkZ * chunkSize,
+                heights,
+                erosion,
+                biomeIds,
+                biomeWeights
+            };
+            
+            // Geometry shared by the mesh formats
+            Object.assign(region, createRegionGeometry(region));
+            return region;
+        },
+        
+        /**
+         * Export a region in several formats
+         * @param {Object} bounds - Inclusive chunk range ({ minChunkX, minChunkZ, maxChunkX, maxChunkZ })
+         * @param {Array<string>} [formats] - Formats from png, raw, obj, gltf and json (defaults to all)
+         * @returns {Promise<Array<Object>>} Files ({ name, mimeType, data })
+         */
+        async exportRegion(bounds, formats = Object.keys(EXPORT_FORMATS)) {
+            // Check the formats before doing any work
+            for (const format of formats) {
+                if (!EXPORT_FORMATS[format]) {
+                    throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+                }
+            }
+            
+            const region = this.buildRegion(bounds);
+            const baseName = `terrain_${noiseConfig.seed}_${bounds.minChunkX}_${bounds.minChunkZ}_${bounds.maxChunkX}_${bounds.maxChunkZ}`;
+            const files = [];
+            
+            for (const format of formats) {
+                const { extension, mimeType } = EXPORT_FORMATS[format];
+                const data = {
+                    png: () => this.exportPNG(region),
+                    raw: () => this.exportRAW(region),
+                    obj: () => this.exportOBJ(region),
+                    gltf: () => this.exportGLTF(region),
+                    json: () => this.exportSidecar(region, formats.map(name => `${baseName}.${EXPORT_FORMATS[name].extension}`))
+                }[format]();
+                
+                files.push({ name: `${baseName}.${extension}`, mimeType, data: await data });
+            }
+            
+            return files;
+        },
+        
+        /**
+         * Encode region heights as a 16-bit grayscale PNG (first row is the north edge)
+         * @param {Object} region - Region from buildRegion
+         * @returns {Promise<Uint8Array>} PNG file
+         */
+        async exportPNG(region) {
+            const { width, depth } = region;
+            const samples = encodeHeights(region, false);
+            
+            // Each row starts with filter type 0 (none)
+            const rowLength = width * 2 + 1;
+            const raw = new Uint8Array(rowLength * depth);
+            for (let row = 0; row < depth; row++) {
+                raw.set(new Uint8Array(samples.buffer, row * width * 2, width * 2), row * rowLength + 1);
+            }
+            
+            // Header: size, 16 bits, grayscale, default compression and filters, no interlace
+            const header = new Uint8Array(13);
+            const headerView = new DataView(header.buffer);
+            headerView.setUint32(0, width);
+            headerView.setUint32(4, depth);
+            header[8] = 16;
+            
+            return concatBytes([
+                new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+                createPNGChunk('IHDR', header),
+                createPNGChunk('IDAT', await deflate(raw)),
+                createPNGChunk('IEND', new Uint8Array(0))
+            ]);
+        },
+        
+        /**
+         * Encode region heights as headerless little-endian 16-bit RAW (first row is the north edge)
+         * @param {Object} region - Region from buildRegion
+         * @returns {Uint8Array} RAW file
+         */
+        exportRAW(region) {
+            return new Uint8Array(encodeHeights(region, true).buffer);
+        },
+        
+        /**
+         * Write the region mesh as Wavefront OBJ
+         * @param {Object} region - Region from buildRegion
+         * @returns {string} OBJ text
+         */
+        exportOBJ(region) {
+            const { positions, normals, uvs, indices } = region;
+            const lines = [`# Terrain region ${region.width}x${region.depth}, seed ${noiseConfig.seed}`, 'o terrain'];
+            
+            for (let i = 0; i < positions.length; i += 3) {
+                lines.push(`v ${formatNumber(positions[i])} ${formatNumber(positions[i + 1])} ${formatNumber(positions[i + 2])}`);
+            }
+            for (let i = 0; i < uvs.length; i += 2) {
+                lines.push(`vt ${formatNumber(uvs[i])} ${formatNumber(uvs[i + 1])}`);
+            }
+            for (let i = 0; i < normals.length; i += 3) {
+                lines.push(`vn ${formatNumber(normals[i])} ${formatNumber(normals[i + 1])} ${formatNumber(normals[i + 2])}`);
+            }
+            
+            // OBJ indices start at 1 and each vertex has a matching uv and normal
+            for (let i = 0; i < indices.length; i += 3) {
+                const [a, b, c] = [indices[i] + 1, indices[i + 1] + 1, indices[i + 2] + 1];
+                lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+            }
+            
+            return lines.join('\n') + '\n';
+        },
+        
+        /**
+         * Write the region mesh as glTF 2.0 with an embedded buffer and vertex colors
+         * @param {Object} region - Region from buildRegion
+         * @returns {string} glTF JSON text
+         */
+        exportGLTF(region) {
+            const { positions, normals, uvs, indices } = region;
+            
+            // Same colors applyVertexColors gives rendered chunks (from world space positions)
+            const colors = computeVertexColors(
+                region.worldPositions, normals, region.erosion, region.maxHeight, 0, 0,
+                { ids: region.biomeIds, weights: region.biomeWeights, biomes: heightmapGenerator.getBiomes() }
+            );
+            
+            // One buffer view per attribute, packed in order
+            const arrays = [positions, normals, colors, uvs, indices];
+            const buffer = concatBytes(arrays.map(array => new Uint8Array(array.buffer, array.byteOffset, array.byteLength)));
+            let byteOffset = 0;
+            const bufferViews = arrays.map((array, index) => {
+                const view = {
+                    buffer: 0,
+                    byteOffset: byteOffset,
+                    byteLength: array.byteLength,
+                    target: index === arrays.length - 1 ? GLTF_ELEMENT_ARRAY_BUFFER : GLTF_ARRAY_BUFFER
+                };
+                byteOffset += array.byteLength;
+                return view;
+            });
+            
+            const vertexCount = positions.length / 3;
+            const gltf = {
+                asset: { version: '2.0', generator: 'Infinite Horizons terrain exporter' },
+                scene: 0,
+                scenes: [{ nodes: [0] }],
+                nodes: [{ mesh: 0, name: 'terrain' }],
+                meshes: [{
+                    name: 'terrain',
+                    primitives: [{
+                        attributes: { POSITION: 0, NORMAL: 1, COLOR_0: 2, TEXCOORD_0: 3 },
+                        indices: 4,
+                        mode: 4
+                    }]
+                }],
+                accessors: [
+                    { bufferView: 0, componentType: GLTF_FLOAT, count: vertexCount, type: 'VEC3', ...getBounds(positions, 3) },
+                    { bufferView: 1, componentType: GLTF_FLOAT, count: vertexCount, type: 'VEC3' },
+                    { bufferView: 2, componentType: GLTF_FLOAT, count: vertexCount, type: 'VEC4' },
+                    { bufferView: 3, componentType: GLTF_FLOAT, count: vertexCount, type: 'VEC2' },
+                    { bufferView: 4, componentType: GLTF_UNSIGNED_INT, count: indices.length, type: 'SCALAR' }
+                ],
+                bufferViews: bufferViews,
+                buffers: [{
+                    byteLength: buffer.byteLength,
+                    uri: `data:application/octet-stream;base64,${encodeBase64(buffer)}`
+                }]
+            };
+            
+            return JSON.stringify(gltf);
+        },
+        
+        /**
+         * Describe an exported region so it can be reproduced or placed again
+         * @param {Object} region - Region from buildRegion
+         * @param {Array<string>} [files=[]] - Names of the files exported with it
+         * @returns {string} JSON text
+         */
+        exportSidecar(region, files = []) {
+            const { width, depth, spacing, originX, originZ, maxHeight } = region;
+            
+            return JSON.stringify({
+                version: SIDECAR_FORMAT_VERSION,
+                seed: noiseConfig.seed,
+                noise: { ...noiseConfig, graph: heightmapGenerator.getTerrainGraph() },
+                chunks: region.bounds,
+                bounds: {
+                    minX: originX,
+                    maxX: originX + (width - 1) * spacing,
+                    minZ: originZ,
+                    maxZ: originZ + (depth - 1) * spacing,
+                    minY: 0,
+                    maxY: maxHeight
+                },
+                grid: { width, depth, spacing },
+                heightEncoding: {
+                    // Stored value / 65535 * maxHeight gives the height in world units
+                    bits: 16,
+                    scale: maxHeight / 65535,
+                    firstRow: 'north',
+                    rawByteOrder: 'little-endian'
+                },
+                meshCoordinates: 'right-handed, Y up, Z negated from world space',
+                dem: heightmapGenerator.getDEMBounds(),
+                files: files
+            }, null, 2);
+        }
+    };
+}
+
+/**
+ * Build mesh arrays for a region grid
+ * @param {Object} region - Region with width, depth, spacing, origin and heights
+ * @returns {Object} Positions and normals (exported axes), world positions, uvs and indices
+ */
+function createRegionGeometry(region) {
+    const { width, depth, spacing, originX, originZ, heights, maxHeight } = region;
+    const vertexCount = width * depth;
+    const positions = new Float32Array(vertexCount * 3);
+    const worldPositions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    const indices = new Uint32Array((width - 1) * (depth - 1) * 6);
+    
+    // Height at a clamped grid position in world units
+    const heightAt = (x, z) => heights[
+        Math.max(0, Math.min(depth - 1, z)) * width + Math.max(0, Math.min(width - 1, x))
+    ] * maxHeight;
+    
+    for (let z = 0; z < depth; z++) {
+        for (let x = 0; x < width; x++) {
+            const index = z * width + x;
+            const worldX = originX + x * spacing;
+            const worldZ = originZ + z * spacing;
+            const height = heights[index] * maxHeight;
+            
+            worldPositions.set([worldX, height, worldZ], index * 3);
+            positions.set([worldX, height, -worldZ], index * 3);
+            uvs.set([x / (width - 1), z / (depth - 1)], index * 2);
+            
+            // Upward normal from central differences (one-sided at the region edge)
+            const dx = (heightAt(x + 1, z) - heightAt(x - 1, z)) / ((Math.min(x + 1, width - 1) - Math.max(x - 1, 0)) * spacing);
+            const dz = (heightAt(x, z + 1) - heightAt(x, z - 1)) / ((Math.min(z + 1, depth - 1) - Math.max(z - 1, 0)) * spacing);
+            const length = Math.sqrt(dx * dx + 1 + dz * dz);
+            normals.set([-dx / length, 1 / length, dz / length], index * 3);
+        }
+    }
+    
+    // Same diagonal as chunk meshes; counter-clockwise from above once Z is negated
+    let index = 0;
+    for (let z = 0; z < depth - 1; z++) {
+        for (let x = 0; x < width - 1; x++) {
+            const bottomLeft = z * width + x;
+            const bottomRight = bottomLeft + 1;
+            const topLeft = bottomLeft + width;
+            const topRight = topLeft + 1;
+            
+            indices.set([bottomLeft, bottomRight, topRight, bottomLeft, topRight, topLeft], index);
+            index += 6;
+        }
+    }
+    
+    return { positions, worldPositions, normals, uvs, indices };
+}
+
+/**
+ * Quantize region heights to 16 bits, north row first
+ * @param {Object} region - Region from buildRegion
+ * @param {boolean} littleEndian - Byte order of the samples
+ * @returns {Uint16Array} Samples (byte order already applied)
+ */
+function encodeHeights(region, littleEndian) {
+    const { width, depth, heights } = region;
+    const samples = new Uint16Array(width * depth);
+    const view = new DataView(samples.buffer);
+    
+    for (let row = 0; row < depth; row++) {
+        // Region rows run from south to north
+        const z = depth - 1 - row;
+        for (let x = 0; x < width; x++) {
+            const value = Math.round(Math.max(0, Math.min(1, heights[z * width + x])) * 65535);
+            view.setUint16((row * width + x) * 2, value, littleEndian);
+        }
+    }
+    
+    return samples;
+}
+
+/**
+ * Build a PNG chunk with its length and CRC
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk bytes
+ */
+function createPNGChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+    
+    return chunk;
+}
+
+// CRC-32 lookup table used by PNG chunks
+let crcTable = null;
+
+/**
+ * Compute a CRC-32 checksum
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Checksum
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Compress bytes into a zlib stream
+ * @param {Uint8Array} bytes - Data
+ * @returns {Promise<Uint8Array>} Compressed data
+ */
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Data
+ * @returns {string} Base64 text
+ */
+function encodeBase64(bytes) {
+    // Convert in slices to stay under the argument limit of String.fromCharCode
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Get per-component minimum and maximum of an attribute (required by glTF for positions)
+ * @param {Float32Array} values - Attribute values
+ * @param {number} size - Components per element
+ * @returns {Object} Bounds ({ min, max })
+ */
+function getBounds(values, size) {
+    const min = new Array(size).fill(Infinity);
+    const max = new Array(size).fill(-Infinity);
+    
+    for (let i = 0; i < values.length; i += size) {
+        for (let c = 0; c < size; c++) {
+            min[c] = Math.min(min[c], values[i + c]);
+            max[c] = Math.max(max[c], values[i + c]);
+        }
+    }
+    
+    return { min, max };
+}
+
+/**
+ * Format a number for text formats without float noise
+ * @param {number} value - Value
+ * @returns {string} Text
+ */
+function formatNumber(value) {
+    return String(Math.round(value * 1e5) / 1e5);
+}
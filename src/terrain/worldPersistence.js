@@ -0,0 +1,499 @@
+/**
+ * Persistent world edits
+ *
+ * Height deltas, placed markers and metadata of every changed chunk are saved
+ * to IndexedDB under the chunk's key (see getChunkKey). A chunk's record is
+ * merged back into memory when the chunk streams in and written out when it
+ * unloads. Brush dabs that reach the edge of a chunk which is not loaded are
+ * kept as pending changes and added to its stored record once it is restored.
+ */
+import { getChunkKey } from '../utils/coordinates.js';
+
+// Format name and version written to world files
+const WORLD_FILE_FORMAT = 'infinite-horizons-world';
+const WORLD_FILE_VERSION = 1;
+
+// Object store holding one record per chunk ({ key, heightDelta, markers, metadata })
+const CHUNK_STORE = 'chunks';
+
+/**
+ * Creates the persistence layer for world edits
+ * @param {Object} editLayer - Edit layer holding the height deltas in memory
+ * @param {Object} persistenceConfig - Persistence settings ({ enabled, databaseName, saveDelay })
+ * @param {Object} terrainInfo - Terrain settings written to world files ({ chunkSize, chunkResolution, seed })
+ * @returns {Object} World persistence
+ */
+export function createWorldPersistence(editLayer, persistenceConfig, terrainInfo) {
+    const { enabled, databaseName, saveDelay } = persistenceConfig;
+    
+    // Markers and metadata by chunk key
+    const markers = new Map();
+    const metadata = new Map();
+    
+    // Chunks whose stored record has been merged into memory
+    const restoredChunks = new Set();
+    
+    // Restores still reading from the database, by chunk key
+    const pendingRestores = new Map();
+    
+    // Chunks changed since they were last saved
+    const dirtyChunks = new Set();
+    let saveTimer = null;
+    
+    // Bumped when the world is replaced so restores started before are ignored
+    let generation = 0;
+    
+    // Counter making marker ids unique within a session
+    let markerCounter = 0;
+    
+    // Database connection, opened on first use (null while unknown or unavailable)
+    let database = null;
+    let databasePromise = null;
+    
+    /**
+     * Open the database once
+     * @returns {Promise<IDBDatabase|null>} Database, or null if persistence is off or unavailable
+     */
+    const getDatabase = () => {
+        if (!databasePromise) {
+            databasePromise = (enabled && typeof indexedDB !== 'undefined')
+                ? openDatabase(databaseName).then(result => {
+                    database = result;
+                    return result;
+                }).catch(error => {
+                    console.warn('IndexedDB unavailable, world edits will not be saved:', error);
+                    return null;
+                })
+                : Promise.resolve(null);
+        }
+        return databasePromise;
+    };
+    
+    /**
+     * Take a copy of a chunk's in-memory state as a database record
+     * @param {string} chunkKey - Chunk key
+     * @returns {Object} Chunk record
+     */
+    const snapshot = (chunkKey) => {
+        const heightDelta = editLayer.getDelta(chunkKey);
+        return {
+            key: chunkKey,
+            heightDelta: heightDelta ? heightDelta.slice() : null,
+            markers: (markers.get(chunkKey) || []).map(marker => ({ ...marker })),
+            metadata: { ...(metadata.get(chunkKey) || {}) }
+        };
+    };
+    
+    /**
+     * Drop a chunk's in-memory state
+     * @param {string} chunkKey - Chunk key
+     */
+    const forget = (chunkKey) => {
+        editLayer.setDelta(chunkKey, null);
+        markers.delete(chunkKey);
+        metadata.delete(chunkKey);
+        restoredChunks.delete(chunkKey);
+        dirtyChunks.delete(chunkKey);
+    };
+    
+    /**
+     * Drop the whole world's in-memory state, including saves and restores still pending
+     */
+    const forgetAll = () => {
+        generation++;
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        editLayer.clear();
+        markers.clear();
+        metadata.clear();
+        restoredChunks.clear();
+        pendingRestores.clear();
+        dirtyChunks.clear();
+    };
+    
+    /**
+     * Write a record, or delete it if it holds nothing
+     * @param {IDBDatabase} db - Database
+     * @param {Object} record - Chunk record
+     * @returns {Promise} Resolves when the write is committed
+     */
+    const writeRecord = (db, record) => {
+        const isEmpty = !record.heightDelta && record.markers.length === 0 &&
+            Object.keys(record.metadata).length === 0;
+        
+        return runTransaction(db, 'readwrite', store => {
+            return isEmpty ? store.delete(record.key) : store.put(record);
+        });
+    };
+    
+    return {
+        /**
+         * Merge a chunk's stored record into memory (once per chunk until it is released)
+         * @param {string} chunkKey - Chunk key
+         * @returns {Promise} Resolves when the chunk's edits are in memory; never rejects
+         */
+        restoreChunk(chunkKey) {
+            if (restoredChunks.has(chunkKey)) {
+                return Promise.resolve();
+            }
+            if (pendingRestores.has(chunkKey)) {
+                return pendingRestores.get(chunkKey);
+            }
+            
+            const restoreGeneration = generation;
+            const restore = getDatabase().then(db => {
+                return db ? runTransaction(db, 'readonly', store => store.get(chunkKey)) : null;
+            }).then(record => {
+                // The world was replaced while reading
+                if (restoreGeneration !== generation) {
+                    return;
+                }
+                
+                if (record) {
+                    // Changes made while the chunk was away are added to the stored delta
+                    if (record.heightDelta) {
+                        const heightDelta = record.heightDelta.slice();
+                        const pendingDelta = editLayer.getDelta(chunkKey);
+                        if (pendingDelta) {
+                            for (let i = 0; i < heightDelta.length; i++) {
+                                heightDelta[i] += pendingDelta[i];
+                            }
+                        }
+                        editLayer.setDelta(chunkKey, heightDelta);
+                    }
+                    markers.set(chunkKey, [...(record.markers || []), ...(markers.get(chunkKey) || [])]);
+                    metadata.set(chunkKey, { ...(record.metadata || {}), ...(metadata.get(chunkKey) || {}) });
+                }
+                restoredChunks.add(chunkKey);
+            }).catch(error => {
+                console.warn(`Failed to restore edits of chunk ${chunkKey}:`, error);
+            }).finally(() => {
+                pendingRestores.delete(chunkKey);
+            });
+            
+            pendingRestores.set(chunkKey, restore);
+            return restore;
+        },
+        
+        /**
+         * Save a chunk that is unloading and free its in-memory state
+         * @param {string} chunkKey - Chunk key
+         * @returns {Promise} Resolves when the record is saved
+         */
+        releaseChunk(chunkKey) {
+            // Without a database, or before the stored record is merged, memory stays authoritative
+            if (!database || !restoredChunks.has(chunkKey)) {
+                return Promise.resolve();
+            }
+            
+            // Writes are queued in order, so a restore issued after this one reads the saved record
+            const record = snapshot(chunkKey);
+            forget(chunkKey);
+            
+            return writeRecord(database, record).catch(error => {
+                console.warn(`Failed to save edits of chunk ${chunkKey}:`, error);
+            });
+        },
+        
+        /**
+         * Mark chunks as changed and schedule a save
+         * @param {Iterable<string>} chunkKeys - Keys of the changed chunks
+         */
+        markDirty(chunkKeys) {
+            const now = Date.now();
+            for (const chunkKey of chunkKeys) {
+                dirtyChunks.add(chunkKey);
+                metadata.set(chunkKey, { ...(metadata.get(chunkKey) || {}), modified: now });
+            }
+            
+            if (!saveTimer) {
+                saveTimer = setTimeout(() => {
+                    saveTimer = null;
+                    this.flush();
+                }, saveDelay);
+            }
+        },
+        
+        /**
+         * Save all changed chunks now
+         * @returns {Promise} Resolves when every changed chunk is saved
+         */
+        async flush() {
+            const db = await getDatabase();
+            if (!db) {
+                return;
+            }
+            
+            const chunkKeys = [...dirtyChunks];
+            dirtyChunks.clear();
+            
+            for (const chunkKey of chunkKeys) {
+                // Pending changes of chunks that are not loaded are merged with their record first
+                await this.restoreChunk(chunkKey);
+                if (!restoredChunks.has(chunkKey)) {
+                    continue;
+                }
+                
+                try {
+                    await writeRecord(db, snapshot(chunkKey));
+                } catch (error) {
+                    console.warn(`Failed to save edits of chunk ${chunkKey}:`, error);
+                }
+            }
+        },
+        
+        /**
+         * Place a marker
+         * @param {number} x - World X coordinate
+         * @param {number} y - World Y coordinate
+         * @param {number} z - World Z coordinate
+         * @param {number} chunkSize - Size of a chunk in world units
+         * @param {string} [label=''] - Marker label
+         * @returns {Object} Created marker ({ id, chunkKey, x, y, z, label, created })
+         */
+        addMarker(x, y, z, chunkSize, label = '') {
+            const chunkKey = getChunkKey(Math.floor(x / chunkSize), Math.floor(z / chunkSize));
+            const marker = {
+                id: `${Date.now().toString(36)}_${(markerCounter++).toString(36)}`,
+                chunkKey: chunkKey,
+                x: x,
+                y: y,
+                z: z,
+                label: label,
+                created: Date.now()
+            };
+            
+            markers.set(chunkKey, [...(markers.get(chunkKey) || []), marker]);
+            this.markDirty([chunkKey]);
+            
+            return marker;
+        },
+        
+        /**
+         * Remove a marker
+         * @param {string} chunkKey - Key of the chunk holding the marker
+         * @param {string} markerId - Marker id
+         * @returns {boolean} Whether the marker was found
+         */
+        removeMarker(chunkKey, markerId) {
+            const chunkMarkers = markers.get(chunkKey) || [];
+            const remaining = chunkMarkers.filter(marker => marker.id !== markerId);
+            if (remaining.length === chunkMarkers.length) {
+                return false;
+            }
+            
+            markers.set(chunkKey, remaining);
+            this.markDirty([chunkKey]);
+            return true;
+        },
+        
+        /**
+         * Move a marker to a new height (after the ground under it was sculpted)
+         * @param {string} chunkKey - Key of the chunk holding the marker
+         * @param {string} markerId - Marker id
+         * @param {number} y - World Y coordinate
+         * @returns {boolean} Whether the marker was found and moved
+         */
+        setMarkerHeight(chunkKey, markerId, y) {
+            const chunkMarkers = markers.get(chunkKey) || [];
+            const marker = chunkMarkers.find(candidate => candidate.id === markerId);
+            if (!marker || marker.y === y) {
+                return false;
+            }
+            
+            markers.set(chunkKey, chunkMarkers.map(candidate => (candidate === marker ? { ...marker, y: y } : candidate)));
+            this.markDirty([chunkKey]);
+            return true;
+        },
+        
+        /**
+         * Get the markers of a chunk
+         * @param {string} chunkKey - Chunk key
+         * @returns {Array<Object>} Markers
+         */
+        getMarkers(chunkKey) {
+            return markers.get(chunkKey) || [];
+        },
+        
+        /**
+         * Get the metadata of a chunk
+         * @param {string} chunkKey - Chunk key
+         * @returns {Object} Metadata (modified holds the time of the last change)
+         */
+        getMetadata(chunkKey) {
+            return metadata.get(chunkKey) || {};
+        },
+        
+        /**
+         * Merge values into the metadata of a chunk
+         * @param {string} chunkKey - Chunk key
+         * @param {Object} values - Values to store (must be structured-cloneable)
+         */
+        setMetadata(chunkKey, values) {
+            metadata.set(chunkKey, { ...(metadata.get(chunkKey) || {}), ...values });
+            this.markDirty([chunkKey]);
+        },
+        
+        /**
+         * Write the whole world into one file
+         * @returns {Promise<string>} World file as JSON
+         */
+        async exportWorld() {
+            const db = await getDatabase();
+            const stored = db ? await runTransaction(db, 'readonly', store => store.getAll()) : [];
+            
+            // Memory is authoritative for restored chunks; others may only hold pending changes
+            const records = new Map(stored.map(record => [record.key, record]));
+            for (const chunkKey of [...editLayer.getEditedChunkKeys(), ...markers.keys(), ...metadata.keys()]) {
+                if (restoredChunks.has(chunkKey) || !db) {
+                    records.set(chunkKey, snapshot(chunkKey));
+                }
+            }
+            
+            return JSON.stringify({
+                format: WORLD_FILE_FORMAT,
+                version: WORLD_FILE_VERSION,
+                terrain: terrainInfo,
+                chunks: [...records.values()].map(record => ({
+                    key: record.key,
+                    heightDelta: record.heightDelta ? encodeDelta(record.heightDelta) : null,
+                    markers: record.markers,
+                    metadata: record.metadata
+                }))
+            });
+        },
+        
+        /**
+         * Replace the whole world with the contents of a world file
+         * @param {string} json - World file as JSON
+         * @returns {Promise<Array<string>>} Keys of the imported chunks
+         */
+        async importWorld(json) {
+            const world = JSON.parse(json);
+            
+            if (!world || world.format !== WORLD_FILE_FORMAT || !world.terrain || !Array.isArray(world.chunks)) {
+                throw new Error('Not a world file');
+            }
+            if (world.version > WORLD_FILE_VERSION) {
+                throw new Error(`World file version ${world.version} is newer than supported (${WORLD_FILE_VERSION})`);
+            }
+            if (world.terrain.chunkResolution !== terrainInfo.chunkResolution ||
+                world.terrain.chunkSize !== terrainInfo.chunkSize) {
+                throw new Error(`World file uses ${world.terrain.chunkResolution} samples per ${world.terrain.chunkSize} unit chunk, ` +
+                    `terrain uses ${terrainInfo.chunkResolution} per ${terrainInfo.chunkSize}`);
+            }
+            if (world.terrain.seed !== terrainInfo.seed) {
+                console.warn(`World file was made with seed ${world.terrain.seed}, terrain uses ${terrainInfo.seed}`);
+            }
+            
+            const records = world.chunks.map(chunk => ({
+                key: chunk.key,
+                heightDelta: chunk.heightDelta ? decodeDelta(chunk.heightDelta) : null,
+                markers: chunk.markers || [],
+                metadata: chunk.metadata || {}
+            }));
+            
+            // Drop everything in memory, including restores still in flight
+            forgetAll();
+            
+            const db = await getDatabase();
+            if (db) {
+                await runTransaction(db, 'readwrite', store => {
+                    store.clear();
+                    for (const record of records) {
+                        store.put(record);
+                    }
+                    return null;
+                });
+                
+                // Chunks restored from the old store while it was being replaced are read again
+                forgetAll();
+            } else {
+                // Without a database the imported world lives in memory only
+                for (const record of records) {
+                    if (record.heightDelta) {
+                        editLayer.setDelta(record.key, record.heightDelta);
+                    }
+                    markers.set(record.key, record.markers);
+                    metadata.set(record.key, record.metadata);
+                    restoredChunks.add(record.key);
+                }
+            }
+            
+            return records.map(record => record.key);
+        }
+    };
+}
+
+/**
+ * Open (and if needed create) the world database
+ * @param {string} name - Database name
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(CHUNK_STORE, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`Database ${name} is blocked by another tab`));
+    });
+}
+
+/**
+ * Run requests on the chunk store in one transaction
+ * @param {IDBDatabase} db - Database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - (store) => request whose result is wanted, or null
+ * @returns {Promise<*>} Result of the request once the transaction completes
+ */
+function runTransaction(db, mode, action) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(CHUNK_STORE, mode);
+        const request = action(transaction.objectStore(CHUNK_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Encode a height delta as base64 (little-endian float32)
+ * @param {Float32Array} delta - Height delta
+ * @returns {string} Base64 text
+ */
+function encodeDelta(delta) {
+    const bytes = new Uint8Array(delta.length * 4);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < delta.length; i++) {
+        view.setFloat32(i * 4, delta[i], true);
+    }
+    
+    // Convert in blocks to keep the argument list short
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode a height delta written by encodeDelta
+ * @param {string} text - Base64 text
+ * @returns {Float32Array} Height delta
+ */
+function decodeDelta(text) {
+    const binary = atob(text);
+    const view = new DataView(new ArrayBuffer(binary.length));
+    for (let i = 0; i < binary.length; i++) {
+        view.setUint8(i, binary.charCodeAt(i));
+    }
+    
+    const delta = new Float32Array(binary.length / 4);
+    for (let i = 0; i < delta.length; i++) {
+        delta[i] = view.getFloat32(i * 4, true);
+    }
+    return delta;
+}
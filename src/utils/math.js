@@ -26,6 +26,60 @@ export function smoothLerp(a, b, t) {
     return lerp(a, b, s);
 }
 
+/**
+ * Interpolate inside a grid cell split along its (0,0)-(1,1) diagonal,
+ * matching how terrain meshes triangulate each cell
+ * @param {number} h00 - Value at the cell's (0, 0) corner
+ * @param {number} h10 - Value at the (1, 0) corner
+ * @param {number} h01 - Value at the (0, 1) corner
+ * @param {number} h11 - Value at the (1, 1) corner
+ * @param {number} fx - Position inside the cell along X in range [0, 1]
+ * @param {number} fz - Position inside the cell along Z in range [0, 1]
+ * @returns {number} Value on the triangle containing the point
+ */
+export function triangleGridLerp(h00, h10, h01, h11, fx, fz) {
+    if (fx >= fz) {
+        // Triangle (0,0), (1,0), (1,1)
+        return h00 + fx * (h10 - h00) + fz * (h11 - h10);
+    }
+    
+    // Triangle (0,0), (1,1), (0,1)
+    return h00 + fz * (h01 - h00) + fx * (h11 - h01);
+}
+
+/**
+ * Sample per-vertex grid data at fractional grid coordinates, following the
+ * grid's triangles so the result lies exactly on the rendered surface
+ * @param {Array|Float32Array} values - Per-vertex data, row by row along Z
+ * @param {number} stride - Number of values per vertex
+ * @param {number} offset - Channel to sample within each vertex
+ * @param {number} resolution - Vertices per side of the grid
+ * @param {number} gx - X position in grid coordinates
+ * @param {number} gz - Z position in grid coordinates
+ * @returns {number} Interpolated value
+ */
+export function sampleTriangleGrid(values, stride, offset, resolution, gx, gz) {
+    // Keep the position on the grid
+    gx = clamp(gx, 0, resolution - 1);
+    gz = clamp(gz, 0, resolution - 1);
+    
+    // Cell containing the position (last cell includes the far edge)
+    const cellX = Math.min(Math.floor(gx), resolution - 2);
+    const cellZ = Math.min(Math.floor(gz), resolution - 2);
+    
+    // Value at integer grid coordinates
+    const valueAt = (x, z) => values[(z * resolution + x) * stride + offset];
+    
+    return triangleGridLerp(
+        valueAt(cellX, cellZ),
+        valueAt(cellX + 1, cellZ),
+        valueAt(cellX, cellZ + 1),
+        valueAt(cellX + 1, cellZ + 1),
+        gx - cellX,
+        gz - cellZ
+    );
+}
+
 /**
  * Clamp a value between a minimum and maximum
  * @param {number} value - Value to clamp
@@ -149,3 +203,21 @@ export function hash(x, y, seed = 0) {
 export function hashToFloat(hash) {
     return hash / 65536; // Convert to [0, 1]
 }
+
+/**
+ * Create a deterministic pseudo-random number generator (mulberry32).
+ * Uses 32-bit integer arithmetic only, so sequences match on every platform.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning the next value in range [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    
+    return function next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -3,6 +3,7 @@
  */
 import config from '../config.js';
 import { initMaterialUI } from '../ui/materialUI.js';
+import { parseDEM } from '../terrain/demSource.js';
 
 /**
  * Initialize UI elements
@@ -19,6 +20,18 @@ export function initUI(scene, chunkManager, cameraControls, terrainMaterial) {
     // Create minimap
     const minimap = createMinimap(scene, chunkManager);
     
+    // Redraw the minimap around the new render origin as soon as it shifts, so the chunks
+    // line up with the player marker (which already follows the shifted camera)
+    chunkManager.getFloatingOrigin().onShiftObservable.add(() => {
+        renderMinimap(minimap.context, chunkManager);
+        minimap.lastChunkCount = chunkManager.getLoadedChunkCount();
+    });
+    
+    // Recolor the minimap when a biome is registered
+    chunkManager.onBiomeRegisteredObservable.add(() => {
+        minimap.lastChunkCount = null;
+    });
+    
     // Initialize material UI (new in Phase 2)
     const materialUI = terrainMaterial ? initMaterialUI(scene, terrainMaterial) : null;
     
@@ -34,7 +47,7 @@ export function initUI(scene, chunkManager, cameraControls, terrainMaterial) {
     };
     
     // Set up keyboard shortcuts
-    setupKeyboardShortcuts(scene, uiState, helpOverlay, minimap, fpsDisplay, materialUI, cameraControls);
+    setupKeyboardShortcuts(scene, uiState, helpOverlay, minimap, fpsDisplay, materialUI, cameraControls, chunkManager);
     
     return {
         // Show/hide help overlay
@@ -78,7 +91,7 @@ export function initUI(scene, chunkManager, cameraControls, terrainMaterial) {
         // Update all UI elements
         update() {
             if (uiState.fpsVisible) {
-                updateFPSDisplay(fpsDisplay, scene.getEngine());
+                updateFPSDisplay(fpsDisplay, scene.getEngine(), chunkManager);
             }
         }
     };
@@ -133,6 +146,31 @@ function createHelpOverlay() {
             <li><strong>G:</strong> Toggle wireframe view</li>
         </ul>
         
+        <h3 style="margin-top: 15px;">Sculpting</h3>
+        <ul style="list-style-type: none; padding-left: 0;">
+            <li><strong>B:</strong> Toggle sculpt mode</li>
+            <li><strong>Left mouse:</strong> Apply the brush</li>
+            <li><strong>1-5:</strong> Raise, lower, smooth, flatten, noise brush</li>
+            <li><strong>[ / ]:</strong> Brush radius</li>
+            <li><strong>- / =:</strong> Brush strength</li>
+            <li><strong>, / .:</strong> Brush falloff</li>
+        </ul>
+        
+        <h3 style="margin-top: 15px;">Terrain Files</h3>
+        <ul style="list-style-type: none; padding-left: 0;">
+            <li><strong>L:</strong> Load a DEM (16-bit PNG, RAW or ASCII Grid)</li>
+            <li><strong>U:</strong> Remove the DEM</li>
+            <li><strong>E:</strong> Export the terrain around the camera</li>
+        </ul>
+        
+        <h3 style="margin-top: 15px;">World</h3>
+        <ul style="list-style-type: none; padding-left: 0;">
+            <li><strong>N:</strong> Place a marker where the camera looks</li>
+            <li><strong>X:</strong> Remove the nearest marker there</li>
+            <li><strong>V:</strong> Save the world (edits, markers) to a file</li>
+            <li><strong>O:</strong> Open a world file</li>
+        </ul>
+        
         <div style="text-align: center; margin-top: 20px;">
             <small>Press H to close this overlay</small>
         </div>
@@ -231,11 +269,12 @@ function createFPSDisplay(engine) {
 }
 
 /**
- * Update FPS display
+ * Update FPS display with the biome under the camera
  * @param {HTMLElement} fpsDisplay - FPS display element
  * @param {BABYLON.Engine} engine - The Babylon.js engine
+ * @param {Object} chunkManager - The terrain chunk manager
  */
-function updateFPSDisplay(fpsDisplay, engine) {
+function updateFPSDisplay(fpsDisplay, engine, chunkManager) {
     const fps = Math.round(engine.getFps());
     
     // Color code based on performance
@@ -248,7 +287,12 @@ function updateFPSDisplay(fpsDisplay, engine) {
         color = '#FF0000'; // Red for bad
     }
     
-    fpsDisplay.innerHTML = `FPS: <span style="color: ${color}">${fps}</span>`;
+    // Biome under the camera, in its own grass color
+    const camera = chunkManager.getFloatingOrigin().getCameraWorldPosition();
+    const biome = chunkManager.getBiomeAtPosition(camera.x, camera.z);
+    
+    fpsDisplay.innerHTML = `FPS: <span style="color: ${color}">${fps}</span>` +
+        ` | Biome: <span style="color: ${toCSSColor(biome.grassColor, 1, 1.6)}">${biome.name}</span>`;
 }
 
 /**
@@ -277,21 +321,29 @@ function renderMinimap(ctx, chunkManager) {
     const centerX = width / 2;
     const centerY = height / 2;
     
+    // The minimap is centred on the floating origin, like the camera position it shows
+    const { offset } = chunkManager.getFloatingOrigin();
+    const originChunkX = offset.x / config.terrain.chunkSize;
+    const originChunkZ = offset.z / config.terrain.chunkSize;
+    
     // Draw chunks
     for (const [key, mesh] of loadedChunks.entries()) {
         // Parse chunk coordinates from key
         const [chunkX, chunkZ] = key.split('_').map(Number);
         
         // Calculate position on minimap
-        const posX = centerX + chunkX * chunkSize;
-        const posY = centerY + chunkZ * chunkSize;
+        const posX = centerX + (chunkX - originChunkX) * chunkSize;
+        const posY = centerY + (chunkZ - originChunkZ) * chunkSize;
         
         // Get LOD level if available
         const lodLevel = mesh.lodLevel !== undefined ? mesh.lodLevel : 0;
         
-        // Color based on LOD level (darker green for higher detail)
+        // Color of the biome at the chunk centre, more opaque for higher detail
         const lodAlpha = 0.8 - (lodLevel * 0.15);
-        ctx.fillStyle = `rgba(50, 100, 50, ${lodAlpha})`;
+        const biome = chunkManager.getBiomeAtPosition(
+            (chunkX + 0.5) * config.terrain.chunkSize, (chunkZ + 0.5) * config.terrain.chunkSize
+        );
+        ctx.fillStyle = toCSSColor(biome.grassColor, lodAlpha);
         
         // Draw chunk square
         ctx.fillRect(
@@ -344,6 +396,18 @@ function renderMinimap(ctx, chunkManager) {
     drawCompass(ctx, width - 35, 35, 25);
 }
 
+/**
+ * Convert a biome color to a CSS color
+ * @param {Array<number>} color - Color [r, g, b] in range [0, 1]
+ * @param {number} [alpha=1] - Opacity
+ * @param {number} [brightness=1] - Multiplier applied to the color
+ * @returns {string} CSS rgba() color
+ */
+function toCSSColor(color, alpha = 1, brightness = 1) {
+    const [r, g, b] = color.map(channel => Math.round(Math.min(1, channel * brightness) * 255));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
 /**
  * Draw a compass on the minimap
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -399,8 +463,8 @@ function drawCompass(ctx, x, y, radius) {
 /**
  * Update player position on minimap
  * @param {Object} minimap - Minimap object
- * @param {number} cameraX - Camera X position
- * @param {number} cameraZ - Camera Z position
+ * @param {number} cameraX - Camera X position in render space
+ * @param {number} cameraZ - Camera Z position in render space
  * @param {Object} chunkManager - The terrain chunk manager
  */
 function updateMinimapPosition(minimap, cameraX, cameraZ, chunkManager) {
@@ -415,7 +479,7 @@ function updateMinimapPosition(minimap, cameraX, cameraZ, chunkManager) {
     const centerX = width / 2;
     const centerY = height / 2;
     
-    // Convert world coordinates to chunk coordinates
+    // Convert render space coordinates to chunks from the floating origin
     const chunkXFloat = cameraX / config.terrain.chunkSize;
     const chunkZFloat = cameraZ / config.terrain.chunkSize;
     
@@ -444,8 +508,9 @@ function updateMinimapPosition(minimap, cameraX, cameraZ, chunkManager) {
  * @param {HTMLElement} fpsDisplay - FPS display element
  * @param {Object} materialUI - Material UI object
  * @param {Object} cameraControls - Camera controls object
+ * @param {Object} chunkManager - The terrain chunk manager
  */
-function setupKeyboardShortcuts(scene, uiState, helpOverlay, minimap, fpsDisplay, materialUI, cameraControls) {
+function setupKeyboardShortcuts(scene, uiState, helpOverlay, minimap, fpsDisplay, materialUI, cameraControls, chunkManager) {
     // Set up keyboard shortcut handler
     window.addEventListener('keydown', (event) => {
         // Toggle help overlay on H key
@@ -483,11 +548,10 @@ function setupKeyboardShortcuts(scene, uiState, helpOverlay, minimap, fpsDisplay
         if (event.code === 'KeyR' && !event.altKey && !event.ctrlKey && !event.shiftKey) {
             const camera = scene.activeCamera;
             if (camera) {
-                camera.position = new BABYLON.Vector3(
-                    config.camera.initialPosition[0],
-                    config.camera.initialPosition[1],
-                    config.camera.initialPosition[2]
-                );
+                // The initial position is in world space
+                const [x, y, z] = config.camera.initialPosition;
+                const renderPosition = chunkManager.getFloatingOrigin().toRender(x, z);
+                camera.position = new BABYLON.Vector3(renderPosition.x, y, renderPosition.z);
                 camera.rotation = new BABYLON.Vector3(0, 0, 0);
             }
         }
@@ -500,5 +564,166 @@ function setupKeyboardShortcuts(scene, uiState, helpOverlay, minimap, fpsDisplay
                 }
             });
         }
+        
+        // Load a DEM on L key
+        if (event.code === 'KeyL' && !event.altKey && !event.ctrlKey && !event.shiftKey) {
+            openFilePicker('.png,.raw,.r16,.asc,.grd', file => loadDEMFile(file, chunkManager));
+        }
+        
+        // Go back to procedural terrain on U key
+        if (event.code === 'KeyU' && !event.altKey && !event.ctrlKey && !event.shiftKey) {
+            chunkManager.setDEM(null);
+        }
+        
+        // Export the region around the camera on E key
+        if (event.code === 'KeyE' && !event.altKey && !event.ctrlKey && !event.shiftKey) {
+            exportRegionAroundCamera(chunkManager);
+        }
+        
+        // Place a marker on N key
+        if (event.code === 'KeyN' && !event.altKey && !event.ctrlKey && !event.shiftKey) {
+            const point = pickTerrainAtScreenCenter(scene, chunkManager);
+            if (point) {
+                chunkManager.addMarker(point.x, point.z);
+            }
+        }
+        
+        // Remove the nearest marker on X key
+        if (event.code === 'KeyX' && !event.altKey && !event.ctrlKey && !event.shiftKey) {
+            const point = pickTerrainAtScreenCenter(scene, chunkManager);
+            if (point) {
+                chunkManager.removeNearestMarker(point.x, point.z, 10);
+            }
+        }
+        
+        // Save the world to a file on V key
+        if (event.code === 'KeyV' && !event.altKey && !event.ctrlKey && !event.shiftKey) {
+            exportWorldFile(chunkManager);
+        }
+        
+        // Open a world file on O key
+        if (event.code === 'KeyO' && !event.altKey && !event.ctrlKey && !event.shiftKey) {
+            openFilePicker('.json', file => importWorldFile(file, chunkManager));
+        }
     });
 }
+
+/**
+ * Ask the user for a file
+ * @param {string} accept - Accepted file extensions
+ * @param {Function} onFile - Called with the chosen File
+ */
+function openFilePicker(accept, onFile) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => {
+        if (input.files.length > 0) {
+            onFile(input.files[0]);
+        }
+    });
+    input.click();
+}
+
+/**
+ * Parse a DEM file and use it as the base terrain
+ * @param {File} file - DEM file
+ * @param {Object} chunkManager - The terrain chunk manager
+ */
+async function loadDEMFile(file, chunkManager) {
+    try {
+        const dem = await parseDEM(await file.arrayBuffer(), file.name, config.noise.dem);
+        chunkManager.setDEM(dem);
+        console.log(`Loaded DEM ${file.name} (${dem.width}x${dem.height}, ${dem.minValue}-${dem.maxValue})`);
+    } catch (error) {
+        console.error(`Could not load DEM ${file.name}:`, error);
+    }
+}
+
+/**
+ * Export the chunks around the camera and download the files
+ * @param {Object} chunkManager - The terrain chunk manager
+ */
+async function exportRegionAroundCamera(chunkManager) {
+    const { chunkSize } = config.terrain;
+    const { radius, formats } = config.export;
+    const cameraPosition = chunkManager.getFloatingOrigin().getCameraWorldPosition();
+    const chunkX = Math.floor(cameraPosition.x / chunkSize);
+    const chunkZ = Math.floor(cameraPosition.z / chunkSize);
+    
+    try {
+        const files = await chunkManager.exportRegion({
+            minChunkX: chunkX - radius,
+            minChunkZ: chunkZ - radius,
+            maxChunkX: chunkX + radius,
+            maxChunkZ: chunkZ + radius
+        }, formats);
+        
+        for (const file of files) {
+            downloadFile(file.name, file.data, file.mimeType);
+        }
+        console.log(`Exported ${files.length} terrain files around chunk ${chunkX}_${chunkZ}`);
+    } catch (error) {
+        console.error('Could not export terrain:', error);
+    }
+}
+
+/**
+ * Find the terrain point in the middle of the screen
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ * @param {Object} chunkManager - The terrain chunk manager
+ * @returns {Object|null} Picked point in world space ({ x, y, z }), or null if the camera is not looking at terrain
+ */
+function pickTerrainAtScreenCenter(scene, chunkManager) {
+    const canvas = scene.getEngine().getRenderingCanvas();
+    const pickedPoint = chunkManager.pickTerrain(canvas.width / 2, canvas.height / 2);
+    if (!pickedPoint) {
+        return null;
+    }
+    
+    const world = chunkManager.getFloatingOrigin().toWorld(pickedPoint.x, pickedPoint.z);
+    return { x: world.x, y: pickedPoint.y, z: world.z };
+}
+
+/**
+ * Download the whole world (edits, markers and chunk metadata) as one file
+ * @param {Object} chunkManager - The terrain chunk manager
+ */
+async function exportWorldFile(chunkManager) {
+    try {
+        const json = await chunkManager.exportWorld();
+        downloadFile(`world_seed${chunkManager.getSeed()}.json`, json, 'application/json');
+    } catch (error) {
+        console.error('Could not save world:', error);
+    }
+}
+
+/**
+ * Replace the world with a world file chosen by the user
+ * @param {File} file - World file
+ * @param {Object} chunkManager - The terrain chunk manager
+ */
+async function importWorldFile(file, chunkManager) {
+    try {
+        await chunkManager.importWorld(await file.text());
+    } catch (error) {
+        console.error(`Could not open world ${file.name}:`, error);
+    }
+}
+
+/**
+ * Offer data to the user as a file download
+ * @param {string} name - File name
+ * @param {string|Uint8Array} data - File contents
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(name, data, mimeType) {
+    const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    
+    // Give the browser a moment to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,127 @@
+/**
+ * Web Worker that generates terrain chunk data off the main thread
+ * Loaded as a module worker by workerPool.js
+ */
+import { createHeightmapGenerator } from '../terrain/heightmap.js';
+
+// Heightmap generator, created once the noise configuration arrives
+let heightmapGenerator = null;
+
+/**
+ * Handle messages from the worker pool
+ * @param {MessageEvent} event - Message containing a task
+ */
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    try {
+        switch (message.type) {
+            case 'init':
+                // Create the noise pipeline with the main thread's settings
+                heightmapGenerator = createHeightmapGenerator(message.noiseConfig);
+                break;
+                
+            case 'setDEM':
+                // Switch to (or away from) imported elevation data
+                heightmapGenerator.setDEM(message.dem, message.maxHeight);
+                break;
+                
+            case 'registerBiome':
+                // Add a custom biome registered on the main thread
+                heightmapGenerator.registerBiome(message.name, message.definition);
+                break;
+                
+            case 'generateChunk':
+                generateChunk(message);
+                break;
+                
+            case 'generateNode':
+                generateNode(message);
+                break;
+                
+            default:
+                throw new Error(`Unknown terrain worker task: ${message.type}`);
+        }
+    } catch (error) {
+        // Report the failure so the pool can reject the task (or log it for broadcasts, which have no id)
+        self.postMessage({ id: message.id, type: message.type, error: error.message });
+    }
+};
+
+/**
+ * Generate heights, positions, normals and indices for a chunk
+ * @param {Object} message - Task message with chunk parameters
+ */
+function generateChunk(message) {
+    if (!heightmapGenerator) {
+        throw new Error('Terrain worker received a task before init');
+    }
+    
+    const { id, chunkX, chunkZ, chunkSize, resolution, maxHeight } = message;
+    
+    // Run the noise pipeline for this chunk
+    const result = heightmapGenerator.generateChunkArrays(
+        chunkX, chunkZ, chunkSize, resolution, maxHeight
+    );
+    
+    postArrays(id, result);
+}
+
+/**
+ * Generate heights, positions, normals and indices for a low resolution quadtree node
+ * @param {Object} message - Task message with node parameters
+ */
+function generateNode(message) {
+    if (!heightmapGenerator) {
+        throw new Error('Terrain worker received a task before init');
+    }
+    
+    const { id, nodeX, nodeZ, nodeSize, resolution, maxHeight } = message;
+    
+    // Run the reduced noise pipeline for this node
+    const result = heightmapGenerator.generateNodeArrays(
+        nodeX, nodeZ, nodeSize, resolution, maxHeight
+    );
+    
+    postArrays(id, result);
+}
+
+/**
+ * Send generated arrays back to the pool
+ * @param {number} id - Task id
+ * @param {Object} result - Arrays from generateChunkArrays or generateNodeArrays
+ */
+function postArrays(id, result) {
+    // Send the typed arrays back without copying them
+    const transfer = [
+        result.heights.buffer,
+        result.haloHeights.buffer,
+        result.positions.buffer,
+        result.normals.buffer,
+        result.uvs.buffer,
+        result.indices.buffer,
+        result.biomeIds.buffer,
+        result.biomeWeights.buffer
+    ];
+    
+    // Erosion maps only exist when erosion is enabled
+    if (result.sedimentMap) {
+        transfer.push(result.sedimentMap.buffer, result.flowMap.buffer);
+    }
+    
+    // Water levels only exist when the chunk has rivers or lakes
+    if (result.waterLevels) {
+        transfer.push(result.waterLevels.buffer);
+    }
+    
+    // Voxel chunks carry a marching cubes mesh as well
+    if (result.voxelMesh) {
+        transfer.push(
+            result.voxelMesh.positions.buffer,
+            result.voxelMesh.normals.buffer,
+            result.voxelMesh.indices.buffer
+        );
+    }
+    
+    self.postMessage({ id, result }, transfer);
+}
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * Worker management for off-thread terrain generation
+ */
+
+/**
+ * Creates a pool of Web Workers that process tasks in FIFO order
+ * @param {URL|string} workerUrl - URL of the module worker script
+ * @param {number} poolSize - Number of workers to start
+ * @param {Object} [initMessage=null] - Message sent to every worker on startup
+ * @returns {Object} Worker pool object
+ */
+export function createWorkerPool(workerUrl, poolSize, initMessage = null) {
+    // All workers in the pool
+    const workers = [];
+    
+    // Workers waiting for a task
+    const idleWorkers = [];
+    
+    // Tasks waiting for a free worker
+    const taskQueue = [];
+    
+    // Tasks currently running, keyed by task id
+    const runningTasks = new Map();
+    
+    // Id for the next task
+    let nextTaskId = 1;
+    
+    /**
+     * Send queued tasks to idle workers
+     */
+    function dispatch() {
+        while (idleWorkers.length > 0 && taskQueue.length > 0) {
+            const worker = idleWorkers.pop();
+            const task = taskQueue.shift();
+            
+            task.worker = worker;
+            runningTasks.set(task.id, task);
+            worker.postMessage({ ...task.message, id: task.id }, task.transfer);
+        }
+    }
+    
+    /**
+     * Finish a task and free its worker
+     * @param {number} taskId - Id of the finished task
+     * @returns {Object|undefined} The finished task
+     */
+    function completeTask(taskId) {
+        const task = runningTasks.get(taskId);
+        if (!task) {
+            return undefined;
+        }
+        
+        runningTasks.delete(taskId);
+        idleWorkers.push(task.worker);
+        return task;
+    }
+    
+    // Start the workers
+    for (let i = 0; i < poolSize; i++) {
+        const worker = new Worker(workerUrl, { type: 'module' });
+        
+        // Resolve or reject the task this worker was running
+        worker.onmessage = (event) => {
+            const { id, type, result, error } = event.data;
+            const task = completeTask(id);
+            
+            if (task) {
+                if (error) {
+                    task.reject(new Error(error));
+                } else {
+                    task.resolve(result);
+                }
+            } else if (error) {
+                // Broadcast messages have no task to reject, and the worker keeps its old state
+                console.error(`Terrain worker could not handle ${type} message: ${error}`);
+            }
+            
+            dispatch();
+        };
+        
+        // Uncaught errors (including a failed module load) fail the running task
+        worker.onerror = (event) => {
+            event.preventDefault();
+            
+            for (const task of runningTasks.values()) {
+                if (task.worker === worker) {
+                    completeTask(task.id);
+                    task.reject(new Error(event.message || 'Terrain worker error'));
+                    break;
+                }
+            }
+            
+            dispatch();
+        };
+        
+        if (initMessage) {
+            worker.postMessage(initMessage);
+        }
+        
+        workers.push(worker);
+        idleWorkers.push(worker);
+    }
+    
+    return {
+        /**
+         * Queue a task for the next free worker
+         * @param {Object} message - Task message (must have a type)
+         * @param {Array<Transferable>} [transfer=[]] - Objects to transfer to the worker
+         * @returns {Promise<*>} Resolves with the worker's result
+         */
+        runTask(message, transfer = []) {
+            return new Promise((resolve, reject) => {
+                taskQueue.push({
+                    id: nextTaskId++,
+                    message,
+                    transfer,
+                    resolve,
+                    reject,
+                    worker: null
+                });
+                
+                dispatch();
+            });
+        },
+        
+        /**
+         * Send a message to every worker, ahead of any task queued after it.
+         * Messages carry no task id and get no reply; failures are logged.
+         * @param {Object} message - Message (must have a type)
+         */
+        broadcast(message) {
+            for (const worker of workers) {
+                worker.postMessage(message);
+            }
+        },
+        
+        /**
+         * Get the number of tasks waiting for a worker
+         * @returns {number} Queued task count
+         */
+        getQueuedTaskCount() {
+            return taskQueue.length;
+        },
+        
+        /**
+         * Get the number of workers in the pool
+         * @returns {number} Pool size
+         */
+        getWorkerCount() {
+            return workers.length;
+        },
+        
+        /**
+         * Stop all workers and reject outstanding tasks
+         */
+        terminate() {
+            for (const worker of workers) {
+                worker.terminate();
+            }
+            
+            for (const task of [...taskQueue, ...runningTasks.values()]) {
+                task.reject(new Error('Worker pool terminated'));
+            }
+            
+            workers.length = 0;
+            idleWorkers.length = 0;
+            taskQueue.length = 0;
+            runningTasks.clear();
+        }
+    };
+}